@@ -1,14 +1,14 @@
 // js/absence.js
 // Handles marking students absent, undoing absence, and finding/displaying fill-in suggestions (ES Module).
 // Includes checks against daily_blocks table. Passes target date to API.
-// v9: Fixed ReferenceError preventing fill-in pop-up from showing.
+// v14: Suggestions are re-checked against the rosters and fill-ins on the lesson date.
 
 // --- Import Dependencies ---
 import { appState } from './state.js'; // Import from state.js
 // Import API functions, including fetchDailyBlocksForDate and getTodaysDateUTC
-import { addDailyStatus, removeDailyStatus, findSingleSlotSuggestions, getTodaysStatuses, fetchDailyBlocksForDate, getTodaysDateUTC } from './api.js';
+import { addDailyStatus, removeDailyStatus, findSingleSlotSuggestions, getStatusesForDateRange, fetchDailyBlocksForDate, fetchAllScheduleSlots, getTodaysDateUTC } from './api.js';
 // Import utils
-import { getStudentDetails, isStudentAvailable, checkPairingRuleViolation, getGroupSizeText, parseAvailability, formatTime, parseTime } from './utils.js';
+import { getStudentDetails, isStudentAvailable, checkPairingRuleViolation, getGroupSizeText, parseAvailability, formatTime, parseTime, getWeekRange, isStudentBlocked, getSlotWaitlist, getSlotOccupantIds } from './utils.js';
 import { hideAllInlineForms, reRenderSlot } from './schedule.js';
 import { refreshCurrentCoachSchedule } from './coachSelect.js';
 import { displayError as uiDisplayError, clearError as uiClearError } from './ui.js';
@@ -93,6 +93,7 @@ async function handleReasonSelected(event) {
         return;
     }
     const coachId = parseInt(slotElement.dataset.coachId);
+    const slotDate = slotElement.dataset.slotDate || getTodaysDateUTC();
     if (isNaN(studentId) || isNaN(scheduleId) || isNaN(coachId)) {
          console.error("Absence Error: Invalid IDs provided.", { studentId, scheduleId, coachId });
          uiDisplayError("Error marking student absent: Invalid data.", "general");
@@ -101,10 +102,10 @@ async function handleReasonSelected(event) {
 
     try {
         uiClearError("general");
-        const result = await addDailyStatus(studentId, coachId, scheduleId, 'marked_absent', reason);
+        const result = await addDailyStatus(studentId, coachId, scheduleId, 'marked_absent', reason, slotDate);
 
         if (result && result.success) {
-            console.log(`Absence: Successfully marked student ${studentId} absent for slot ${scheduleId}. Refreshing schedule...`);
+            console.log(`Absence: Successfully marked student ${studentId} absent for slot ${scheduleId} on ${slotDate}. Refreshing schedule...`);
             await refreshCurrentCoachSchedule(); // Refresh the entire schedule view
 
             setTimeout(() => {
@@ -130,6 +131,38 @@ async function handleReasonSelected(event) {
     }
 }
 
+/**
+ * Re-checks the suggestions RPC's candidates against the lessons on the date itself, since the RPC works from
+ * today's rosters: drops students already in a lesson at that time on the date, and adds those it left out who
+ * owe lessons or are on the slot's waitlist and are free then. The usual availability, pairing and block checks
+ * still apply afterwards.
+ */
+async function _checkCandidatesOnDate(backendCandidates, waitlistedIds, scheduleId, slotDay, targetTime, targetDate, currentStudentIds) {
+    const [allSlots, dateStatuses] = await Promise.all([
+        fetchAllScheduleSlots(targetDate),
+        getStatusesForDateRange(targetDate, targetDate)
+    ]);
+    if (allSlots === null || dateStatuses === null) {
+        console.warn("Absence Suggest Warning: Could not check lessons on the date; only suggested students are shown.");
+        return backendCandidates;
+    }
+    const time = String(targetTime).substring(0, 5);
+    const busyIds = new Set(allSlots
+        .filter(slot => slot.schedule_id !== scheduleId && slot.day === slotDay && String(slot.time).substring(0, 5) === time)
+        .flatMap(slot => getSlotOccupantIds(slot.student_ids, dateStatuses, slot.schedule_id, targetDate)));
+    const isFree = id => !busyIds.has(id) && !currentStudentIds.includes(id);
+
+    const returnedIds = new Set(backendCandidates.map(candidate => candidate.id));
+    const owedIds = (appState.studentsData || [])
+        .filter(student => student.is_active !== false && (student.lessons_owed || 0) > 0)
+        .sort((a, b) => b.lessons_owed - a.lessons_owed)
+        .map(student => student.id);
+    const added = [...new Set([...waitlistedIds, ...owedIds])]
+        .filter(id => !returnedIds.has(id) && isFree(id))
+        .map(id => ({ id, lessons_owed: getStudentDetails(id, appState.studentsData)?.lessons_owed ?? 0 }));
+    return [...backendCandidates.filter(candidate => isFree(candidate.id)), ...added];
+}
+
 /** Closes the fill-in suggestion box if a click occurs outside of it. */
 function closeAbsenceSuggestionBoxOnClickOutside(event) {
     const suggestionBox = document.getElementById('absence-suggestion-box');
@@ -149,33 +182,6 @@ function closeAbsenceSuggestionBoxOnClickOutside(event) {
     }
 }
 
-/**
- * Checks if a student is affected by any relevant block on a specific date.
- */
-function isStudentBlocked(studentDetails, blockDate, coachId, blocks) {
-    if (!studentDetails || !blockDate || !Array.isArray(blocks)) {
-        console.warn("isStudentBlocked: Invalid input provided.");
-        return false;
-    }
-    for (const block of blocks) {
-        if (block.block_date !== blockDate) continue;
-        switch (block.block_type) {
-            case 'Public Holiday': return true;
-            case 'Year Level Absence':
-                if (block.identifier && studentDetails.class_name && studentDetails.class_name.startsWith(block.identifier)) return true;
-                break;
-            case 'Class Absence':
-                if (block.identifier && studentDetails.class_name && studentDetails.class_name === block.identifier) return true;
-                break;
-            case 'Coach Unavailable':
-                if (block.identifier && parseInt(block.identifier) === coachId) return true;
-                break;
-        }
-    }
-    return false;
-}
-
-
 // --- Exported Functions ---
 
 /** Handles the click event for the "Mark Absent" (cross) button on a student entry. */
@@ -207,9 +213,11 @@ export async function handleUndoAbsent(event) {
          uiDisplayError("Error undoing absence: Invalid data.", "general");
          return;
     }
+    const slotElement = button.closest('.schedule-item');
+    const slotDate = slotElement?.dataset.slotDate || getTodaysDateUTC();
      try {
         uiClearError("general");
-        const result = await removeDailyStatus(studentId, scheduleId);
+        const result = await removeDailyStatus(studentId, scheduleId, slotDate);
         if (result && result.success) {
             console.log(`Absence: Successfully removed absence status for student ${studentId}, slot ${scheduleId}.`);
             await refreshCurrentCoachSchedule(); // Refresh view
@@ -257,7 +265,7 @@ export async function findAndDisplayAbsenceReplacements(scheduleId, triggerEleme
         return;
     }
 
-    const targetDate = getTodaysDateUTC();
+    const targetDate = triggerElement.dataset.slotDate || getTodaysDateUTC();
     console.log(`Absence Suggest: Target date for status checks: ${targetDate}`);
     const currentOccupantDetails = currentStudentIds.map(id => getStudentDetails(id, appState.studentsData)).filter(Boolean);
 
@@ -266,10 +274,13 @@ export async function findAndDisplayAbsenceReplacements(scheduleId, triggerEleme
     try {
         const blocksForDate = await fetchDailyBlocksForDate(targetDate);
         const safeBlocksForDate = blocksForDate || [];
-        const backendCandidates = await findSingleSlotSuggestions(scheduleId, currentStudentIds, slotDay, targetDate);
+        const suggestedCandidates = await findSingleSlotSuggestions(scheduleId, currentStudentIds, slotDay, targetDate);
 
-        if (backendCandidates === null) throw new Error("API call failed to fetch suggestions.");
-        console.log(`Absence Suggest: Received ${backendCandidates.length} candidates from backend for slot ${scheduleId}.`);
+        if (suggestedCandidates === null) throw new Error("API call failed to fetch suggestions.");
+        console.log(`Absence Suggest: Received ${suggestedCandidates.length} candidates from backend for slot ${scheduleId}.`);
+        // Waitlisted students (longest waiting first) are offered ahead of everyone else
+        const waitlistedIds = getSlotWaitlist(appState.slotWaitlist, scheduleId).map(entry => entry.student_id);
+        const backendCandidates = await _checkCandidatesOnDate(suggestedCandidates, waitlistedIds, scheduleId, slotDay, targetTime, targetDate, currentStudentIds);
 
         const availableCandidates = [];
         const availabilityCache = {};
@@ -290,9 +301,16 @@ export async function findAndDisplayAbsenceReplacements(scheduleId, triggerEleme
             availableCandidates.push({
                  id: candidate.id, Name: studentDetails.Name, lessons_owed: candidate.lessons_owed,
                  groupOf: studentDetails.groupOf, subGroup: studentDetails.sub_group,
-                 class_name: studentDetails.class_name // Ensure class_name is passed through
+                 class_name: studentDetails.class_name, // Ensure class_name is passed through
+                 isWaitlisted: waitlistedIds.includes(candidate.id)
              });
         }
+        // Stable sort: waitlisted in waiting order, then the rest in the backend's order
+        availableCandidates.sort((a, b) => {
+            const rankA = a.isWaitlisted ? waitlistedIds.indexOf(a.id) : waitlistedIds.length;
+            const rankB = b.isWaitlisted ? waitlistedIds.indexOf(b.id) : waitlistedIds.length;
+            return rankA - rankB;
+        });
         console.log(`Absence Suggest: Filtering complete. Final Candidates: ${availableCandidates.length}. Skipped: ${skippedInactive} (Inactive), ${skippedAvailability} (Avail), ${skippedPairing} (Pair), ${skippedDetails} (Detail), ${skippedBlocked} (Block).`);
         displayAbsenceReplacementsUI(scheduleId, triggerElement, availableCandidates, false, null);
     } catch (error) {
@@ -334,7 +352,7 @@ function displayAbsenceReplacementsUI(scheduleId, triggerElement, candidates = [
             contentHTML += `
                 <li class="group py-2 border-b border-gray-200 dark:border-gray-700 last:border-b-0">
                     <div class="flex justify-between items-center mb-0.5">
-                        <span class="font-semibold text-gray-800 dark:text-gray-100">${studentName}</span>
+                        <span class="font-semibold text-gray-800 dark:text-gray-100">${studentName}${student.isWaitlisted ? ' <span class="text-[10px] px-1.5 py-0.5 rounded-full ml-1 font-medium align-middle text-violet-700 dark:text-violet-300 bg-violet-100 dark:bg-violet-900/50">Waitlisted</span>' : ''}</span>
                         <button type="button" data-student-id="${student.id}"
                                 class="apply-fill-in-btn text-xs bg-emerald-500 hover:bg-emerald-600 text-white font-semibold py-0.5 px-1.5 rounded opacity-0 group-hover:opacity-100 focus:opacity-100 transition-opacity duration-150 ease-in-out">
                             Apply
@@ -408,6 +426,7 @@ async function handleApplyFillInClick(event) {
         return;
     }
     const coachId = parseInt(slotElement.dataset.coachId);
+    const slotDate = slotElement.dataset.slotDate || getTodaysDateUTC();
     if (isNaN(coachId)) {
         console.error(`Absence Apply Error: Invalid coach ID found on slot element ${scheduleId}.`);
         uiDisplayError("Error applying fill-in: Invalid coach data.", "general");
@@ -419,10 +438,11 @@ async function handleApplyFillInClick(event) {
     button.textContent = 'Applying...';
     uiClearError("general");
     try {
-        const result = await addDailyStatus(studentId, coachId, scheduleId, 'assigned_fill_in');
+        const result = await addDailyStatus(studentId, coachId, scheduleId, 'assigned_fill_in', null, slotDate);
         if (result && result.success) {
-            console.log(`Absence Apply: Successfully applied fill-in.`);
-            const latestStatuses = await getTodaysStatuses();
+            console.log(`Absence Apply: Successfully applied fill-in for ${slotDate}.`);
+            const weekRange = getWeekRange(appState.selectedDate);
+            const latestStatuses = await getStatusesForDateRange(weekRange.startDate, weekRange.endDate);
             if (latestStatuses) { appState.updateTodaysStatuses(latestStatuses); }
             else { console.warn("Absence Apply Warning: Failed to fetch latest statuses after applying fill-in."); }
 
@@ -1,29 +1,35 @@
 // js/admin.js
 // Handles admin-specific features like finding fill-in suggestions, creating daily blocks, managing student status, and logging ad-hoc past sessions (ES Module).
-// v14: Added console logs to debug class availability display.
+// v27: Initializes the coach leave request queue.
 
 // --- Import Dependencies ---
 import { appState } from './state.js'; // Import from state.js
-import { adminFindFillInSuggestions, addDailyStatus, getTodaysStatuses, createDailyBlock, setStudentActiveStatus, fetchStudents, submitLogAndUpdates } from './api.js';
-// *** Import parseAvailability from utils ***
-import { getStudentDetails, getGroupSizeText, parseAvailability } from './utils.js';
+import { adminFindFillInSuggestions, fetchGlobalFillInAssignment, addDailyStatus, getTodaysStatuses, createDailyBlock, setStudentActiveStatus, fetchStudents, submitLogAndUpdates, saveStudentAvailability, fetchRatingLogsForStudents } from './api.js';
+import { getStudentDetails, getGroupSizeText, getBlockOccurrenceDates, getStudentAvailabilitySlots, formatAvailabilitySlots, AVAILABILITY_DAYS } from './utils.js';
 import { displayError as uiDisplayError, clearError as uiClearError, showLoading as uiShowLoading, hideLoading as uiHideLoading, showStatusMessage } from './ui.js';
 import { refreshCurrentCoachSchedule } from './coachSelect.js';
 import { openStudentProfileModal } from './studentProfile.js';
+import { initBlockManager, refreshDailyBlockList } from './blockManager.js';
+import { initTermEditor } from './termEditor.js';
+import { initSkillsEditor } from './skillsEditor.js';
+import { renderSkillCheckboxes } from './skillsCatalogue.js';
+import { renderClassRatingCharts } from './ratingCharts.js';
+import { initAttendanceDashboard, refreshAttendanceTermOptions } from './attendanceDashboard.js';
+import { initUtilisationReport, refreshUtilisationTermOptions } from './utilisationReport.js';
+import { initNotificationsAdmin } from './notificationsAdmin.js';
+import { initUserRoles } from './userRoles.js';
+import { initLeaveReview } from './leaveReview.js';
+import { can, applyRolePermissions } from './permissions.js';
+import { initStudentImport } from './studentImport.js';
+import { renderAvailabilityGrid, readAvailabilityGrid } from './availabilityEditor.js';
 
 
-// --- Constants (copied from logging.js for ad-hoc form generation) ---
-const LOGGABLE_SKILLS = [
-    "Opening Principles", "Tactics (Pins, Forks, Skewers)", "Checkmating Patterns",
-    "Endgame Fundamentals", "Strategy Basics", "Calculation Practice",
-    "Game Analysis", "Puzzle Solving", "Specific Opening Prep", "Tournament Preparation"
-];
-
 // --- Module Variables ---
 // Suggestion form/results
 let adminCoachFilter = null;
 let adminDayFilter = null;
 let adminIncludePartial = null;
+let adminGlobalAssignment = null;
 let adminResultsArea = null;
 let adminFindFillinsForm = null;
 
@@ -33,6 +39,10 @@ let blockDateInput = null;
 let blockTypeSelect = null;
 let blockIdentifierInput = null;
 let blockReasonInput = null;
+let blockEndDateInput = null;
+let blockTermSelect = null;
+let blockRepeatDayCheckboxes = [];
+let blockDatePreviewP = null;
 let createBlockSubmitBtn = null;
 let createBlockStatusP = null;
 
@@ -75,10 +85,14 @@ let classModalErrorMessage = null;
 let classModalAvailabilityDisplay = null;
 let editClassAvailabilityBtn = null;
 let classModalAvailabilityEdit = null;
-let classModalAvailabilityTextarea = null;
+let classModalAvailabilityGrid = null;
+let classModalStudents = []; // Students shown in the open class modal (availability edits apply to all of them)
 let cancelClassAvailabilityBtn = null;
 let saveClassAvailabilityBtn = null;
 let classModalAvailabilityError = null;
+// --- Class Rating Chart Elements ---
+let classModalRatingCharts = null;
+let classModalRatingRange = null;
 
 
 // --- Helper Functions ---
@@ -209,6 +223,86 @@ function displayAdminSuggestions(suggestionData, allStudentsData) {
     adminResultsArea.appendChild(list);
 }
 
+/** Renders the HTML for one slot of the optimal assignment. */
+function _renderGlobalAssignmentItem(slot, activeGroup) {
+    const li = document.createElement('li');
+    li.className = 'border-b border-gray-200 dark:border-gray-600 pb-2 mb-2 last:border-b-0 last:mb-0';
+    li.innerHTML = `
+        <div class="text-sm mb-1">
+            <strong>Slot:</strong> ${slot.day_of_week} ${slot.slot_date} ${slot.start_time} (Coach: ${slot.coach_name || 'N/A'})
+            <span class="text-xs text-gray-500 dark:text-gray-400"> - ID: ${slot.schedule_id}, Capacity: ${slot.capacity}, Current: ${slot.current_occupants}</span>
+        </div>
+    `;
+    const studentsList = document.createElement('ul');
+    studentsList.className = 'list-disc list-inside ml-4 space-y-1';
+    if (activeGroup.length === 0) {
+        studentsList.innerHTML = '<li class="text-xs italic text-gray-500 dark:text-gray-400">No student assigned to this slot.</li>';
+    }
+    activeGroup.forEach(({ member, studentDetails }) => {
+        const subGroupText = studentDetails.sub_group ? ` [${studentDetails.sub_group}]` : '';
+        const studentLi = document.createElement('li');
+        studentLi.className = 'flex justify-between items-center group';
+        studentLi.innerHTML = `
+            <span class="text-gray-800 dark:text-gray-200 text-xs">
+                ${studentDetails.Name}
+                <span class="text-gray-500 dark:text-gray-400"> (${member.lessons_owed} owed) (${getGroupSizeText(studentDetails.groupOf)}${subGroupText})</span>
+            </span>
+            <button type="button" data-student-id="${member.student_id}" data-schedule-id="${slot.schedule_id}" data-coach-id="${slot.coach_id}" data-slot-date="${slot.slot_date}"
+                    class="admin-apply-suggestion-btn text-xs bg-emerald-500 hover:bg-emerald-600 text-white font-semibold py-0.5 px-1.5 rounded opacity-0 group-hover:opacity-100 focus:opacity-100 transition-opacity duration-150 ease-in-out">
+                Apply
+            </button>
+        `;
+        studentsList.appendChild(studentLi);
+    });
+    li.appendChild(studentsList);
+    return li;
+}
+
+/** Displays the optimal (all slots together) assignment with an "Apply all" button. */
+function displayGlobalAssignment(assignmentData, allStudentsData) {
+    if (!adminResultsArea) return;
+    adminResultsArea.innerHTML = '';
+    if (!assignmentData || assignmentData.length === 0) {
+        adminResultsArea.innerHTML = '<p class="text-gray-500 dark:text-gray-400 italic p-2">No potential fill-in slots found matching criteria.</p>';
+        return;
+    }
+
+    // Inactive students are left out, as in the per-slot suggestions
+    const slots = assignmentData.map(slot => ({
+        slot,
+        activeGroup: (slot.recommended_group || [])
+            .map(member => ({ member, studentDetails: getStudentDetails(member.student_id, allStudentsData) }))
+            .filter(({ studentDetails }) => studentDetails && studentDetails.is_active !== false)
+    }));
+    const assignedCount = slots.reduce((sum, { activeGroup }) => sum + activeGroup.length, 0);
+    const filledSlotCount = slots.filter(({ activeGroup }) => activeGroup.length > 0).length;
+
+    const summary = document.createElement('div');
+    summary.className = 'flex justify-between items-center mb-2 pb-2 border-b border-purple-200 dark:border-purple-600';
+    summary.innerHTML = `
+        <span class="text-sm text-gray-700 dark:text-gray-300">
+            ${assignedCount} lesson${assignedCount === 1 ? '' : 's'} recovered across ${filledSlotCount} of ${slots.length} slot${slots.length === 1 ? '' : 's'}.
+        </span>
+        <button type="button" id="admin-apply-all-btn" ${assignedCount === 0 ? 'disabled' : ''}
+                class="text-xs bg-emerald-500 hover:bg-emerald-600 text-white font-semibold py-1 px-2 rounded disabled:opacity-50 disabled:cursor-not-allowed">
+            Apply all
+        </button>
+    `;
+    adminResultsArea.appendChild(summary);
+
+    const list = document.createElement('ul');
+    slots.forEach(({ slot, activeGroup }) => list.appendChild(_renderGlobalAssignmentItem(slot, activeGroup)));
+    adminResultsArea.appendChild(list);
+}
+
+/** Shows a suggestion's Apply button as done. */
+function _markSuggestionApplied(button) {
+    button.disabled = true;
+    button.textContent = 'Applied';
+    button.classList.remove('bg-emerald-500', 'hover:bg-emerald-600');
+    button.classList.add('bg-gray-400', 'dark:bg-gray-500', 'cursor-not-allowed');
+}
+
 // --- Student Status Management Functions ---
 
 /**
@@ -312,17 +406,9 @@ function _renderAdhocStudentLogFields(studentId) {
                         <h5 class="font-medium text-sm text-purple-700 dark:text-purple-300 mb-2">${studentDetails.Name}</h5>`;
 
     // Skills (Checkboxes) - For ad-hoc, always log individually
-    fieldsHtml += `<div class="mb-2"><p class="text-xs font-medium text-gray-600 dark:text-gray-300 mb-1">Skills Covered:</p><div class="grid grid-cols-1 sm:grid-cols-2 gap-x-3 gap-y-1">`;
-    LOGGABLE_SKILLS.forEach((skill, skillIndex) => {
-        const checkboxId = `adhoc_skill_${studentId}_${skillIndex}`;
-        fieldsHtml += `
-            <label for="${checkboxId}" class="flex items-center space-x-1.5 text-xs text-gray-700 dark:text-gray-300 cursor-pointer">
-                <input type="checkbox" id="${checkboxId}" name="adhoc_skills_${studentId}" value="${skill}"
-                       class="form-checkbox h-3 w-3 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500 dark:bg-gray-600 dark:border-gray-500 dark:focus:ring-offset-gray-800">
-                <span>${skill}</span>
-            </label>`;
-    });
-    fieldsHtml += `</div></div>`;
+    fieldsHtml += `<div class="mb-2"><p class="text-xs font-medium text-gray-600 dark:text-gray-300 mb-1">Skills Covered:</p>`;
+    fieldsHtml += renderSkillCheckboxes({ name: `adhoc_skills_${studentId}`, idPrefix: `adhoc_skill_${studentId}` });
+    fieldsHtml += `</div>`;
 
     // Ratings (Required for ad-hoc as it's a new log)
     fieldsHtml += _createAdhocRatingGroup('Proficiency', 'proficiency', studentId, true);
@@ -409,22 +495,15 @@ function _renderClassStudentList(students) {
         const groupText = getGroupSizeText(student.groupOf);
         const subGroupText = student.sub_group ? ` [${student.sub_group}]` : '';
 
-        // Format Availability (Individual - same as before)
+        // Format Availability (Individual)
         let availabilityHtml = '<span class="text-gray-400 dark:text-gray-500 italic">Not set</span>';
-        if (student.availability_string) {
-            const parsedAvail = parseAvailability(student.availability_string);
-            let formattedAvail = '';
-            const daysOrder = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
-            daysOrder.forEach(day => {
-                const dayLower = day.toLowerCase();
-                if (parsedAvail[dayLower] && parsedAvail[dayLower].size > 0) {
-                    const times = Array.from(parsedAvail[dayLower]).sort().join(', ');
-                    formattedAvail += `<div class="capitalize"><span class="font-medium w-16 inline-block">${day}:</span> ${times}</div>`;
-                }
-            });
-            if (formattedAvail) {
-                availabilityHtml = `<div class="space-y-0.5">${formattedAvail}</div>`;
-            }
+        const slots = getStudentAvailabilitySlots(student);
+        const formattedAvail = AVAILABILITY_DAYS
+            .filter(day => slots[day])
+            .map(day => `<div><span class="font-medium w-16 inline-block">${day}:</span> ${slots[day].join(', ')}</div>`)
+            .join('');
+        if (formattedAvail) {
+            availabilityHtml = `<div class="space-y-0.5">${formattedAvail}</div>`;
         }
 
         li.innerHTML = `
@@ -448,31 +527,33 @@ function _renderClassStudentList(students) {
     });
 }
 
-/** Formats the class availability string for display. */
-function _formatClassAvailability(availabilityString) {
-    if (!availabilityString) {
+/** Formats the class availability slots for display. */
+function _formatClassAvailability(slots) {
+    const days = AVAILABILITY_DAYS.filter(day => slots?.[day]);
+    if (days.length === 0) {
         return '<p class="italic text-gray-500 dark:text-gray-400">Availability not set for this class.</p>';
     }
-    const parsedAvail = parseAvailability(availabilityString);
-    let formattedHtml = '';
-    const daysOrder = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
-    let foundAny = false;
-    daysOrder.forEach(day => {
-        const dayLower = day.toLowerCase();
-        if (parsedAvail[dayLower] && parsedAvail[dayLower].size > 0) {
-            foundAny = true;
-            const times = Array.from(parsedAvail[dayLower]).sort().join(', ');
-            formattedHtml += `<div><span class="availability-day">${day}:</span> <span class="availability-times">${times}</span></div>`;
-        }
-    });
+    return days
+        .map(day => `<div><span class="availability-day">${day}:</span> <span class="availability-times">${slots[day].join(', ')}</span></div>`)
+        .join('');
+}
 
-    if (!foundAny) {
-        return '<p class="italic text-gray-500 dark:text-gray-400">No specific times found in availability string.</p>';
+/** Shows the class availability (taken from the first student who has any) and whether students differ. */
+function _renderClassAvailability(studentsInClass) {
+    const firstStudentWithAvail = studentsInClass.find(s => formatAvailabilitySlots(getStudentAvailabilitySlots(s)) !== '');
+    const classSlots = firstStudentWithAvail ? getStudentAvailabilitySlots(firstStudentWithAvail) : {};
+    const classText = formatAvailabilitySlots(classSlots);
+    const differingCount = studentsInClass.filter(s => formatAvailabilitySlots(getStudentAvailabilitySlots(s)) !== classText).length;
+
+    let html = _formatClassAvailability(classSlots);
+    if (firstStudentWithAvail && differingCount > 0) {
+        console.warn(`Admin (Class View): ${differingCount} student(s) have different availability. Displaying ${firstStudentWithAvail.Name}'s.`);
+        html += `<p class="text-xs text-yellow-700 dark:text-yellow-300 mt-1">Showing ${firstStudentWithAvail.Name}'s availability; ${differingCount} student${differingCount === 1 ? ' has' : 's have'} different availability (see the list below).</p>`;
     }
-    return formattedHtml;
+    classModalAvailabilityDisplay.innerHTML = html;
+    return classSlots;
 }
 
-
 // --- Event Handlers ---
 
 /** Handles the submission of the admin suggestion form. */
@@ -487,11 +568,24 @@ async function handleAdminFindSuggestions(event) {
     const coachIdFilter = adminCoachFilter.value || null;
     const dayFilter = adminDayFilter.value || null;
     const includePartial = adminIncludePartial.checked;
+    const useGlobalAssignment = adminGlobalAssignment?.checked === true;
+    if (useGlobalAssignment && appState.isTestMode) {
+        adminResultsArea.innerHTML = '<p class="text-gray-500 dark:text-gray-400 italic p-2">Optimal assignment uses live attendance and is not available in test mode.</p>';
+        return;
+    }
     adminResultsArea.innerHTML = '<p class="text-gray-500 dark:text-gray-400 italic p-2">Searching for suggestions...</p>';
     try {
         if (!appState.studentsData || appState.studentsData.length === 0) {
             console.warn("Admin Warning: Student data not available in appState for rendering suggestions.");
         }
+        if (useGlobalAssignment) {
+            const assignment = await fetchGlobalFillInAssignment(coachIdFilter, dayFilter, includePartial);
+            if (assignment === null) {
+                throw new Error("Failed to fetch the optimal assignment from the backend.");
+            }
+            displayGlobalAssignment(assignment, appState.studentsData || []);
+            return;
+        }
         const suggestions = await adminFindFillInSuggestions(coachIdFilter, dayFilter, includePartial);
         if (suggestions === null) {
             throw new Error("Failed to fetch admin suggestions from the backend.");
@@ -515,6 +609,7 @@ async function handleApplySingleSlotSuggestion(event) {
     const studentId = parseInt(button.dataset.studentId);
     const scheduleId = parseInt(button.dataset.scheduleId);
     const coachId = parseInt(button.dataset.coachId);
+    const slotDate = button.dataset.slotDate || null; // Set by the optimal assignment; otherwise today
     if (isNaN(studentId) || isNaN(scheduleId) || isNaN(coachId)) {
         console.error("Admin Apply Error: Invalid student, schedule, or coach ID in button data.");
         uiDisplayError("Error applying suggestion: Invalid data.", "general");
@@ -525,12 +620,10 @@ async function handleApplySingleSlotSuggestion(event) {
     button.textContent = 'Applying...';
     uiClearError("general");
     try {
-        const result = await addDailyStatus(studentId, coachId, scheduleId, 'assigned_fill_in');
+        const result = await addDailyStatus(studentId, coachId, scheduleId, 'assigned_fill_in', null, slotDate);
         if (result && result.success) {
             console.log(`Admin Apply: Successfully applied fill-in.`);
-            button.textContent = 'Applied';
-            button.classList.remove('bg-emerald-500', 'hover:bg-emerald-600');
-            button.classList.add('bg-gray-400', 'dark:bg-gray-500', 'cursor-not-allowed');
+            _markSuggestionApplied(button);
             // Refresh schedule only if the change affects the currently viewed coach
             if (appState.currentCoachId === coachId) {
                  console.log("Admin Apply: Refreshing current coach schedule...");
@@ -547,6 +640,109 @@ async function handleApplySingleSlotSuggestion(event) {
     }
 }
 
+/** Handles the "Apply all" button of the optimal assignment (delegated from the results area). */
+async function handleApplyAllFillIns(event) {
+    const applyAllButton = event.target?.closest('#admin-apply-all-btn');
+    if (!applyAllButton) return;
+    event.stopPropagation();
+
+    const pendingButtons = [...adminResultsArea.querySelectorAll('.admin-apply-suggestion-btn')].filter(button => !button.disabled);
+    if (pendingButtons.length === 0) return;
+    console.log(`Admin Apply All: Applying ${pendingButtons.length} fill-in(s)...`);
+    applyAllButton.disabled = true;
+    applyAllButton.textContent = 'Applying...';
+    uiClearError("general");
+
+    let appliedCount = 0;
+    const failures = [];
+    let affectsCurrentCoach = false;
+    // One at a time so a failure doesn't hide which assignments were saved
+    for (const button of pendingButtons) {
+        const studentId = parseInt(button.dataset.studentId);
+        const scheduleId = parseInt(button.dataset.scheduleId);
+        const coachId = parseInt(button.dataset.coachId);
+        button.disabled = true;
+        const result = await addDailyStatus(studentId, coachId, scheduleId, 'assigned_fill_in', null, button.dataset.slotDate || null);
+        if (result && result.success) {
+            appliedCount++;
+            _markSuggestionApplied(button);
+            if (appState.currentCoachId === coachId) affectsCurrentCoach = true;
+        } else {
+            button.disabled = false;
+            failures.push(result?.message || `Student ${studentId}`);
+        }
+    }
+
+    if (failures.length > 0) {
+        console.error("Admin Apply All: Some fill-ins failed:", failures);
+        uiDisplayError(`Applied ${appliedCount} of ${pendingButtons.length} fill-ins. Failed: ${failures.join('; ')}`, "general");
+        applyAllButton.disabled = false;
+        applyAllButton.textContent = 'Retry failed';
+    } else {
+        showStatusMessage(`Applied ${appliedCount} fill-in${appliedCount === 1 ? '' : 's'}.`, 'general', true);
+        applyAllButton.textContent = 'All applied';
+    }
+    if (affectsCurrentCoach) {
+        await refreshCurrentCoachSchedule();
+    }
+}
+
+/** Returns the weekday names ticked in the block form's "Repeat On" checkboxes. */
+function _getSelectedBlockRepeatDays() {
+    return blockRepeatDayCheckboxes.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value);
+}
+
+/** Formats a YYYY-MM-DD string as DD/MM for the block preview. */
+function _formatBlockPreviewDate(dateString) {
+    const [, month, day] = dateString.split('-');
+    return `${day}/${month}`;
+}
+
+/** Shows which dates the block form currently covers. */
+function _updateBlockDatePreview() {
+    if (!blockDatePreviewP || !blockDateInput) return;
+    const startDate = blockDateInput.value;
+    const endDate = blockEndDateInput?.value || null;
+    if (!startDate) {
+        blockDatePreviewP.textContent = '';
+        return;
+    }
+    if (endDate && endDate < startDate) {
+        blockDatePreviewP.textContent = 'End date is before the start date.';
+        blockDatePreviewP.className = 'text-xs text-red-500 dark:text-red-400 mt-1';
+        return;
+    }
+    const dates = getBlockOccurrenceDates(startDate, endDate, _getSelectedBlockRepeatDays());
+    const maxShown = 6;
+    const shown = dates.slice(0, maxShown).map(_formatBlockPreviewDate).join(', ');
+    blockDatePreviewP.textContent = dates.length === 0
+        ? 'No dates in this range match the selected weekdays.'
+        : `Covers ${dates.length} day${dates.length === 1 ? '' : 's'}: ${shown}${dates.length > maxShown ? ', ...' : ''}`;
+    blockDatePreviewP.className = `text-xs mt-1 ${dates.length === 0 ? 'text-red-500 dark:text-red-400' : 'text-gray-500 dark:text-gray-400'}`;
+}
+
+/** Populates the block form's term quick-fill dropdown from appState.termDates. */
+function _populateBlockTermSelect() {
+    if (!blockTermSelect) return;
+    blockTermSelect.innerHTML = '<option value="">Select Term...</option>';
+    (appState.termDates || []).forEach((term, index) => {
+        if (!term.start_date || !term.end_date) return;
+        const option = document.createElement('option');
+        option.value = index;
+        option.textContent = `Term ${term.term_number} (${term.start_date} to ${term.end_date})`;
+        blockTermSelect.appendChild(option);
+    });
+}
+
+/** Fills the block start/end dates from the chosen term. */
+function handleBlockTermSelectChange() {
+    const term = appState.termDates?.[parseInt(blockTermSelect.value)];
+    if (!term) return;
+    blockDateInput.value = term.start_date;
+    if (blockEndDateInput) blockEndDateInput.value = term.end_date;
+    _updateBlockDatePreview();
+}
+
 /** Handles the submission of the create daily block form. */
 async function handleCreateDailyBlockSubmit(event) {
     event.preventDefault();
@@ -560,6 +756,8 @@ async function handleCreateDailyBlockSubmit(event) {
     const blockType = blockTypeSelect.value;
     const identifier = blockIdentifierInput.value.trim() || null;
     const reason = blockReasonInput.value.trim() || null;
+    const endDate = blockEndDateInput?.value || null;
+    const repeatDays = _getSelectedBlockRepeatDays();
     if (!blockDate || !blockType) {
         createBlockStatusP.textContent = "Error: Date and Type are required.";
         createBlockStatusP.className = 'text-xs text-red-500 dark:text-red-400';
@@ -575,23 +773,37 @@ async function handleCreateDailyBlockSubmit(event) {
         createBlockStatusP.className = 'text-xs text-red-500 dark:text-red-400';
         return;
      }
+    if (endDate && endDate < blockDate) {
+        createBlockStatusP.textContent = "Error: End date cannot be before the start date.";
+        createBlockStatusP.className = 'text-xs text-red-500 dark:text-red-400';
+        return;
+    }
+    const blockedDates = getBlockOccurrenceDates(blockDate, endDate, repeatDays);
+    if (blockedDates.length === 0) {
+        createBlockStatusP.textContent = "Error: No dates in this range match the selected weekdays.";
+        createBlockStatusP.className = 'text-xs text-red-500 dark:text-red-400';
+        return;
+    }
     createBlockSubmitBtn.disabled = true;
     createBlockSubmitBtn.textContent = 'Creating...';
     createBlockStatusP.textContent = 'Processing...';
     createBlockStatusP.className = 'text-xs text-gray-500 dark:text-gray-400';
     try {
-        const result = await createDailyBlock(blockDate, blockType, identifier, reason);
+        const result = await createDailyBlock(blockDate, blockType, identifier, reason, endDate, repeatDays);
         if (result.success) {
-            createBlockStatusP.textContent = "Block created successfully!";
+            const successMessage = blockedDates.length > 1 ? `Block created for ${blockedDates.length} days!` : "Block created successfully!";
+            createBlockStatusP.textContent = successMessage;
             createBlockStatusP.className = 'text-xs text-green-600 dark:text-green-400';
             createBlockForm.reset();
+            _updateBlockDatePreview();
+            refreshDailyBlockList();
             console.log("Admin: Daily block created.");
             if (appState.currentCoachId && (blockType !== 'Coach Unavailable' || parseInt(identifier) === appState.currentCoachId)) {
                 console.log("Admin: Refreshing current coach view to update schedule/missed logs...");
                 await refreshCurrentCoachSchedule();
             }
             setTimeout(() => {
-                if (createBlockStatusP.textContent === "Block created successfully!") {
+                if (createBlockStatusP.textContent === successMessage) {
                      createBlockStatusP.textContent = "";
                 }
             }, 4000);
@@ -614,6 +826,10 @@ async function handleToggleEditMode() {
         console.error("Edit Mode Error: appState, button, or refresh function not available.");
         return;
     }
+    if (!appState.isEditMode && !can('editRosters')) {
+        console.warn("Edit Mode: Roster editing is not available for this role.");
+        return;
+    }
     appState.toggleEditMode(); // Update the state flag
 
     if (appState.isEditMode) {
@@ -979,43 +1195,14 @@ function openClassViewModal() {
             .sort((a, b) => (a.Name || '').localeCompare(b.Name || '')); // Sort by name
 
         // --- Populate Class Availability ---
-        let classAvailabilityString = null;
-        console.log(`Admin (Class View): Found ${studentsInClass.length} students in class ${selectedClassName}.`); // Log student count
-
-        if (studentsInClass.length > 0) {
-            // Find the first student with an availability string
-            const firstStudentWithAvail = studentsInClass.find(s => s.availability_string);
-            console.log(`Admin (Class View): First student with availability_string:`, firstStudentWithAvail); // Log the found student object
-
-            if (firstStudentWithAvail && firstStudentWithAvail.availability_string) { // Check if the string itself exists and is not empty
-                classAvailabilityString = firstStudentWithAvail.availability_string;
-                console.log(`Admin (Class View): Using availability string: "${classAvailabilityString}"`); // Log the string being used
-                // Optional: Check if all students have the same availability
-                const allSame = studentsInClass.every(s => s.availability_string === classAvailabilityString);
-                if (!allSame) {
-                    console.warn(`Admin (Class View): Students in class ${selectedClassName} have differing availability strings. Displaying the first one found.`);
-                    // Optionally display a warning in the UI
-                }
-            } else {
-                 console.log(`Admin (Class View): No student found with a non-empty availability_string.`);
-            }
-        } else {
-             console.log(`Admin (Class View): No students found in class, cannot determine availability.`);
-        }
-
-        // Format and display the availability
-        const formattedHtml = _formatClassAvailability(classAvailabilityString);
-        console.log(`Admin (Class View): Formatted availability HTML:`, formattedHtml); // Log the generated HTML
-
-        if (classModalAvailabilityDisplay) {
-             classModalAvailabilityDisplay.innerHTML = formattedHtml; // <<< This line updates the display
-             console.log(`Admin (Class View): Updated classModalAvailabilityDisplay innerHTML.`); // Confirm update
-        } else {
-             console.error(`Admin (Class View): classModalAvailabilityDisplay element is null or undefined! Cannot update availability.`);
-        }
+        console.log(`Admin (Class View): Found ${studentsInClass.length} students in class ${selectedClassName}.`);
+        classModalStudents = studentsInClass;
+        _renderClassAvailability(studentsInClass);
+        if (editClassAvailabilityBtn) editClassAvailabilityBtn.classList.toggle('hidden', !can('editAvailability') || studentsInClass.length === 0);
         // --- End Populate Class Availability ---
 
         _renderClassStudentList(studentsInClass); // Render the student list
+        _loadClassRatingCharts(); // Fetches logs, so it fills in after the modal opens
 
     } catch (error) {
         console.error(`Admin Error populating class modal for ${selectedClassName}:`, error);
@@ -1027,6 +1214,70 @@ function openClassViewModal() {
     }
 }
 
+/** Loads the class's logs for the chosen range and renders the weekly rating charts. */
+async function _loadClassRatingCharts() {
+    if (!classModalRatingCharts) return;
+    const students = classModalStudents;
+    if (students.length === 0) {
+        classModalRatingCharts.innerHTML = '<p class="italic text-gray-500 dark:text-gray-400">No students in this class.</p>';
+        return;
+    }
+    const weeks = parseInt(classModalRatingRange?.value) || 26;
+    const sinceDate = new Date(Date.now() - weeks * 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    classModalRatingCharts.innerHTML = '<p class="italic text-gray-500 dark:text-gray-400">Loading rating trends...</p>';
+
+    const logs = await fetchRatingLogsForStudents(students.map(student => student.id), sinceDate);
+    if (students !== classModalStudents) return; // The modal was closed or another class opened meanwhile
+    if (logs === null) {
+        classModalRatingCharts.innerHTML = '<p class="italic text-red-500 dark:text-red-400">Error loading rating trends.</p>';
+        return;
+    }
+    renderClassRatingCharts(classModalRatingCharts, logs);
+}
+
+/** Opens the availability grid for the whole class, starting from the displayed class availability. */
+function handleEditClassAvailability() {
+    if (!classModalAvailabilityEdit || !classModalAvailabilityGrid || classModalStudents.length === 0) return;
+    const firstStudentWithAvail = classModalStudents.find(s => formatAvailabilitySlots(getStudentAvailabilitySlots(s)) !== '');
+    if (classModalAvailabilityError) classModalAvailabilityError.classList.add('hidden');
+    renderAvailabilityGrid(classModalAvailabilityGrid, firstStudentWithAvail ? getStudentAvailabilitySlots(firstStudentWithAvail) : {});
+    classModalAvailabilityEdit.classList.remove('hidden');
+}
+
+/** Hides the class availability grid without saving. */
+function handleCancelClassAvailability() {
+    if (classModalAvailabilityEdit) classModalAvailabilityEdit.classList.add('hidden');
+}
+
+/** Saves the grid's availability for every student in the class. */
+async function handleSaveClassAvailability() {
+    const slots = readAvailabilityGrid(classModalAvailabilityGrid);
+    const studentCount = classModalStudents.length;
+    if (!confirm(`Set this availability for all ${studentCount} student${studentCount === 1 ? '' : 's'} in the class?`)) return;
+
+    saveClassAvailabilityBtn.disabled = true;
+    saveClassAvailabilityBtn.textContent = 'Saving...';
+    const result = await saveStudentAvailability(classModalStudents.map(s => s.id), slots);
+    saveClassAvailabilityBtn.disabled = false;
+    saveClassAvailabilityBtn.textContent = 'Save';
+    if (!result.success) {
+        classModalAvailabilityError.textContent = `Error: ${result.message}`;
+        classModalAvailabilityError.classList.remove('hidden');
+        return;
+    }
+
+    // Update the cached students (classModalStudents are the appState objects) so checks use the new slots
+    classModalStudents.forEach(student => {
+        student.availability_slots = slots;
+        student.availability = result.availability;
+        student.availability_string = result.availability;
+    });
+    console.log(`Admin (Class View): Availability saved for ${studentCount} students.`);
+    classModalAvailabilityEdit.classList.add('hidden');
+    _renderClassAvailability(classModalStudents);
+    _renderClassStudentList(classModalStudents);
+}
+
 /** Closes the class view modal. */
 function closeClassViewModal() {
     if (!classViewModal) return;
@@ -1043,6 +1294,9 @@ function closeClassViewModal() {
         if (classModalAvailabilityEdit) classModalAvailabilityEdit.classList.add('hidden'); // Hide edit area
         if (editClassAvailabilityBtn) editClassAvailabilityBtn.classList.add('hidden'); // Hide edit button
         if (classModalAvailabilityError) classModalAvailabilityError.classList.add('hidden'); // Hide errors
+        if (classModalAvailabilityGrid) classModalAvailabilityGrid.innerHTML = '';
+        if (classModalRatingCharts) classModalRatingCharts.innerHTML = '';
+        classModalStudents = [];
         // --- END Clear ---
         if (classModalErrorMessage) classModalErrorMessage.classList.add('hidden');
     }, 300); // Match CSS transition duration
@@ -1055,11 +1309,16 @@ function closeClassViewModal() {
 /** Initializes event listeners for the admin controls. (Exported) */
 export function initAdminControls() {
     console.log("Admin: Initializing controls...");
+    // Hide the tools this role can't use (the database refuses them anyway)
+    const adminActionsSection = document.getElementById('admin-actions-section');
+    if (adminActionsSection) applyRolePermissions(adminActionsSection);
+
     // Get references to suggestion form elements
     adminFindFillinsForm = document.getElementById('admin-find-fillins-form');
     adminCoachFilter = document.getElementById('admin-coach-filter');
     adminDayFilter = document.getElementById('admin-day-filter');
     adminIncludePartial = document.getElementById('admin-include-partial');
+    adminGlobalAssignment = document.getElementById('admin-global-assignment');
     adminResultsArea = document.getElementById('admin-results-area');
 
     // Get references to block form elements
@@ -1068,6 +1327,10 @@ export function initAdminControls() {
     blockTypeSelect = document.getElementById('block-type');
     blockIdentifierInput = document.getElementById('block-identifier');
     blockReasonInput = document.getElementById('block-reason');
+    blockEndDateInput = document.getElementById('block-end-date');
+    blockTermSelect = document.getElementById('block-term-select');
+    blockRepeatDayCheckboxes = Array.from(document.querySelectorAll('#block-repeat-days .block-repeat-day'));
+    blockDatePreviewP = document.getElementById('block-date-preview');
     createBlockSubmitBtn = document.getElementById('create-block-submit-btn');
     createBlockStatusP = document.getElementById('create-block-status');
 
@@ -1108,10 +1371,12 @@ export function initAdminControls() {
     classModalAvailabilityDisplay = document.getElementById('class-modal-availability-display');
     editClassAvailabilityBtn = document.getElementById('edit-class-availability-btn');
     classModalAvailabilityEdit = document.getElementById('class-modal-availability-edit');
-    classModalAvailabilityTextarea = document.getElementById('class-modal-availability-textarea');
+    classModalAvailabilityGrid = document.getElementById('class-modal-availability-grid');
     cancelClassAvailabilityBtn = document.getElementById('cancel-class-availability-btn');
     saveClassAvailabilityBtn = document.getElementById('save-class-availability-btn');
     classModalAvailabilityError = document.getElementById('class-modal-availability-error');
+    classModalRatingCharts = document.getElementById('class-modal-rating-charts');
+    classModalRatingRange = document.getElementById('class-modal-rating-range');
 
 
     if (adminFindFillinsForm) {
@@ -1126,6 +1391,8 @@ export function initAdminControls() {
         console.log("Admin: Attaching delegated listener to results area for apply buttons.");
         adminResultsArea.removeEventListener('click', handleApplySingleSlotSuggestion);
         adminResultsArea.addEventListener('click', handleApplySingleSlotSuggestion);
+        adminResultsArea.removeEventListener('click', handleApplyAllFillIns);
+        adminResultsArea.addEventListener('click', handleApplyAllFillIns);
     } else {
         console.warn("Admin Init Warning: Admin results area not found.");
     }
@@ -1134,10 +1401,49 @@ export function initAdminControls() {
         console.log("Admin: Found create block form, attaching submit listener.");
         createBlockForm.removeEventListener('submit', handleCreateDailyBlockSubmit);
         createBlockForm.addEventListener('submit', handleCreateDailyBlockSubmit);
+        // Keep the date preview in step with the date, end date and weekday inputs
+        [blockDateInput, blockEndDateInput, ...blockRepeatDayCheckboxes].forEach(input => {
+            if (!input) return;
+            input.removeEventListener('change', _updateBlockDatePreview);
+            input.addEventListener('change', _updateBlockDatePreview);
+        });
+        if (blockTermSelect) {
+            _populateBlockTermSelect();
+            blockTermSelect.removeEventListener('change', handleBlockTermSelectChange);
+            blockTermSelect.addEventListener('change', handleBlockTermSelectChange);
+        }
     } else {
          console.warn("Admin Init Warning: Create daily block form not found.");
     }
 
+    // Initialize the daily block list (edit/delete)
+    initBlockManager();
+
+    // Initialize the coach leave request queue (loads on init; approval creates Coach Unavailable blocks)
+    if (can('reviewLeaveRequests')) initLeaveReview();
+
+    // Initialize the term calendar editor (keeps the block form's term quick-fill and the report terms in step)
+    initTermEditor(() => {
+        _populateBlockTermSelect();
+        refreshAttendanceTermOptions();
+        refreshUtilisationTermOptions();
+    });
+
+    // Initialize the skills curriculum editor (the log forms render from the catalogue)
+    initSkillsEditor();
+
+    // Initialize the attendance analytics dashboard
+    initAttendanceDashboard();
+
+    // Initialize the coach utilisation report
+    initUtilisationReport();
+
+    // Initialize the guardian notification rules and outbound queue (both load on init)
+    if (can('manageNotifications')) initNotificationsAdmin();
+
+    // Initialize the user roles panel (loads the user list on init)
+    if (can('manageUsers')) initUserRoles();
+
     if (toggleEditModeButton) {
         console.log("Admin: Found edit mode toggle button, attaching click listener.");
         toggleEditModeButton.removeEventListener('click', handleToggleEditMode);
@@ -1165,6 +1471,13 @@ export function initAdminControls() {
         console.warn("Admin Init Warning: Student status management UI elements not found.");
     }
 
+    // Initialize the student CSV import (refreshes the student lists once an import is applied)
+    initStudentImport(() => {
+        populateStudentStatusList();
+        populateAdminClassSelector();
+        refreshCurrentCoachSchedule();
+    });
+
     // Initialize Ad-hoc Past Log Form
     if (adhocPastLogForm) {
         console.log("Admin: Initializing Ad-hoc Past Log form listeners.");
@@ -1196,7 +1509,19 @@ export function initAdminControls() {
         // Listener for modal close button
         classModalCloseButton.removeEventListener('click', closeClassViewModal);
         classModalCloseButton.addEventListener('click', closeClassViewModal);
-        // Add listeners for Edit/Save/Cancel availability later
+        if (classModalRatingRange) {
+            classModalRatingRange.removeEventListener('change', _loadClassRatingCharts);
+            classModalRatingRange.addEventListener('change', _loadClassRatingCharts);
+        }
+        // Listeners for the class availability grid (Edit/Save/Cancel)
+        if (editClassAvailabilityBtn && saveClassAvailabilityBtn && cancelClassAvailabilityBtn) {
+            editClassAvailabilityBtn.removeEventListener('click', handleEditClassAvailability);
+            editClassAvailabilityBtn.addEventListener('click', handleEditClassAvailability);
+            saveClassAvailabilityBtn.removeEventListener('click', handleSaveClassAvailability);
+            saveClassAvailabilityBtn.addEventListener('click', handleSaveClassAvailability);
+            cancelClassAvailabilityBtn.removeEventListener('click', handleCancelClassAvailability);
+            cancelClassAvailabilityBtn.addEventListener('click', handleCancelClassAvailability);
+        }
     } else {
         console.warn("Admin Init Warning: Class View UI elements not found.");
     }
@@ -1,13 +1,30 @@
 // js/api.js
 // Handles all API calls to the Supabase backend (ES Module).
-// v8: Removed .select() from addDailyStatus upsert to avoid RLS USING error on RETURNING.
+// v29: Effective-dated enrolments: rosters are read for a date and roster changes take an effective date.
 
 // --- Import Dependencies ---
 import { supabaseClient } from './supabaseClient.js';
 import { appState } from './state.js'; // Import from state.js
+import { getWeekRange, getDateForWeekday, getRosterOnDate, doesBlockApplyOnDate } from './utils.js';
+import { cacheData, readCachedData, isNetworkError, setOfflineState, queueOutboxEntry, applyPendingStatusChanges, getPendingLoggedSlotIds, removeQueuedMissedLogs } from './offline.js';
 
 // --- Helper Functions ---
 
+/** Stores freshly fetched data for offline use and notes that the backend is reachable. */
+function _cacheFetched(cacheKey, data) {
+    cacheData(cacheKey, data);
+    setOfflineState(false);
+}
+
+/** Returns the cached copy of some data if the error was a network failure, otherwise null. */
+function _readCacheOnNetworkError(cacheKey, error) {
+    if (!isNetworkError(error)) return null;
+    setOfflineState(true);
+    const cached = readCachedData(cacheKey);
+    if (cached !== null) console.warn(`API: Offline, using cached ${cacheKey}.`);
+    return cached;
+}
+
 /** Gets today's date in YYYY-MM-DD format (UTC) */
 export function getTodaysDateUTC() {
     const today = new Date();
@@ -25,10 +42,11 @@ export async function fetchCoaches() {
             .order('Name', { ascending: true });
         if (error) throw error;
         console.log("API: Fetched", data?.length || 0, "coaches.");
+        _cacheFetched('coaches', data);
         return data;
     } catch (error) {
         console.error("API Error fetching coaches:", error.message);
-        return null;
+        return _readCacheOnNetworkError('coaches', error);
     }
 }
 export async function fetchStudents() {
@@ -38,25 +56,35 @@ export async function fetchStudents() {
         // Fetch students including necessary fields
         const { data, error } = await supabaseClient
             .from('students')
-            .select('id, Name, class_name, availability, "groupOf", sub_group, "lessons owed", is_active')
+            .select('id, Name, class_name, availability, availability_slots, "groupOf", sub_group, "lessons owed", is_active')
             .order('"Name"', { ascending: true });
         if (error) throw error;
         console.log("API: Fetched", data?.length || 0, "students.");
         // Map lessons owed to a consistent key
-        return data?.map(student => ({
+        const students = data?.map(student => ({
             ...student,
             lessons_owed: student['lessons owed'], // Ensure consistent naming
             // availability_string is now handled by getStudentDetails in utils.js
         })) || [];
+        _cacheFetched('students', students);
+        return students;
     } catch (error) {
         console.error("API Error fetching students:", error.message);
-        return null;
+        return _readCacheOnNetworkError('students', error);
     }
 }
-export async function fetchScheduleData(coachId) {
+/**
+ * Fetches a coach's schedule slots for a week. Each slot's original_student_ids is the roster on its date that
+ * week; enrolments holds all of the slot's scheduled_students rows (the roster history).
+ * @param {number} coachId - The coach.
+ * @param {string} [weekDate=appState.selectedDate] - Any date in the week (YYYY-MM-DD).
+ * @returns {Promise<object|null>} { Monday: [slot, ...], ... } or null on error.
+ */
+export async function fetchScheduleData(coachId, weekDate = appState.selectedDate) {
     console.log(`API fetchScheduleData: Fetching schedule for coach ID: ${coachId}...`);
     if (!supabaseClient) { console.error("API Error: Supabase client not available."); return null; }
     if (!coachId) { console.error("API Error: Coach ID is required to fetch schedule."); return null; }
+    const cacheKey = `schedule:${coachId}:${getWeekRange(weekDate).startDate}`;
     try {
         // Fetch the base schedule slots for the coach
         const { data: scheduleLinks, error: scheduleError } = await supabaseClient
@@ -72,6 +100,7 @@ export async function fetchScheduleData(coachId) {
         }
         if (!scheduleLinks || scheduleLinks.length === 0) {
              console.log(`API fetchScheduleData: No schedule links found for coach ${coachId}.`);
+             _cacheFetched(cacheKey, {});
              return {}; // Return empty object if no schedule
         }
 
@@ -79,8 +108,9 @@ export async function fetchScheduleData(coachId) {
         const scheduleIds = scheduleLinks.map(link => link.id);
         const { data: studentLinks, error: studentError } = await supabaseClient
             .from('scheduled_students')
-            .select('lesson_schedule_id, student_id')
-            .in('lesson_schedule_id', scheduleIds);
+            .select('lesson_schedule_id, student_id, start_date, end_date')
+            .in('lesson_schedule_id', scheduleIds)
+            .order('start_date', { ascending: true, nullsFirst: true });
 
         if (studentError) {
              console.error(`API Error fetching scheduled_students for coach ${coachId}:`, studentError.message);
@@ -94,10 +124,9 @@ export async function fetchScheduleData(coachId) {
             if (!structuredSchedule[day]) {
                 structuredSchedule[day] = [];
             }
-            // Find students for this specific schedule link
-            const original_student_ids = studentLinks
-                ?.filter(sl => sl.lesson_schedule_id === link.id)
-                .map(sl => sl.student_id) || [];
+            // Find students enrolled in this slot on its date this week
+            const enrolments = studentLinks?.filter(sl => sl.lesson_schedule_id === link.id) || [];
+            const original_student_ids = getRosterOnDate(enrolments, getDateForWeekday(weekDate, day));
 
             structuredSchedule[day].push({
                 schedule_id: link.id,
@@ -106,12 +135,52 @@ export async function fetchScheduleData(coachId) {
                 capacity: link.capacity,
                 coach_id: coachId,
                 original_student_ids: original_student_ids,
+                enrolments: enrolments,
             });
         });
         console.log("API fetchScheduleData: Returning processed schedule.");
+        _cacheFetched(cacheKey, structuredSchedule);
         return structuredSchedule;
     } catch (error) {
         console.error(`API Error in fetchScheduleData for coach ${coachId}:`, error.message);
+        return _readCacheOnNetworkError(cacheKey, error);
+    }
+}
+/**
+ * Fetches every coach's schedule slots with the students on each roster (for the utilisation report).
+ * @param {string} [rosterDate=today] - The date student_ids is the roster for (YYYY-MM-DD).
+ * @returns {Promise<Array<object>|null>} [{ schedule_id, coach_id, day, time, capacity, student_ids, enrolments }]
+ *   or null on error. enrolments holds every scheduled_students row, for rosters on other dates (getRosterOnDate).
+ */
+export async function fetchAllScheduleSlots(rosterDate = getTodaysDateUTC()) {
+    console.log("API: Fetching all schedule slots...");
+    if (!supabaseClient) { console.error("API Error: Supabase client not available."); return null; }
+    try {
+        const [{ data: slots, error: slotError }, { data: rosterLinks, error: rosterError }] = await Promise.all([
+            supabaseClient.from('lesson_schedule').select('id, coach_id, day_of_week, start_time, capacity').order('start_time'),
+            supabaseClient.from('scheduled_students').select('lesson_schedule_id, student_id, start_date, end_date')
+        ]);
+        if (slotError) throw slotError;
+        if (rosterError) throw rosterError;
+
+        const rosters = new Map();
+        (rosterLinks || []).forEach(link => {
+            if (!rosters.has(link.lesson_schedule_id)) rosters.set(link.lesson_schedule_id, []);
+            rosters.get(link.lesson_schedule_id).push(link);
+        });
+        const result = (slots || []).map(slot => ({
+            schedule_id: slot.id,
+            coach_id: slot.coach_id,
+            day: slot.day_of_week,
+            time: slot.start_time,
+            capacity: slot.capacity,
+            student_ids: getRosterOnDate(rosters.get(slot.id), rosterDate),
+            enrolments: rosters.get(slot.id) || []
+        }));
+        console.log("API: Fetched", result.length, "schedule slots.");
+        return result;
+    } catch (error) {
+        console.error("API Error fetching all schedule slots:", error.message);
         return null;
     }
 }
@@ -119,49 +188,214 @@ export async function fetchTermDates() {
     console.log("API: Fetching term dates...");
     if (!supabaseClient) { console.error("API Error: Supabase client not available."); return null; }
     try {
+        // Ordered by date so terms from different school years don't interleave
         const { data, error } = await supabaseClient
             .from('term_dates')
-            .select('term_number, start_date, end_date')
-            .order('term_number', { ascending: true });
+            .select('id, term_number, start_date, end_date')
+            .order('start_date', { ascending: true });
         if (error) throw error;
         console.log("API: Fetched", data?.length || 0, "term dates.");
+        _cacheFetched('termDates', data);
         return data;
     } catch (error) {
         console.error("API Error fetching term dates:", error.message);
-        return null;
+        return _readCacheOnNetworkError('termDates', error);
     }
 }
-export async function getTodaysStatuses() {
+/**
+ * Creates or updates a term in term_dates.
+ * @param {object} term - { id?, term_number, start_date, end_date }. Without an id a new term is created.
+ * @returns {Promise<object>} { success: boolean, message?: string }
+ */
+export async function saveTermDate(term) {
+    const isUpdate = term?.id !== undefined && term?.id !== null;
+    console.log(`API: ${isUpdate ? 'Updating' : 'Creating'} term date:`, term);
+    if (!supabaseClient) { console.error("API Error: Supabase client not available."); return { success: false, message: "Client not available." }; }
+    if (!term || !term.term_number || !term.start_date || !term.end_date) {
+        return { success: false, message: "Term number, start date and end date are required." };
+    }
+    if (term.end_date < term.start_date) {
+        return { success: false, message: "Term end date cannot be before its start date." };
+    }
+
+    try {
+        const values = { term_number: term.term_number, start_date: term.start_date, end_date: term.end_date };
+        const { error } = isUpdate
+            ? await supabaseClient.from('term_dates').update(values).eq('id', term.id)
+            : await supabaseClient.from('term_dates').insert(values);
+        if (error) throw error;
+        console.log("API: Term date saved successfully.");
+        return { success: true };
+    } catch (error) {
+        console.error("API Error saving term date:", error.message);
+        // The exclusion constraint reports overlaps with a generic message
+        const message = error.code === '23P01' ? "This term overlaps another term." : error.message;
+        return { success: false, message };
+    }
+}
+
+/**
+ * Deletes a term from term_dates.
+ * @param {number} termId - The term's ID.
+ * @returns {Promise<object>} { success: boolean, message?: string }
+ */
+export async function deleteTermDate(termId) {
+    console.log(`API: Deleting term date ID: ${termId}`);
+    if (!supabaseClient) { console.error("API Error: Supabase client not available."); return { success: false, message: "Client not available." }; }
+    if (termId === null || termId === undefined) return { success: false, message: "Term ID is required." };
+
+    try {
+        const { error } = await supabaseClient.from('term_dates').delete().eq('id', termId);
+        if (error) throw error;
+        console.log("API: Term date deleted successfully.");
+        return { success: true };
+    } catch (error) {
+        console.error("API Error deleting term date:", error.message);
+        return { success: false, message: error.message };
+    }
+}
+export async function fetchSkillsCatalogue() {
+    console.log("API: Fetching skills catalogue...");
+    if (!supabaseClient) { console.error("API Error: Supabase client not available."); return null; }
+    try {
+        // Includes retired skills: historic logs still need them for display (skillsCatalogue.js sorts by level)
+        const { data, error } = await supabaseClient
+            .from('skills')
+            .select('id, name, category, level, sort_order, is_retired, retired_at, previous_names')
+            .order('sort_order', { ascending: true })
+            .order('name', { ascending: true });
+        if (error) throw error;
+        console.log("API: Fetched", data?.length || 0, "skills.");
+        _cacheFetched('skills', data);
+        return data;
+    } catch (error) {
+        console.error("API Error fetching skills catalogue:", error.message);
+        return _readCacheOnNetworkError('skills', error);
+    }
+}
+/**
+ * Creates or updates a skill in the catalogue. Renaming keeps the old name for historic logs (see the migration).
+ * @param {object} skill - { id?, name, category, level, sort_order? }. Without an id a new skill is created.
+ * @returns {Promise<object>} { success: boolean, message?: string }
+ */
+export async function saveSkill(skill) {
+    const isUpdate = skill?.id !== undefined && skill?.id !== null;
+    console.log(`API: ${isUpdate ? 'Updating' : 'Creating'} skill:`, skill);
+    if (!supabaseClient) { console.error("API Error: Supabase client not available."); return { success: false, message: "Client not available." }; }
+    const name = (skill?.name || '').trim();
+    if (!name || !skill.level) return { success: false, message: "Skill name and level are required." };
+
+    try {
+        const values = { name, category: (skill.category || '').trim() || 'General', level: skill.level };
+        if (skill.sort_order !== undefined) values.sort_order = skill.sort_order;
+        const { error } = isUpdate
+            ? await supabaseClient.from('skills').update(values).eq('id', skill.id)
+            : await supabaseClient.from('skills').insert(values);
+        if (error) throw error;
+        console.log("API: Skill saved successfully.");
+        return { success: true };
+    } catch (error) {
+        console.error("API Error saving skill:", error.message);
+        const message = error.code === '23505' ? `A skill named "${name}" already exists.` : error.message;
+        return { success: false, message };
+    }
+}
+
+/**
+ * Retires a skill (hidden from the log forms, still shown in historic logs) or brings it back.
+ * @param {number} skillId - The skill's ID.
+ * @param {boolean} retired - True to retire, false to restore.
+ * @returns {Promise<object>} { success: boolean, message?: string }
+ */
+export async function setSkillRetired(skillId, retired) {
+    console.log(`API: Setting skill ${skillId} retired = ${retired}`);
+    if (!supabaseClient) { console.error("API Error: Supabase client not available."); return { success: false, message: "Client not available." }; }
+    if (skillId === null || skillId === undefined) return { success: false, message: "Skill ID is required." };
+
+    try {
+        const { error } = await supabaseClient.from('skills').update({ is_retired: !!retired }).eq('id', skillId);
+        if (error) throw error;
+        console.log("API: Skill retirement updated successfully.");
+        return { success: true };
+    } catch (error) {
+        console.error("API Error updating skill retirement:", error.message);
+        return { success: false, message: error.message };
+    }
+}
+
+/**
+ * Saves the curriculum order of a level: each skill's sort_order becomes its position in the list.
+ * @param {Array<number>} orderedSkillIds - Skill IDs in the new order.
+ * @returns {Promise<object>} { success: boolean, message?: string }
+ */
+export async function saveSkillOrder(orderedSkillIds) {
+    console.log("API: Saving skill order:", orderedSkillIds);
+    if (!supabaseClient) { console.error("API Error: Supabase client not available."); return { success: false, message: "Client not available." }; }
+    if (!Array.isArray(orderedSkillIds) || orderedSkillIds.length === 0) return { success: true };
+
+    try {
+        // One RPC so the whole order is saved or none of it is
+        const { error } = await supabaseClient.rpc('set_skill_order', { p_skill_ids: orderedSkillIds });
+        if (error) throw error;
+        console.log("API: Skill order saved successfully.");
+        return { success: true };
+    } catch (error) {
+        console.error("API Error saving skill order:", error.message);
+        return { success: false, message: error.message };
+    }
+}
+/**
+ * Fetches daily attendance statuses (absences and fill-ins) for a date range.
+ * @param {string} startDate - First date to include (YYYY-MM-DD).
+ * @param {string} [endDate=startDate] - Last date to include (YYYY-MM-DD).
+ * @returns {Promise<Array<object>|null>} Array of status objects or null on error.
+ */
+export async function getStatusesForDateRange(startDate, endDate = startDate) {
     // Determine the correct table name based on the test mode state
     const tableName = appState.isTestMode ? 'daily_attendance_status_test' : 'daily_attendance_status';
-    const today = getTodaysDateUTC();
-    console.log(`API: Fetching today's statuses from ${tableName}...`);
+    console.log(`API: Fetching statuses from ${tableName} for ${startDate} to ${endDate}...`);
     if (!supabaseClient) { console.error("API Error: Supabase client not available."); return null; }
+    if (!startDate) { console.error("API Error: Missing startDate for getStatusesForDateRange."); return null; }
     try {
         const { data, error } = await supabaseClient
             .from(tableName)
             .select('id, student_id, lesson_schedule_id, status, absence_reason, status_date')
-            .eq('status_date', today);
+            .gte('status_date', startDate)
+            .lte('status_date', endDate);
         if (error) throw error;
-        console.log("API: Fetched", data?.length || 0, `status entries for today from ${tableName}.`);
-        return data;
+        console.log("API: Fetched", data?.length || 0, `status entries for ${startDate} to ${endDate} from ${tableName}.`);
+        _cacheFetched(`statuses:${startDate}:${endDate}`, data);
+        // Attendance changes still in the outbox are shown as if they were saved
+        return applyPendingStatusChanges(data, startDate, endDate);
     } catch (error) {
         console.error(`API Error fetching statuses from ${tableName}:`, error.message);
-        return null;
+        const cached = _readCacheOnNetworkError(`statuses:${startDate}:${endDate}`, error);
+        return cached === null ? null : applyPendingStatusChanges(cached, startDate, endDate);
     }
 }
-export async function getTodaysLoggedSlotIds(coachId = null) {
+export async function getTodaysStatuses() {
+    const today = getTodaysDateUTC();
+    return getStatusesForDateRange(today, today);
+}
+/**
+ * Fetches the IDs of slots that have a lesson log within a date range.
+ * @param {number|null} coachId - Restrict to this coach's logs, or null for all coaches.
+ * @param {string} startDate - First date to include (YYYY-MM-DD).
+ * @param {string} [endDate=startDate] - Last date to include (YYYY-MM-DD).
+ * @returns {Promise<Array<number>>} Unique lesson_schedule IDs (empty array on error).
+ */
+export async function getLoggedSlotIdsForDateRange(coachId, startDate, endDate = startDate) {
     // Determine the correct table name based on the test mode state
     const tableName = appState.isTestMode ? 'lesson_logs_test' : 'lesson_logs';
-    const today = getTodaysDateUTC();
-    console.log(`API: Fetching logged slots from ${tableName} for today (Coach: ${coachId ?? 'Any'})...`);
+    console.log(`API: Fetching logged slots from ${tableName} for ${startDate} to ${endDate} (Coach: ${coachId ?? 'Any'})...`);
     if (!supabaseClient) { console.error("API Error: Supabase client not available."); return []; }
+    if (!startDate) { console.error("API Error: Missing startDate for getLoggedSlotIdsForDateRange."); return []; }
     try {
         let query = supabaseClient
             .from(tableName)
             .select('lesson_schedule_id')
-            .gte('log_date', today) // Assumes log_date is date or timestamp
-            .lt('log_date', new Date(new Date(today).getTime() + 24 * 60 * 60 * 1000).toISOString().split('T')[0]); // Next day
+            .gte('log_date', startDate) // Assumes log_date is date or timestamp
+            .lt('log_date', new Date(new Date(endDate).getTime() + 24 * 60 * 60 * 1000).toISOString().split('T')[0]); // Day after endDate
 
         if (coachId !== null && coachId !== undefined) {
             query = query.eq('coach_id', coachId);
@@ -172,13 +406,19 @@ export async function getTodaysLoggedSlotIds(coachId = null) {
         if (error) throw error;
 
         const loggedIds = data ? [...new Set(data.map(log => log.lesson_schedule_id))] : [];
-        console.log("API: Found", loggedIds.length, `logged slot IDs in ${tableName} for today (Coach: ${coachId ?? 'Any'}).`);
-        return loggedIds;
+        console.log("API: Found", loggedIds.length, `logged slot IDs in ${tableName} for ${startDate} to ${endDate} (Coach: ${coachId ?? 'Any'}).`);
+        _cacheFetched(`loggedSlots:${coachId ?? 'all'}:${startDate}:${endDate}`, loggedIds);
+        return [...new Set([...loggedIds, ...getPendingLoggedSlotIds(coachId, startDate, endDate)])];
     } catch (error) {
         console.error(`API Error fetching logged slots from ${tableName}:`, error.message);
-        return [];
+        const cached = _readCacheOnNetworkError(`loggedSlots:${coachId ?? 'all'}:${startDate}:${endDate}`, error) || [];
+        return [...new Set([...cached, ...getPendingLoggedSlotIds(coachId, startDate, endDate)])];
     }
 }
+export async function getTodaysLoggedSlotIds(coachId = null) {
+    const today = getTodaysDateUTC();
+    return getLoggedSlotIdsForDateRange(coachId, today, today);
+}
 export async function getTodaysLoggedStudentIds() {
     // Determine the correct table name based on the test mode state
     const tableName = appState.isTestMode ? 'lesson_logs_test' : 'lesson_logs';
@@ -305,13 +545,16 @@ export async function fetchLogs(coachId, startDate, endDate, studentId = null, s
 }
 export async function loadInitialAppData() {
     console.log("API: Loading initial app data...");
+    // Statuses and logged slots are loaded for the whole week containing the selected date
+    const weekRange = getWeekRange(appState.selectedDate || getTodaysDateUTC());
     try {
-        const [coaches, students, termDates, todaysStatuses, todaysLoggedSlotIds] = await Promise.all([
+        const [coaches, students, termDates, skills, todaysStatuses, todaysLoggedSlotIds] = await Promise.all([
             fetchCoaches(),
             fetchStudents(),
             fetchTermDates(),
-            getTodaysStatuses(),
-            getTodaysLoggedSlotIds(null) // Fetch for all coaches initially
+            fetchSkillsCatalogue(),
+            getStatusesForDateRange(weekRange.startDate, weekRange.endDate),
+            getLoggedSlotIdsForDateRange(null, weekRange.startDate, weekRange.endDate) // Fetch for all coaches initially
         ]);
 
         // Check if essential data failed to load
@@ -324,6 +567,7 @@ export async function loadInitialAppData() {
             coaches: coaches || [],
             students: students || [],
             termDates: termDates || [],
+            skills: skills || [],
             todaysStatuses: todaysStatuses || [],
             todaysLoggedSlotIds: todaysLoggedSlotIds || []
         };
@@ -335,9 +579,16 @@ export async function loadInitialAppData() {
         return null;
     }
 }
+/**
+ * Fetches a coach's past lessons that were never logged: their own slots (get_missed_logs_for_coach) and the
+ * lessons they covered as a substitute (get_covered_missed_logs).
+ * @param {number} coachId - The coach.
+ * @returns {Promise<Array<object>|null>} [{ schedule_id, missed_date, slot_time, original_student_ids, absent_student_info }], or null on error.
+ */
 export async function fetchPastMissedLogs(coachId) {
     // Determine the correct RPC name based on the current test mode state
     const targetRpc = appState.isTestMode ? 'get_missed_logs_for_coach_test' : 'get_missed_logs_for_coach';
+    const coveredRpc = appState.isTestMode ? 'get_covered_missed_logs_test' : 'get_covered_missed_logs';
     console.log(`API: Fetching past missed logs via RPC ${targetRpc} for Coach ${coachId}`);
 
     // Check for Supabase client availability
@@ -352,26 +603,38 @@ export async function fetchPastMissedLogs(coachId) {
     }
 
     try {
-        // Call the RPC function, passing only the coach ID
-        const { data, error } = await supabaseClient.rpc(targetRpc, {
-            p_coach_id: coachId
-        });
+        // Call the RPC functions, passing only the coach ID
+        const [ownResult, coveredResult] = await Promise.all([
+            supabaseClient.rpc(targetRpc, { p_coach_id: coachId }),
+            supabaseClient.rpc(coveredRpc, { p_coach_id: coachId })
+        ]);
 
-        // Throw an error if the RPC call itself fails
-        if (error) throw error;
+        // Throw an error if either RPC call fails
+        if (ownResult.error) throw ownResult.error;
+        if (coveredResult.error) throw coveredResult.error;
+        const data = [...(ownResult.data || []), ...(coveredResult.data || [])]
+            .sort((a, b) => `${a.missed_date} ${a.slot_time}`.localeCompare(`${b.missed_date} ${b.slot_time}`));
 
         // Log the number of missed log entries received
-        console.log(`API: Received ${data?.length || 0} past missed log entries from RPC ${targetRpc}.`);
+        console.log(`API: Received ${ownResult.data?.length || 0} past missed log entries from RPC ${targetRpc} and ${coveredResult.data?.length || 0} from ${coveredRpc}.`);
 
         // Return the data received from the RPC, or an empty array if data is null/undefined
-        return data || [];
+        _cacheFetched(`missedLogs:${coachId}`, data || []);
+        return removeQueuedMissedLogs(data || []); // Missed logs already queued offline aren't missed any more
 
     } catch (error) {
         // Log any errors that occur during the RPC call
         console.error(`API Error calling RPC ${targetRpc}:`, error.message);
-        return null; // Return null on error
+        const cached = _readCacheOnNetworkError(`missedLogs:${coachId}`, error);
+        return cached === null ? null : removeQueuedMissedLogs(cached);
     }
 }
+/**
+ * Fetches the daily blocks that apply on a date, including date-range and recurring blocks.
+ * Each returned block has block_date set to targetDate; the original first day is kept as start_date.
+ * @param {string} targetDate - The date to check (YYYY-MM-DD).
+ * @returns {Promise<Array<object>|null>} Blocks applying on that date, or null on error.
+ */
 export async function fetchDailyBlocksForDate(targetDate) {
     // Determine the correct table name based on the test mode state
     const tableName = appState.isTestMode ? 'daily_blocks_test' : 'daily_blocks';
@@ -389,19 +652,24 @@ export async function fetchDailyBlocksForDate(targetDate) {
     }
 
     try {
-        // Fetch blocks matching the target date
+        // Fetch single-day blocks on the date and range blocks that started on or before it and haven't ended
         const { data, error } = await supabaseClient
             .from(tableName)
-            .select('block_date, block_type, identifier') // Select necessary columns
-            .eq('block_date', targetDate);
+            .select('block_date, end_date, repeat_days, block_type, identifier') // Select necessary columns
+            .lte('block_date', targetDate)
+            .or(`block_date.eq.${targetDate},end_date.gte.${targetDate}`);
 
         // If there's an error, throw it
         if (error) throw error;
 
+        // Drop recurring blocks that skip this weekday, and expand the rest to the target date
+        const blocks = (data || [])
+            .filter(block => doesBlockApplyOnDate(block, targetDate))
+            .map(block => ({ ...block, start_date: block.block_date, block_date: targetDate }));
+
         // Log the number of blocks found
-        console.log(`API: Found ${data?.length || 0} blocks for ${targetDate} in ${tableName}.`);
-        // Return the fetched data (or an empty array if null/undefined)
-        return data || [];
+        console.log(`API: Found ${blocks.length} blocks for ${targetDate} in ${tableName}.`);
+        return blocks;
 
     } catch (error) {
         // Log any errors that occur
@@ -411,6 +679,195 @@ export async function fetchDailyBlocksForDate(targetDate) {
     }
 }
 
+/**
+ * Fetches a student's lessons-owed ledger, newest entry first.
+ * @param {number} studentId - The ID of the student.
+ * @returns {Promise<Array<object>|null>} Ledger entries or null on error.
+ */
+export async function fetchLessonsOwedLedger(studentId) {
+    console.log(`API: Fetching lessons owed ledger for student ID: ${studentId}...`);
+    if (!supabaseClient) { console.error("API Error: Supabase client not available."); return null; }
+    if (studentId === null || typeof studentId === 'undefined') {
+        console.error("API Error: Student ID is required to fetch the ledger.");
+        return null;
+    }
+
+    try {
+        const { data, error } = await supabaseClient
+            .from('lessons_owed_ledger')
+            .select('id, change, entry_type, reason, created_at, created_by_email')
+            .eq('student_id', studentId)
+            .order('created_at', { ascending: false });
+        if (error) throw error;
+        console.log("API: Fetched", data?.length || 0, `ledger entries for student ${studentId}.`);
+        return data || [];
+    } catch (error) {
+        console.error(`API Error fetching ledger for student ${studentId}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Adds a manual lessons-owed adjustment (top-up, credit or correction). Admin only.
+ * @param {number} studentId - The ID of the student.
+ * @param {number} change - Lessons to add (positive) or remove (negative).
+ * @param {string} entryType - 'top_up', 'credit' or 'correction'.
+ * @param {string} reason - Why the change was made.
+ * @returns {Promise<object>} { success: boolean, balance?: number, message?: string }
+ */
+export async function addLessonsOwedEntry(studentId, change, entryType, reason) {
+    console.log(`API: Adding ledger entry for student ${studentId} - Change: ${change}, Type: ${entryType}`);
+    if (!supabaseClient) { console.error("API Error: Supabase client not available."); return { success: false, message: "Client not available." }; }
+    if (appState.isTestMode) {
+        // students is shared between modes, so a test adjustment would change a real balance
+        return { success: false, message: "Lessons owed adjustments are disabled in test mode." };
+    }
+    if (!Number.isInteger(change) || change === 0) return { success: false, message: "Adjustment must be a whole, non-zero number of lessons." };
+    if (!reason || reason.trim() === '') return { success: false, message: "A reason is required." };
+
+    try {
+        const { data, error } = await supabaseClient.rpc('add_lessons_owed_entry', {
+            p_student_id: studentId,
+            p_change: change,
+            p_entry_type: entryType,
+            p_reason: reason.trim()
+        });
+        if (error) throw error;
+        console.log(`API: Ledger entry added. New balance for student ${studentId}: ${data}`);
+        return { success: true, balance: data };
+    } catch (error) {
+        console.error(`API Error adding ledger entry for student ${studentId}:`, error);
+        return { success: false, message: error.message };
+    }
+}
+
+/**
+ * Edits a submitted lesson log entry. If attendance changes, the owed change is reversed and re-applied (live mode).
+ * Who made the change, and why, is recorded with the entry's previous values.
+ * @param {number} logId - The lesson log ID.
+ * @param {object} changes - { attendance_status, absence_reason, skills_covered, proficiency, engagement, notes }.
+ * @param {string} reason - Why the log was corrected.
+ * @returns {Promise<object>} { success: boolean, owedChange?: number, message?: string }
+ */
+export async function editLessonLog(logId, changes, reason) {
+    const targetRpc = appState.isTestMode ? 'edit_lesson_log_test' : 'edit_lesson_log';
+    console.log(`API: Calling RPC ${targetRpc} - LogID: ${logId}`);
+    if (!supabaseClient) { console.error("API Error: Supabase client not available."); return { success: false, message: "Client not available." }; }
+    if (!reason || reason.trim() === '') return { success: false, message: "A reason is required." };
+
+    try {
+        const { data, error } = await supabaseClient.rpc(targetRpc, {
+            p_log_id: logId,
+            p_attendance_status: changes.attendance_status,
+            p_absence_reason: changes.absence_reason || null,
+            p_skills_covered: changes.skills_covered || [],
+            p_proficiency: changes.proficiency ?? null,
+            p_engagement: changes.engagement ?? null,
+            p_notes: changes.notes || null,
+            p_reason: reason.trim()
+        });
+        if (error) throw error;
+        console.log(`API: Lesson log ${logId} edited. Owed change: ${data ?? 0}`);
+        return { success: true, owedChange: data ?? 0 };
+    } catch (error) {
+        console.error(`API Error calling RPC ${targetRpc}:`, error);
+        return { success: false, message: error.message || 'An unknown error occurred.' };
+    }
+}
+
+/**
+ * Voids a lesson: removes every log entry for the same slot and date (so the slot is unlogged again)
+ * and reverses their owed changes (live mode). The removed entries are kept in the change history.
+ * @param {number} logId - Any log entry of the lesson.
+ * @param {string} reason - Why the lesson was voided.
+ * @returns {Promise<object>} { success: boolean, voided?: number, message?: string }
+ */
+export async function voidLessonLog(logId, reason) {
+    const targetRpc = appState.isTestMode ? 'void_lesson_log_test' : 'void_lesson_log';
+    console.log(`API: Calling RPC ${targetRpc} - LogID: ${logId}`);
+    if (!supabaseClient) { console.error("API Error: Supabase client not available."); return { success: false, message: "Client not available." }; }
+    if (!reason || reason.trim() === '') return { success: false, message: "A reason is required." };
+
+    try {
+        const { data, error } = await supabaseClient.rpc(targetRpc, { p_log_id: logId, p_reason: reason.trim() });
+        if (error) throw error;
+        console.log(`API: Voided ${data ?? 0} log entries for lesson of log ${logId}.`);
+        return { success: true, voided: data ?? 0 };
+    } catch (error) {
+        console.error(`API Error calling RPC ${targetRpc}:`, error);
+        return { success: false, message: error.message || 'An unknown error occurred.' };
+    }
+}
+
+/**
+ * Fetches every log in a date range with the fields the attendance dashboard groups by.
+ * Requests are paged, as the API returns at most 1000 rows per request.
+ * @param {string} startDate - First date to include (YYYY-MM-DD).
+ * @param {string} endDate - Last date to include (YYYY-MM-DD).
+ * @returns {Promise<Array<object>|null>} Logs, oldest first, or null on error.
+ */
+export async function fetchAttendanceLogs(startDate, endDate) {
+    const tableName = appState.isTestMode ? 'lesson_logs_test' : 'lesson_logs';
+    console.log(`API: Fetching attendance logs from ${tableName} for ${startDate} to ${endDate}...`);
+    if (!supabaseClient) { console.error("API Error: Supabase client not available."); return null; }
+    if (!startDate || !endDate) { console.error("API Error: Missing date range for fetchAttendanceLogs."); return null; }
+
+    const pageSize = 1000;
+    const logs = [];
+    try {
+        for (let from = 0; ; from += pageSize) {
+            const { data, error } = await supabaseClient
+                .from(tableName)
+                .select(`
+                    id, log_date, student_id, coach_id, lesson_schedule_id, attendance_status, absence_reason, is_fill_in, lesson_type, notes,
+                    students ( Name, class_name ),
+                    coaches ( Name ),
+                    lesson_schedule ( day_of_week, start_time )
+                `)
+                .gte('log_date', startDate)
+                .lte('log_date', endDate + 'T23:59:59.999Z')
+                .order('log_date', { ascending: true })
+                .order('id', { ascending: true })
+                .range(from, from + pageSize - 1);
+            if (error) throw error;
+            logs.push(...(data || []));
+            if (!data || data.length < pageSize) break;
+        }
+        console.log("API: Fetched", logs.length, "attendance log entries.");
+        return logs;
+    } catch (error) {
+        console.error(`API Error fetching attendance logs from ${tableName}:`, error.message);
+        return null;
+    }
+}
+/**
+ * Fetches the attendance and rating fields of several students' logs (for the class rating charts).
+ * @param {Array<number>} studentIds - Student IDs.
+ * @param {string} [sinceDate] - Only logs on or after this date (YYYY-MM-DD).
+ * @returns {Promise<Array<object>|null>} Logs, oldest first, or null on error.
+ */
+export async function fetchRatingLogsForStudents(studentIds, sinceDate = null) {
+    const tableName = appState.isTestMode ? 'lesson_logs_test' : 'lesson_logs';
+    console.log(`API: Fetching rating logs from ${tableName} for ${studentIds?.length || 0} students since ${sinceDate || 'the start'}...`);
+    if (!supabaseClient) { console.error("API Error: Supabase client not available."); return null; }
+    if (!Array.isArray(studentIds) || studentIds.length === 0) return [];
+
+    try {
+        let query = supabaseClient
+            .from(tableName)
+            .select('id, student_id, log_date, attendance_status, absence_reason, proficiency, engagement, is_fill_in')
+            .in('student_id', studentIds)
+            .order('log_date', { ascending: true });
+        if (sinceDate) query = query.gte('log_date', sinceDate);
+        const { data, error } = await query;
+        if (error) throw error;
+        console.log("API: Fetched", data?.length || 0, "rating log entries.");
+        return data || [];
+    } catch (error) {
+        console.error(`API Error fetching rating logs from ${tableName}:`, error.message);
+        return null;
+    }
+}
 /**
  * Fetches all lesson log entries for a specific student.
  * @param {number} studentId - The ID of the student.
@@ -451,13 +908,64 @@ export async function fetchStudentLogHistory(studentId) {
 }
 
 
+/**
+ * Fetches one student's attendance status for a slot on a date (used to detect conflicts when replaying the outbox).
+ * @returns {Promise<object>} { success: boolean, status?: object|null, offline?: boolean, message?: string }
+ */
+export async function fetchDailyStatus(studentId, lessonScheduleId, statusDate) {
+    const tableName = appState.isTestMode ? 'daily_attendance_status_test' : 'daily_attendance_status';
+    if (!supabaseClient) { console.error("API Error: Supabase client not available."); return { success: false, message: "Client not available." }; }
+    try {
+        const { data, error } = await supabaseClient
+            .from(tableName)
+            .select('status, absence_reason')
+            .eq('student_id', studentId)
+            .eq('lesson_schedule_id', lessonScheduleId)
+            .eq('status_date', statusDate)
+            .maybeSingle();
+        if (error) throw error;
+        return { success: true, status: data };
+    } catch (error) {
+        console.error(`API Error fetching status from ${tableName}:`, error.message);
+        return { success: false, offline: isNetworkError(error), message: error.message };
+    }
+}
+
+/**
+ * Checks whether a slot already has a lesson log on a date (used to detect conflicts when replaying the outbox).
+ * @returns {Promise<object>} { success: boolean, isLogged?: boolean, offline?: boolean, message?: string }
+ */
+export async function isSlotLoggedOnDate(lessonScheduleId, logDate) {
+    const tableName = appState.isTestMode ? 'lesson_logs_test' : 'lesson_logs';
+    if (!supabaseClient) { console.error("API Error: Supabase client not available."); return { success: false, message: "Client not available." }; }
+    try {
+        const { count, error } = await supabaseClient
+            .from(tableName)
+            .select('id', { count: 'exact', head: true })
+            .eq('lesson_schedule_id', lessonScheduleId)
+            .gte('log_date', logDate)
+            .lt('log_date', new Date(new Date(logDate).getTime() + 24 * 60 * 60 * 1000).toISOString().split('T')[0]);
+        if (error) throw error;
+        return { success: true, isLogged: (count || 0) > 0 };
+    } catch (error) {
+        console.error(`API Error checking logs in ${tableName}:`, error.message);
+        return { success: false, offline: isNetworkError(error), message: error.message };
+    }
+}
+
+
 // --- Data Modification Functions ---
 
-export async function addDailyStatus(studentId, coachId, lessonScheduleId, status, absenceReason = null) {
+/**
+ * Adds or updates a student's attendance status for a slot on a date.
+ * If the backend can't be reached the change is queued in the outbox and { success: true, queued: true } is returned.
+ * @param {object} [options] - { queueOffline: false } returns { success: false, offline: true } instead of queueing (used by the outbox replay).
+ */
+export async function addDailyStatus(studentId, coachId, lessonScheduleId, status, absenceReason = null, statusDate = null, { queueOffline = true } = {}) {
     // Determine the correct table name based on the test mode state
     const tableName = appState.isTestMode ? 'daily_attendance_status_test' : 'daily_attendance_status';
-    const today = getTodaysDateUTC();
-    console.log(`API: Adding/Updating status in ${tableName} - Student: ${studentId}, Slot: ${lessonScheduleId}, Status: ${status}`);
+    const targetDate = statusDate || getTodaysDateUTC(); // Defaults to today
+    console.log(`API: Adding/Updating status in ${tableName} - Student: ${studentId}, Slot: ${lessonScheduleId}, Date: ${targetDate}, Status: ${status}`);
     if (!supabaseClient) { console.error("API Error: Supabase client not available."); return { success: false, message: "Client not available." }; }
 
     try {
@@ -468,7 +976,7 @@ export async function addDailyStatus(studentId, coachId, lessonScheduleId, statu
                 student_id: studentId,
                 coach_id: coachId,
                 lesson_schedule_id: lessonScheduleId,
-                status_date: today,
+                status_date: targetDate,
                 status: status,
                 absence_reason: absenceReason
             }, {
@@ -483,14 +991,25 @@ export async function addDailyStatus(studentId, coachId, lessonScheduleId, statu
         return { success: true, data: null }; // Return null for data
     } catch (error) {
         console.error(`API Error adding/updating status in ${tableName}:`, error.message);
+        if (isNetworkError(error)) {
+            setOfflineState(true);
+            if (!queueOffline) return { success: false, offline: true, message: error.message };
+            queueOutboxEntry('status_add',
+                { studentId, coachId, scheduleId: lessonScheduleId, status, absenceReason, statusDate: targetDate },
+                `Set student ${studentId} to "${status}" (slot ${lessonScheduleId}, ${targetDate})`);
+            return { success: true, queued: true, message: "Saved offline. It will sync when you're back online." };
+        }
         return { success: false, message: error.message };
     }
 }
-export async function removeDailyStatus(studentId, lessonScheduleId) {
+/**
+ * Removes a student's attendance status for a slot on a date. Queued in the outbox when offline (see addDailyStatus).
+ */
+export async function removeDailyStatus(studentId, lessonScheduleId, statusDate = null, { queueOffline = true } = {}) {
     // Determine the correct table name based on the test mode state
     const tableName = appState.isTestMode ? 'daily_attendance_status_test' : 'daily_attendance_status';
-    const today = getTodaysDateUTC();
-     console.log(`API: Removing status from ${tableName} - Student: ${studentId}, Slot: ${lessonScheduleId}`);
+    const targetDate = statusDate || getTodaysDateUTC(); // Defaults to today
+     console.log(`API: Removing status from ${tableName} - Student: ${studentId}, Slot: ${lessonScheduleId}, Date: ${targetDate}`);
      if (!supabaseClient) { console.error("API Error: Supabase client not available."); return { success: false, message: "Client not available." }; }
 
     try {
@@ -499,17 +1018,32 @@ export async function removeDailyStatus(studentId, lessonScheduleId) {
             .delete()
             .eq('student_id', studentId)
             .eq('lesson_schedule_id', lessonScheduleId)
-            .eq('status_date', today);
+            .eq('status_date', targetDate);
 
         if (error) throw error;
         console.log(`API: Status removal successful for student ${studentId} in slot ${lessonScheduleId}.`);
         return { success: true };
     } catch (error) {
         console.error(`API Error removing status from ${tableName}:`, error.message);
+        if (isNetworkError(error)) {
+            setOfflineState(true);
+            if (!queueOffline) return { success: false, offline: true, message: error.message };
+            queueOutboxEntry('status_remove',
+                { studentId, scheduleId: lessonScheduleId, statusDate: targetDate },
+                `Clear status of student ${studentId} (slot ${lessonScheduleId}, ${targetDate})`);
+            return { success: true, queued: true, message: "Saved offline. It will sync when you're back online." };
+        }
         return { success: false, message: error.message };
     }
 }
-export async function submitLogAndUpdates(logPayload) {
+/**
+ * Submits lesson log entries (one slot) via the process_lesson_log RPC.
+ * If the backend can't be reached the log is queued in the outbox and { success: true, queued: true } is returned;
+ * entries without a log_date are stamped with the current time so they keep the lesson's date when replayed.
+ * @param {Array<object>} logPayload - Log entries, each with coach_id, lesson_schedule_id and log_date.
+ * @param {object} [options] - { queueOffline: false } returns { success: false, offline: true } instead of queueing (used by the outbox replay).
+ */
+export async function submitLogAndUpdates(logPayload, { queueOffline = true } = {}) {
     // Determine the correct RPC name based on the test mode state
     const targetRpc = appState.isTestMode ? 'process_lesson_log_test' : 'process_lesson_log';
     console.log(`API: Submitting logs via RPC: ${targetRpc}`);
@@ -540,6 +1074,17 @@ export async function submitLogAndUpdates(logPayload) {
         return { success: true, data: data };
     } catch (error) {
         console.error(`API Error calling RPC ${targetRpc}:`, error);
+        if (isNetworkError(error)) {
+            setOfflineState(true);
+            if (!queueOffline) return { success: false, offline: true, message: error.message };
+            const queuedAt = new Date().toISOString();
+            const entries = logPayload.map(log => ({ ...log, log_date: log.log_date || queuedAt }));
+            const logDate = entries[0].log_date.substring(0, 10);
+            queueOutboxEntry('log',
+                { entries, scheduleId: entries[0].lesson_schedule_id, coachId: entries[0].coach_id, logDate },
+                `Lesson log for slot ${entries[0].lesson_schedule_id} (${logDate})`);
+            return { success: true, queued: true, message: "Log saved offline. It will sync when you're back online." };
+        }
         return { success: false, message: error.message };
     }
 }
@@ -588,6 +1133,33 @@ export async function adminFindFillInSuggestions(coachIdFilter, dayFilter, inclu
         return null;
     }
 }
+/**
+ * Solves all open fill-in slots together via the get-optimal-fill-ins edge function (global mode).
+ * No student is double-booked and pairing/sub-group rules are respected.
+ * The edge function reads live attendance, so this is unavailable in test mode.
+ * @param {number|string|null} coachIdFilter - Limit to one coach, or null for all.
+ * @param {string|null} dayFilter - Limit to one weekday, or null for all.
+ * @param {boolean} includePartial - Include slots that are only partly empty.
+ * @returns {Promise<Array|null>} Slots ({ schedule_id, coach_id, coach_name, day_of_week, start_time, slot_date, recommended_group }), or null on error.
+ */
+export async function fetchGlobalFillInAssignment(coachIdFilter, dayFilter, includePartial) {
+    console.log(`API: Invoking get-optimal-fill-ins (global)... Filters: coach=${coachIdFilter}, day=${dayFilter}, partial=${includePartial}`);
+    if (!supabaseClient) { console.error("API Error: Supabase client not available."); return null; }
+    if (appState.isTestMode) { console.warn("API: Global fill-in assignment is not available in test mode."); return null; }
+
+    try {
+        const { data, error } = await supabaseClient.functions.invoke('get-optimal-fill-ins', {
+            body: { coachIdFilter: coachIdFilter || null, dayFilter: dayFilter || null, includePartial, mode: 'global' }
+        });
+        if (error) throw error;
+        if (data?.error) throw new Error(data.error);
+        console.log("API: Global fill-in assignment received:", data);
+        return Array.isArray(data) ? data : [];
+    } catch (error) {
+        console.error("API Error invoking get-optimal-fill-ins:", error.message);
+        return null;
+    }
+}
 export async function clearTestData() {
     console.log("API: Calling RPC clear_test_data...");
     if (!supabaseClient) { console.error("API Error: Supabase client not available."); return false; }
@@ -601,10 +1173,23 @@ export async function clearTestData() {
         return false;
     }
 }
-export async function createDailyBlock(blockDate, blockType, identifier, reason) {
+/**
+ * Creates a daily block and marks the affected scheduled students absent.
+ * Single-day blocks use create_daily_block; date ranges and recurring blocks use create_daily_block_range.
+ * @param {string} blockDate - The first (or only) day of the block (YYYY-MM-DD).
+ * @param {string} blockType - The block type (e.g. 'Public Holiday', 'Coach Unavailable').
+ * @param {string|null} identifier - Year level, class name or coach ID, depending on the type.
+ * @param {string|null} reason - Optional reason.
+ * @param {string|null} [endDate=null] - Last day of the block (inclusive) for date ranges.
+ * @param {Array<string>|null} [repeatDays=null] - Weekday names the block is limited to (e.g. ['Friday']).
+ * @returns {Promise<object>} { success: boolean, message?: string, marked?: number }
+ */
+export async function createDailyBlock(blockDate, blockType, identifier, reason, endDate = null, repeatDays = null) {
+    const isRange = (endDate && endDate !== blockDate) || (Array.isArray(repeatDays) && repeatDays.length > 0);
     // Determine the correct RPC function name based on the test mode state
-    const targetRpc = appState.isTestMode ? 'create_daily_block_test' : 'create_daily_block';
-    console.log(`API: Calling RPC ${targetRpc} - Date: ${blockDate}, Type: ${blockType}, Identifier: ${identifier}`);
+    const baseRpc = isRange ? 'create_daily_block_range' : 'create_daily_block';
+    const targetRpc = appState.isTestMode ? `${baseRpc}_test` : baseRpc;
+    console.log(`API: Calling RPC ${targetRpc} - Date: ${blockDate}${isRange ? ` to ${endDate || blockDate} (${repeatDays?.join(', ') || 'every day'})` : ''}, Type: ${blockType}, Identifier: ${identifier}`);
 
     // Check if Supabase client is available
     if (!supabaseClient) {
@@ -616,6 +1201,9 @@ export async function createDailyBlock(blockDate, blockType, identifier, reason)
         console.error("API Error: Missing required parameters for createDailyBlock (date or type).");
         return { success: false, message: "Block date and type are required." };
     }
+    if (endDate && endDate < blockDate) {
+        return { success: false, message: "Block end date cannot be before its start date." };
+    }
     // Validate identifier based on block type
      if (['Year Level Absence', 'Class Absence', 'Coach Unavailable'].includes(blockType) && (!identifier || identifier.trim() === '')) {
          return { success: false, message: `Identifier is required for block type: ${blockType}.` };
@@ -627,19 +1215,30 @@ export async function createDailyBlock(blockDate, blockType, identifier, reason)
 
     try {
         // Call the appropriate RPC function
-        const { error } = await supabaseClient.rpc(targetRpc, {
-            p_block_date: blockDate,
-            p_block_type: blockType,
-            p_identifier: identifier || null, // Pass null if identifier is empty or undefined
-            p_reason: reason || null        // Pass null if reason is empty or undefined
-        });
+        const params = isRange
+            ? {
+                p_start_date: blockDate,
+                p_end_date: endDate || blockDate,
+                p_repeat_days: Array.isArray(repeatDays) && repeatDays.length > 0 ? repeatDays : null,
+                p_block_type: blockType,
+                p_identifier: identifier || null,
+                p_reason: reason || null
+            }
+            : {
+                p_block_date: blockDate,
+                p_block_type: blockType,
+                p_identifier: identifier || null, // Pass null if identifier is empty or undefined
+                p_reason: reason || null        // Pass null if reason is empty or undefined
+            };
+        const { data, error } = await supabaseClient.rpc(targetRpc, params);
 
         // If there's an error during the RPC call, throw it
         if (error) throw error;
 
         // Log success and return success status
         console.log(`API: RPC ${targetRpc} executed successfully.`);
-        return { success: true };
+        // The range RPC returns the number of absences it marked
+        return isRange ? { success: true, marked: data ?? 0 } : { success: true };
 
     } catch (error) {
         // Log any errors that occur
@@ -650,9 +1249,127 @@ export async function createDailyBlock(blockDate, blockType, identifier, reason)
         return { success: false, message: message };
     }
 }
-export async function markPastLogHandled(scheduleId, missedDate) {
-    // Determine the correct RPC name based on the test mode state
-    const targetRpc = appState.isTestMode ? 'mark_past_log_handled_test' : 'mark_past_log_handled';
+/**
+ * Fetches daily blocks (unexpanded rows) for the admin block manager.
+ * @param {object} [filters={}] - Optional filters.
+ * @param {string} [filters.fromDate] - Only blocks still running on or after this date (YYYY-MM-DD).
+ * @param {string} [filters.toDate] - Only blocks starting on or before this date (YYYY-MM-DD).
+ * @param {string} [filters.blockType] - Only blocks of this type.
+ * @returns {Promise<Array<object>|null>} Block rows ordered by start date, or null on error.
+ */
+export async function fetchDailyBlocks(filters = {}) {
+    const tableName = appState.isTestMode ? 'daily_blocks_test' : 'daily_blocks';
+    console.log(`API: Fetching daily blocks from ${tableName} with filters:`, filters);
+
+    if (!supabaseClient) {
+        console.error("API Error: Supabase client not available.");
+        return null;
+    }
+
+    try {
+        let query = supabaseClient
+            .from(tableName)
+            .select('id, block_date, end_date, repeat_days, block_type, identifier, reason')
+            .order('block_date', { ascending: true });
+
+        if (filters.fromDate) {
+            // A block is still running if its last day (end_date, or block_date for single days) is on/after fromDate
+            query = query.or(`block_date.gte.${filters.fromDate},end_date.gte.${filters.fromDate}`);
+        }
+        if (filters.toDate) query = query.lte('block_date', filters.toDate);
+        if (filters.blockType) query = query.eq('block_type', filters.blockType);
+
+        const { data, error } = await query;
+        if (error) throw error;
+
+        console.log(`API: Fetched ${data?.length || 0} daily blocks from ${tableName}.`);
+        return data || [];
+    } catch (error) {
+        console.error(`API Error fetching daily blocks from ${tableName}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Updates a daily block. The RPC clears the absences the old block marked and marks them for the new version.
+ * @param {number} blockId - The ID of the block.
+ * @param {object} block - { blockDate, endDate, repeatDays, blockType, identifier, reason }.
+ * @returns {Promise<object>} { success: boolean, message?: string, marked?: number }
+ */
+export async function updateDailyBlock(blockId, block) {
+    const targetRpc = appState.isTestMode ? 'update_daily_block_test' : 'update_daily_block';
+    console.log(`API: Calling RPC ${targetRpc} - BlockID: ${blockId}`, block);
+
+    if (!supabaseClient) {
+        console.error("API Error: Supabase client not available.");
+        return { success: false, message: "Client not available." };
+    }
+    if (!blockId || !block?.blockDate || !block?.blockType) {
+        console.error("API Error: Missing required parameters for updateDailyBlock.");
+        return { success: false, message: "Block ID, start date and type are required." };
+    }
+    if (block.endDate && block.endDate < block.blockDate) {
+        return { success: false, message: "Block end date cannot be before its start date." };
+    }
+    if (['Year Level Absence', 'Class Absence', 'Coach Unavailable'].includes(block.blockType) && (!block.identifier || block.identifier.trim() === '')) {
+        return { success: false, message: `Identifier is required for block type: ${block.blockType}.` };
+    }
+    if (block.blockType === 'Coach Unavailable' && isNaN(parseInt(block.identifier))) {
+        return { success: false, message: `Identifier must be a numeric Coach ID for block type: ${block.blockType}.` };
+    }
+
+    try {
+        const { data, error } = await supabaseClient.rpc(targetRpc, {
+            p_block_id: blockId,
+            p_start_date: block.blockDate,
+            p_end_date: block.endDate && block.endDate !== block.blockDate ? block.endDate : null,
+            p_repeat_days: Array.isArray(block.repeatDays) && block.repeatDays.length > 0 ? block.repeatDays : null,
+            p_block_type: block.blockType,
+            p_identifier: block.identifier || null,
+            p_reason: block.reason || null
+        });
+        if (error) throw error;
+
+        console.log(`API: RPC ${targetRpc} executed successfully.`);
+        return { success: true, marked: data ?? 0 };
+    } catch (error) {
+        console.error(`API Error calling RPC ${targetRpc}:`, error);
+        return { success: false, message: error.message || 'An unknown error occurred.' };
+    }
+}
+
+/**
+ * Deletes a daily block and the absences it marked.
+ * @param {number} blockId - The ID of the block.
+ * @returns {Promise<object>} { success: boolean, message?: string, cleared?: number }
+ */
+export async function deleteDailyBlock(blockId) {
+    const targetRpc = appState.isTestMode ? 'delete_daily_block_test' : 'delete_daily_block';
+    console.log(`API: Calling RPC ${targetRpc} - BlockID: ${blockId}`);
+
+    if (!supabaseClient) {
+        console.error("API Error: Supabase client not available.");
+        return { success: false, message: "Client not available." };
+    }
+    if (!blockId) {
+        console.error("API Error: Missing block ID for deleteDailyBlock.");
+        return { success: false, message: "Block ID is required." };
+    }
+
+    try {
+        const { data, error } = await supabaseClient.rpc(targetRpc, { p_block_id: blockId });
+        if (error) throw error;
+
+        console.log(`API: RPC ${targetRpc} executed successfully. Cleared ${data ?? 0} absences.`);
+        return { success: true, cleared: data ?? 0 };
+    } catch (error) {
+        console.error(`API Error calling RPC ${targetRpc}:`, error);
+        return { success: false, message: error.message || 'An unknown error occurred.' };
+    }
+}
+export async function markPastLogHandled(scheduleId, missedDate) {
+    // Determine the correct RPC name based on the test mode state
+    const targetRpc = appState.isTestMode ? 'mark_past_log_handled_test' : 'mark_past_log_handled';
     console.log(`API: Calling RPC ${targetRpc} - ScheduleID: ${scheduleId}, MissedDate: ${missedDate}`);
 
     // Check if Supabase client is available
@@ -690,10 +1407,17 @@ export async function markPastLogHandled(scheduleId, missedDate) {
     }
 }
 
-export async function removeStudentFromSchedule(studentId, scheduleId) {
+/**
+ * Ends a student's enrolment in a slot from a date. Earlier lessons keep them on the roster.
+ * @param {number} studentId - The student.
+ * @param {number} scheduleId - The slot.
+ * @param {string} [effectiveDate=today] - The first date they are no longer in the slot (YYYY-MM-DD).
+ * @returns {Promise<object>} { success: boolean, message?: string }
+ */
+export async function removeStudentFromSchedule(studentId, scheduleId, effectiveDate = getTodaysDateUTC()) {
     // Determine the correct RPC name based on the test mode state
     const targetRpc = appState.isTestMode ? 'remove_student_from_schedule_test' : 'remove_student_from_schedule';
-    console.log(`API: Calling RPC ${targetRpc} - StudentID: ${studentId}, ScheduleID: ${scheduleId}`);
+    console.log(`API: Calling RPC ${targetRpc} - StudentID: ${studentId}, ScheduleID: ${scheduleId}, from ${effectiveDate}`);
 
     if (!supabaseClient) {
         console.error("API Error: Supabase client not available.");
@@ -707,12 +1431,13 @@ export async function removeStudentFromSchedule(studentId, scheduleId) {
     try {
         const { data, error } = await supabaseClient.rpc(targetRpc, {
             p_student_id: studentId,
-            p_schedule_id: scheduleId
+            p_schedule_id: scheduleId,
+            p_effective_date: effectiveDate
         });
 
         if (error) throw error;
 
-        // The RPC returns true if deletion happened, false otherwise
+        // The RPC returns true if an enrolment was ended, false otherwise
         if (data === true) {
             console.log(`API: RPC ${targetRpc} executed successfully. Student removed.`);
             return { success: true };
@@ -727,10 +1452,17 @@ export async function removeStudentFromSchedule(studentId, scheduleId) {
     }
 }
 
-export async function addStudentToSchedule(studentId, scheduleId) {
+/**
+ * Enrols a student in a slot from a date, e.g. the start of next term.
+ * @param {number} studentId - The student.
+ * @param {number} scheduleId - The slot.
+ * @param {string} [effectiveDate=today] - The first date they are in the slot (YYYY-MM-DD).
+ * @returns {Promise<object>} { success: boolean, message?: string }
+ */
+export async function addStudentToSchedule(studentId, scheduleId, effectiveDate = getTodaysDateUTC()) {
     // Determine the correct RPC name based on the test mode state
     const targetRpc = appState.isTestMode ? 'add_student_to_schedule_test' : 'add_student_to_schedule';
-    console.log(`API: Calling RPC ${targetRpc} - StudentID: ${studentId}, ScheduleID: ${scheduleId}`);
+    console.log(`API: Calling RPC ${targetRpc} - StudentID: ${studentId}, ScheduleID: ${scheduleId}, from ${effectiveDate}`);
 
     if (!supabaseClient) {
         console.error("API Error: Supabase client not available.");
@@ -745,7 +1477,8 @@ export async function addStudentToSchedule(studentId, scheduleId) {
         // Call the RPC function (assuming it exists and takes these parameters)
         const { data, error } = await supabaseClient.rpc(targetRpc, {
             p_student_id: studentId,
-            p_schedule_id: scheduleId
+            p_schedule_id: scheduleId,
+            p_effective_date: effectiveDate
         });
 
         if (error) {
@@ -818,6 +1551,682 @@ export async function setStudentActiveStatus(studentId, isActive) {
     }
 }
 
+/**
+ * Applies a reviewed student CSV import in one transaction (admins only).
+ * @param {Array<object>} students - Rows to save: { id (null for new), Name, class_name, groupOf, sub_group, availability }.
+ *                                   Every row saved is set active.
+ * @param {Array<number>} deactivateIds - IDs of existing students to set inactive.
+ * @returns {Promise<object>} { success: boolean, inserted?, updated?, deactivated?, message? }
+ */
+export async function importStudents(students, deactivateIds = []) {
+    console.log(`API: Importing students - Rows: ${students?.length || 0}, Deactivate: ${deactivateIds?.length || 0}`);
+    if (!supabaseClient) { console.error("API Error: Supabase client not available."); return { success: false, message: "Client not available." }; }
+    if (appState.isTestMode) {
+        // students is shared between modes, so a test import would change the real roster
+        return { success: false, message: "Student import is disabled in test mode." };
+    }
+    if (!Array.isArray(students) || !Array.isArray(deactivateIds)) return { success: false, message: "Students and deactivate IDs must be arrays." };
+    if (students.length === 0 && deactivateIds.length === 0) return { success: false, message: "Nothing to import." };
+
+    try {
+        const { data, error } = await supabaseClient.rpc('import_students', {
+            p_students: students,
+            p_deactivate_ids: deactivateIds
+        });
+        if (error) throw error;
+        console.log("API: Student import applied:", data);
+        return { success: true, inserted: data?.inserted || 0, updated: data?.updated || 0, deactivated: data?.deactivated || 0 };
+    } catch (error) {
+        console.error("API Error importing students:", error);
+        return { success: false, message: error.message };
+    }
+}
+
+/**
+ * Fetches every distinct lesson day/start time from lesson_schedule (all coaches), used as the availability grid rows.
+ * @returns {Promise<Array<{day_of_week: string, start_time: string}>|null>} Distinct slots (start_time as HH:MM), or null on error.
+ */
+export async function fetchLessonTimes() {
+    console.log("API: Fetching lesson times...");
+    if (!supabaseClient) { console.error("API Error: Supabase client not available."); return null; }
+    try {
+        const { data, error } = await supabaseClient
+            .from('lesson_schedule')
+            .select('day_of_week, start_time');
+        if (error) throw error;
+        const seen = new Set();
+        return (data || [])
+            .map(row => ({ day_of_week: row.day_of_week, start_time: (row.start_time || '').substring(0, 5) }))
+            .filter(row => {
+                const key = `${row.day_of_week}|${row.start_time}`;
+                if (!row.day_of_week || !row.start_time || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+    } catch (error) {
+        console.error("API Error fetching lesson times:", error.message);
+        return null;
+    }
+}
+
+/**
+ * Saves availability slots for one or more students (admins only). The legacy availability text is regenerated from them.
+ * @param {Array<number>} studentIds - Students to update (e.g. one student, or everyone in a class).
+ * @param {object} slots - Canonical slots, e.g. { Monday: ["10:00", "13:20"] }.
+ * @returns {Promise<object>} { success: boolean, availability?: string|null, message?: string }
+ */
+export async function saveStudentAvailability(studentIds, slots) {
+    console.log(`API: Saving availability for ${studentIds?.length || 0} student(s).`);
+    if (!supabaseClient) { console.error("API Error: Supabase client not available."); return { success: false, message: "Client not available." }; }
+    if (appState.isTestMode) {
+        // students is shared between modes, so a test edit would change real availability
+        return { success: false, message: "Availability editing is disabled in test mode." };
+    }
+    if (!Array.isArray(studentIds) || studentIds.length === 0) return { success: false, message: "At least one student is required." };
+    if (!slots || typeof slots !== 'object') return { success: false, message: "Availability is required." };
+
+    try {
+        const { data, error } = await supabaseClient.rpc('set_student_availability', {
+            p_student_ids: studentIds,
+            p_slots: slots
+        });
+        if (error) throw error;
+        return { success: true, availability: data };
+    } catch (error) {
+        console.error("API Error saving student availability:", error);
+        return { success: false, message: error.message };
+    }
+}
+
+
+/**
+ * Fetches a student's parent/guardian contact details. Only admins and the office can read them.
+ * @param {number} studentId - The student's ID.
+ * @returns {Promise<object|null>} { guardian_name, guardian_email, guardian_phone, guardian_notify } (all empty when
+ *   none are stored), or null on error.
+ */
+export async function fetchGuardianContact(studentId) {
+    console.log(`API: Fetching guardian contact for student ${studentId}.`);
+    if (!supabaseClient) { console.error("API Error: Supabase client not available."); return null; }
+    try {
+        const { data, error } = await supabaseClient
+            .from('student_guardian_contacts')
+            .select('guardian_name, guardian_email, guardian_phone, guardian_notify')
+            .eq('student_id', studentId)
+            .maybeSingle();
+        if (error) throw error;
+        return data || { guardian_name: null, guardian_email: null, guardian_phone: null, guardian_notify: true };
+    } catch (error) {
+        console.error("API Error fetching guardian contact:", error.message);
+        return null;
+    }
+}
+
+/**
+ * Saves a student's parent/guardian contact details (admins and the office, via the set_guardian_contact RPC).
+ * @param {number} studentId - The student's ID.
+ * @param {object} contact - { guardian_name, guardian_email, guardian_phone, guardian_notify }. Blank values clear the field.
+ * @returns {Promise<object>} { success: boolean, message?: string }
+ */
+export async function saveGuardianContact(studentId, contact) {
+    console.log(`API: Saving guardian contact for student ${studentId}.`);
+    if (!supabaseClient) { console.error("API Error: Supabase client not available."); return { success: false, message: "Client not available." }; }
+    if (appState.isTestMode) {
+        // students is shared between modes, so a test edit would change the real contact details
+        return { success: false, message: "Guardian details can't be edited in test mode." };
+    }
+    if (!studentId || !contact) return { success: false, message: "Student and contact details are required." };
+
+    try {
+        const { error } = await supabaseClient.rpc('set_guardian_contact', {
+            p_student_id: studentId,
+            p_guardian_name: contact.guardian_name || null,
+            p_guardian_email: contact.guardian_email || null,
+            p_guardian_phone: contact.guardian_phone || null,
+            p_guardian_notify: contact.guardian_notify !== false
+        });
+        if (error) throw error;
+        return { success: true };
+    } catch (error) {
+        console.error("API Error saving guardian contact:", error.message);
+        return { success: false, message: error.message };
+    }
+}
+
+/**
+ * Fetches the guardian notification rules (admins and the office).
+ * @returns {Promise<Array<object>|null>} Rules ordered by name, or null on error.
+ */
+export async function fetchNotificationRules() {
+    console.log("API: Fetching notification rules...");
+    if (!supabaseClient) { console.error("API Error: Supabase client not available."); return null; }
+    try {
+        const { data, error } = await supabaseClient
+            .from('notification_rules')
+            .select('id, name, trigger_type, absence_reason, threshold, subject_template, body_template, is_active')
+            .order('name', { ascending: true });
+        if (error) throw error;
+        return data || [];
+    } catch (error) {
+        console.error("API Error fetching notification rules:", error.message);
+        return null;
+    }
+}
+
+/**
+ * Creates or updates a notification rule.
+ * @param {object} rule - { id?, name, trigger_type, absence_reason, threshold, subject_template, body_template, is_active }.
+ *   trigger_type 'absence_reason' needs absence_reason; 'absences_in_term' needs a threshold of at least 1.
+ * @returns {Promise<object>} { success: boolean, message?: string }
+ */
+export async function saveNotificationRule(rule) {
+    const isUpdate = rule?.id !== undefined && rule?.id !== null;
+    console.log(`API: ${isUpdate ? 'Updating' : 'Creating'} notification rule:`, rule);
+    if (!supabaseClient) { console.error("API Error: Supabase client not available."); return { success: false, message: "Client not available." }; }
+    const name = (rule?.name || '').trim();
+    if (!name || !rule.subject_template?.trim() || !rule.body_template?.trim()) {
+        return { success: false, message: "Rule name, subject and message are required." };
+    }
+    const isReasonRule = rule.trigger_type === 'absence_reason';
+    if (isReasonRule && !rule.absence_reason) return { success: false, message: "Choose the absence reason that triggers the rule." };
+    if (!isReasonRule && !(parseInt(rule.threshold) >= 1)) return { success: false, message: "The absence count must be at least 1." };
+
+    try {
+        const values = {
+            name,
+            trigger_type: isReasonRule ? 'absence_reason' : 'absences_in_term',
+            absence_reason: isReasonRule ? rule.absence_reason : null,
+            threshold: isReasonRule ? null : parseInt(rule.threshold),
+            subject_template: rule.subject_template.trim(),
+            body_template: rule.body_template.trim(),
+            is_active: rule.is_active !== false
+        };
+        const { error } = isUpdate
+            ? await supabaseClient.from('notification_rules').update(values).eq('id', rule.id)
+            : await supabaseClient.from('notification_rules').insert(values);
+        if (error) throw error;
+        return { success: true };
+    } catch (error) {
+        console.error("API Error saving notification rule:", error.message);
+        return { success: false, message: error.message };
+    }
+}
+
+/**
+ * Deletes a notification rule. Messages it already queued keep their content.
+ * @param {number} ruleId - The rule's ID.
+ * @returns {Promise<object>} { success: boolean, message?: string }
+ */
+export async function deleteNotificationRule(ruleId) {
+    console.log(`API: Deleting notification rule ${ruleId}`);
+    if (!supabaseClient) { console.error("API Error: Supabase client not available."); return { success: false, message: "Client not available." }; }
+    try {
+        const { error } = await supabaseClient.from('notification_rules').delete().eq('id', ruleId);
+        if (error) throw error;
+        return { success: true };
+    } catch (error) {
+        console.error("API Error deleting notification rule:", error.message);
+        return { success: false, message: error.message };
+    }
+}
+
+/**
+ * Fetches the most recent outbound notifications for the current mode (test-mode messages are kept apart).
+ * @param {number} [limit=50] - How many messages to return, newest first.
+ * @returns {Promise<Array<object>|null>} Messages with the student's name, or null on error.
+ */
+export async function fetchNotificationQueue(limit = 50) {
+    console.log("API: Fetching notification queue...");
+    if (!supabaseClient) { console.error("API Error: Supabase client not available."); return null; }
+    try {
+        const { data, error } = await supabaseClient
+            .from('notification_queue')
+            .select('id, recipient, subject, body, source, status, attempts, last_error, created_at, sent_at, students ( Name ), notification_rules ( name )')
+            .eq('is_test', appState.isTestMode)
+            .order('created_at', { ascending: false })
+            .limit(limit);
+        if (error) throw error;
+        return data || [];
+    } catch (error) {
+        console.error("API Error fetching notification queue:", error.message);
+        return null;
+    }
+}
+
+/**
+ * Puts a failed notification back in the queue with a fresh set of attempts.
+ * @param {number} notificationId - The queue row's ID.
+ * @returns {Promise<object>} { success: boolean, message?: string }
+ */
+export async function requeueNotification(notificationId) {
+    console.log(`API: Re-queueing notification ${notificationId}`);
+    if (!supabaseClient) { console.error("API Error: Supabase client not available."); return { success: false, message: "Client not available." }; }
+    try {
+        const { error } = await supabaseClient
+            .from('notification_queue')
+            .update({ status: 'queued', attempts: 0, last_error: null })
+            .eq('id', notificationId)
+            .eq('status', 'failed');
+        if (error) throw error;
+        return { success: true };
+    } catch (error) {
+        console.error("API Error re-queueing notification:", error.message);
+        return { success: false, message: error.message };
+    }
+}
+
+/**
+ * Delivers queued notifications now via the send-notifications edge function.
+ * @returns {Promise<object>} { success: boolean, summary?: { transport, sent, retrying, failed }, message?: string }
+ */
+export async function sendQueuedNotifications() {
+    console.log("API: Invoking send-notifications...");
+    if (!supabaseClient) { console.error("API Error: Supabase client not available."); return { success: false, message: "Client not available." }; }
+    try {
+        const { data, error } = await supabaseClient.functions.invoke('send-notifications', { body: {} });
+        if (error) throw error;
+        if (data?.error) throw new Error(data.error);
+        console.log("API: send-notifications result:", data);
+        return { success: true, summary: data };
+    } catch (error) {
+        console.error("API Error invoking send-notifications:", error.message);
+        return { success: false, message: error.message };
+    }
+}
+
+/**
+ * Fetches every login with its role and linked coach (admins only, via the list_app_users RPC).
+ * @returns {Promise<Array<object>|null>} [{ user_id, email, role, coach_id, last_sign_in_at }] or null on error.
+ */
+export async function fetchAppUsers() {
+    console.log("API: Fetching app users...");
+    if (!supabaseClient) { console.error("API Error: Supabase client not available."); return null; }
+    try {
+        const { data, error } = await supabaseClient.rpc('list_app_users');
+        if (error) throw error;
+        return data || [];
+    } catch (error) {
+        console.error("API Error fetching app users:", error.message);
+        return null;
+    }
+}
+
+/**
+ * Sets a login's role and linked coach (admins only, via the set_app_user_role RPC).
+ * Takes effect at the user's next sign-in or token refresh.
+ * @param {string} userId - The auth user ID.
+ * @param {string} role - 'coach' | 'head_coach' | 'office' | 'admin'.
+ * @param {number|null} coachId - The coaches row the login belongs to (required for coaches).
+ * @returns {Promise<object>} { success: boolean, message?: string }
+ */
+export async function setAppUserRole(userId, role, coachId) {
+    console.log(`API: Setting role of user ${userId} to ${role} (coach ${coachId ?? 'none'}).`);
+    if (!supabaseClient) { console.error("API Error: Supabase client not available."); return { success: false, message: "Client not available." }; }
+    if (!userId || !role) return { success: false, message: "User and role are required." };
+    try {
+        const { error } = await supabaseClient.rpc('set_app_user_role', {
+            p_user_id: userId,
+            p_role: role,
+            p_coach_id: coachId ?? null
+        });
+        if (error) throw error;
+        return { success: true };
+    } catch (error) {
+        console.error("API Error setting user role:", error.message);
+        return { success: false, message: error.message };
+    }
+}
+
+/**
+ * Fetches leave requests for the current mode, newest first.
+ * @param {object} [filters={}] - Optional filters.
+ * @param {number} [filters.coachId] - Only this coach's requests.
+ * @param {Array<string>} [filters.statuses] - Only requests in these statuses (e.g. ['pending']).
+ * @param {number} [filters.limit=50] - Maximum number of requests.
+ * @returns {Promise<Array<object>|null>} Requests, or null on error.
+ */
+export async function fetchLeaveRequests(filters = {}) {
+    console.log(`API: Fetching ${appState.isTestMode ? 'test' : 'live'} leave requests with filters:`, filters);
+    if (!supabaseClient) { console.error("API Error: Supabase client not available."); return null; }
+    try {
+        let query = supabaseClient
+            .from('coach_leave_requests')
+            .select('id, coach_id, start_date, end_date, reason, status, requested_at, reviewed_at, review_note, block_id')
+            .eq('is_test', appState.isTestMode)
+            .order('requested_at', { ascending: false })
+            .limit(filters.limit || 50);
+        if (filters.coachId) query = query.eq('coach_id', filters.coachId);
+        if (Array.isArray(filters.statuses) && filters.statuses.length > 0) query = query.in('status', filters.statuses);
+
+        const { data, error } = await query;
+        if (error) throw error;
+        return data || [];
+    } catch (error) {
+        console.error("API Error fetching leave requests:", error.message);
+        return null;
+    }
+}
+
+/**
+ * Files a leave request for a coach (pending until reviewed).
+ * @param {number} coachId - The coach taking leave.
+ * @param {string} startDate - First day of leave (YYYY-MM-DD).
+ * @param {string|null} endDate - Last day of leave (inclusive), or null for a single day.
+ * @param {string|null} reason - Optional reason.
+ * @returns {Promise<object>} { success: boolean, requestId?: number, message?: string }
+ */
+export async function submitLeaveRequest(coachId, startDate, endDate, reason) {
+    const targetRpc = appState.isTestMode ? 'submit_leave_request_test' : 'submit_leave_request';
+    console.log(`API: Calling RPC ${targetRpc} - Coach: ${coachId}, ${startDate} to ${endDate || startDate}`);
+    if (!supabaseClient) { console.error("API Error: Supabase client not available."); return { success: false, message: "Client not available." }; }
+    if (!coachId || !startDate) return { success: false, message: "Coach and start date are required." };
+    if (endDate && endDate < startDate) return { success: false, message: "Leave end date cannot be before its start date." };
+    try {
+        const { data, error } = await supabaseClient.rpc(targetRpc, {
+            p_coach_id: coachId,
+            p_start_date: startDate,
+            p_end_date: endDate || null,
+            p_reason: reason || null
+        });
+        if (error) throw error;
+        return { success: true, requestId: data };
+    } catch (error) {
+        console.error(`API Error calling RPC ${targetRpc}:`, error.message);
+        return { success: false, message: error.message };
+    }
+}
+
+/**
+ * Withdraws a pending leave request.
+ * @param {number} requestId - The request's ID.
+ * @returns {Promise<object>} { success: boolean, message?: string }
+ */
+export async function cancelLeaveRequest(requestId) {
+    console.log(`API: Cancelling leave request ${requestId}.`);
+    if (!supabaseClient) { console.error("API Error: Supabase client not available."); return { success: false, message: "Client not available." }; }
+    try {
+        const { error } = await supabaseClient.rpc('cancel_leave_request', { p_request_id: requestId });
+        if (error) throw error;
+        return { success: true };
+    } catch (error) {
+        console.error("API Error cancelling leave request:", error.message);
+        return { success: false, message: error.message };
+    }
+}
+
+/**
+ * Approves or rejects a pending leave request. Approval creates the Coach Unavailable block for its dates.
+ * @param {number} requestId - The request's ID.
+ * @param {boolean} approve - True to approve, false to reject.
+ * @param {string|null} note - Optional note for the coach.
+ * @returns {Promise<object>} { success: boolean, marked?: number, message?: string }
+ */
+export async function reviewLeaveRequest(requestId, approve, note) {
+    console.log(`API: ${approve ? 'Approving' : 'Rejecting'} leave request ${requestId}.`);
+    if (!supabaseClient) { console.error("API Error: Supabase client not available."); return { success: false, message: "Client not available." }; }
+    try {
+        const { data, error } = await supabaseClient.rpc('review_leave_request', {
+            p_request_id: requestId,
+            p_approve: approve,
+            p_note: note || null
+        });
+        if (error) throw error;
+        return { success: true, marked: data ?? 0 };
+    } catch (error) {
+        console.error("API Error reviewing leave request:", error.message);
+        return { success: false, message: error.message };
+    }
+}
+
+
+/**
+ * Fetches the substitute coach assignments for the current mode between two dates (inclusive).
+ * Each row carries its slot so a substitute's schedule can show the borrowed lessons.
+ * @param {string} startDate - First date (YYYY-MM-DD).
+ * @param {string} [endDate=startDate] - Last date (YYYY-MM-DD).
+ * @returns {Promise<Array<object>|null>} [{ id, lesson_schedule_id, lesson_date, substitute_coach_id,
+ *   lesson_schedule: { id, coach_id, day_of_week, start_time, capacity, scheduled_students: [{ student_id, start_date, end_date }] } }]
+ *   or null on error.
+ */
+export async function fetchSubstitutionsForDateRange(startDate, endDate = startDate) {
+    console.log(`API: Fetching ${appState.isTestMode ? 'test' : 'live'} substitutions from ${startDate} to ${endDate}...`);
+    if (!supabaseClient) { console.error("API Error: Supabase client not available."); return null; }
+    if (!startDate) { console.error("API Error: A start date is required to fetch substitutions."); return null; }
+    const cacheKey = `substitutions:${appState.isTestMode ? 'test' : 'live'}:${startDate}:${endDate}`;
+    try {
+        const { data, error } = await supabaseClient
+            .from('slot_substitutions')
+            .select('id, lesson_schedule_id, lesson_date, substitute_coach_id, lesson_schedule ( id, coach_id, day_of_week, start_time, capacity, scheduled_students ( student_id, start_date, end_date ) )')
+            .eq('is_test', appState.isTestMode)
+            .gte('lesson_date', startDate)
+            .lte('lesson_date', endDate)
+            .order('lesson_date');
+        if (error) throw error;
+        _cacheFetched(cacheKey, data || []);
+        return data || [];
+    } catch (error) {
+        console.error("API Error fetching substitutions:", error.message);
+        return _readCacheOnNetworkError(cacheKey, error);
+    }
+}
+
+/**
+ * Hands slots to a substitute coach for one date. Absences that the slot coach's Coach Unavailable block
+ * marked on those slots are cleared, since the lessons now go ahead.
+ * @param {Array<number>} scheduleIds - lesson_schedule IDs (all on the weekday of lessonDate).
+ * @param {string} lessonDate - The date being covered (YYYY-MM-DD).
+ * @param {number} substituteCoachId - The covering coach.
+ * @returns {Promise<object>} { success: boolean, restored?: number, message?: string }
+ */
+export async function assignSubstituteCoach(scheduleIds, lessonDate, substituteCoachId) {
+    const targetRpc = appState.isTestMode ? 'assign_substitute_coach_test' : 'assign_substitute_coach';
+    console.log(`API: Calling RPC ${targetRpc} - Slots: ${scheduleIds}, Date: ${lessonDate}, Substitute: ${substituteCoachId}`);
+    if (!supabaseClient) { console.error("API Error: Supabase client not available."); return { success: false, message: "Client not available." }; }
+    if (!Array.isArray(scheduleIds) || scheduleIds.length === 0 || !lessonDate || !substituteCoachId) {
+        return { success: false, message: "Slots, a date and a substitute coach are required." };
+    }
+    try {
+        const { data, error } = await supabaseClient.rpc(targetRpc, {
+            p_lesson_schedule_ids: scheduleIds,
+            p_lesson_date: lessonDate,
+            p_substitute_coach_id: substituteCoachId
+        });
+        if (error) throw error;
+        return { success: true, restored: data ?? 0 };
+    } catch (error) {
+        console.error(`API Error calling RPC ${targetRpc}:`, error.message);
+        return { success: false, message: error.message };
+    }
+}
+
+/**
+ * Hands a substituted slot back to its own coach. If that coach is still blocked that day, the slot's
+ * students are marked absent again.
+ * @param {number} substitutionId - The slot_substitutions row ID.
+ * @returns {Promise<object>} { success: boolean, marked?: number, message?: string }
+ */
+export async function removeSubstituteCoach(substitutionId) {
+    console.log(`API: Removing substitution ${substitutionId}.`);
+    if (!supabaseClient) { console.error("API Error: Supabase client not available."); return { success: false, message: "Client not available." }; }
+    try {
+        const { data, error } = await supabaseClient.rpc('remove_substitute_coach', { p_substitution_id: substitutionId });
+        if (error) throw error;
+        return { success: true, marked: data ?? 0 };
+    } catch (error) {
+        console.error("API Error removing substitution:", error.message);
+        return { success: false, message: error.message };
+    }
+}
+
+/**
+ * Fetches make-up bookings for the current mode, soonest make-up first.
+ * @param {object} [filters={}] - Optional filters.
+ * @param {number} [filters.studentId] - Only this student's bookings.
+ * @param {string} [filters.fromDate] - With toDate: only bookings whose missed or make-up date falls in the range.
+ * @param {string} [filters.toDate] - Last date of that range (YYYY-MM-DD).
+ * @param {number} [filters.limit=200] - Maximum number of bookings.
+ * @returns {Promise<Array<object>|null>} [{ id, student_id, missed_schedule_id, missed_date, makeup_schedule_id,
+ *   makeup_date, status, lesson_log_id, booked_at }] or null on error.
+ */
+export async function fetchMakeupBookings(filters = {}) {
+    console.log(`API: Fetching ${appState.isTestMode ? 'test' : 'live'} make-up bookings with filters:`, filters);
+    if (!supabaseClient) { console.error("API Error: Supabase client not available."); return null; }
+    const cacheKey = `makeups:${appState.isTestMode ? 'test' : 'live'}:${filters.studentId || ''}:${filters.fromDate || ''}:${filters.toDate || ''}`;
+    try {
+        let query = supabaseClient
+            .from('makeup_bookings')
+            .select('id, student_id, missed_schedule_id, missed_date, makeup_schedule_id, makeup_date, status, lesson_log_id, booked_at')
+            .eq('is_test', appState.isTestMode)
+            .order('makeup_date', { ascending: true })
+            .limit(filters.limit || 200);
+        if (filters.studentId) query = query.eq('student_id', filters.studentId);
+        if (filters.fromDate && filters.toDate) {
+            query = query.or(`and(missed_date.gte.${filters.fromDate},missed_date.lte.${filters.toDate}),and(makeup_date.gte.${filters.fromDate},makeup_date.lte.${filters.toDate})`);
+        }
+
+        const { data, error } = await query;
+        if (error) throw error;
+        _cacheFetched(cacheKey, data || []);
+        return data || [];
+    } catch (error) {
+        console.error("API Error fetching make-up bookings:", error.message);
+        return _readCacheOnNetworkError(cacheKey, error);
+    }
+}
+
+/**
+ * Books a make-up lesson for an absence and reserves the seat (as a fill-in on the make-up slot and date).
+ * @param {number} studentId - The absent student.
+ * @param {number} missedScheduleId - The slot they missed.
+ * @param {string} missedDate - The date they missed (YYYY-MM-DD).
+ * @param {number} makeupScheduleId - The slot to book.
+ * @param {string} makeupDate - The date of the make-up (YYYY-MM-DD).
+ * @returns {Promise<object>} { success: boolean, bookingId?: number, message?: string }
+ */
+export async function bookMakeupLesson(studentId, missedScheduleId, missedDate, makeupScheduleId, makeupDate) {
+    const targetRpc = appState.isTestMode ? 'book_makeup_lesson_test' : 'book_makeup_lesson';
+    console.log(`API: Calling RPC ${targetRpc} - Student: ${studentId}, missed ${missedScheduleId} on ${missedDate}, make-up ${makeupScheduleId} on ${makeupDate}`);
+    if (!supabaseClient) { console.error("API Error: Supabase client not available."); return { success: false, message: "Client not available." }; }
+    if (!studentId || !missedScheduleId || !missedDate || !makeupScheduleId || !makeupDate) {
+        return { success: false, message: "The missed lesson and the make-up slot are required." };
+    }
+    try {
+        const { data, error } = await supabaseClient.rpc(targetRpc, {
+            p_student_id: studentId,
+            p_missed_schedule_id: missedScheduleId,
+            p_missed_date: missedDate,
+            p_makeup_schedule_id: makeupScheduleId,
+            p_makeup_date: makeupDate
+        });
+        if (error) throw error;
+        return { success: true, bookingId: data };
+    } catch (error) {
+        console.error(`API Error calling RPC ${targetRpc}:`, error.message);
+        return { success: false, message: error.message };
+    }
+}
+
+/**
+ * Cancels a booked make-up lesson and frees its seat.
+ * @param {number} bookingId - The booking's ID.
+ * @returns {Promise<object>} { success: boolean, message?: string }
+ */
+export async function cancelMakeupBooking(bookingId) {
+    console.log(`API: Cancelling make-up booking ${bookingId}.`);
+    if (!supabaseClient) { console.error("API Error: Supabase client not available."); return { success: false, message: "Client not available." }; }
+    try {
+        const { error } = await supabaseClient.rpc('cancel_makeup_booking', { p_booking_id: bookingId });
+        if (error) throw error;
+        return { success: true };
+    } catch (error) {
+        console.error("API Error cancelling make-up booking:", error.message);
+        return { success: false, message: error.message };
+    }
+}
+
+/**
+ * Fetches every slot waitlist entry, longest waiting first. Waitlists are shared by live and test mode, like rosters.
+ * @returns {Promise<Array<object>|null>} [{ id, lesson_schedule_id, student_id, note, added_at }] or null on error.
+ */
+export async function fetchSlotWaitlist() {
+    console.log("API: Fetching slot waitlists...");
+    if (!supabaseClient) { console.error("API Error: Supabase client not available."); return null; }
+    try {
+        const { data, error } = await supabaseClient
+            .from('slot_waitlist')
+            .select('id, lesson_schedule_id, student_id, note, added_at')
+            .order('added_at', { ascending: true });
+        if (error) throw error;
+        _cacheFetched('slotWaitlist', data || []);
+        return data || [];
+    } catch (error) {
+        console.error("API Error fetching slot waitlists:", error.message);
+        return _readCacheOnNetworkError('slotWaitlist', error);
+    }
+}
+
+/**
+ * Adds a student to a slot's waitlist.
+ * @param {number} studentId - The student.
+ * @param {number} scheduleId - The slot they want.
+ * @param {string} [note] - Optional note (e.g. "Until end of term").
+ * @returns {Promise<object>} { success: boolean, message?: string }
+ */
+export async function addToSlotWaitlist(studentId, scheduleId, note = null) {
+    console.log(`API: Adding student ${studentId} to the waitlist for slot ${scheduleId}`);
+    if (!supabaseClient) { console.error("API Error: Supabase client not available."); return { success: false, message: "Client not available." }; }
+    if (!studentId || !scheduleId) return { success: false, message: "Student ID and Schedule ID are required." };
+    try {
+        const { error } = await supabaseClient
+            .from('slot_waitlist')
+            .insert({ student_id: studentId, lesson_schedule_id: scheduleId, note: note?.trim() || null });
+        if (error) {
+            if (error.code === '23505') return { success: false, message: "Student is already on this slot's waitlist." };
+            throw error;
+        }
+        return { success: true };
+    } catch (error) {
+        console.error("API Error adding to slot waitlist:", error.message);
+        return { success: false, message: error.message };
+    }
+}
+
+/**
+ * Removes an entry from a slot waitlist.
+ * @param {number} waitlistId - The waitlist entry's ID.
+ * @returns {Promise<object>} { success: boolean, message?: string }
+ */
+export async function removeFromSlotWaitlist(waitlistId) {
+    console.log(`API: Removing waitlist entry ${waitlistId}`);
+    if (!supabaseClient) { console.error("API Error: Supabase client not available."); return { success: false, message: "Client not available." }; }
+    try {
+        const { error } = await supabaseClient.from('slot_waitlist').delete().eq('id', waitlistId);
+        if (error) throw error;
+        return { success: true };
+    } catch (error) {
+        console.error("API Error removing from slot waitlist:", error.message);
+        return { success: false, message: error.message };
+    }
+}
+
+/**
+ * Moves a waitlisted student onto the slot's roster. Fails if the slot has no free seat from that date.
+ * @param {number} waitlistId - The waitlist entry's ID.
+ * @param {string} [effectiveDate=today] - The first date they are in the slot (YYYY-MM-DD).
+ * @returns {Promise<object>} { success: boolean, message?: string }
+ */
+export async function promoteWaitlistedStudent(waitlistId, effectiveDate = getTodaysDateUTC()) {
+    console.log(`API: Promoting waitlist entry ${waitlistId} to the roster from ${effectiveDate}`);
+    if (!supabaseClient) { console.error("API Error: Supabase client not available."); return { success: false, message: "Client not available." }; }
+    try {
+        const { error } = await supabaseClient.rpc('promote_waitlisted_student', { p_waitlist_id: waitlistId, p_effective_date: effectiveDate });
+        if (error) throw error;
+        return { success: true };
+    } catch (error) {
+        console.error("API Error promoting waitlisted student:", error.message);
+        return { success: false, message: error.message };
+    }
+}
 
 // --- Add a ready flag ---
 export const isReady = true;
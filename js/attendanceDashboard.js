@@ -0,0 +1,376 @@
+// js/attendanceDashboard.js
+// Handles the admin attendance analytics dashboard: attendance rates by student, class, coach, weekday and time slot,
+// absence reasons, term-over-term comparison and drill-down into the logs behind each number (ES Module).
+// Logged lessons are the source: a marked absence counts once the lesson it belongs to has been logged.
+
+// --- Import Dependencies ---
+import { appState } from './state.js';
+import { fetchAttendanceLogs, getTodaysDateUTC } from './api.js';
+import { escapeHtml, formatDate } from './utils.js';
+import { setStatusText } from './ui.js';
+
+// --- Constants ---
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// How each grouping keys and labels a log. `order` sorts groups naturally (otherwise lowest attendance first).
+const GROUPINGS = {
+    student: {
+        label: 'Student',
+        key: log => log.student_id,
+        name: log => log.students?.Name || `Student ${log.student_id}`
+    },
+    class: {
+        label: 'Class',
+        key: log => log.students?.class_name || '',
+        name: log => log.students?.class_name || 'No class'
+    },
+    coach: {
+        label: 'Coach',
+        key: log => log.coach_id,
+        name: log => log.coaches?.Name || `Coach ${log.coach_id}`
+    },
+    weekday: {
+        label: 'Weekday',
+        key: log => _logWeekday(log),
+        name: log => _logWeekday(log),
+        order: (a, b) => WEEKDAYS.indexOf(a.key) - WEEKDAYS.indexOf(b.key)
+    },
+    slot: {
+        label: 'Time slot',
+        key: log => log.lesson_schedule?.start_time?.substring(0, 5) || 'Ad-hoc',
+        name: log => log.lesson_schedule?.start_time?.substring(0, 5) || 'Ad-hoc',
+        order: (a, b) => (a.key === 'Ad-hoc') - (b.key === 'Ad-hoc') || a.key.localeCompare(b.key)
+    }
+};
+
+// --- Module Variables ---
+let termSelect = null;
+let compareSelect = null;
+let loadButton = null;
+let statusP = null;
+let summaryDiv = null;
+let groupTabs = null;
+let groupTableDiv = null;
+let reasonsDiv = null;
+let drilldownDiv = null;
+
+let currentGrouping = 'student';
+let loaded = null; // { term, compareTerm, logs, compareLogs } for the last load
+
+// --- Helper Functions ---
+
+/** The lesson's weekday: the slot's day, or the log date's weekday for ad-hoc logs. */
+function _logWeekday(log) {
+    if (log.lesson_schedule?.day_of_week) return log.lesson_schedule.day_of_week;
+    return WEEKDAYS[(new Date(log.log_date).getUTCDay() + 6) % 7];
+}
+
+function _termLabel(term) {
+    return term ? `Term ${term.term_number} (${formatDate(term.start_date)} - ${formatDate(term.end_date)})` : '';
+}
+
+function _formatRate(rate) {
+    return rate === null ? '-' : `${Math.round(rate * 100)}%`;
+}
+
+/** Sets the status text next to the Load button. */
+function _setStatus(message, type = 'info') {
+    setStatusText(statusP, message, type, 'text-xs');
+}
+
+/**
+ * Counts attendance in a set of logs. Only Present and Absent entries count towards the rate.
+ * @returns {object} { lessons, present, absent, fillIns, rate }
+ */
+function _countAttendance(logs) {
+    const present = logs.filter(log => log.attendance_status === 'Present').length;
+    const absent = logs.filter(log => log.attendance_status === 'Absent').length;
+    return {
+        lessons: logs.length,
+        present,
+        absent,
+        fillIns: logs.filter(log => log.is_fill_in).length,
+        rate: present + absent > 0 ? present / (present + absent) : null
+    };
+}
+
+/**
+ * Groups logs by one of the GROUPINGS and counts attendance in each group.
+ * @returns {Map<any, object>} key -> { key, name, logs, ...counts }
+ */
+function _groupAttendance(logs, groupingId) {
+    const grouping = GROUPINGS[groupingId];
+    const groups = new Map();
+    logs.forEach(log => {
+        const key = grouping.key(log);
+        if (!groups.has(key)) groups.set(key, { key, name: grouping.name(log), logs: [] });
+        groups.get(key).logs.push(log);
+    });
+    groups.forEach(group => Object.assign(group, _countAttendance(group.logs)));
+    return groups;
+}
+
+/** Groups absent logs by reason. */
+function _groupAbsenceReasons(logs) {
+    const reasons = new Map();
+    logs.filter(log => log.attendance_status === 'Absent').forEach(log => {
+        const reason = log.absence_reason || 'No reason given';
+        if (!reasons.has(reason)) reasons.set(reason, []);
+        reasons.get(reason).push(log);
+    });
+    return reasons;
+}
+
+/** Shows the change between two rates, coloured by direction. */
+function _rateChangeHtml(rate, compareRate) {
+    if (rate === null || compareRate === null || compareRate === undefined) return '-';
+    const points = Math.round((rate - compareRate) * 100);
+    if (points === 0) return '<span class="text-gray-500 dark:text-gray-400">0</span>';
+    const colour = points > 0 ? 'text-green-700 dark:text-green-300' : 'text-red-700 dark:text-red-300';
+    return `<span class="${colour}">${points > 0 ? '+' : ''}${points} pts</span>`;
+}
+
+/** Finds the term containing today, or else the latest term that has started. */
+function _defaultTermIndex(terms) {
+    const today = getTodaysDateUTC();
+    const current = terms.findIndex(term => term.start_date <= today && term.end_date >= today);
+    if (current !== -1) return current;
+    let latestStarted = -1;
+    terms.forEach((term, index) => { if (term.start_date <= today) latestStarted = index; });
+    return latestStarted !== -1 ? latestStarted : terms.length - 1;
+}
+
+// --- Rendering ---
+
+function _renderSummary() {
+    if (!summaryDiv || !loaded) return;
+    const counts = _countAttendance(loaded.logs);
+    const compareCounts = loaded.compareLogs ? _countAttendance(loaded.compareLogs) : null;
+    const card = (label, value, compareValue) => `
+        <div class="p-2 rounded border border-purple-200 dark:border-purple-600 bg-white dark:bg-gray-800">
+            <p class="text-[11px] uppercase tracking-wide text-gray-500 dark:text-gray-400">${label}</p>
+            <p class="text-lg font-semibold text-gray-800 dark:text-gray-100">${value}</p>
+            ${compareValue !== undefined ? `<p class="text-[11px] text-gray-500 dark:text-gray-400">was ${compareValue}</p>` : ''}
+        </div>`;
+    summaryDiv.innerHTML = `
+        <div class="grid grid-cols-2 sm:grid-cols-4 gap-2">
+            ${card('Attendance', _formatRate(counts.rate), compareCounts ? _formatRate(compareCounts.rate) : undefined)}
+            ${card('Log entries', counts.lessons, compareCounts ? compareCounts.lessons : undefined)}
+            ${card('Absences', counts.absent, compareCounts ? compareCounts.absent : undefined)}
+            ${card('Fill-in lessons', counts.fillIns, compareCounts ? compareCounts.fillIns : undefined)}
+        </div>`;
+}
+
+function _renderGroupTable() {
+    if (!groupTableDiv || !loaded) return;
+    groupTabs?.querySelectorAll('button[data-group]').forEach(button => {
+        const isActive = button.dataset.group === currentGrouping;
+        button.className = `text-xs font-semibold py-1 px-2 rounded ${isActive ? 'bg-purple-500 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300 dark:bg-gray-600 dark:text-gray-200 dark:hover:bg-gray-500'}`;
+    });
+
+    const grouping = GROUPINGS[currentGrouping];
+    const groups = [..._groupAttendance(loaded.logs, currentGrouping).values()];
+    const compareGroups = loaded.compareLogs ? _groupAttendance(loaded.compareLogs, currentGrouping) : null;
+    groups.sort(grouping.order || ((a, b) => (a.rate ?? 2) - (b.rate ?? 2) || b.lessons - a.lessons || String(a.name).localeCompare(String(b.name))));
+
+    if (groups.length === 0) {
+        groupTableDiv.innerHTML = '<p class="text-gray-500 dark:text-gray-400 italic">No lessons logged in this term.</p>';
+        return;
+    }
+    const compareHeader = compareGroups ? '<th class="pr-3 font-medium">Compared</th><th class="font-medium">Change</th>' : '';
+    groupTableDiv.innerHTML = `
+        <table class="w-full text-xs text-left text-gray-700 dark:text-gray-200">
+            <thead><tr class="text-gray-500 dark:text-gray-400">
+                <th class="pr-3 font-medium">${grouping.label}</th><th class="pr-3 font-medium">Lessons</th><th class="pr-3 font-medium">Present</th>
+                <th class="pr-3 font-medium">Absent</th><th class="pr-3 font-medium">Attendance</th>${compareHeader}
+            </tr></thead>
+            <tbody>
+                ${groups.map((group, index) => {
+                    const compareRate = compareGroups?.get(group.key)?.rate ?? null;
+                    return `
+                    <tr data-group-index="${index}" class="border-b border-gray-200 dark:border-gray-600 last:border-b-0 cursor-pointer hover:bg-purple-100 dark:hover:bg-gray-700" title="Show the logs behind this row">
+                        <td class="py-1 pr-3">${escapeHtml(group.name)}</td>
+                        <td class="py-1 pr-3">${group.lessons}</td>
+                        <td class="py-1 pr-3">${group.present}</td>
+                        <td class="py-1 pr-3">${group.absent}</td>
+                        <td class="py-1 pr-3 font-semibold">${_formatRate(group.rate)}</td>
+                        ${compareGroups ? `<td class="py-1 pr-3">${_formatRate(compareRate)}</td><td class="py-1">${_rateChangeHtml(group.rate, compareRate)}</td>` : ''}
+                    </tr>`;
+                }).join('')}
+            </tbody>
+        </table>`;
+    groupTableDiv.querySelectorAll('tr[data-group-index]').forEach(row => {
+        const group = groups[parseInt(row.dataset.groupIndex)];
+        row.addEventListener('click', () => _renderDrilldown(`${grouping.label}: ${group.name}`, group.logs, compareGroups?.get(group.key)?.logs || null));
+    });
+}
+
+function _renderReasons() {
+    if (!reasonsDiv || !loaded) return;
+    const reasons = [..._groupAbsenceReasons(loaded.logs).entries()].sort((a, b) => b[1].length - a[1].length);
+    const compareReasons = loaded.compareLogs ? _groupAbsenceReasons(loaded.compareLogs) : null;
+    // Reasons seen only in the compared term still get a row
+    compareReasons?.forEach((logs, reason) => { if (!reasons.some(([r]) => r === reason)) reasons.push([reason, []]); });
+    const totalAbsent = reasons.reduce((sum, [, logs]) => sum + logs.length, 0);
+    const compareTotal = compareReasons ? [...compareReasons.values()].reduce((sum, logs) => sum + logs.length, 0) : 0;
+
+    if (reasons.length === 0) {
+        reasonsDiv.innerHTML = '<p class="text-gray-500 dark:text-gray-400 italic">No absences logged.</p>';
+        return;
+    }
+    reasonsDiv.innerHTML = `
+        <table class="w-full text-xs text-left text-gray-700 dark:text-gray-200">
+            <thead><tr class="text-gray-500 dark:text-gray-400">
+                <th class="pr-3 font-medium">Reason</th><th class="pr-3 font-medium">Absences</th><th class="pr-3 font-medium">Share</th>
+                ${compareReasons ? '<th class="pr-3 font-medium">Compared</th><th class="font-medium">Share</th>' : ''}
+            </tr></thead>
+            <tbody>
+                ${reasons.map(([reason, logs], index) => {
+                    const compareCount = compareReasons?.get(reason)?.length || 0;
+                    const share = totalAbsent > 0 ? logs.length / totalAbsent : null;
+                    const compareShare = compareTotal > 0 ? compareCount / compareTotal : null;
+                    return `
+                    <tr data-reason-index="${index}" class="border-b border-gray-200 dark:border-gray-600 last:border-b-0 cursor-pointer hover:bg-purple-100 dark:hover:bg-gray-700" title="Show the logs behind this row">
+                        <td class="py-1 pr-3">${escapeHtml(reason)}</td>
+                        <td class="py-1 pr-3">${logs.length}</td>
+                        <td class="py-1 pr-3">${_formatRate(share)}</td>
+                        ${compareReasons ? `<td class="py-1 pr-3">${compareCount}</td><td class="py-1">${_formatRate(compareShare)}</td>` : ''}
+                    </tr>`;
+                }).join('')}
+            </tbody>
+        </table>`;
+    reasonsDiv.querySelectorAll('tr[data-reason-index]').forEach(row => {
+        const [reason, logs] = reasons[parseInt(row.dataset.reasonIndex)];
+        row.addEventListener('click', () => _renderDrilldown(`Absence reason: ${reason}`, logs, compareReasons?.get(reason) || null));
+    });
+}
+
+/** Lists the logs behind a number (and the compared term's, if any). */
+function _renderDrilldown(title, logs, compareLogs) {
+    if (!drilldownDiv) return;
+    const logList = (heading, entries) => `
+        <p class="font-medium text-gray-700 dark:text-gray-200 mt-2 mb-1">${escapeHtml(heading)} (${entries.length} entr${entries.length === 1 ? 'y' : 'ies'})</p>
+        ${entries.length === 0 ? '<p class="italic text-gray-500 dark:text-gray-400">None.</p>' : `
+        <div class="max-h-64 overflow-y-auto">
+            <table class="w-full text-xs text-left text-gray-700 dark:text-gray-200">
+                <thead><tr class="text-gray-500 dark:text-gray-400"><th class="pr-3 font-medium">Date</th><th class="pr-3 font-medium">Slot</th><th class="pr-3 font-medium">Student</th><th class="pr-3 font-medium">Coach</th><th class="pr-3 font-medium">Status</th><th class="font-medium">Reason</th></tr></thead>
+                <tbody>
+                    ${entries.map(log => `
+                        <tr class="border-b border-gray-200 dark:border-gray-600 last:border-b-0">
+                            <td class="py-1 pr-3 whitespace-nowrap">${formatDate(log.log_date)}</td>
+                            <td class="py-1 pr-3 whitespace-nowrap">${escapeHtml(_logWeekday(log))} ${log.lesson_schedule?.start_time?.substring(0, 5) || '(ad-hoc)'}</td>
+                            <td class="py-1 pr-3">${escapeHtml(log.students?.Name || `Student ${log.student_id}`)}</td>
+                            <td class="py-1 pr-3">${escapeHtml(log.coaches?.Name || '')}</td>
+                            <td class="py-1 pr-3">${escapeHtml(log.attendance_status || 'Logged')}${log.is_fill_in ? ' (fill-in)' : ''}</td>
+                            <td class="py-1">${escapeHtml(log.absence_reason || '')}</td>
+                        </tr>`).join('')}
+                </tbody>
+            </table>
+        </div>`}`;
+
+    drilldownDiv.innerHTML = `
+        <div class="flex justify-between items-center">
+            <p class="font-semibold text-purple-800 dark:text-purple-200">${escapeHtml(title)}</p>
+            <button type="button" data-action="close-drilldown" class="text-xs text-gray-600 dark:text-gray-400 hover:underline">Close</button>
+        </div>
+        ${logList(_termLabel(loaded.term), logs)}
+        ${compareLogs ? logList(_termLabel(loaded.compareTerm), compareLogs) : ''}`;
+    drilldownDiv.querySelector('[data-action="close-drilldown"]').addEventListener('click', () => drilldownDiv.classList.add('hidden'));
+    drilldownDiv.classList.remove('hidden');
+    drilldownDiv.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+function _renderAll() {
+    _renderSummary();
+    _renderGroupTable();
+    _renderReasons();
+}
+
+// --- Event Handlers ---
+
+/** Loads the chosen term's logs (and the compared term's) and renders the dashboard. */
+async function handleLoadAttendance() {
+    const terms = appState.termDates || [];
+    const term = terms[parseInt(termSelect.value)];
+    const compareTerm = compareSelect.value !== '' ? terms[parseInt(compareSelect.value)] : null;
+    if (!term) {
+        _setStatus('Choose a term first.', 'error');
+        return;
+    }
+
+    loadButton.disabled = true;
+    _setStatus('Loading logs...');
+    const [logs, compareLogs] = await Promise.all([
+        fetchAttendanceLogs(term.start_date, term.end_date),
+        compareTerm ? fetchAttendanceLogs(compareTerm.start_date, compareTerm.end_date) : Promise.resolve(null)
+    ]);
+    loadButton.disabled = false;
+    if (logs === null || (compareTerm && compareLogs === null)) {
+        _setStatus('Error: Could not load the logs.', 'error');
+        return;
+    }
+
+    loaded = { term, compareTerm, logs, compareLogs: compareTerm ? compareLogs : null };
+    _setStatus(`Loaded ${logs.length} log entries${compareTerm ? ` (and ${compareLogs.length} to compare)` : ''}${appState.isTestMode ? ' from test data' : ''}.`, 'success');
+    drilldownDiv?.classList.add('hidden');
+    _renderAll();
+}
+
+/** Switches the grouping of the attendance table (delegated). */
+function handleGroupTabClick(event) {
+    const button = event.target.closest('button[data-group]');
+    if (!button || !GROUPINGS[button.dataset.group]) return;
+    currentGrouping = button.dataset.group;
+    _renderGroupTable();
+}
+
+// --- Exported Functions ---
+
+/**
+ * Fills the term and comparison selectors from appState.termDates. Called on init and when terms change.
+ */
+export function refreshAttendanceTermOptions() {
+    if (!termSelect || !compareSelect) return;
+    const terms = appState.termDates || [];
+    const options = terms.map((term, index) => `<option value="${index}">${_termLabel(term)}</option>`).join('');
+    termSelect.innerHTML = terms.length > 0 ? options : '<option value="">No terms set up</option>';
+    compareSelect.innerHTML = `<option value="">No comparison</option>${options}`;
+    if (terms.length === 0) return;
+
+    const termIndex = _defaultTermIndex(terms);
+    termSelect.value = String(termIndex);
+    compareSelect.value = termIndex > 0 ? String(termIndex - 1) : '';
+}
+
+/**
+ * Initializes the attendance analytics dashboard. Called from initAdminControls once data is available.
+ */
+export function initAttendanceDashboard() {
+    termSelect = document.getElementById('attendance-term-select');
+    compareSelect = document.getElementById('attendance-compare-select');
+    loadButton = document.getElementById('attendance-load-btn');
+    statusP = document.getElementById('attendance-status');
+    summaryDiv = document.getElementById('attendance-summary');
+    groupTabs = document.getElementById('attendance-group-tabs');
+    groupTableDiv = document.getElementById('attendance-group-table');
+    reasonsDiv = document.getElementById('attendance-reasons');
+    drilldownDiv = document.getElementById('attendance-drilldown');
+
+    if (!termSelect || !compareSelect || !loadButton || !groupTabs || !groupTableDiv) {
+        console.warn("AttendanceDashboard Init Warning: Dashboard elements not found.");
+        return;
+    }
+
+    loadButton.removeEventListener('click', handleLoadAttendance);
+    loadButton.addEventListener('click', handleLoadAttendance);
+    groupTabs.removeEventListener('click', handleGroupTabClick);
+    groupTabs.addEventListener('click', handleGroupTabClick);
+
+    refreshAttendanceTermOptions();
+    console.log("AttendanceDashboard: Initialized.");
+}
+
+// --- Add a ready flag ---
+export const isReady = true;
+
+console.log("Attendance Dashboard module (attendanceDashboard.js) loaded.");
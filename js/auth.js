@@ -6,6 +6,7 @@ import { supabaseClient } from './supabaseClient.js';
 import { appState } from './state.js'; // <--- Import from state.js
 import { refreshDataForMode } from './main.js'; // Keep this import for now if needed elsewhere, or pass if required
 import { loadInitialAppData } from './api.js';
+import { replayOutbox, clearOfflineCache, getPendingOutboxEntries, refreshOutboxIndicator } from './offline.js';
 import {
     showLoginScreen, showAppContent, showPasswordResetForm, displayError as uiDisplayError,
     clearError as uiClearError, showLoading as uiShowLoading, hideLoading as uiHideLoading,
@@ -14,7 +15,9 @@ import {
     updateTestModeButton // ***** IMPORT updateTestModeButton *****
 } from './ui.js';
 import { calculateCurrentTermAndWeek } from './utils.js';
+import { can } from './permissions.js';
 import { populateCoachSelector, refreshCurrentCoachSchedule } from './coachSelect.js';
+import { updateDateNavigatorUI } from './dateNavigator.js';
 import { populateAdminCoachSelector, initAdminControls } from './admin.js';
 import { setupRealtimeSubscription, cleanupRealtimeSubscription } from './realtime.js';
 // Import the isReady flags from modules that export them
@@ -81,12 +84,6 @@ async function waitForModules(moduleNames, timeout = 7000) {
 
 // --- Other Helper Functions ---
 
-/** Checks if the user object indicates admin privileges. */
-function checkIfAdmin(user) {
-    // Use the consistent role check
-    return user?.app_metadata?.role === 'admin';
-}
-
 /** Attaches the logout button listener. */
 function attachLogoutListener() {
     const logoutButton = document.getElementById('logout-button');
@@ -102,6 +99,10 @@ function attachLogoutListener() {
 /** Wrapper function to call handleLogout when the button is clicked. */
 function handleLogoutClick() {
     console.log("Auth: Logout button clicked.");
+    const pendingCount = getPendingOutboxEntries().length;
+    if (pendingCount > 0 && !confirm(`${pendingCount} change${pendingCount === 1 ? " hasn't" : "s haven't"} synced yet. They'll be sent when you next sign in on this device. Log out anyway?`)) {
+        return;
+    }
     handleLogout();
 }
 
@@ -169,7 +170,7 @@ export async function handleLogin(event) {
 
         if (data && data.user) {
             console.log("Auth: Login successful!", data.user);
-            appState.setCurrentUser(data.user); // Set user and isAdmin flag
+            appState.setCurrentUser(data.user); // Set user, role and isAdmin flag
 
             // --- Post-Login Setup ---
             console.log("Auth: Loading initial app data after login...");
@@ -185,20 +186,23 @@ export async function handleLogin(event) {
 
             appState.setInitialData(initialData);
             console.log("Auth: Initial app data loaded and set in state.");
+            refreshOutboxIndicator(); // Each user has their own outbox
+            replayOutbox(); // Send anything queued while offline
 
             // Populate UI elements
             populateCoachSelector(appState.coachesData);
-            if (appState.isAdmin) {
+            if (can('useAdminTools')) {
                 populateAdminCoachSelector(appState.coachesData);
-                initAdminControls(); // Ensure admin controls are initialized if user is admin
+                initAdminControls(); // Ensure admin controls are initialized for roles with admin tools
             }
-            displayAdminIndicator(appState.isAdmin);
-            displayAdminToggleButton(appState.isAdmin);
+            displayAdminIndicator(appState.role);
+            displayAdminToggleButton(can('useAdminTools'));
 
             // Term/Week Info
             const today = new Date();
             const termInfo = calculateCurrentTermAndWeek(today, appState.termDates);
             displayCurrentDateInfo(today, termInfo);
+            updateDateNavigatorUI(); // Term dates are now loaded, so the week picker can list term weeks
 
             // ***** FIX: Set initial Test Mode button style *****
             updateTestModeButton(appState.isTestMode);
@@ -263,6 +267,8 @@ export async function handleLogout() {
         appState.updateCurrentCoachId(null);
         appState.isTestMode = false; // Reset test mode on logout
         appState.initialDataLoaded = false;
+        clearOfflineCache(); // Queued changes stay in this user's outbox until they sign in again
+        refreshOutboxIndicator();
 
         // Reset UI
         showLoginScreen();
@@ -313,7 +319,7 @@ export async function checkInitialAuthState() {
 
         if (session) {
             console.log("Auth: Active session found.", session.user);
-            appState.setCurrentUser(session.user); // Set user and isAdmin flag
+            appState.setCurrentUser(session.user); // Set user, role and isAdmin flag
 
             console.log("Auth: Loading initial app data for active session...");
             const initialData = await loadInitialAppData();
@@ -328,20 +334,23 @@ export async function checkInitialAuthState() {
 
             appState.setInitialData(initialData);
             console.log("Auth: Initial app data loaded and set in state for active session.");
+            refreshOutboxIndicator(); // Each user has their own outbox
+            replayOutbox(); // Send anything queued while offline
 
             // Populate UI
             populateCoachSelector(appState.coachesData);
-             if (appState.isAdmin) {
+            if (can('useAdminTools')) {
                 populateAdminCoachSelector(appState.coachesData);
-                initAdminControls(); // Ensure admin controls are initialized if user is admin
+                initAdminControls(); // Ensure admin controls are initialized for roles with admin tools
             }
-            displayAdminIndicator(appState.isAdmin);
-            displayAdminToggleButton(appState.isAdmin);
+            displayAdminIndicator(appState.role);
+            displayAdminToggleButton(can('useAdminTools'));
 
             // Term/Week Info
             const today = new Date();
             const termInfo = calculateCurrentTermAndWeek(today, appState.termDates);
             displayCurrentDateInfo(today, termInfo);
+            updateDateNavigatorUI(); // Term dates are now loaded, so the week picker can list term weeks
 
             // ***** FIX: Set initial Test Mode button style *****
             updateTestModeButton(appState.isTestMode);
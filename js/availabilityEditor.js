@@ -0,0 +1,151 @@
+// js/availabilityEditor.js
+// Weekly availability grid editor used by the student profile and class view modals (ES Module).
+// Reads and writes the canonical availability slots format (see getStudentAvailabilitySlots in utils.js).
+
+// --- Import Dependencies ---
+import { fetchLessonTimes } from './api.js';
+import { AVAILABILITY_DAYS, normalizeAvailabilitySlots, parseTime, formatTime } from './utils.js';
+
+// --- Module Variables ---
+let lessonTimesPromise = null; // Lesson day/times are fetched once and shared by every grid
+const extraTimesByContainer = new WeakMap(); // Times added with "Add time" that aren't lesson times yet
+const initializedContainers = new WeakSet();
+
+const WEEKDAYS = AVAILABILITY_DAYS.slice(0, 5);
+
+// --- Helper Functions ---
+
+/** Returns the lesson day/times, fetching them on first use. An empty list is used if the fetch fails. */
+async function _getLessonTimes() {
+    if (!lessonTimesPromise) {
+        lessonTimesPromise = fetchLessonTimes().then(rows => {
+            if (rows === null) {
+                lessonTimesPromise = null; // Try again next time
+                return [];
+            }
+            return rows;
+        });
+    }
+    return lessonTimesPromise;
+}
+
+/** Renders the grid table and the add-time controls into the container. */
+function _renderGrid(container, slots, lessonTimes) {
+    const normalized = normalizeAvailabilitySlots(slots);
+    const extraTimes = extraTimesByContainer.get(container) || new Set();
+    const lessonSlotKeys = new Set(lessonTimes.map(row => `${row.day_of_week}|${row.start_time}`));
+
+    // Weekdays always; weekend columns only when something uses them
+    const usedDays = new Set([...Object.keys(normalized), ...lessonTimes.map(row => row.day_of_week)]);
+    const days = AVAILABILITY_DAYS.filter(day => WEEKDAYS.includes(day) || usedDays.has(day));
+    const times = [...new Set([
+        ...lessonTimes.map(row => row.start_time),
+        ...Object.values(normalized).flat(),
+        ...extraTimes
+    ])].sort();
+
+    const headerCells = days.map(day => `
+        <th class="px-1 py-1 font-medium">
+            <button type="button" data-toggle-day="${day}" title="Toggle all of ${day}" class="hover:underline focus:outline-none">${day.substring(0, 3)}</button>
+        </th>`).join('');
+
+    const bodyRows = times.map(time => {
+        const cells = days.map(day => {
+            const checked = normalized[day]?.includes(time) ? 'checked' : '';
+            const isLessonSlot = lessonSlotKeys.has(`${day}|${time}`);
+            return `
+                <td class="px-1 py-0.5 text-center ${isLessonSlot ? 'bg-indigo-50 dark:bg-indigo-900/30' : ''}">
+                    <input type="checkbox" class="availability-cell rounded border-gray-300 dark:border-gray-500 text-indigo-600 focus:ring-indigo-500"
+                           data-day="${day}" data-time="${time}" ${checked}
+                           title="${day} ${time}${isLessonSlot ? ' (lesson slot)' : ''}">
+                </td>`;
+        }).join('');
+        return `
+            <tr class="border-t border-gray-100 dark:border-gray-700">
+                <th class="px-1 py-0.5 text-left font-medium">
+                    <button type="button" data-toggle-time="${time}" title="Toggle ${time} on every day" class="hover:underline focus:outline-none">${time}</button>
+                </th>
+                ${cells}
+            </tr>`;
+    }).join('');
+
+    container.innerHTML = `
+        <div class="overflow-x-auto">
+            <table class="text-xs text-gray-700 dark:text-gray-300">
+                <thead><tr><th class="px-1 py-1"></th>${headerCells}</tr></thead>
+                <tbody>${bodyRows || `<tr><td colspan="${days.length + 1}" class="italic text-gray-500 dark:text-gray-400 py-2">No lesson times found. Add a time below.</td></tr>`}</tbody>
+            </table>
+        </div>
+        <div class="flex items-center gap-2 mt-2 text-xs">
+            <input type="time" class="availability-add-time text-xs border-gray-300 dark:border-gray-500 dark:bg-gray-600 dark:text-gray-100 rounded-md shadow-sm p-1">
+            <button type="button" data-action="add-time" class="bg-gray-300 hover:bg-gray-400 text-gray-800 dark:bg-gray-600 dark:hover:bg-gray-500 dark:text-gray-100 font-semibold py-1 px-2 rounded">Add time</button>
+            <span class="text-gray-500 dark:text-gray-400">Shaded cells are lesson slots.</span>
+        </div>
+    `;
+}
+
+/** Handles column/row toggles and "Add time" clicks inside a grid (delegated). */
+function _handleGridClick(event) {
+    const container = event.currentTarget;
+    const target = event.target.closest('button');
+    if (!target) return;
+
+    if (target.dataset.toggleDay || target.dataset.toggleTime) {
+        const selector = target.dataset.toggleDay
+            ? `.availability-cell[data-day="${target.dataset.toggleDay}"]`
+            : `.availability-cell[data-time="${target.dataset.toggleTime}"]`;
+        const cells = [...container.querySelectorAll(selector)];
+        const checkAll = cells.some(cell => !cell.checked);
+        cells.forEach(cell => { cell.checked = checkAll; });
+        return;
+    }
+
+    if (target.dataset.action === 'add-time') {
+        const input = container.querySelector('.availability-add-time');
+        const time = formatTime(parseTime(input?.value || ''));
+        if (!time) return;
+        const extraTimes = extraTimesByContainer.get(container) || new Set();
+        extraTimes.add(time);
+        extraTimesByContainer.set(container, extraTimes);
+        const currentSlots = readAvailabilityGrid(container);
+        _getLessonTimes().then(lessonTimes => _renderGrid(container, currentSlots, lessonTimes));
+    }
+}
+
+// --- Exported Functions ---
+
+/**
+ * Renders the availability grid into a container.
+ * Rows are every lesson start time (plus any times the slots already use); columns are weekdays.
+ * @param {HTMLElement} container - Element to render into.
+ * @param {object} slots - Canonical slots to start from.
+ */
+export async function renderAvailabilityGrid(container, slots) {
+    if (!container) return;
+    container.innerHTML = '<p class="text-xs italic text-gray-500 dark:text-gray-400">Loading lesson times...</p>';
+    extraTimesByContainer.delete(container);
+    if (!initializedContainers.has(container)) {
+        container.addEventListener('click', _handleGridClick);
+        initializedContainers.add(container);
+    }
+    const lessonTimes = await _getLessonTimes();
+    _renderGrid(container, slots, lessonTimes);
+}
+
+/**
+ * Reads the ticked cells of a rendered grid.
+ * @param {HTMLElement} container - The grid container.
+ * @returns {object} Canonical slots.
+ */
+export function readAvailabilityGrid(container) {
+    const slots = {};
+    container?.querySelectorAll('.availability-cell:checked').forEach(cell => {
+        (slots[cell.dataset.day] = slots[cell.dataset.day] || []).push(cell.dataset.time);
+    });
+    return normalizeAvailabilitySlots(slots);
+}
+
+// --- Add a ready flag ---
+export const isReady = true;
+
+console.log("Availability Editor module (availabilityEditor.js) loaded.");
@@ -0,0 +1,355 @@
+// js/blockManager.js
+// Handles the admin daily block list: filtering, editing and deleting existing blocks (ES Module).
+
+// --- Import Dependencies ---
+import { appState } from './state.js';
+import { fetchDailyBlocks, updateDailyBlock, deleteDailyBlock, getTodaysDateUTC } from './api.js';
+import { addDaysToDateString, getBlockOccurrenceDates } from './utils.js';
+import { refreshCurrentCoachSchedule } from './coachSelect.js';
+import { can } from './permissions.js';
+import { setStatusText } from './ui.js';
+
+// --- Module Variables ---
+let blockListContainer = null;
+let blockListPeriodSelect = null;
+let blockListTypeSelect = null;
+let blockListCoachSelect = null;
+let blockListClassSelect = null;
+let blockListRefreshBtn = null;
+let blockListStatusP = null;
+
+let loadedBlocks = []; // Rows from the last fetch (before coach/class filtering)
+
+const BLOCK_TYPES = ['Public Holiday', 'Year Level Absence', 'Class Absence', 'Coach Unavailable', 'Other'];
+const REPEAT_DAY_OPTIONS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
+const INPUT_CLASSES = 'block w-full text-xs border-gray-300 dark:border-gray-500 dark:bg-gray-600 dark:text-gray-100 rounded-md shadow-sm p-1 focus:ring-indigo-500 focus:border-indigo-500';
+
+// --- Helper Functions ---
+
+/** Formats a YYYY-MM-DD string as DD/MM/YYYY. */
+function _formatBlockDate(dateString) {
+    if (!dateString) return 'N/A';
+    const [year, month, day] = dateString.split('-');
+    return `${day}/${month}/${year}`;
+}
+
+/** Describes when a block applies, e.g. "03/03/2026 to 28/03/2026 (Fridays, 4 days)". */
+function _describeBlockDates(block) {
+    if (!block.end_date || block.end_date === block.block_date) {
+        return _formatBlockDate(block.block_date);
+    }
+    const dayCount = getBlockOccurrenceDates(block.block_date, block.end_date, block.repeat_days).length;
+    const repeatText = Array.isArray(block.repeat_days) && block.repeat_days.length > 0
+        ? `${block.repeat_days.map(day => `${day}s`).join(', ')}, `
+        : '';
+    return `${_formatBlockDate(block.block_date)} to ${_formatBlockDate(block.end_date)} (${repeatText}${dayCount} day${dayCount === 1 ? '' : 's'})`;
+}
+
+/** Resolves a block's identifier to display text (coach names for 'Coach Unavailable'). */
+function _describeBlockIdentifier(block) {
+    if (!block.identifier) return '';
+    if (block.block_type === 'Coach Unavailable') {
+        const coach = appState.coachesData?.find(c => c.id === parseInt(block.identifier));
+        return coach ? `${coach.Name} (ID ${block.identifier})` : `Coach ID ${block.identifier}`;
+    }
+    return block.identifier;
+}
+
+/** Checks a block against the coach and class filters. */
+function _blockMatchesFilters(block, coachId, className) {
+    if (coachId && !(block.block_type === 'Coach Unavailable' && parseInt(block.identifier) === coachId)) {
+        return false;
+    }
+    if (className) {
+        const identifier = block.identifier || '';
+        const matchesClass = (block.block_type === 'Class Absence' && identifier === className)
+            || (block.block_type === 'Year Level Absence' && identifier && className.startsWith(identifier));
+        if (!matchesClass) return false;
+    }
+    return true;
+}
+
+/** Sets the status text under the block list filters. */
+function _setBlockListStatus(message, type = 'info') {
+    setStatusText(blockListStatusP, message, type, 'text-xs ml-3');
+}
+
+/** Populates the coach and class filter dropdowns from appState, keeping the current selections. */
+function _populateBlockListFilters() {
+    if (blockListCoachSelect) {
+        const currentCoach = blockListCoachSelect.value;
+        blockListCoachSelect.innerHTML = '<option value="">All Coaches</option>';
+        (appState.coachesData || []).forEach(coach => {
+            const option = document.createElement('option');
+            option.value = coach.id;
+            option.textContent = coach.Name;
+            blockListCoachSelect.appendChild(option);
+        });
+        blockListCoachSelect.value = currentCoach;
+    }
+    if (blockListClassSelect) {
+        const currentClass = blockListClassSelect.value;
+        const classNames = [...new Set((appState.studentsData || []).map(s => s.class_name).filter(Boolean))].sort();
+        blockListClassSelect.innerHTML = '<option value="">All Classes</option>';
+        classNames.forEach(className => {
+            const option = document.createElement('option');
+            option.value = className;
+            option.textContent = className;
+            blockListClassSelect.appendChild(option);
+        });
+        blockListClassSelect.value = classNames.includes(currentClass) ? currentClass : '';
+    }
+}
+
+/** Renders one block row with Edit/Delete buttons. */
+function _renderBlockItem(block) {
+    const li = document.createElement('li');
+    li.className = 'daily-block-item border-b border-gray-200 dark:border-gray-600 pb-2 mb-2 last:border-b-0 last:mb-0';
+    li.dataset.blockId = block.id;
+
+    const identifierText = _describeBlockIdentifier(block);
+    li.innerHTML = `
+        <div class="flex justify-between items-start gap-2">
+            <div class="text-xs text-gray-800 dark:text-gray-200">
+                <div><strong class="block-type-text"></strong><span class="block-identifier-text"></span></div>
+                <div class="text-gray-600 dark:text-gray-400">${_describeBlockDates(block)}</div>
+                <div class="block-reason-text italic text-gray-500 dark:text-gray-400"></div>
+            </div>
+            <div class="flex-shrink-0 space-x-1">
+                <button type="button" data-action="edit" class="text-xs bg-indigo-500 hover:bg-indigo-600 text-white font-semibold py-0.5 px-1.5 rounded">Edit</button>
+                <button type="button" data-action="delete" class="text-xs bg-red-500 hover:bg-red-600 text-white font-semibold py-0.5 px-1.5 rounded">Delete</button>
+            </div>
+        </div>
+    `;
+    // Identifier and reason are free text, so set them as text rather than HTML
+    li.querySelector('.block-type-text').textContent = block.block_type;
+    if (identifierText) li.querySelector('.block-identifier-text').textContent = ` - ${identifierText}`;
+    if (block.reason) li.querySelector('.block-reason-text').textContent = block.reason;
+    return li;
+}
+
+/** Replaces a block row with an inline edit form. */
+function _renderBlockEditForm(li, block) {
+    const typeOptions = BLOCK_TYPES.map(type =>
+        `<option value="${type}" ${type === block.block_type ? 'selected' : ''}>${type}</option>`
+    ).join('');
+    const repeatCheckboxes = REPEAT_DAY_OPTIONS.map(day => `
+        <label class="inline-flex items-center gap-1">
+            <input type="checkbox" class="edit-block-repeat-day h-3.5 w-3.5" value="${day}" ${block.repeat_days?.includes(day) ? 'checked' : ''}> ${day.slice(0, 3)}
+        </label>
+    `).join('');
+
+    li.innerHTML = `
+        <form class="edit-block-form space-y-2 text-xs">
+            <div class="grid grid-cols-2 gap-2">
+                <label class="text-gray-700 dark:text-gray-300">Start Date*
+                    <input type="date" name="block_date" required value="${block.block_date}" class="${INPUT_CLASSES}">
+                </label>
+                <label class="text-gray-700 dark:text-gray-300">End Date
+                    <input type="date" name="end_date" value="${block.end_date || ''}" class="${INPUT_CLASSES}">
+                </label>
+                <label class="text-gray-700 dark:text-gray-300">Type*
+                    <select name="block_type" required class="${INPUT_CLASSES}">${typeOptions}</select>
+                </label>
+                <label class="text-gray-700 dark:text-gray-300">Identifier
+                    <input type="text" name="identifier" class="${INPUT_CLASSES}">
+                </label>
+            </div>
+            <div class="flex flex-wrap gap-2 text-gray-700 dark:text-gray-300">${repeatCheckboxes}</div>
+            <label class="block text-gray-700 dark:text-gray-300">Reason
+                <input type="text" name="reason" class="${INPUT_CLASSES}">
+            </label>
+            <div class="flex items-center gap-2">
+                <button type="submit" class="bg-emerald-500 hover:bg-emerald-600 text-white font-semibold py-0.5 px-2 rounded">Save</button>
+                <button type="button" data-action="cancel-edit" class="bg-gray-300 hover:bg-gray-400 text-gray-800 dark:bg-gray-600 dark:hover:bg-gray-500 dark:text-gray-100 font-semibold py-0.5 px-2 rounded">Cancel</button>
+                <p class="edit-block-error text-red-500 dark:text-red-400"></p>
+            </div>
+        </form>
+    `;
+    // Free-text fields are set as values rather than interpolated into the HTML
+    const form = li.querySelector('.edit-block-form');
+    form.elements.identifier.value = block.identifier || '';
+    form.elements.reason.value = block.reason || '';
+    form.addEventListener('submit', (event) => handleSaveBlockEdit(event, block));
+}
+
+/** Renders the loaded blocks that match the coach/class filters. */
+function _renderBlockList() {
+    if (!blockListContainer) return;
+    const coachId = blockListCoachSelect?.value ? parseInt(blockListCoachSelect.value) : null;
+    const className = blockListClassSelect?.value || null;
+    const blocks = loadedBlocks.filter(block => _blockMatchesFilters(block, coachId, className));
+
+    blockListContainer.innerHTML = '';
+    if (blocks.length === 0) {
+        blockListContainer.innerHTML = '<p class="text-gray-500 dark:text-gray-400 italic">No blocks match these filters.</p>';
+        return;
+    }
+    const list = document.createElement('ul');
+    blocks.forEach(block => list.appendChild(_renderBlockItem(block)));
+    blockListContainer.appendChild(list);
+}
+
+/**
+ * Refreshes the coach view if any of the blocks could affect the coach being viewed.
+ * 'Coach Unavailable' blocks only affect their coach; other block types can affect anyone.
+ * @param {...object} blocks - Block objects { block_type, identifier }.
+ */
+async function _refreshAffectedCoachView(...blocks) {
+    if (!appState.currentCoachId) return;
+    const affectsCoach = blocks.some(block =>
+        block.block_type !== 'Coach Unavailable' || parseInt(block.identifier) === appState.currentCoachId
+    );
+    if (!affectsCoach) return;
+    console.log("BlockManager: Refreshing current coach view to update schedule/missed logs...");
+    await refreshCurrentCoachSchedule();
+}
+
+// --- Event Handlers ---
+
+/** Handles Edit/Delete/Cancel clicks inside the block list (delegated). */
+async function handleBlockListClick(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    const li = button.closest('.daily-block-item');
+    const block = loadedBlocks.find(b => String(b.id) === li?.dataset.blockId);
+    if (!block) return;
+
+    switch (button.dataset.action) {
+        case 'edit':
+            _renderBlockEditForm(li, block);
+            break;
+        case 'cancel-edit':
+            li.replaceWith(_renderBlockItem(block));
+            break;
+        case 'delete':
+            await handleDeleteBlock(button, block);
+            break;
+    }
+}
+
+/** Deletes a block after confirmation, then refreshes the list and the affected coach view. */
+async function handleDeleteBlock(button, block) {
+    if (!confirm(`Delete this ${block.block_type} block (${_describeBlockDates(block)})?\nAbsences it marked will be cleared.`)) return;
+
+    button.disabled = true;
+    button.textContent = 'Deleting...';
+    const result = await deleteDailyBlock(block.id);
+    if (!result.success) {
+        console.error("BlockManager: Failed to delete block:", result.message);
+        _setBlockListStatus(`Error: ${result.message}`, 'error');
+        button.disabled = false;
+        button.textContent = 'Delete';
+        return;
+    }
+    _setBlockListStatus(`Block deleted. ${result.cleared} absence${result.cleared === 1 ? '' : 's'} cleared.`, 'success');
+    await refreshDailyBlockList();
+    await _refreshAffectedCoachView(block);
+}
+
+/** Saves the inline edit form for a block. */
+async function handleSaveBlockEdit(event, originalBlock) {
+    event.preventDefault();
+    const form = event.currentTarget;
+    const errorP = form.querySelector('.edit-block-error');
+    const submitBtn = form.querySelector('button[type="submit"]');
+    const updatedBlock = {
+        blockDate: form.elements.block_date.value,
+        endDate: form.elements.end_date.value || null,
+        repeatDays: Array.from(form.querySelectorAll('.edit-block-repeat-day:checked')).map(cb => cb.value),
+        blockType: form.elements.block_type.value,
+        identifier: form.elements.identifier.value.trim() || null,
+        reason: form.elements.reason.value.trim() || null
+    };
+    if (getBlockOccurrenceDates(updatedBlock.blockDate, updatedBlock.endDate, updatedBlock.repeatDays).length === 0) {
+        errorP.textContent = 'No dates in this range match the selected weekdays.';
+        return;
+    }
+
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Saving...';
+    errorP.textContent = '';
+    const result = await updateDailyBlock(originalBlock.id, updatedBlock);
+    if (!result.success) {
+        console.error("BlockManager: Failed to update block:", result.message);
+        errorP.textContent = `Error: ${result.message}`;
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Save';
+        return;
+    }
+    _setBlockListStatus('Block updated.', 'success');
+    await refreshDailyBlockList();
+    // Both the old and the new version may affect the coach being viewed
+    await _refreshAffectedCoachView(originalBlock, { block_type: updatedBlock.blockType, identifier: updatedBlock.identifier });
+}
+
+// --- Exported Functions ---
+
+/**
+ * Fetches blocks for the selected period and type, then renders them.
+ * Called on init, when filters change and after a block is created.
+ */
+export async function refreshDailyBlockList() {
+    if (!blockListContainer) return;
+    const period = blockListPeriodSelect?.value || 'upcoming';
+    const today = getTodaysDateUTC();
+    const filters = { blockType: blockListTypeSelect?.value || null };
+    if (period === 'upcoming') filters.fromDate = today;
+    if (period === 'past') filters.toDate = addDaysToDateString(today, -1);
+
+    _setBlockListStatus('Loading...');
+    const blocks = await fetchDailyBlocks(filters);
+    if (blocks === null) {
+        _setBlockListStatus('Error: Could not load blocks.', 'error');
+        return;
+    }
+
+    // Past blocks must also have finished; show the most recent first
+    loadedBlocks = period === 'past'
+        ? blocks.filter(block => (block.end_date || block.block_date) < today).reverse()
+        : blocks;
+    _setBlockListStatus(`${loadedBlocks.length} block${loadedBlocks.length === 1 ? '' : 's'} loaded.`);
+    _renderBlockList();
+}
+
+/**
+ * Initializes the block manager. Called from initAdminControls once admin data is available.
+ */
+export function initBlockManager() {
+    blockListContainer = document.getElementById('daily-block-list');
+    blockListPeriodSelect = document.getElementById('block-list-period');
+    blockListTypeSelect = document.getElementById('block-list-type');
+    blockListCoachSelect = document.getElementById('block-list-coach');
+    blockListClassSelect = document.getElementById('block-list-class');
+    blockListRefreshBtn = document.getElementById('block-list-refresh-btn');
+    blockListStatusP = document.getElementById('block-list-status');
+
+    if (!blockListContainer || !blockListPeriodSelect || !blockListTypeSelect || !blockListCoachSelect || !blockListClassSelect || !blockListRefreshBtn || !blockListStatusP) {
+        console.warn("BlockManager Init Warning: Block list elements not found.");
+        return;
+    }
+
+    _populateBlockListFilters();
+
+    // Period/type need a new fetch; coach/class filter the loaded rows
+    [blockListPeriodSelect, blockListTypeSelect].forEach(select => {
+        select.removeEventListener('change', refreshDailyBlockList);
+        select.addEventListener('change', refreshDailyBlockList);
+    });
+    [blockListCoachSelect, blockListClassSelect].forEach(select => {
+        select.removeEventListener('change', _renderBlockList);
+        select.addEventListener('change', _renderBlockList);
+    });
+    blockListRefreshBtn.removeEventListener('click', refreshDailyBlockList);
+    blockListRefreshBtn.addEventListener('click', refreshDailyBlockList);
+    blockListContainer.removeEventListener('click', handleBlockListClick);
+    blockListContainer.addEventListener('click', handleBlockListClick);
+
+    if (can('manageBlocks')) refreshDailyBlockList();
+    console.log("BlockManager: Initialized.");
+}
+
+// --- Add a ready flag ---
+export const isReady = true;
+
+console.log("Block Manager module (blockManager.js) loaded.");
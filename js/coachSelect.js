@@ -1,15 +1,55 @@
 // js/coachSelect.js
 // Handles the coach selection dropdown and fetching/displaying schedules (ES Module).
+// v8: Rosters follow the selected week; past missed logs use each date's roster and skip dates nobody was enrolled.
 
 // --- Import Dependencies ---
 import { appState } from './state.js'; // <--- Import from state.js
 import { refreshDataForMode } from './main.js'; // Import refreshDataForMode if needed, though it's usually called from main/auth
 // *** ADDED fetchPastMissedLogs to imports ***
-import { fetchScheduleData, getTodaysLoggedSlotIds, getTodaysStatuses, fetchPastMissedLogs } from './api.js';
+import { fetchScheduleData, getLoggedSlotIdsForDateRange, getStatusesForDateRange, fetchPastMissedLogs, fetchSubstitutionsForDateRange, fetchMakeupBookings, fetchSlotWaitlist } from './api.js';
+import { getWeekRange, applySubstitutionsToSchedule, getSlotSubstitution, getRosterOnDate } from './utils.js';
+import { can } from './permissions.js';
 import { displayCoachSchedule } from './schedule.js';
+import { refreshLeaveRequestSection } from './leaveRequests.js';
 // *** ADDED displayPastMissedLogsUI to imports ***
 import { hideAppSubsections, showLoading, hideLoading, displayError, displayPastMissedLogsUI } from './ui.js';
 
+// --- Helper Functions ---
+
+/**
+ * Drops past missed logs for lessons another coach covered as a substitute (they log those, and they are listed
+ * in that coach's missed logs). Lessons the viewed coach covered are kept.
+ * If the substitutions can't be fetched the list is returned unchanged.
+ */
+async function _dropCoveredMissedLogs(missedLogs, coachId) {
+    if (!Array.isArray(missedLogs) || missedLogs.length === 0) return missedLogs;
+    const dates = missedLogs.map(entry => entry.missed_date).filter(Boolean).sort();
+    if (dates.length === 0) return missedLogs;
+    const substitutions = await fetchSubstitutionsForDateRange(dates[0], dates[dates.length - 1]);
+    if (substitutions === null) return missedLogs;
+    return missedLogs.filter(entry => {
+        const substitution = getSlotSubstitution(substitutions, entry.schedule_id, entry.missed_date);
+        return !substitution || substitution.substitute_coach_id === coachId;
+    });
+}
+
+/**
+ * Sets each past missed log's students to the slot's roster on the missed date (the missed logs RPC lists the
+ * roster as it is now) and drops dates when nobody was enrolled, as there was no lesson to log.
+ * Logs for slots not in the coach's schedule data are left as they are.
+ */
+function _applyEnrolmentsToMissedLogs(missedLogs, scheduleData) {
+    if (!Array.isArray(missedLogs)) return missedLogs;
+    const slots = Object.values(scheduleData || {}).flat();
+    return missedLogs
+        .map(entry => {
+            const slot = slots.find(s => s.schedule_id === entry.schedule_id);
+            if (!slot?.enrolments) return entry;
+            return { ...entry, original_student_ids: getRosterOnDate(slot.enrolments, entry.missed_date) };
+        })
+        .filter(entry => !Array.isArray(entry.original_student_ids) || entry.original_student_ids.length > 0);
+}
+
 // --- Module Functions ---
 
 /**
@@ -39,6 +79,16 @@ export function populateCoachSelector(coaches, targetElementId = 'coach-select')
     coachSelectElement.innerHTML = '<option value="">-- Select a Coach --</option>';
     coaches.sort((a, b) => (a.Name || '').localeCompare(b.Name || ''));
 
+    // Coaches only see their own schedule
+    const restrictToOwnCoach = !can('viewAllCoaches');
+    if (restrictToOwnCoach) {
+        coaches = coaches.filter(coach => coach?.id === appState.linkedCoachId);
+        if (coaches.length === 0) {
+            coachSelectElement.innerHTML = '<option value="">Your login is not linked to a coach yet. Ask an admin.</option>';
+        }
+    }
+    coachSelectElement.disabled = restrictToOwnCoach;
+
     coaches.forEach(coach => {
         if (coach && typeof coach.id !== 'undefined' && coach.Name) {
             const option = document.createElement('option');
@@ -51,6 +101,11 @@ export function populateCoachSelector(coaches, targetElementId = 'coach-select')
     });
 
     coachSelectElement.value = '';
+    if (restrictToOwnCoach && coaches.length === 1) {
+        coachSelectElement.value = String(coaches[0].id);
+        // Load the coach's own schedule straight away (a refresh of the current coach reloads it elsewhere)
+        if (appState.currentCoachId !== coaches[0].id) handleCoachSelectionChange({ target: coachSelectElement });
+    }
     console.log("CoachSelect: Finished adding options. coachSelectElement.options.length:", coachSelectElement.options.length);
     console.log("CoachSelect: coachSelectElement.innerHTML (sample):", coachSelectElement.innerHTML.substring(0, 150));
     console.log("CoachSelect: Coach selector populated.");
@@ -83,6 +138,7 @@ export async function handleCoachSelectionChange(event) {
 
     // Use appState imported from state.js
     appState.updateCurrentCoachId(selectedCoachId); // This also clears pastMissedLogs in state
+    refreshLeaveRequestSection();
 
     if (!selectedCoachId) {
         console.log("CoachSelect: No coach selected. Clearing schedule display.");
@@ -100,26 +156,35 @@ export async function handleCoachSelectionChange(event) {
     hideAppSubsections();
 
     try {
-        console.log("CoachSelect: Fetching schedule, logged IDs, and past missed logs...");
-
-        // *** Fetch schedule, logged slots, AND past missed logs concurrently ***
-        const [scheduleData, todaysLoggedIds, pastMissedLogsData] = await Promise.all([
-            fetchScheduleData(selectedCoachId),
-            getTodaysLoggedSlotIds(selectedCoachId), // Respects test mode internally
-            fetchPastMissedLogs(selectedCoachId) // Fetch past missed logs
+        console.log("CoachSelect: Fetching schedule, statuses, logged IDs, and past missed logs...");
+        const weekRange = getWeekRange(appState.selectedDate);
+
+        // *** Fetch schedule, statuses, logged slots, AND past missed logs concurrently ***
+        const [scheduleData, weekStatuses, todaysLoggedIds, pastMissedLogsData, substitutions, makeupBookings, slotWaitlist] = await Promise.all([
+            fetchScheduleData(selectedCoachId, appState.selectedDate),
+            getStatusesForDateRange(weekRange.startDate, weekRange.endDate), // Statuses for the selected week
+            getLoggedSlotIdsForDateRange(selectedCoachId, weekRange.startDate, weekRange.endDate), // Respects test mode internally
+            fetchPastMissedLogs(selectedCoachId), // Fetch past missed logs
+            fetchSubstitutionsForDateRange(weekRange.startDate, weekRange.endDate), // Substitute coaches this week
+            fetchMakeupBookings({ fromDate: weekRange.startDate, toDate: weekRange.endDate }), // Make-ups booked from or into this week
+            fetchSlotWaitlist()
         ]);
 
-        console.log("CoachSelect: API calls finished.", { scheduleData, todaysLoggedIds, pastMissedLogsData });
+        console.log("CoachSelect: API calls finished.", { scheduleData, weekStatuses, todaysLoggedIds, pastMissedLogsData, substitutions, makeupBookings, slotWaitlist });
 
         // *** Check all fetched data ***
-        if (scheduleData === null || todaysLoggedIds === null || pastMissedLogsData === null) {
+        if (scheduleData === null || weekStatuses === null || todaysLoggedIds === null || pastMissedLogsData === null || substitutions === null || makeupBookings === null || slotWaitlist === null) {
              throw new Error("Failed to fetch schedule or log data.");
         }
 
         // Update state with fetched data - Use appState imported from state.js
-        appState.updateScheduleData(scheduleData);
+        appState.updateSubstitutions(substitutions);
+        appState.updateMakeupBookings(makeupBookings);
+        appState.updateSlotWaitlist(slotWaitlist);
+        appState.updateScheduleData(applySubstitutionsToSchedule(scheduleData, substitutions, selectedCoachId, appState.selectedDate));
+        appState.updateTodaysStatuses(weekStatuses);
         appState.updateTodaysLoggedSlotIds(todaysLoggedIds);
-        appState.updatePastMissedLogs(pastMissedLogsData); // *** Store past missed logs ***
+        appState.updatePastMissedLogs(_applyEnrolmentsToMissedLogs(await _dropCoveredMissedLogs(pastMissedLogsData, selectedCoachId), scheduleData)); // *** Store past missed logs ***
         console.log("CoachSelect: Today's logged slot IDs updated in appState:", appState.todaysLoggedSlotIds);
         console.log("CoachSelect: Past missed logs updated in appState:", appState.pastMissedLogs);
 
@@ -177,32 +242,39 @@ export async function refreshCurrentCoachSchedule() {
         return;
     }
     // *** Added fetchPastMissedLogs and displayPastMissedLogsUI to dependency check ***
-    if (!appState || !fetchScheduleData || !displayCoachSchedule || !hideAppSubsections || !showLoading || !hideLoading || !displayError || !getTodaysLoggedSlotIds || !getTodaysStatuses || !fetchPastMissedLogs || !displayPastMissedLogsUI) {
+    if (!appState || !fetchScheduleData || !displayCoachSchedule || !hideAppSubsections || !showLoading || !hideLoading || !displayError || !getLoggedSlotIdsForDateRange || !getStatusesForDateRange || !fetchPastMissedLogs || !displayPastMissedLogsUI) {
          console.error("CoachSelect Refresh Error: Core dependencies missing.");
          displayError("Application error: Cannot refresh schedule.", "general");
          return;
     }
 
     const coachId = appState.currentCoachId;
+    const weekRange = getWeekRange(appState.selectedDate);
     showLoading('main');
     try {
-        // Re-fetch schedule structure, statuses, logged slots, and past missed logs
-        const [scheduleData, todaysStatuses, todaysLoggedIds, pastMissedLogsData] = await Promise.all([
-            fetchScheduleData(coachId),
-            getTodaysStatuses(), // Fetch latest statuses
-            getTodaysLoggedSlotIds(coachId), // Fetch latest logged IDs for this coach
-            fetchPastMissedLogs(coachId) // *** Re-fetch past missed logs ***
+        // Re-fetch schedule structure, statuses, logged slots, and past missed logs for the selected week
+        const [scheduleData, todaysStatuses, todaysLoggedIds, pastMissedLogsData, substitutions, makeupBookings, slotWaitlist] = await Promise.all([
+            fetchScheduleData(coachId, appState.selectedDate),
+            getStatusesForDateRange(weekRange.startDate, weekRange.endDate), // Fetch latest statuses
+            getLoggedSlotIdsForDateRange(coachId, weekRange.startDate, weekRange.endDate), // Fetch latest logged IDs for this coach
+            fetchPastMissedLogs(coachId), // *** Re-fetch past missed logs ***
+            fetchSubstitutionsForDateRange(weekRange.startDate, weekRange.endDate),
+            fetchMakeupBookings({ fromDate: weekRange.startDate, toDate: weekRange.endDate }),
+            fetchSlotWaitlist()
         ]);
 
-        if (scheduleData === null || todaysStatuses === null || todaysLoggedIds === null || pastMissedLogsData === null) {
+        if (scheduleData === null || todaysStatuses === null || todaysLoggedIds === null || pastMissedLogsData === null || substitutions === null || makeupBookings === null || slotWaitlist === null) {
             throw new Error("Failed to fetch necessary data for schedule refresh.");
         }
 
         // Update state - Use appState imported from state.js
-        appState.updateScheduleData(scheduleData);
+        appState.updateSubstitutions(substitutions);
+        appState.updateMakeupBookings(makeupBookings);
+        appState.updateSlotWaitlist(slotWaitlist);
+        appState.updateScheduleData(applySubstitutionsToSchedule(scheduleData, substitutions, coachId, appState.selectedDate));
         appState.updateTodaysStatuses(todaysStatuses);
         appState.updateTodaysLoggedSlotIds(todaysLoggedIds);
-        appState.updatePastMissedLogs(pastMissedLogsData); // *** Update past missed logs state ***
+        appState.updatePastMissedLogs(_applyEnrolmentsToMissedLogs(await _dropCoveredMissedLogs(pastMissedLogsData, coachId), scheduleData)); // *** Update past missed logs state ***
 
         // Re-display - Use appState imported from state.js
         // displayCoachSchedule now calculates today's missed logs and displays warning
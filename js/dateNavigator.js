@@ -0,0 +1,224 @@
+// js/dateNavigator.js
+// Handles the schedule date navigator: previous/next day and week, week picker and jump-to-date (ES Module).
+
+// --- Import Dependencies ---
+import { appState } from './state.js';
+import { getTodaysDateUTC } from './api.js';
+import { addDaysToDateString, getWeekRange, getWeekdayName, calculateCurrentTermAndWeek } from './utils.js';
+import { refreshCurrentCoachSchedule } from './coachSelect.js';
+import { getScheduleView, setScheduleView } from './schedule.js';
+import { closeAbsenceSuggestionBox } from './absence.js';
+
+// --- Module Variables ---
+let prevWeekButton = null;
+let prevDayButton = null;
+let nextDayButton = null;
+let nextWeekButton = null;
+let todayButton = null;
+let datePickerInput = null;
+let weekSelect = null;
+let dateLabel = null;
+
+const SCHEDULE_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
+const FALLBACK_WEEKS_BEFORE = 4; // Weeks listed before/after today when no term dates exist
+const FALLBACK_WEEKS_AFTER = 12;
+
+// --- Helper Functions ---
+
+/** Formats a YYYY-MM-DD string as DD/MM/YYYY. */
+function _formatDisplayDate(dateString) {
+    const [year, month, day] = dateString.split('-');
+    return `${day}/${month}/${year}`;
+}
+
+/**
+ * Moves a date forward or backward one school day, skipping weekends.
+ * @param {string} dateString - The starting date (YYYY-MM-DD).
+ * @param {number} direction - 1 for next day, -1 for previous day.
+ * @returns {string} The next/previous weekday date.
+ */
+function _stepSchoolDay(dateString, direction) {
+    let nextDate = addDaysToDateString(dateString, direction);
+    while (!SCHEDULE_DAYS.includes(getWeekdayName(nextDate))) {
+        nextDate = addDaysToDateString(nextDate, direction);
+    }
+    return nextDate;
+}
+
+/**
+ * Builds the list of weeks shown in the week picker.
+ * Uses the term calendar when available, otherwise a window around today.
+ * @returns {Array<{value: string, label: string}>} Options with the Monday date as value.
+ */
+function _buildWeekOptions() {
+    const options = [];
+    const seenWeeks = new Set();
+    const terms = Array.isArray(appState.termDates) ? appState.termDates : [];
+
+    terms.forEach(term => {
+        const termRange = getWeekRange(term.start_date);
+        if (!termRange || !term.end_date) return;
+        let weekStart = termRange.startDate;
+        let weekNumber = 1;
+        while (weekStart <= term.end_date) {
+            if (!seenWeeks.has(weekStart)) {
+                seenWeeks.add(weekStart);
+                options.push({ value: weekStart, label: `Term ${term.term_number}, Week ${weekNumber} (${_formatDisplayDate(weekStart)})` });
+            }
+            weekStart = addDaysToDateString(weekStart, 7);
+            weekNumber++;
+        }
+    });
+
+    if (options.length === 0) {
+        const currentWeekStart = getWeekRange(getTodaysDateUTC()).startDate;
+        for (let offset = -FALLBACK_WEEKS_BEFORE; offset <= FALLBACK_WEEKS_AFTER; offset++) {
+            const weekStart = addDaysToDateString(currentWeekStart, offset * 7);
+            options.push({ value: weekStart, label: `Week of ${_formatDisplayDate(weekStart)}` });
+        }
+    }
+    return options;
+}
+
+/** Populates the week picker and selects the week containing the selected date. */
+function _populateWeekSelect() {
+    if (!weekSelect) return;
+    const selectedWeekStart = getWeekRange(appState.selectedDate).startDate;
+    const options = _buildWeekOptions();
+
+    // Make sure the selected week is always listed (e.g. holidays between terms)
+    if (!options.some(option => option.value === selectedWeekStart)) {
+        options.push({ value: selectedWeekStart, label: `Week of ${_formatDisplayDate(selectedWeekStart)} (outside term)` });
+        options.sort((a, b) => a.value.localeCompare(b.value));
+    }
+
+    weekSelect.innerHTML = '';
+    options.forEach(optionData => {
+        const option = document.createElement('option');
+        option.value = optionData.value;
+        option.textContent = optionData.label;
+        weekSelect.appendChild(option);
+    });
+    weekSelect.value = selectedWeekStart;
+}
+
+/**
+ * Changes the selected date and reloads the schedule for that week.
+ * @param {string} newDate - The date to show (YYYY-MM-DD).
+ */
+async function _changeSelectedDate(newDate) {
+    if (!newDate || newDate === appState.selectedDate) return;
+    console.log(`DateNav: Changing selected date from ${appState.selectedDate} to ${newDate}`);
+
+    closeAbsenceSuggestionBox();
+    appState.updateSelectedDate(newDate);
+
+    // In single-day view, follow the selected day
+    const weekdayName = getWeekdayName(newDate);
+    if (getScheduleView() !== 'Week' && SCHEDULE_DAYS.includes(weekdayName)) {
+        setScheduleView(weekdayName);
+    }
+
+    updateDateNavigatorUI();
+    const slotActionsDiv = document.getElementById('slot-actions');
+    if (slotActionsDiv) slotActionsDiv.classList.add('hidden');
+    await refreshCurrentCoachSchedule(); // Skips itself if no coach is selected
+}
+
+/** Handles clicks on the navigator buttons. */
+function handleDateNavButtonClick(event) {
+    const button = event.currentTarget;
+    const currentDate = appState.selectedDate;
+    let newDate = null;
+
+    switch (button) {
+        case prevDayButton: newDate = _stepSchoolDay(currentDate, -1); break;
+        case nextDayButton: newDate = _stepSchoolDay(currentDate, 1); break;
+        case prevWeekButton: newDate = addDaysToDateString(currentDate, -7); break;
+        case nextWeekButton: newDate = addDaysToDateString(currentDate, 7); break;
+        case todayButton: newDate = getTodaysDateUTC(); break;
+    }
+    _changeSelectedDate(newDate);
+}
+
+/** Handles the jump-to-date picker. */
+function handleDatePickerChange(event) {
+    const newDate = event.target.value;
+    if (!newDate) {
+        event.target.value = appState.selectedDate; // Don't allow clearing the picker
+        return;
+    }
+    _changeSelectedDate(newDate);
+}
+
+/** Handles the week picker. Keeps the same weekday when moving to another week. */
+function handleWeekSelectChange(event) {
+    const weekStart = event.target.value;
+    if (!weekStart) return;
+    const currentWeekStart = getWeekRange(appState.selectedDate).startDate;
+    const dayOffset = Math.round((new Date(`${appState.selectedDate}T00:00:00Z`) - new Date(`${currentWeekStart}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+    _changeSelectedDate(addDaysToDateString(weekStart, dayOffset));
+}
+
+// --- Exported Functions ---
+
+/** Refreshes the navigator controls and label from appState.selectedDate. */
+export function updateDateNavigatorUI() {
+    const selectedDate = appState.selectedDate;
+    if (!selectedDate) return;
+
+    if (datePickerInput) datePickerInput.value = selectedDate;
+    _populateWeekSelect();
+
+    if (dateLabel) {
+        const today = getTodaysDateUTC();
+        const weekdayName = getWeekdayName(selectedDate);
+        const termInfo = calculateCurrentTermAndWeek(new Date(`${selectedDate}T00:00:00Z`), appState.termDates);
+        let text = `Viewing ${weekdayName} ${_formatDisplayDate(selectedDate)}`;
+        if (termInfo.term && termInfo.week) text += ` | Term ${termInfo.term}, Week ${termInfo.week}`;
+        if (selectedDate === today) text += ' (Today)';
+        else if (selectedDate > today) text += ' (Upcoming)';
+        else text += ' (Past)';
+        if (!SCHEDULE_DAYS.includes(weekdayName)) text += ' - no lessons on weekends';
+        dateLabel.textContent = text;
+        dateLabel.classList.toggle('text-indigo-600', selectedDate !== today);
+        dateLabel.classList.toggle('dark:text-indigo-400', selectedDate !== today);
+    }
+    if (todayButton) todayButton.disabled = selectedDate === getTodaysDateUTC();
+}
+
+/**
+ * Initializes the date navigator.
+ * Must be called after the DOM is fully loaded.
+ */
+export function initDateNavigator() {
+    console.log("DateNav: Initializing...");
+    prevWeekButton = document.getElementById('date-nav-prev-week');
+    prevDayButton = document.getElementById('date-nav-prev-day');
+    nextDayButton = document.getElementById('date-nav-next-day');
+    nextWeekButton = document.getElementById('date-nav-next-week');
+    todayButton = document.getElementById('date-nav-today');
+    datePickerInput = document.getElementById('date-nav-picker');
+    weekSelect = document.getElementById('date-nav-week-select');
+    dateLabel = document.getElementById('date-nav-label');
+
+    if (!prevWeekButton || !prevDayButton || !nextDayButton || !nextWeekButton || !todayButton || !datePickerInput || !weekSelect || !dateLabel) {
+        console.error("DateNav Init Error: One or more date navigator elements not found in the DOM.");
+        return;
+    }
+
+    [prevWeekButton, prevDayButton, nextDayButton, nextWeekButton, todayButton].forEach(button => {
+        button.removeEventListener('click', handleDateNavButtonClick);
+        button.addEventListener('click', handleDateNavButtonClick);
+    });
+    datePickerInput.addEventListener('change', handleDatePickerChange);
+    weekSelect.addEventListener('change', handleWeekSelectChange);
+
+    updateDateNavigatorUI();
+    console.log("Date Navigator module initialized successfully.");
+}
+
+// --- Add a ready flag ---
+export const isReady = true;
+
+console.log("Date Navigator module (dateNavigator.js) loaded.");
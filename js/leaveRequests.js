@@ -0,0 +1,169 @@
+// js/leaveRequests.js
+// Handles the coach's leave request panel below their schedule: asking for days off and seeing how each
+// request was answered (ES Module). Requests are reviewed in the admin tools (leaveReview.js).
+
+// --- Import Dependencies ---
+import { appState } from './state.js';
+import { fetchLeaveRequests, submitLeaveRequest, cancelLeaveRequest, getTodaysDateUTC } from './api.js';
+import { can } from './permissions.js';
+import { escapeHtml, formatDate } from './utils.js';
+import { setStatusText } from './ui.js';
+
+// --- Module Variables ---
+let leaveSection = null;
+let toggleButton = null;
+let leaveContainer = null;
+let leaveForm = null;
+let startDateInput = null;
+let endDateInput = null;
+let reasonInput = null;
+let statusP = null;
+let requestListDiv = null;
+
+const STATUS_CLASSES = {
+    pending: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-800/40 dark:text-yellow-200',
+    approved: 'bg-green-100 text-green-800 dark:bg-green-800/40 dark:text-green-200',
+    rejected: 'bg-red-100 text-red-800 dark:bg-red-800/40 dark:text-red-200',
+    cancelled: 'bg-gray-200 text-gray-700 dark:bg-gray-700 dark:text-gray-300'
+};
+
+// --- Helper Functions ---
+
+/** Sets the status text under the form. */
+function _setStatus(message, type = 'info') {
+    setStatusText(statusP, message, type, 'text-xs mb-2');
+}
+
+function _requestRowHtml(request) {
+    const dates = request.end_date && request.end_date !== request.start_date
+        ? `${formatDate(request.start_date)} - ${formatDate(request.end_date)}`
+        : formatDate(request.start_date);
+    const cancelButton = request.status === 'pending'
+        ? `<button type="button" data-action="cancel" data-request-id="${request.id}" class="text-xs text-red-600 hover:text-red-800 dark:text-red-400 dark:hover:text-red-300 font-medium">Cancel</button>`
+        : '';
+    return `
+        <li class="flex flex-wrap items-start justify-between gap-2 border-b border-gray-200 dark:border-gray-600 py-2 last:border-b-0">
+            <div>
+                <p class="font-medium text-gray-800 dark:text-gray-100">${dates}
+                    <span class="ml-1 text-[11px] px-1.5 py-0.5 rounded-full ${STATUS_CLASSES[request.status] || STATUS_CLASSES.cancelled}">${escapeHtml(request.status)}</span>
+                </p>
+                ${request.reason ? `<p class="text-xs text-gray-600 dark:text-gray-400">${escapeHtml(request.reason)}</p>` : ''}
+                ${request.review_note ? `<p class="text-xs italic text-gray-500 dark:text-gray-400">Note: ${escapeHtml(request.review_note)}</p>` : ''}
+            </div>
+            ${cancelButton}
+        </li>`;
+}
+
+async function _reloadRequests() {
+    if (!requestListDiv || !appState.currentCoachId) return;
+    requestListDiv.innerHTML = '<p class="text-gray-500 dark:text-gray-400 italic">Loading leave requests...</p>';
+    const requests = await fetchLeaveRequests({ coachId: appState.currentCoachId, limit: 20 });
+    if (requests === null) {
+        requestListDiv.innerHTML = '<p class="text-red-500 dark:text-red-400">Could not load leave requests.</p>';
+        return;
+    }
+    requestListDiv.innerHTML = requests.length === 0
+        ? '<p class="text-gray-500 dark:text-gray-400 italic">No leave requests yet.</p>'
+        : `<ul>${requests.map(_requestRowHtml).join('')}</ul>`;
+}
+
+// --- Event Handlers ---
+
+function handleToggleClick() {
+    const isOpening = leaveContainer.classList.contains('hidden');
+    leaveContainer.classList.toggle('hidden', !isOpening);
+    if (isOpening) {
+        const today = getTodaysDateUTC();
+        startDateInput.min = today;
+        endDateInput.min = today;
+        _setStatus('');
+        _reloadRequests();
+    }
+}
+
+async function handleLeaveFormSubmit(event) {
+    event.preventDefault();
+    const startDate = startDateInput.value;
+    const endDate = endDateInput.value || null;
+    if (!startDate) {
+        _setStatus('Choose the first day of your leave.', 'error');
+        return;
+    }
+
+    const submitButton = leaveForm.querySelector('button[type="submit"]');
+    if (submitButton) submitButton.disabled = true;
+    const result = await submitLeaveRequest(appState.currentCoachId, startDate, endDate, reasonInput.value.trim());
+    if (submitButton) submitButton.disabled = false;
+    if (!result.success) {
+        _setStatus(`Error: ${result.message}`, 'error');
+        return;
+    }
+    leaveForm.reset();
+    _setStatus('Leave requested. You will see here when it has been reviewed.', 'success');
+    await _reloadRequests();
+}
+
+/** Handles Cancel clicks on pending requests (delegated). */
+async function handleRequestListClick(event) {
+    const button = event.target.closest('button[data-action="cancel"]');
+    if (!button) return;
+    if (!confirm('Cancel this leave request?')) return;
+    button.disabled = true;
+    const result = await cancelLeaveRequest(parseInt(button.dataset.requestId));
+    if (!result.success) {
+        _setStatus(`Error: ${result.message}`, 'error');
+        button.disabled = false;
+        return;
+    }
+    _setStatus('Leave request cancelled.', 'success');
+    await _reloadRequests();
+}
+
+// --- Exported Functions ---
+
+/**
+ * Shows the leave panel for the selected coach (if the role may request leave for them) and reloads its
+ * requests when it is open. Called by coachSelect.js whenever the selected coach changes.
+ */
+export function refreshLeaveRequestSection() {
+    if (!leaveSection) return;
+    const isAllowed = !!appState.currentCoachId && can('requestLeave', appState.currentCoachId);
+    leaveSection.classList.toggle('hidden', !isAllowed);
+    if (!isAllowed) {
+        leaveContainer.classList.add('hidden');
+        return;
+    }
+    if (!leaveContainer.classList.contains('hidden')) _reloadRequests();
+}
+
+/** Initializes the leave request panel. */
+export function initLeaveRequests() {
+    leaveSection = document.getElementById('leave-request-section');
+    toggleButton = document.getElementById('leave-request-toggle-button');
+    leaveContainer = document.getElementById('leave-request-container');
+    leaveForm = document.getElementById('leave-request-form');
+    startDateInput = document.getElementById('leave-start-date');
+    endDateInput = document.getElementById('leave-end-date');
+    reasonInput = document.getElementById('leave-reason');
+    statusP = document.getElementById('leave-request-status');
+    requestListDiv = document.getElementById('leave-request-list');
+
+    if (!leaveSection || !toggleButton || !leaveContainer || !leaveForm || !startDateInput || !endDateInput || !reasonInput || !requestListDiv) {
+        console.warn("LeaveRequests Init Warning: Leave request panel elements not found.");
+        leaveSection = null;
+        return;
+    }
+
+    toggleButton.removeEventListener('click', handleToggleClick);
+    toggleButton.addEventListener('click', handleToggleClick);
+    leaveForm.removeEventListener('submit', handleLeaveFormSubmit);
+    leaveForm.addEventListener('submit', handleLeaveFormSubmit);
+    requestListDiv.removeEventListener('click', handleRequestListClick);
+    requestListDiv.addEventListener('click', handleRequestListClick);
+    console.log("LeaveRequests: Initialized.");
+}
+
+// --- Add a ready flag ---
+export const isReady = true;
+
+console.log("Leave Requests module (leaveRequests.js) loaded.");
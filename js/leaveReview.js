@@ -0,0 +1,277 @@
+// js/leaveReview.js
+// Handles the admin leave request queue: approving or rejecting coaches' pending leave, and listing the lessons
+// a leave affects with coaches free to cover them and other lessons that day with spare seats (ES Module).
+
+// --- Import Dependencies ---
+import { appState } from './state.js';
+import { fetchLeaveRequests, reviewLeaveRequest, fetchAllScheduleSlots, fetchDailyBlocks } from './api.js';
+import { getStudentDetails, getWeekdayName, getBlockOccurrenceDates, doesBlockApplyOnDate, getRosterOnDate, escapeHtml, formatDate } from './utils.js';
+import { refreshCurrentCoachSchedule } from './coachSelect.js';
+import { refreshDailyBlockList } from './blockManager.js';
+import { setStatusText } from './ui.js';
+
+// --- Constants ---
+const MAX_SUGGESTIONS = 3; // Cover coaches and reschedule slots listed per affected lesson
+
+// --- Module Variables ---
+let pendingListDiv = null;
+let recentListDiv = null;
+let refreshButton = null;
+let statusP = null;
+let impactDiv = null;
+let leaveRequests = [];
+
+const INPUT_CLASSES = 'block w-full text-xs border-gray-300 dark:border-gray-500 dark:bg-gray-600 dark:text-gray-100 rounded-md shadow-sm p-1 focus:ring-indigo-500 focus:border-indigo-500';
+
+const STATUS_CLASSES = {
+    approved: 'bg-green-100 text-green-800 dark:bg-green-800/40 dark:text-green-200',
+    rejected: 'bg-red-100 text-red-800 dark:bg-red-800/40 dark:text-red-200',
+    cancelled: 'bg-gray-200 text-gray-700 dark:bg-gray-700 dark:text-gray-300'
+};
+
+// --- Helper Functions ---
+
+function _formatDates(request) {
+    return request.end_date && request.end_date !== request.start_date
+        ? `${formatDate(request.start_date)} - ${formatDate(request.end_date)}`
+        : formatDate(request.start_date);
+}
+
+function _coachName(coachId) {
+    return appState.coachesData.find(coach => coach.id === coachId)?.Name || `Coach ${coachId}`;
+}
+
+/** Sets the status text above the pending list. */
+function _setStatus(message, type = 'info') {
+    setStatusText(statusP, message, type, 'text-xs mb-2');
+}
+
+function _isTermDate(dateString) {
+    return appState.termDates.some(term => dateString >= term.start_date && dateString <= term.end_date);
+}
+
+/**
+ * Works out the lessons a leave request takes out: each of the coach's slots on every term day of the leave
+ * (public holidays excluded). For each lesson it suggests cover coaches (not away, not teaching at that time;
+ * coaches already teaching that day first) and other lessons that day with spare seats to move students into.
+ * @param {object} request - The leave request.
+ * @param {Array<object>} slots - Every schedule slot (fetchAllScheduleSlots).
+ * @param {Array<object>} blocks - Daily block rows overlapping the leave.
+ * @returns {Array<object>} [{ date, slot, coverCoaches, rescheduleSlots }]
+ */
+function _buildLeaveImpact(request, slots, blocks) {
+    const impact = [];
+    getBlockOccurrenceDates(request.start_date, request.end_date).filter(_isTermDate).forEach(date => {
+        const dayBlocks = blocks.filter(block => doesBlockApplyOnDate(block, date));
+        if (dayBlocks.some(block => block.block_type === 'Public Holiday')) return;
+
+        const awayCoachIds = new Set(dayBlocks
+            .filter(block => block.block_type === 'Coach Unavailable')
+            .map(block => parseInt(block.identifier, 10)));
+        awayCoachIds.add(request.coach_id);
+
+        const weekday = getWeekdayName(date);
+        const daySlots = slots
+            .filter(slot => slot.day === weekday)
+            .map(slot => ({ ...slot, student_ids: getRosterOnDate(slot.enrolments, date) }));
+        const coachesOnSite = new Set(daySlots.map(slot => slot.coach_id));
+
+        daySlots.filter(slot => slot.coach_id === request.coach_id).forEach(slot => {
+            const busyCoachIds = new Set(daySlots.filter(other => other.time === slot.time).map(other => other.coach_id));
+            const coverCoaches = appState.coachesData
+                .filter(coach => !awayCoachIds.has(coach.id) && !busyCoachIds.has(coach.id))
+                .sort((a, b) => (coachesOnSite.has(b.id) - coachesOnSite.has(a.id)) || (a.Name || '').localeCompare(b.Name || ''))
+                .slice(0, MAX_SUGGESTIONS)
+                .map(coach => ({ coach, isOnSite: coachesOnSite.has(coach.id) }));
+            const rescheduleSlots = daySlots
+                .filter(other => !awayCoachIds.has(other.coach_id) && other.capacity - other.student_ids.length > 0)
+                .sort((a, b) => (b.capacity - b.student_ids.length) - (a.capacity - a.student_ids.length) || String(a.time).localeCompare(String(b.time)))
+                .slice(0, MAX_SUGGESTIONS);
+            impact.push({ date, slot, coverCoaches, rescheduleSlots });
+        });
+    });
+    return impact;
+}
+
+function _impactRowHtml({ date, slot, coverCoaches, rescheduleSlots }) {
+    const studentNames = slot.student_ids
+        .map(studentId => getStudentDetails(studentId, appState.studentsData)?.Name || `Student ${studentId}`)
+        .join(', ') || 'No students';
+    const cover = coverCoaches.length > 0
+        ? coverCoaches.map(({ coach, isOnSite }) => `${escapeHtml(coach.Name)}${isOnSite ? ' (on site)' : ''}`).join(', ')
+        : '<span class="italic">No coach free at this time</span>';
+    const reschedule = rescheduleSlots.length > 0
+        ? rescheduleSlots.map(other => `${escapeHtml(_coachName(other.coach_id))} ${String(other.time).substring(0, 5)} (${other.capacity - other.student_ids.length} free)`).join(', ')
+        : '<span class="italic">No other lesson with room that day</span>';
+    return `
+        <tr class="border-b border-gray-200 dark:border-gray-600 align-top">
+            <td class="py-1 pr-3 whitespace-nowrap">${slot.day.substring(0, 3)} ${formatDate(date)} ${String(slot.time).substring(0, 5)}</td>
+            <td class="py-1 pr-3">${escapeHtml(studentNames)}</td>
+            <td class="py-1 pr-3">${cover}</td>
+            <td class="py-1">${reschedule}</td>
+        </tr>`;
+}
+
+async function _showImpact(request) {
+    if (!impactDiv) return;
+    impactDiv.classList.remove('hidden');
+    impactDiv.innerHTML = '<p class="text-gray-500 dark:text-gray-400 italic">Working out affected lessons...</p>';
+
+    const [slots, blocks] = await Promise.all([
+        fetchAllScheduleSlots(),
+        fetchDailyBlocks({ fromDate: request.start_date, toDate: request.end_date })
+    ]);
+    if (slots === null || blocks === null) {
+        impactDiv.innerHTML = '<p class="text-red-500 dark:text-red-400">Could not load the schedule to work out affected lessons.</p>';
+        return;
+    }
+
+    const impact = _buildLeaveImpact(request, slots, blocks);
+    const heading = `<p class="font-medium text-gray-800 dark:text-gray-100 mb-2">${escapeHtml(_coachName(request.coach_id))}, ${_formatDates(request)}: ${impact.length} lesson(s) affected</p>`;
+    if (impact.length === 0) {
+        impactDiv.innerHTML = `${heading}<p class="text-gray-500 dark:text-gray-400 italic">No scheduled lessons fall on term days of this leave.</p>`;
+        return;
+    }
+    impactDiv.innerHTML = `
+        ${heading}
+        <table class="w-full text-left">
+            <thead>
+                <tr class="border-b border-gray-300 dark:border-gray-500 text-gray-600 dark:text-gray-300">
+                    <th class="py-1 pr-3 font-medium">Lesson</th>
+                    <th class="py-1 pr-3 font-medium">Students</th>
+                    <th class="py-1 pr-3 font-medium">Cover Coaches</th>
+                    <th class="py-1 font-medium">Reschedule Into</th>
+                </tr>
+            </thead>
+            <tbody>${impact.map(_impactRowHtml).join('')}</tbody>
+        </table>`;
+}
+
+function _pendingRowHtml(request) {
+    return `
+        <li class="leave-review-row grid grid-cols-2 sm:grid-cols-6 gap-2 items-end border-b border-gray-200 dark:border-gray-600 pb-2 mb-2 last:border-b-0 last:mb-0" data-request-id="${request.id}">
+            <div class="col-span-2 text-xs text-gray-700 dark:text-gray-300">
+                <p class="font-medium text-gray-800 dark:text-gray-100">${escapeHtml(_coachName(request.coach_id))}: ${_formatDates(request)}</p>
+                <p>${request.reason ? escapeHtml(request.reason) : '<span class="italic">No reason given</span>'}</p>
+                <p class="text-[11px] text-gray-500 dark:text-gray-400">Requested ${new Date(request.requested_at).toLocaleDateString()}</p>
+            </div>
+            <label class="col-span-2 text-xs text-gray-700 dark:text-gray-300">Note (optional)
+                <input type="text" name="review_note" class="${INPUT_CLASSES}">
+            </label>
+            <div class="col-span-2 flex flex-wrap gap-2 justify-end">
+                <button type="button" data-action="impact" class="text-xs text-indigo-600 hover:text-indigo-800 dark:text-indigo-400 dark:hover:text-indigo-300 font-medium">Affected Lessons</button>
+                <button type="button" data-action="approve" class="text-xs bg-emerald-500 hover:bg-emerald-600 text-white font-semibold py-1 px-2 rounded disabled:opacity-50">Approve</button>
+                <button type="button" data-action="reject" class="text-xs bg-red-500 hover:bg-red-700 text-white font-semibold py-1 px-2 rounded disabled:opacity-50">Reject</button>
+            </div>
+        </li>`;
+}
+
+function _recentRowHtml(request) {
+    const impactButton = request.status === 'approved'
+        ? `<button type="button" data-action="impact" class="text-xs text-indigo-600 hover:text-indigo-800 dark:text-indigo-400 dark:hover:text-indigo-300 font-medium">Affected Lessons</button>`
+        : '';
+    return `
+        <li class="flex flex-wrap items-center justify-between gap-2 border-b border-gray-200 dark:border-gray-600 py-1 last:border-b-0" data-request-id="${request.id}">
+            <span>${escapeHtml(_coachName(request.coach_id))}: ${_formatDates(request)}
+                <span class="ml-1 text-[11px] px-1.5 py-0.5 rounded-full ${STATUS_CLASSES[request.status] || STATUS_CLASSES.cancelled}">${escapeHtml(request.status)}</span>
+                ${request.review_note ? `<span class="italic text-gray-500 dark:text-gray-400">${escapeHtml(request.review_note)}</span>` : ''}
+            </span>
+            ${impactButton}
+        </li>`;
+}
+
+function _renderLists() {
+    const pending = leaveRequests.filter(request => request.status === 'pending')
+        .sort((a, b) => a.start_date.localeCompare(b.start_date));
+    const reviewed = leaveRequests.filter(request => request.status !== 'pending');
+
+    pendingListDiv.innerHTML = pending.length === 0
+        ? '<p class="text-gray-500 dark:text-gray-400 italic">No pending leave requests.</p>'
+        : `<ul>${pending.map(_pendingRowHtml).join('')}</ul>`;
+    if (recentListDiv) {
+        recentListDiv.innerHTML = reviewed.length === 0
+            ? '<p class="text-gray-500 dark:text-gray-400 italic">No reviewed requests yet.</p>'
+            : `<ul>${reviewed.map(_recentRowHtml).join('')}</ul>`;
+    }
+}
+
+async function _reloadRequests() {
+    if (!pendingListDiv) return;
+    pendingListDiv.innerHTML = '<p class="text-gray-500 dark:text-gray-400 italic">Loading leave requests...</p>';
+    const requests = await fetchLeaveRequests({ limit: 50 });
+    if (requests === null) {
+        pendingListDiv.innerHTML = '<p class="text-red-500 dark:text-red-400">Could not load leave requests.</p>';
+        return;
+    }
+    leaveRequests = requests;
+    _renderLists();
+}
+
+// --- Event Handlers ---
+
+/** Handles Approve / Reject / Affected Lessons clicks on either list (delegated). */
+async function handleLeaveListClick(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    const row = button.closest('[data-request-id]');
+    const request = leaveRequests.find(candidate => candidate.id === parseInt(row?.dataset.requestId));
+    if (!request) return;
+
+    if (button.dataset.action === 'impact') {
+        await _showImpact(request);
+        return;
+    }
+
+    const approve = button.dataset.action === 'approve';
+    if (approve && !confirm(`Approve leave for ${_coachName(request.coach_id)} (${_formatDates(request)})? Their students will be marked absent on those days.`)) return;
+
+    row.querySelectorAll('button').forEach(rowButton => { rowButton.disabled = true; });
+    const note = row.querySelector('input[name="review_note"]')?.value.trim() || null;
+    const result = await reviewLeaveRequest(request.id, approve, note);
+    if (!result.success) {
+        _setStatus(`Error: ${result.message}`, 'error');
+        row.querySelectorAll('button').forEach(rowButton => { rowButton.disabled = false; });
+        return;
+    }
+
+    if (approve) {
+        _setStatus(`Leave approved. A Coach Unavailable block was created and ${result.marked} student absence(s) marked.`, 'success');
+        await Promise.all([_reloadRequests(), _showImpact(request), refreshCurrentCoachSchedule(), refreshDailyBlockList()]);
+    } else {
+        _setStatus('Leave request rejected.', 'success');
+        await _reloadRequests();
+    }
+}
+
+// --- Exported Functions ---
+
+/**
+ * Initializes the leave request queue. Called from initAdminControls for roles that review leave.
+ */
+export function initLeaveReview() {
+    pendingListDiv = document.getElementById('leave-review-pending');
+    recentListDiv = document.getElementById('leave-review-recent');
+    refreshButton = document.getElementById('leave-review-refresh-btn');
+    statusP = document.getElementById('leave-review-status');
+    impactDiv = document.getElementById('leave-review-impact');
+
+    if (!pendingListDiv || !refreshButton || !impactDiv) {
+        console.warn("LeaveReview Init Warning: Leave review panel elements not found.");
+        return;
+    }
+
+    [pendingListDiv, recentListDiv].filter(Boolean).forEach(listDiv => {
+        listDiv.removeEventListener('click', handleLeaveListClick);
+        listDiv.addEventListener('click', handleLeaveListClick);
+    });
+    refreshButton.removeEventListener('click', _reloadRequests);
+    refreshButton.addEventListener('click', _reloadRequests);
+
+    _reloadRequests();
+    console.log("LeaveReview: Initialized.");
+}
+
+// --- Add a ready flag ---
+export const isReady = true;
+
+console.log("Leave Review module (leaveReview.js) loaded.");
@@ -0,0 +1,222 @@
+// js/logCorrections.js
+// Edit and void actions for submitted lesson logs, shared by the log viewer and the student profile history (ES Module).
+// Entries render the actions with renderLogCorrectionActions; the list container is wired up once with attachLogCorrections.
+
+// --- Import Dependencies ---
+import { appState } from './state.js';
+import { editLessonLog, voidLessonLog, fetchStudents } from './api.js';
+import { parseSkillsCovered, escapeHtml } from './utils.js';
+import { ABSENCE_REASONS } from './logging.js';
+import { renderSkillCheckboxes } from './skillsCatalogue.js';
+import { refreshCurrentCoachSchedule } from './coachSelect.js';
+import { can } from './permissions.js';
+
+// --- Module Variables ---
+const listOptions = new WeakMap(); // container -> { logs, onChanged }
+
+const INPUT_CLASSES = 'mt-1 block w-full text-xs border-gray-300 dark:border-gray-500 dark:bg-gray-600 dark:text-gray-100 rounded-md shadow-sm p-1';
+
+// --- Helper Functions ---
+
+/** Builds the options of a 1-5 rating select. */
+function _ratingOptions(selected) {
+    return ['', 1, 2, 3, 4, 5].map(value =>
+        `<option value="${value}" ${String(selected ?? '') === String(value) ? 'selected' : ''}>${value === '' ? 'N/A' : value}</option>`
+    ).join('');
+}
+
+/** Builds the inline edit form for one log entry. */
+function _buildEditForm(log) {
+    const form = document.createElement('form');
+    form.className = 'log-correction-form mt-3 p-3 border rounded-md bg-indigo-50 dark:bg-gray-900/40 border-indigo-200 dark:border-gray-600 space-y-2';
+    // Retired and unknown skills the log has are still offered (checked), so editing doesn't silently drop them
+    const skillsHtml = renderSkillCheckboxes({ name: 'skills_covered', idPrefix: `log-edit-skill-${log.id}`, checked: parseSkillsCovered(log.skills_covered) });
+    const reasonOptions = [...new Set([...ABSENCE_REASONS, ...(log.absence_reason ? [log.absence_reason] : [])])];
+
+    form.innerHTML = `
+        <div class="grid grid-cols-2 sm:grid-cols-4 gap-2 text-xs text-gray-700 dark:text-gray-300">
+            <label>Attendance
+                <select name="attendance_status" class="${INPUT_CLASSES}">
+                    <option value="Present" ${log.attendance_status === 'Present' ? 'selected' : ''}>Present</option>
+                    <option value="Absent" ${log.attendance_status === 'Absent' ? 'selected' : ''}>Absent</option>
+                </select>
+            </label>
+            <label>Absence reason
+                <select name="absence_reason" class="${INPUT_CLASSES}">
+                    <option value="">--</option>
+                    ${reasonOptions.map(reason => `<option value="${escapeHtml(reason)}" ${reason === log.absence_reason ? 'selected' : ''}>${escapeHtml(reason)}</option>`).join('')}
+                </select>
+            </label>
+            <label>Proficiency
+                <select name="proficiency" class="${INPUT_CLASSES}">${_ratingOptions(log.proficiency)}</select>
+            </label>
+            <label>Engagement
+                <select name="engagement" class="${INPUT_CLASSES}">${_ratingOptions(log.engagement)}</select>
+            </label>
+        </div>
+        <fieldset class="text-xs text-gray-700 dark:text-gray-300">
+            <legend class="font-medium mb-1">Skills covered</legend>
+            ${skillsHtml}
+        </fieldset>
+        <label class="block text-xs text-gray-700 dark:text-gray-300">Notes
+            <textarea name="notes" rows="2" class="${INPUT_CLASSES}"></textarea>
+        </label>
+        <label class="block text-xs text-gray-700 dark:text-gray-300">Reason for the change (required)
+            <input type="text" name="reason" required placeholder="e.g. Marked present by mistake" class="${INPUT_CLASSES}">
+        </label>
+        <div class="flex flex-wrap items-center gap-2">
+            <button type="submit" class="bg-indigo-500 hover:bg-indigo-600 text-white font-semibold py-1 px-3 rounded text-xs">Save Changes</button>
+            <button type="button" data-log-action="cancel" class="bg-gray-300 hover:bg-gray-400 text-gray-800 dark:bg-gray-600 dark:hover:bg-gray-500 dark:text-gray-100 font-semibold py-1 px-3 rounded text-xs">Cancel</button>
+            <p class="log-correction-status text-xs"></p>
+        </div>
+    `;
+    form.elements.notes.value = log.notes || ''; // Free text, so set as a value rather than HTML
+    form.addEventListener('submit', (event) => _handleEditSubmit(event, log));
+    return form;
+}
+
+/** Builds the inline void form (reason and confirm) for one log entry. */
+function _buildVoidForm(log) {
+    const form = document.createElement('form');
+    form.className = 'log-correction-form mt-3 p-3 border rounded-md bg-red-50 dark:bg-red-900/20 border-red-200 dark:border-red-700 space-y-2';
+    const lessonText = log.lesson_schedule_id
+        ? "every student's entry for this lesson is removed and the slot shows as not logged for that date"
+        : 'this ad-hoc entry is removed';
+    form.innerHTML = `
+        <p class="text-xs text-red-700 dark:text-red-300">Voiding undoes the lesson: ${lessonText}. Lessons owed changes are reversed.</p>
+        <label class="block text-xs text-gray-700 dark:text-gray-300">Reason (required)
+            <input type="text" name="reason" required placeholder="e.g. Logged against the wrong slot" class="${INPUT_CLASSES}">
+        </label>
+        <div class="flex flex-wrap items-center gap-2">
+            <button type="submit" class="bg-red-500 hover:bg-red-600 text-white font-semibold py-1 px-3 rounded text-xs">Void Lesson</button>
+            <button type="button" data-log-action="cancel" class="bg-gray-300 hover:bg-gray-400 text-gray-800 dark:bg-gray-600 dark:hover:bg-gray-500 dark:text-gray-100 font-semibold py-1 px-3 rounded text-xs">Cancel</button>
+            <p class="log-correction-status text-xs"></p>
+        </div>
+    `;
+    form.addEventListener('submit', (event) => _handleVoidSubmit(event, log));
+    return form;
+}
+
+/** Shows a message in a correction form's status line. */
+function _setFormStatus(form, message, isError) {
+    const statusP = form.querySelector('.log-correction-status');
+    if (!statusP) return;
+    statusP.textContent = message;
+    statusP.className = `log-correction-status text-xs ${isError ? 'text-red-500 dark:text-red-400' : 'text-gray-600 dark:text-gray-300'}`;
+}
+
+/** After a correction: reloads students (balances may have moved), the schedule (logged slots) and the list itself. */
+async function _afterCorrection(container) {
+    if (!appState.isTestMode) {
+        const students = await fetchStudents();
+        if (students) appState.updateStudentsData(students);
+    }
+    if (appState.currentCoachId) await refreshCurrentCoachSchedule();
+    const options = listOptions.get(container);
+    if (typeof options?.onChanged === 'function') await options.onChanged();
+}
+
+async function _handleEditSubmit(event, log) {
+    event.preventDefault();
+    const form = event.currentTarget;
+    const container = form.closest('[data-log-corrections]');
+    const attendance = form.elements.attendance_status.value;
+    const reason = form.elements.reason.value.trim();
+    if (!reason) return _setFormStatus(form, 'A reason is required.', true);
+    if (attendance === 'Absent' && !form.elements.absence_reason.value) return _setFormStatus(form, 'Choose an absence reason.', true);
+
+    const changes = {
+        attendance_status: attendance,
+        absence_reason: attendance === 'Absent' ? form.elements.absence_reason.value : null,
+        skills_covered: [...form.querySelectorAll('input[name="skills_covered"]:checked')].map(cb => cb.value),
+        proficiency: form.elements.proficiency.value ? parseInt(form.elements.proficiency.value) : null,
+        engagement: form.elements.engagement.value ? parseInt(form.elements.engagement.value) : null,
+        notes: form.elements.notes.value.trim()
+    };
+
+    const submitButton = form.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+    _setFormStatus(form, 'Saving...', false);
+    const result = await editLessonLog(log.id, changes, reason);
+    if (!result.success) {
+        submitButton.disabled = false;
+        return _setFormStatus(form, `Error: ${result.message}`, true);
+    }
+    console.log(`LogCorrections: Log ${log.id} edited (owed change ${result.owedChange}).`);
+    await _afterCorrection(container);
+}
+
+async function _handleVoidSubmit(event, log) {
+    event.preventDefault();
+    const form = event.currentTarget;
+    const container = form.closest('[data-log-corrections]');
+    const reason = form.elements.reason.value.trim();
+    if (!reason) return _setFormStatus(form, 'A reason is required.', true);
+
+    const submitButton = form.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+    _setFormStatus(form, 'Voiding...', false);
+    const result = await voidLessonLog(log.id, reason);
+    if (!result.success) {
+        submitButton.disabled = false;
+        return _setFormStatus(form, `Error: ${result.message}`, true);
+    }
+    console.log(`LogCorrections: Voided ${result.voided} entries (lesson of log ${log.id}).`);
+    await _afterCorrection(container);
+}
+
+/** Opens the edit or void form under an entry, or closes it (delegated). */
+function _handleListClick(event) {
+    const button = event.target.closest('button[data-log-action]');
+    if (!button) return;
+    const container = event.currentTarget;
+    const entry = button.closest('[data-log-id]');
+    if (!entry) return;
+
+    entry.querySelector('.log-correction-form')?.remove();
+    if (button.dataset.logAction === 'cancel') return;
+
+    const log = listOptions.get(container)?.logs.find(l => String(l.id) === entry.dataset.logId);
+    if (!log) return;
+    entry.appendChild(button.dataset.logAction === 'edit' ? _buildEditForm(log) : _buildVoidForm(log));
+}
+
+// --- Exported Functions ---
+
+/**
+ * Returns the HTML for an entry's Edit / Void buttons and its "edited by" note.
+ * The entry element must carry data-log-id. Roles that may not correct the log's coach get no buttons (or note).
+ * @param {object} log - The lesson log row.
+ * @returns {string} HTML string.
+ */
+export function renderLogCorrectionActions(log) {
+    if (!can('correctLogs', log.coach_id)) return '';
+    const editedNote = log.edited_at
+        ? `<span class="text-[11px] italic text-gray-500 dark:text-gray-400">Edited ${new Date(log.edited_at).toLocaleString()}${log.edited_by_email ? ` by ${escapeHtml(log.edited_by_email)}` : ''}</span>`
+        : '';
+    return `
+        <div class="flex flex-wrap items-center justify-end gap-2 mt-2">
+            ${editedNote}
+            <button type="button" data-log-action="edit" class="text-xs text-indigo-600 hover:text-indigo-800 dark:text-indigo-400 dark:hover:text-indigo-300 font-medium">Edit</button>
+            <button type="button" data-log-action="void" class="text-xs text-red-600 hover:text-red-800 dark:text-red-400 dark:hover:text-red-300 font-medium">Void</button>
+        </div>`;
+}
+
+/**
+ * Wires the edit/void actions of a rendered list of logs. Safe to call on every render.
+ * @param {HTMLElement} container - Element containing the entries.
+ * @param {Array<object>} logs - The logs rendered in it.
+ * @param {Function} onChanged - Called after a log was edited or voided (e.g. to reload the list).
+ */
+export function attachLogCorrections(container, logs, onChanged) {
+    if (!container) return;
+    container.dataset.logCorrections = 'true';
+    listOptions.set(container, { logs: logs || [], onChanged });
+    container.removeEventListener('click', _handleListClick);
+    container.addEventListener('click', _handleListClick);
+}
+
+// --- Add a ready flag ---
+export const isReady = true;
+
+console.log("Log Corrections module (logCorrections.js) loaded.");
@@ -0,0 +1,73 @@
+// js/logDrafts.js
+// Per-slot drafts of the inline lesson log form, kept in local storage while the coach types (ES Module).
+// Drafts are keyed by slot and lesson date, so hiding or re-rendering a slot no longer loses half-written notes.
+
+// --- Import Dependencies ---
+import { appState } from './state.js';
+
+// --- Constants ---
+const DRAFT_PREFIX = 'coachTool.logDraft';
+const DRAFT_MAX_AGE_DAYS = 30; // Older drafts are dropped when read
+
+// --- Helper Functions ---
+
+/** Drafts are kept separately for live and test mode, like the logs they become. */
+function _draftKey(scheduleId, lessonDate) {
+    return `${DRAFT_PREFIX}.${appState.isTestMode ? 'test' : 'live'}.${scheduleId}.${lessonDate}`;
+}
+
+// --- Exported Functions ---
+
+/**
+ * Saves a draft for a slot's log form.
+ * @param {number} scheduleId - The lesson_schedule ID.
+ * @param {string} lessonDate - The lesson date (YYYY-MM-DD).
+ * @param {object} draft - { skillsMode, fields } as read from the form.
+ */
+export function saveLogDraft(scheduleId, lessonDate, draft) {
+    try {
+        localStorage.setItem(_draftKey(scheduleId, lessonDate), JSON.stringify({ ...draft, savedAt: new Date().toISOString() }));
+    } catch (error) {
+        console.warn(`Log Drafts: Could not save draft for slot ${scheduleId} on ${lessonDate}.`, error);
+    }
+}
+
+/**
+ * Reads the draft for a slot's log form.
+ * @returns {object|null} The draft, or null if there is none (or it has expired).
+ */
+export function getLogDraft(scheduleId, lessonDate) {
+    try {
+        const raw = localStorage.getItem(_draftKey(scheduleId, lessonDate));
+        if (!raw) return null;
+        const draft = JSON.parse(raw);
+        const ageDays = (Date.now() - new Date(draft.savedAt).getTime()) / (24 * 60 * 60 * 1000);
+        if (!draft.fields || !(ageDays <= DRAFT_MAX_AGE_DAYS)) {
+            clearLogDraft(scheduleId, lessonDate);
+            return null;
+        }
+        return draft;
+    } catch (error) {
+        console.warn(`Log Drafts: Could not read draft for slot ${scheduleId} on ${lessonDate}.`, error);
+        return null;
+    }
+}
+
+/** Removes the draft for a slot's log form (e.g. after a successful submit). */
+export function clearLogDraft(scheduleId, lessonDate) {
+    try {
+        localStorage.removeItem(_draftKey(scheduleId, lessonDate));
+    } catch (error) {
+        console.warn(`Log Drafts: Could not clear draft for slot ${scheduleId} on ${lessonDate}.`, error);
+    }
+}
+
+/** Checks whether a slot has a saved draft for a lesson date. */
+export function hasLogDraft(scheduleId, lessonDate) {
+    return getLogDraft(scheduleId, lessonDate) !== null;
+}
+
+// --- Add a ready flag ---
+export const isReady = true;
+
+console.log("Log Drafts module (logDrafts.js) loaded.");
@@ -0,0 +1,286 @@
+// js/logExport.js
+// Builds spreadsheet exports (CSV and XLSX) of lesson logs for the log viewer (ES Module).
+// v1: Initial CSV/XLSX export with one column per skill covered.
+
+// --- Import Dependencies ---
+import { parseSkillsCovered } from './utils.js';
+
+// --- Constants ---
+const BASE_COLUMNS = [
+    'Date', 'Time', 'Student', 'Student ID', 'Coach', 'Coach ID', 'Status', 'Absence Reason', 'Fill-in',
+    'Lesson Type', 'Owed Change', 'Owed After', 'Proficiency', 'Engagement', 'Notes'
+];
+
+const CSV_MIME_TYPE = 'text/csv;charset=utf-8';
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// --- Helper Functions ---
+
+/** Returns a number for numeric log fields, or '' when the value is missing. */
+function _toNumberOrBlank(value) {
+    if (value === null || value === undefined || value === '') return '';
+    const number = Number(value);
+    return Number.isFinite(number) ? number : String(value);
+}
+
+/** Splits a log_date timestamp into local "YYYY-MM-DD" and "HH:MM" strings. */
+function _splitLogDate(logDateStr) {
+    if (!logDateStr) return { date: '', time: '' };
+    const dateObj = new Date(logDateStr);
+    if (isNaN(dateObj.getTime())) return { date: String(logDateStr), time: '' };
+    const pad = (n) => n.toString().padStart(2, '0');
+    return {
+        date: `${dateObj.getFullYear()}-${pad(dateObj.getMonth() + 1)}-${pad(dateObj.getDate())}`,
+        time: `${pad(dateObj.getHours())}:${pad(dateObj.getMinutes())}`
+    };
+}
+
+/** Resolves a display name from the joined row, then from the cached state data, then falls back to the id. */
+function _resolveName(joinedName, id, lookupData, label) {
+    if (joinedName) return joinedName;
+    const match = id ? (lookupData || []).find(row => String(row.id) === String(id)) : null;
+    return match?.Name || (id ? `${label} ID: ${id}` : 'Unknown');
+}
+
+/** Quotes a CSV field when needed. Text starting with a formula character is prefixed so spreadsheets don't evaluate it. */
+function _escapeCsvField(value) {
+    if (typeof value === 'number') return String(value);
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** Escapes text for use inside XML element content or attributes. */
+function _escapeXml(text) {
+    return String(text)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '') // Control characters are invalid in XML 1.0
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/** Converts a zero-based column index to a spreadsheet column letter (0 -> A, 26 -> AA). */
+function _columnLetter(index) {
+    let letters = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+    }
+    return letters;
+}
+
+/** Builds the worksheet XML. Numbers become numeric cells, everything else inline strings. */
+function _buildSheetXml(headers, rows) {
+    const rowXml = [headers, ...rows].map((row, rowIndex) => {
+        const cells = row.map((value, colIndex) => {
+            if (value === '' || value === null || value === undefined) return '';
+            const ref = `${_columnLetter(colIndex)}${rowIndex + 1}`;
+            if (typeof value === 'number') return `<c r="${ref}"><v>${value}</v></c>`;
+            return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${_escapeXml(value)}</t></is></c>`;
+        }).join('');
+        return `<row r="${rowIndex + 1}">${cells}</row>`;
+    }).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+        + `<sheetData>${rowXml}</sheetData></worksheet>`;
+}
+
+// --- Zip Writer (stored entries only, enough for an XLSX package) ---
+
+let crcTable = null;
+
+/** Computes the CRC-32 of a byte array. */
+function _crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Packs files into an uncompressed zip archive.
+ * @param {Array<{name: string, content: string}>} files - Files to add (content is UTF-8 encoded).
+ * @returns {Uint8Array} The zip bytes.
+ */
+function _buildZip(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const nameBytes = encoder.encode(file.name);
+        const data = encoder.encode(file.content);
+        const crc = _crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true); // Local file header signature
+        local.setUint16(4, 20, true);          // Version needed
+        local.setUint16(6, 0x0800, true);      // Flags: UTF-8 names
+        local.setUint16(8, 0, true);           // Method: stored
+        local.setUint16(10, dosTime, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        local.setUint16(28, 0, true);
+        localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true); // Central directory header signature
+        central.setUint16(4, 20, true);          // Version made by
+        central.setUint16(6, 20, true);          // Version needed
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, dosTime, true);
+        central.setUint16(14, dosDate, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true);     // Offset of the local header
+        centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+        offset += 30 + nameBytes.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true); // End of central directory signature
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    parts.forEach(part => { zip.set(part, position); position += part.length; });
+    return zip;
+}
+
+/** Triggers a browser download of the given content. */
+function _downloadBlob(content, mimeType, filename) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// --- Exported Functions ---
+
+/**
+ * Flattens lesson logs into spreadsheet rows.
+ * Coach and student names are resolved, and each skill covered gets its own column (1 when covered).
+ * @param {Array<object>} logs - Logs as returned by fetchLogs (with students/coaches joins).
+ * @param {Array<object>} studentsData - Student rows used when a log has no joined student name.
+ * @param {Array<object>} coachesData - Coach rows used when a log has no joined coach name.
+ * @returns {{headers: Array<string>, rows: Array<Array<string|number>>}} The table to export.
+ */
+export function buildLogExportTable(logs, studentsData = [], coachesData = []) {
+    const logSkills = (logs || []).map(log => parseSkillsCovered(log.skills_covered));
+    const skillColumns = [...new Set(logSkills.flat())].sort((a, b) => a.localeCompare(b));
+
+    const rows = (logs || []).map((log, index) => {
+        const { date, time } = _splitLogDate(log.log_date);
+        const skills = new Set(logSkills[index]);
+        return [
+            date,
+            time,
+            _resolveName(log.students?.Name, log.student_id, studentsData, 'Student'),
+            _toNumberOrBlank(log.student_id),
+            _resolveName(log.coaches?.Name, log.coach_id, coachesData, 'Coach'),
+            _toNumberOrBlank(log.coach_id),
+            log.status || log.attendance_status || 'Logged',
+            log.absence_reason || '',
+            log.is_fill_in ? 'Yes' : 'No',
+            log.lesson_type || '',
+            _toNumberOrBlank(log.lessons_owed_change),
+            _toNumberOrBlank(log.lessons_owed_after),
+            _toNumberOrBlank(log.proficiency),
+            _toNumberOrBlank(log.engagement),
+            log.notes || '',
+            ...skillColumns.map(skill => (skills.has(skill) ? 1 : ''))
+        ];
+    });
+
+    return { headers: [...BASE_COLUMNS, ...skillColumns], rows };
+}
+
+/**
+ * Downloads a table as a CSV file (UTF-8 with BOM so Excel keeps non-ASCII names intact).
+ * @param {{headers: Array<string>, rows: Array<Array<string|number>>}} table - The table to export.
+ * @param {string} filename - Download file name.
+ */
+export function downloadCsv(table, filename) {
+    const lines = [table.headers, ...table.rows].map(row => row.map(_escapeCsvField).join(','));
+    _downloadBlob('\uFEFF' + lines.join('\r\n') + '\r\n', CSV_MIME_TYPE, filename);
+}
+
+/**
+ * Downloads a table as a single-sheet XLSX workbook.
+ * @param {{headers: Array<string>, rows: Array<Array<string|number>>}} table - The table to export.
+ * @param {string} filename - Download file name.
+ * @param {string} [sheetName='Lesson Logs'] - Worksheet name (max 31 characters).
+ */
+export function downloadXlsx(table, filename, sheetName = 'Lesson Logs') {
+    const safeSheetName = _escapeXml(sheetName.replace(/[\[\]:*?\/\\]/g, ' ').substring(0, 31));
+    const files = [
+        {
+            name: '[Content_Types].xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+                + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                + '<Default Extension="xml" ContentType="application/xml"/>'
+                + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+                + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+                + '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+                + '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+                + `<sheets><sheet name="${safeSheetName}" sheetId="1" r:id="rId1"/></sheets>`
+                + '</workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+                + '</Relationships>'
+        },
+        { name: 'xl/worksheets/sheet1.xml', content: _buildSheetXml(table.headers, table.rows) }
+    ];
+    _downloadBlob(_buildZip(files), XLSX_MIME_TYPE, filename);
+}
+
+// --- Add a ready flag ---
+export const isReady = true;
+
+console.log("Log Export module (logExport.js) loaded.");
@@ -1,11 +1,14 @@
 // js/logViewer.js
 // Handles the display and filtering of past lesson logs (ES Module).
-// v6: Properly parse and display 'skills_covered' array string.
+// v9: Skills covered show their current catalogue names (renamed and retired skills resolve via skillsCatalogue.js).
 
 // --- Import Dependencies ---
 import { appState } from './state.js'; // Import from state.js
 import { fetchLogs, getLogDateRange, fetchStudents } from './api.js';
 import { getStudentDetails, parseTime, formatTime } from './utils.js'; // Import time formatting utils
+import { formatSkillsCovered } from './skillsCatalogue.js';
+import { buildLogExportTable, downloadCsv, downloadXlsx } from './logExport.js';
+import { renderLogCorrectionActions, attachLogCorrections } from './logCorrections.js';
 import { showLoading, hideLoading, displayError, clearError } from './ui.js';
 
 // --- Module Variables ---
@@ -16,9 +19,13 @@ let studentFilterSelect = null;
 let logOutputDiv = null;
 let logViewerLoadingDiv = null;
 let viewPastLogsButton = null;
+let exportCsvButton = null;
+let exportXlsxButton = null;
 
 let currentSortBy = 'date_desc'; // Default sort
 let allStudentsForFilter = []; // Store all students for the filter dropdown
+let displayedLogs = []; // Logs currently shown (filtered and sorted), used for export
+let displayedLogsRange = null; // { startDate, endDate } of displayedLogs, used in export file names
 
 // --- Helper Functions ---
 
@@ -51,37 +58,13 @@ function _formatLogDateTime(logDateStr) {
 }
 
 /**
- * Parses the skills_covered string (PostgreSQL array format) into a readable string or array.
- * @param {string} skillsString - The raw string e.g., "{\"Skill A\",\"Skill B\"}".
+ * Formats the skills_covered value (PostgreSQL array string) for display.
+ * Renamed skills show their current name and retired skills are marked, so historic logs still read correctly.
+ * @param {string|Array<string>} skillsValue - The raw value e.g., "{\"Skill A\",\"Skill B\"}".
  * @returns {string} A comma-separated string of skills, or "N/A".
  */
-function _parseSkillsCovered(skillsString) {
-    if (!skillsString || typeof skillsString !== 'string') {
-        return 'N/A';
-    }
-    // Check if it's in the expected array format "{...}"
-    if (skillsString.startsWith('{') && skillsString.endsWith('}')) {
-        try {
-            // Remove curly braces
-            let cleanedString = skillsString.substring(1, skillsString.length - 1);
-            
-            // Split by '","' - this handles skills with commas inside them if they are properly quoted.
-            // If skills are simple and don't contain commas, a simple split by comma after removing quotes would also work.
-            const skillsArray = cleanedString.split('","').map(skill => {
-                // Remove leading/trailing quotes if present from the split parts
-                if (skill.startsWith('"')) skill = skill.substring(1);
-                if (skill.endsWith('"')) skill = skill.substring(0, skill.length - 1);
-                return skill.trim(); // Trim whitespace
-            });
-
-            return skillsArray.join(', ') || 'N/A'; // Join with comma and space
-        } catch (e) {
-            console.error("Error parsing skills_covered string:", skillsString, e);
-            return skillsString; // Return original string if parsing fails
-        }
-    }
-    // If it's not in the expected array format, return as is (might be a simple string already)
-    return skillsString;
+function _parseSkillsCovered(skillsValue) {
+    return formatSkillsCovered(skillsValue).join(', ') || 'N/A';
 }
 
 
@@ -113,7 +96,7 @@ function _renderLogEntry(log) {
     const skillsCoveredDisplay = _parseSkillsCovered(log.skills_covered);
 
     return `
-        <li class="log-entry p-3 mb-3 border rounded-lg bg-white dark:bg-gray-800 dark:border-gray-700 shadow-md">
+        <li class="log-entry p-3 mb-3 border rounded-lg bg-white dark:bg-gray-800 dark:border-gray-700 shadow-md" data-log-id="${log.id}">
             <div class="flex justify-between items-center mb-2 pb-2 border-b dark:border-gray-600">
                 <p class="font-semibold text-lg text-indigo-700 dark:text-indigo-400">${studentName}</p>
                 <p class="text-sm text-gray-600 dark:text-gray-300">${formattedLogDate}</p>
@@ -135,6 +118,7 @@ function _renderLogEntry(log) {
                 <p class="text-xs font-medium text-gray-700 dark:text-gray-300"><strong>Notes:</strong></p>
                 <p class="text-xs italic text-gray-600 dark:text-gray-400 whitespace-pre-wrap pl-2">${notes}</p>
             </div>
+            ${renderLogCorrectionActions(log)}
         </li>
     `;
 }
@@ -249,6 +233,7 @@ async function _loadAndDisplayLogs() {
 
     showLoading(logViewerLoadingDiv);
     logOutputDiv.innerHTML = ''; // Clear previous logs
+    _setDisplayedLogs([]);
     clearError("log-viewer-error"); // Assuming you might add an error display area
 
     try {
@@ -267,6 +252,8 @@ async function _loadAndDisplayLogs() {
                 list.innerHTML += _renderLogEntry(log); // Append HTML string
             });
             logOutputDiv.appendChild(list);
+            attachLogCorrections(logOutputDiv, logs, _loadAndDisplayLogs);
+            _setDisplayedLogs(logs, { startDate, endDate });
         }
     } catch (error) {
         console.error("LogViewer Error fetching logs:", error);
@@ -277,6 +264,44 @@ async function _loadAndDisplayLogs() {
     }
 }
 
+/** Stores the logs being displayed and enables the export buttons when there is something to export. */
+function _setDisplayedLogs(logs, range = null) {
+    displayedLogs = logs || [];
+    displayedLogsRange = range;
+    [exportCsvButton, exportXlsxButton].forEach(button => {
+        if (button) button.disabled = displayedLogs.length === 0;
+    });
+}
+
+/** Builds the export file name from the coach, week and student filter, e.g. "lesson-logs_Jane_2026-10-12_2026-10-18.csv". */
+function _getExportFilename(extension) {
+    const coach = appState.coachesData.find(c => String(c.id) === String(appState.currentCoachId));
+    const student = studentFilterSelect.value ? allStudentsForFilter.find(s => String(s.id) === studentFilterSelect.value) : null;
+    const parts = ['lesson-logs', coach?.Name, student?.Name, displayedLogsRange?.startDate, displayedLogsRange?.endDate]
+        .filter(Boolean)
+        .map(part => String(part).trim().replace(/[^\w\-]+/g, '-'));
+    return `${parts.join('_')}.${extension}`;
+}
+
+/** Downloads the displayed logs in the requested format ('csv' or 'xlsx'). */
+function _handleExportClick(format) {
+    if (displayedLogs.length === 0) {
+        alert("There are no logs to export. Select a week with logs first.");
+        return;
+    }
+    try {
+        const table = buildLogExportTable(displayedLogs, appState.studentsData.length > 0 ? appState.studentsData : allStudentsForFilter, appState.coachesData);
+        if (format === 'xlsx') {
+            downloadXlsx(table, _getExportFilename('xlsx'));
+        } else {
+            downloadCsv(table, _getExportFilename('csv'));
+        }
+    } catch (error) {
+        console.error("LogViewer Error exporting logs:", error);
+        alert(`Could not export logs: ${error.message}`);
+    }
+}
+
 /** Handles changes in filter or sort options. */
 function _handleFilterOrSortChange() {
     _loadAndDisplayLogs();
@@ -347,6 +372,8 @@ export function initLogViewer() {
     logOutputDiv = document.getElementById('log-viewer-output');
     logViewerLoadingDiv = document.getElementById('log-viewer-loading');
     viewPastLogsButton = document.getElementById('view-past-logs-button');
+    exportCsvButton = document.getElementById('log-export-csv-btn');
+    exportXlsxButton = document.getElementById('log-export-xlsx-btn');
 
     if (!logViewerContainer || !logViewerControls || !weekSelector || !studentFilterSelect || !logOutputDiv || !logViewerLoadingDiv || !viewPastLogsButton) {
         console.error("LogViewer Init Error: One or more required log viewer elements not found in the DOM. Check IDs:", {
@@ -362,6 +389,14 @@ export function initLogViewer() {
     // Add event listeners for sort buttons (delegated from controls div)
     logViewerControls.addEventListener('click', _handleSortButtonClick);
 
+    if (exportCsvButton && exportXlsxButton) {
+        exportCsvButton.addEventListener('click', () => _handleExportClick('csv'));
+        exportXlsxButton.addEventListener('click', () => _handleExportClick('xlsx'));
+        _setDisplayedLogs([]);
+    } else {
+        console.warn("LogViewer Init Warning: Export buttons not found; export is disabled.");
+    }
+
     console.log("Log Viewer module initialized successfully.");
 }
 
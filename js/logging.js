@@ -1,25 +1,20 @@
 // js/logging.js
 // Handles the population and submission of the inline lesson logging form (ES Module).
-// v7: Ensure 'owed_change' is 0 when logging an absence.
+// v11: Skill checkboxes render from the skills catalogue (skillsCatalogue.js), grouped by level.
 
 // --- Import Dependencies ---
 import { appState } from './state.js'; // <--- Import from state.js
-import { getStudentDetails, checkPairingRuleViolation, getGroupSizeText } from './utils.js';
-import { submitLogAndUpdates, markPastLogHandled } from './api.js';
-import { displayError as uiDisplayError, clearError as uiClearError, displayPastMissedLogsUI, displayMissedLogWarning } from './ui.js';
+import { getStudentDetails, checkPairingRuleViolation, getGroupSizeText, getSlotStatuses } from './utils.js';
+import { submitLogAndUpdates, markPastLogHandled, getTodaysDateUTC } from './api.js';
+import { displayError as uiDisplayError, clearError as uiClearError, showStatusMessage, displayPastMissedLogsUI, displayMissedLogWarning } from './ui.js';
 import { hideAllInlineForms, handleSlotSelection } from './schedule.js';
 import { closeAbsenceSuggestionBox } from './absence.js';
+import { saveLogDraft, getLogDraft, clearLogDraft } from './logDrafts.js';
+import { renderSkillCheckboxes } from './skillsCatalogue.js';
 
 
-// --- Predefined Skills List ---
-const LOGGABLE_SKILLS = [
-    "Opening Principles", "Tactics (Pins, Forks, Skewers)", "Checkmating Patterns",
-    "Endgame Fundamentals", "Strategy Basics", "Calculation Practice",
-    "Game Analysis", "Puzzle Solving", "Specific Opening Prep", "Tournament Preparation"
-];
-
-// --- Absence Reasons (Copied from absence.js for local use) ---
-const ABSENCE_REASONS = [
+// --- Absence Reasons (Copied from absence.js for local use; exported for the log correction form) ---
+export const ABSENCE_REASONS = [
     "Sick",
     "Appointment",
     "Holiday",
@@ -52,8 +47,7 @@ function _getPresentStudentIds(slotDetails, todaysStatuses) {
 
     const scheduleId = slotDetails.scheduleId;
     const originalStudentIds = slotDetails.originalStudentIds || [];
-    const safeTodaysStatuses = Array.isArray(todaysStatuses) ? todaysStatuses : [];
-    const slotStatuses = safeTodaysStatuses.filter(s => s.lesson_schedule_id === scheduleId);
+    const slotStatuses = getSlotStatuses(todaysStatuses, scheduleId, slotDetails.slotDate || null);
     const absentStudentIds = new Set(
         slotStatuses.filter(s => s.status === 'marked_absent').map(s => s.student_id)
     );
@@ -119,19 +113,7 @@ function _createStudentLogFormSection(studentId, index, isGroup, scheduleId, isP
     individualSkillsDiv.className = `individual-skills-section mb-2 ${isGroup ? 'hidden' : ''}`;
     individualSkillsDiv.innerHTML = `<p class="text-xs font-medium text-gray-600 dark:text-gray-300 mb-1">Skills (Individual):</p>`;
     const skillsGrid = document.createElement('div');
-    skillsGrid.className = 'grid grid-cols-1 sm:grid-cols-2 gap-x-3 gap-y-1';
-    const skillsGroupName = `skills_${studentId}`;
-    LOGGABLE_SKILLS.forEach((skill, skillIndex) => {
-        const checkboxId = `skill-individual-${studentId}-${skillIndex}`;
-        const label = document.createElement('label'); label.htmlFor = checkboxId;
-        label.className = 'flex items-center space-x-1.5 text-xs text-gray-700 dark:text-gray-300 cursor-pointer';
-        const checkbox = document.createElement('input'); checkbox.type = 'checkbox';
-        checkbox.id = checkboxId; checkbox.name = skillsGroupName; checkbox.value = skill;
-        checkbox.className = 'form-checkbox h-3 w-3 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500 dark:bg-gray-600 dark:border-gray-500 dark:focus:ring-offset-gray-800';
-        const span = document.createElement('span'); span.textContent = skill;
-        label.appendChild(checkbox); label.appendChild(span);
-        skillsGrid.appendChild(label);
-    });
+    skillsGrid.innerHTML = renderSkillCheckboxes({ name: `skills_${studentId}`, idPrefix: `skill-individual-${studentId}` });
     individualSkillsDiv.appendChild(skillsGrid);
     studentFormContent.appendChild(individualSkillsDiv);
 
@@ -207,6 +189,81 @@ function handleToggleSkillsMode(event) {
         toggleLink.textContent = '[Log Individually]';
         inlineForm.dataset.skillsMode = 'group';
     }
+    _saveFormDraft(inlineForm);
+}
+
+// --- Draft Autosave ---
+
+/** (Internal Helper) The lesson date a log form is for, which keys its draft. */
+function _getFormLessonDate(inlineFormElement) {
+    return inlineFormElement.dataset.pastLogDate || inlineFormElement.dataset.slotDate || getTodaysDateUTC();
+}
+
+/** (Internal Helper) Shows or hides the draft badge on the slot's schedule card. */
+function _updateDraftBadge(scheduleId, hasDraft) {
+    const badge = document.querySelector(`.schedule-item[data-schedule-id="${scheduleId}"] .log-draft-badge`);
+    if (badge) badge.classList.toggle('hidden', !hasDraft);
+}
+
+/**
+ * (Internal Helper) Reads the filled-in values of a log form. Field names are student-based
+ * (skills_<id>, proficiency_<id>, engagement_<id>, notes_<id>), so a draft still fits after absences change.
+ * @returns {object|null} { skillsMode, fields }, or null if nothing has been filled in.
+ */
+function _readFormDraft(inlineFormElement) {
+    const fields = {};
+    inlineFormElement.querySelectorAll('input[name], textarea[name]').forEach(input => {
+        if (input.type === 'checkbox') {
+            if (input.checked) (fields[input.name] = fields[input.name] || []).push(input.value);
+        } else if (input.type === 'radio') {
+            if (input.checked) fields[input.name] = input.value;
+        } else if (input.value.trim()) {
+            fields[input.name] = input.value;
+        }
+    });
+    if (Object.keys(fields).length === 0) return null;
+    return { skillsMode: inlineFormElement.dataset.skillsMode || null, fields };
+}
+
+/** (Internal Helper) Saves (or clears, if empty) the draft for a log form. */
+function _saveFormDraft(inlineFormElement) {
+    const scheduleId = parseInt(inlineFormElement.dataset.scheduleId);
+    if (isNaN(scheduleId)) return;
+    const lessonDate = _getFormLessonDate(inlineFormElement);
+    const draft = _readFormDraft(inlineFormElement);
+    if (draft) saveLogDraft(scheduleId, lessonDate, draft);
+    else clearLogDraft(scheduleId, lessonDate);
+    _updateDraftBadge(scheduleId, !!draft);
+}
+
+function handleLogFormInput(event) {
+    const inlineForm = event.currentTarget;
+    if (event.target.closest('[id^="past-fillin-search-"]')) return; // The fill-in search box isn't part of the log
+    _saveFormDraft(inlineForm);
+}
+
+/** (Internal Helper) Fills a freshly built log form from its saved draft, if there is one. */
+function _restoreFormDraft(inlineFormElement) {
+    const scheduleId = parseInt(inlineFormElement.dataset.scheduleId);
+    const draft = getLogDraft(scheduleId, _getFormLessonDate(inlineFormElement));
+    if (!draft) return;
+
+    inlineFormElement.querySelectorAll('input[name], textarea[name]').forEach(input => {
+        const saved = draft.fields[input.name];
+        if (saved === undefined) return;
+        if (input.type === 'checkbox') input.checked = Array.isArray(saved) && saved.includes(input.value);
+        else if (input.type === 'radio') input.checked = saved === input.value;
+        else input.value = saved;
+    });
+    // Toggling after the fields are filled, as the toggle re-saves the draft from the form
+    if (draft.skillsMode && draft.skillsMode !== inlineFormElement.dataset.skillsMode) {
+        inlineFormElement.querySelector('.toggle-skills-mode-btn')?.click();
+    }
+    const draftNote = document.createElement('p');
+    draftNote.className = 'text-xs text-indigo-600 dark:text-indigo-400 italic mb-2';
+    draftNote.textContent = `Draft restored (saved ${new Date(draft.savedAt).toLocaleString()}).`;
+    inlineFormElement.prepend(draftNote);
+    console.log(`Logging: Restored draft for slot ${scheduleId}.`);
 }
 
 /**
@@ -280,7 +337,7 @@ function _gatherInlineFormData(inlineFormElement, presentStudentIds, scheduleId)
  * (Internal Helper) Creates log entries for absent students.
  * Ensures owed_change is 0 for absences.
  */
-function _createAbsentStudentLogEntries(scheduleId, isPastLog, originalStudentIds = [], presentStudentIds = [], todaysStatuses = [], formElement = null) {
+function _createAbsentStudentLogEntries(scheduleId, isPastLog, originalStudentIds = [], presentStudentIds = [], todaysStatuses = [], formElement = null, slotDate = null) {
     const payload = [];
     if (isPastLog) {
         if (!formElement) {
@@ -304,8 +361,7 @@ function _createAbsentStudentLogEntries(scheduleId, isPastLog, originalStudentId
     } else {
         const presentSet = new Set(presentStudentIds);
         const processedIds = new Set();
-        const safeTodaysStatuses = Array.isArray(todaysStatuses) ? todaysStatuses : [];
-        const slotStatuses = safeTodaysStatuses.filter(s => s.lesson_schedule_id === scheduleId);
+        const slotStatuses = getSlotStatuses(todaysStatuses, scheduleId, slotDate);
 
         const absentStatuses = slotStatuses.filter(s => s.status === 'marked_absent');
         absentStatuses.forEach(status => {
@@ -439,6 +495,7 @@ async function handleLogSubmit(event) {
     let coachId = null;
     let presentStudentIds = [];
     let originalStudentIds = [];
+    let slotDate = null; // Lesson date for slots logged from the schedule grid
 
     if (isPast) {
         const pastLogEntry = appState.pastMissedLogs.find(log => log.schedule_id === scheduleId && log.missed_date === pastLogDate);
@@ -454,6 +511,11 @@ async function handleLogSubmit(event) {
              return;
         }
     } else if (appState.selectedLessonSlot) {
+        slotDate = appState.selectedLessonSlot.slotDate || null;
+        if (slotDate && slotDate > getTodaysDateUTC()) {
+            _handleFailedInlineLogSubmission(`This lesson is on ${slotDate} and cannot be logged yet.`, inlineForm);
+            return;
+        }
         coachId = appState.selectedLessonSlot.coachId;
         originalStudentIds = appState.selectedLessonSlot.originalStudentIds || [];
         presentStudentIds = _getPresentStudentIds(appState.selectedLessonSlot, appState.todaysStatuses || []);
@@ -479,13 +541,15 @@ async function handleLogSubmit(event) {
         return;
     }
     const presentPayload = presentStudentData.payload;
-    const absentStudentData = _createAbsentStudentLogEntries(scheduleId, isPast, originalStudentIds, presentStudentIds, todaysStatuses, isPast ? inlineForm : null);
+    const absentStudentData = _createAbsentStudentLogEntries(scheduleId, isPast, originalStudentIds, presentStudentIds, todaysStatuses, isPast ? inlineForm : null, slotDate);
     const absentPayload = absentStudentData.payload;
+    // log_date stays null for today's lessons so the backend stamps the current time
+    const gridLogDate = slotDate && slotDate !== getTodaysDateUTC() ? slotDate : null;
     const finalPayload = [...presentPayload, ...absentPayload].map(entry => ({
         ...entry,
         coach_id: coachId,
         lesson_schedule_id: scheduleId,
-        log_date: pastLogDate
+        log_date: pastLogDate || gridLogDate
     }));
 
     if (finalPayload.length === 0) {
@@ -493,6 +557,7 @@ async function handleLogSubmit(event) {
             try {
                 const markResult = await markPastLogHandled(scheduleId, pastLogDate);
                 if (markResult.success) {
+                    clearLogDraft(scheduleId, _getFormLessonDate(inlineForm));
                     _handleSuccessfulInlineLogSubmission(scheduleId, inlineFormContainer, pastLogDate);
                 } else {
                     throw new Error(markResult.message || "Failed to mark log as handled.");
@@ -513,7 +578,10 @@ async function handleLogSubmit(event) {
     try {
         const result = await submitLogAndUpdates(finalPayload);
         if (result && result.success) {
+            clearLogDraft(scheduleId, _getFormLessonDate(inlineForm));
+            _updateDraftBadge(scheduleId, false);
             _handleSuccessfulInlineLogSubmission(scheduleId, inlineFormContainer, pastLogDate);
+            if (result.queued) showStatusMessage(result.message, 'general', true);
         } else {
             const isBackendFalse = result && result.success === false;
             _handleFailedInlineLogSubmission(result?.message, inlineForm, isBackendFalse);
@@ -554,12 +622,21 @@ export function populateInlineLogForm(containerElement, selectedSlotDetails) {
         const inlineForm = document.createElement('form');
         inlineForm.id = `lesson-log-inline-form-${scheduleId}` + (pastLogDate ? `-${pastLogDate}` : '');
         inlineForm.dataset.scheduleId = scheduleId;
+        if (!isPastLog && selectedSlotDetails.slotDate) inlineForm.dataset.slotDate = selectedSlotDetails.slotDate;
         if (isPastLog && pastLogDate) {
             inlineForm.dataset.pastLogDate = pastLogDate;
             const pastDateIndicator = document.createElement('p');
             pastDateIndicator.className = 'text-xs text-orange-600 dark:text-orange-400 font-semibold mb-2 italic';
             pastDateIndicator.textContent = `Logging for past date: ${pastLogDate}`;
             inlineForm.appendChild(pastDateIndicator);
+        } else if (selectedSlotDetails.slotDate && selectedSlotDetails.slotDate !== getTodaysDateUTC()) {
+            const isFutureLesson = selectedSlotDetails.slotDate > getTodaysDateUTC();
+            const dateIndicator = document.createElement('p');
+            dateIndicator.className = `text-xs font-semibold mb-2 italic ${isFutureLesson ? 'text-blue-600 dark:text-blue-400' : 'text-orange-600 dark:text-orange-400'}`;
+            dateIndicator.textContent = isFutureLesson
+                ? `Upcoming lesson on ${selectedSlotDetails.slotDate}. It can be logged on or after that date.`
+                : `Logging for date: ${selectedSlotDetails.slotDate}`;
+            inlineForm.appendChild(dateIndicator);
         }
         inlineForm.dataset.skillsMode = isGroup ? 'group' : 'individual';
 
@@ -595,19 +672,7 @@ export function populateInlineLogForm(containerElement, selectedSlotDetails) {
         }
         sharedSkillsDiv.appendChild(sharedSkillsLabel);
         const sharedSkillsGrid = document.createElement('div');
-        sharedSkillsGrid.className = 'grid grid-cols-1 sm:grid-cols-2 gap-x-3 gap-y-1';
-        const skillsGroupName = `skills_shared_${scheduleId}`;
-        LOGGABLE_SKILLS.forEach((skill, skillIndex) => {
-            const checkboxId = `skill-shared-${scheduleId}-${skillIndex}`;
-            const label = document.createElement('label'); label.htmlFor = checkboxId;
-            label.className = 'flex items-center space-x-1.5 text-xs text-gray-700 dark:text-gray-300 cursor-pointer';
-            const checkbox = document.createElement('input'); checkbox.type = 'checkbox';
-            checkbox.id = checkboxId; checkbox.name = skillsGroupName; checkbox.value = skill;
-            checkbox.className = 'form-checkbox h-3 w-3 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500 dark:bg-gray-600 dark:border-gray-500 dark:focus:ring-offset-gray-800';
-            const span = document.createElement('span'); span.textContent = skill;
-            label.appendChild(checkbox); label.appendChild(span);
-            sharedSkillsGrid.appendChild(label);
-        });
+        sharedSkillsGrid.innerHTML = renderSkillCheckboxes({ name: `skills_shared_${scheduleId}`, idPrefix: `skill-shared-${scheduleId}` });
         sharedSkillsDiv.appendChild(sharedSkillsGrid);
         inlineForm.appendChild(sharedSkillsDiv);
 
@@ -642,6 +707,10 @@ export function populateInlineLogForm(containerElement, selectedSlotDetails) {
         submitButton.id = `inline-log-submit-${scheduleId}`;
         submitButton.className = 'bg-indigo-500 hover:bg-indigo-700 dark:bg-indigo-600 dark:hover:bg-indigo-500 text-white font-bold py-1 px-3 rounded text-sm focus:outline-none focus:shadow-outline order-1';
         submitButton.textContent = 'Submit Log';
+        if (!isPastLog && selectedSlotDetails.slotDate && selectedSlotDetails.slotDate > getTodaysDateUTC()) {
+            submitButton.disabled = true; // Future lessons can have absences/fill-ins set, but not be logged
+            submitButton.classList.add('opacity-50', 'cursor-not-allowed');
+        }
         if (isPastLog) {
             const addFillInButton = document.createElement('button');
             addFillInButton.type = 'button';
@@ -660,7 +729,10 @@ export function populateInlineLogForm(containerElement, selectedSlotDetails) {
         inlineForm.appendChild(controlsDiv);
         inlineForm.removeEventListener('submit', handleLogSubmit);
         inlineForm.addEventListener('submit', handleLogSubmit);
+        inlineForm.removeEventListener('input', handleLogFormInput);
+        inlineForm.addEventListener('input', handleLogFormInput);
         containerElement.appendChild(inlineForm);
+        _restoreFormDraft(inlineForm);
     } else {
         containerElement.innerHTML = '<p class="text-gray-500 dark:text-gray-400 italic text-xs p-1">No students to log.</p>';
     }
@@ -1,6 +1,6 @@
 // js/main.js
 // Main application entry point and initial event listener setup (ES Module).
-// v2: Initialize studentProfile.js
+// v6: Initialize the substitute coach controls (substitutes.js).
 
 // --- Import Dependencies ---
 import { appState } from './state.js'; // Import appState from state.js
@@ -12,6 +12,11 @@ import { handleCoachSelectionChange, refreshCurrentCoachSchedule, populateCoachS
 import { clearTestData, loadInitialAppData } from './api.js';
 import { supabaseClient } from './supabaseClient.js';
 import { initStudentProfile } from './studentProfile.js'; // <<< NEW: Import student profile initializer
+import { initDateNavigator, updateDateNavigatorUI } from './dateNavigator.js';
+import { initOfflineSync, refreshOutboxIndicator, replayOutbox } from './offline.js';
+import { can } from './permissions.js';
+import { initLeaveRequests } from './leaveRequests.js';
+import { initSubstitutes } from './substitutes.js';
 
 // --- Global State Object (Imported) ---
 // appState is now imported from './state.js'
@@ -25,8 +30,11 @@ export async function refreshDataForMode() {
         const initialData = await loadInitialAppData();
         if (initialData) {
             appState.setInitialData(initialData); // Use imported appState
+            refreshOutboxIndicator(); // Each mode has its own outbox
+            replayOutbox();
+            updateDateNavigatorUI();
             populateCoachSelector(appState.coachesData);
-            if (appState.isAdmin) { // Check imported appState
+            if (can('useAdminTools')) {
                 populateAdminCoachSelector(appState.coachesData);
             }
             if (appState.currentCoachId) { // Check imported appState
@@ -62,6 +70,18 @@ document.addEventListener('DOMContentLoaded', () => {
     console.log("Main: Initializing Student Profile module..."); // <<< NEW
     initStudentProfile(); // <<< NEW: Call the initializer
 
+    console.log("Main: Initializing Leave Requests module...");
+    initLeaveRequests();
+
+    console.log("Main: Initializing Substitutes module...");
+    initSubstitutes();
+
+    console.log("Main: Initializing Date Navigator module...");
+    initDateNavigator();
+
+    console.log("Main: Initializing offline sync...");
+    initOfflineSync(refreshCurrentCoachSchedule);
+
     // --- Attach Main Event Listeners ---
     console.log("Main: Attaching main event listeners...");
     const loginForm = document.getElementById('login-form');
@@ -0,0 +1,319 @@
+// js/makeups.js
+// Handles make-up lesson booking: from an absent student entry, listing later slots with room that the student
+// can take, booking one, and showing booked make-ups and whether they were attended (ES Module).
+// Bookings hold their seat as a fill-in; attendance is set from the make-up's lesson log (see the
+// 20261019210000_makeup_bookings migration).
+
+// --- Import Dependencies ---
+import { appState } from './state.js';
+import { fetchAllScheduleSlots, getStatusesForDateRange, fetchDailyBlocks, fetchSubstitutionsForDateRange, fetchMakeupBookings, bookMakeupLesson, cancelMakeupBooking, getTodaysDateUTC } from './api.js';
+import { getStudentDetails, isStudentAvailable, checkPairingRuleViolation, isStudentBlocked, getSlotOccupantIds, getSlotSubstitution, getEffectiveCapacity, addDaysToDateString, getWeekdayName, getRosterOnDate, escapeHtml, formatDate } from './utils.js';
+import { can } from './permissions.js';
+import { refreshCurrentCoachSchedule } from './coachSelect.js';
+import { showStatusMessage, displayError } from './ui.js';
+
+// --- Constants ---
+const MAKEUP_WINDOW_DAYS = 14; // How far ahead make-up slots are looked for
+const MAX_OPTIONS = 12;
+const LESSON_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
+
+const STATUS_LABELS = {
+    booked: 'Booked',
+    attended: 'Attended',
+    missed: 'Missed',
+    cancelled: 'Cancelled'
+};
+const STATUS_CLASSES = {
+    booked: 'text-sky-700 dark:text-sky-300 bg-sky-100 dark:bg-sky-900/50',
+    attended: 'text-green-700 dark:text-green-300 bg-green-100 dark:bg-green-900/50',
+    missed: 'text-red-700 dark:text-red-300 bg-red-100 dark:bg-red-900/50',
+    cancelled: 'text-gray-600 dark:text-gray-300 bg-gray-200 dark:bg-gray-700'
+};
+
+// --- Helper Functions ---
+
+function _coachName(coachId) {
+    return appState.coachesData?.find(coach => coach.id === coachId)?.Name || `Coach ${coachId}`;
+}
+
+/** True if the date falls inside a term (or no terms are set up). */
+function _isInTerm(dateString) {
+    const terms = appState.termDates || [];
+    if (terms.length === 0) return true;
+    return terms.some(term => term.start_date && term.end_date && dateString >= term.start_date && dateString <= term.end_date);
+}
+
+/** The school days to look for make-ups on: from the day after the absence (or today, if later), within terms. */
+function _candidateDates(missedDate) {
+    const today = getTodaysDateUTC();
+    const dayAfterMissed = addDaysToDateString(missedDate, 1);
+    const firstDate = dayAfterMissed > today ? dayAfterMissed : today;
+    const dates = [];
+    for (let offset = 0; offset < MAKEUP_WINDOW_DAYS; offset++) {
+        const date = addDaysToDateString(firstDate, offset);
+        if (LESSON_DAYS.includes(getWeekdayName(date)) && _isInTerm(date)) dates.push(date);
+    }
+    return dates;
+}
+
+/**
+ * Lists the slots a student could make a missed lesson up in: later lessons with a free seat, at a time the
+ * student is available and not already in a lesson, that pairing rules and daily blocks allow.
+ * @returns {Array<object>} [{ scheduleId, date, day, time, coachId, freeSeats }] by date and time.
+ */
+function _findMakeupOptions(studentDetails, dates, allSlots, statuses, blocks, substitutions) {
+    const options = [];
+    const availabilityCache = {};
+    const nowTime = new Date().toTimeString().substring(0, 5); // Local time, like the lesson times
+    const today = getTodaysDateUTC();
+
+    dates.forEach(date => {
+        const day = getWeekdayName(date);
+        // Each slot's roster as it stands on the date (enrolments can start or end between now and then)
+        const daySlots = allSlots
+            .filter(slot => slot.day === day)
+            .map(slot => ({ ...slot, student_ids: getRosterOnDate(slot.enrolments, date) }));
+        // Times the student already has a lesson that day (their own roster unless absent, or a fill-in)
+        const busyTimes = new Set(daySlots
+            .filter(slot => getSlotOccupantIds(slot.student_ids, statuses, slot.schedule_id, date).includes(studentDetails.id))
+            .map(slot => String(slot.time).substring(0, 5)));
+
+        daySlots.forEach(slot => {
+            const time = String(slot.time).substring(0, 5);
+            if (date === today && time <= nowTime) return;
+            if (busyTimes.has(time)) return;
+
+            const teachingCoachId = getSlotSubstitution(substitutions, slot.schedule_id, date)?.substitute_coach_id ?? slot.coach_id;
+            if (!can('bookMakeups', teachingCoachId)) return;
+
+            const occupantIds = getSlotOccupantIds(slot.student_ids, statuses, slot.schedule_id, date);
+            const capacity = Math.max(getEffectiveCapacity(slot.student_ids, slot.capacity, appState.studentsData), occupantIds.length);
+            if (occupantIds.length >= capacity) return;
+            if (!isStudentAvailable(studentDetails, day, slot.time, availabilityCache)) return;
+            const occupantDetails = occupantIds.map(id => getStudentDetails(id, appState.studentsData)).filter(Boolean);
+            if (checkPairingRuleViolation(studentDetails, occupantDetails, capacity).violation) return;
+            if (isStudentBlocked(studentDetails, date, teachingCoachId, blocks)) return;
+
+            options.push({ scheduleId: slot.schedule_id, date, day, time, coachId: teachingCoachId, freeSeats: capacity - occupantIds.length });
+        });
+    });
+
+    return options.sort((a, b) => a.date.localeCompare(b.date) || a.time.localeCompare(b.time));
+}
+
+/** Renders the booking box next to the absent student entry. */
+function _renderBookingBox(anchorElement, booking, studentName, bodyHtml) {
+    closeMakeupBookingBox();
+    const box = document.createElement('div');
+    box.id = 'makeup-booking-box';
+    box.dataset.studentId = booking.studentId;
+    box.dataset.missedScheduleId = booking.missedScheduleId;
+    box.dataset.missedDate = booking.missedDate;
+    box.className = 'absolute z-30 w-72 max-h-96 overflow-y-auto bg-white dark:bg-gray-800 rounded-lg shadow-xl border border-gray-200 dark:border-gray-600 p-3 text-sm';
+    box.innerHTML = `
+        <h4 class="font-semibold text-gray-800 dark:text-gray-100 mb-1 border-b dark:border-gray-600 pb-1">Book a Make-up</h4>
+        <p class="text-xs text-gray-500 dark:text-gray-400 mb-2">${escapeHtml(studentName)} missed ${formatDate(booking.missedDate)}.</p>
+        ${bodyHtml}`;
+
+    const rect = anchorElement.getBoundingClientRect();
+    const scrollLeft = window.scrollX || document.documentElement.scrollLeft;
+    const scrollTop = window.scrollY || document.documentElement.scrollTop;
+    const viewportWidth = window.innerWidth || document.documentElement.clientWidth;
+    const boxWidth = 288;
+    let left = rect.left + scrollLeft;
+    if (left + boxWidth > viewportWidth + scrollLeft - 10) left = Math.max(scrollLeft + 10, rect.right + scrollLeft - boxWidth);
+    box.style.top = `${Math.max(0, rect.bottom + scrollTop + 5)}px`;
+    box.style.left = `${Math.max(0, left)}px`;
+    document.body.appendChild(box);
+
+    box.addEventListener('click', handleBookingBoxClick);
+    setTimeout(() => {
+        document.removeEventListener('click', closeBookingBoxOnClickOutside, { capture: true });
+        document.addEventListener('click', closeBookingBoxOnClickOutside, { capture: true });
+    }, 0);
+}
+
+function _optionsHtml(options) {
+    if (options.length === 0) {
+        return `<p class="text-gray-500 dark:text-gray-400 italic">No lessons with room in the next ${MAKEUP_WINDOW_DAYS} days suit this student.</p>`;
+    }
+    const shown = options.slice(0, MAX_OPTIONS);
+    return `<ul class="space-y-1">${shown.map(option => `
+        <li class="flex justify-between items-center gap-2 py-1.5 border-b border-gray-200 dark:border-gray-700 last:border-b-0">
+            <div class="text-xs text-gray-700 dark:text-gray-200">
+                <span class="font-semibold">${option.day.substring(0, 3)} ${formatDate(option.date)} ${escapeHtml(option.time)}</span>
+                <span class="block text-gray-500 dark:text-gray-400">${escapeHtml(_coachName(option.coachId))} &middot; ${option.freeSeats} seat${option.freeSeats === 1 ? '' : 's'} free</span>
+            </div>
+            <button type="button" data-action="book" data-schedule-id="${option.scheduleId}" data-date="${option.date}"
+                    class="text-xs bg-sky-500 hover:bg-sky-600 text-white font-semibold py-0.5 px-1.5 rounded disabled:opacity-50">Book</button>
+        </li>`).join('')}</ul>
+        ${options.length > shown.length ? `<p class="text-xs text-gray-500 dark:text-gray-400 mt-1">Showing the first ${shown.length} of ${options.length}.</p>` : ''}`;
+}
+
+// --- Event Handlers ---
+
+function closeBookingBoxOnClickOutside(event) {
+    const box = document.getElementById('makeup-booking-box');
+    if (!box) {
+        document.removeEventListener('click', closeBookingBoxOnClickOutside, { capture: true });
+        return;
+    }
+    if (!box.contains(event.target)) closeMakeupBookingBox();
+}
+
+/** Handles Book clicks inside the booking box (delegated). */
+async function handleBookingBoxClick(event) {
+    const button = event.target.closest('button[data-action="book"]');
+    if (!button) return;
+    event.stopPropagation();
+    const box = button.closest('#makeup-booking-box');
+    button.disabled = true;
+    button.textContent = 'Booking...';
+    const result = await bookMakeupLesson(
+        parseInt(box.dataset.studentId, 10),
+        parseInt(box.dataset.missedScheduleId, 10),
+        box.dataset.missedDate,
+        parseInt(button.dataset.scheduleId, 10),
+        button.dataset.date);
+    if (!result.success) {
+        displayError(`Could not book the make-up: ${result.message}`, 'general');
+        button.disabled = false;
+        button.textContent = 'Book';
+        return;
+    }
+    closeMakeupBookingBox();
+    showStatusMessage(`Make-up booked for ${formatDate(button.dataset.date)}.`, 'general', true);
+    await refreshCurrentCoachSchedule();
+}
+
+// --- Exported Functions ---
+
+/** The live make-up booked for an absence in the selected week's bookings, or null. */
+export function findMakeupForAbsence(studentId, scheduleId, missedDate) {
+    return (appState.makeupBookings || []).find(booking => booking.status !== 'cancelled' && booking.student_id === studentId
+        && booking.missed_schedule_id === scheduleId && booking.missed_date === missedDate) || null;
+}
+
+/** The live make-up that put a student into a slot on a date, or null. */
+export function findMakeupIntoSlot(studentId, scheduleId, makeupDate) {
+    return (appState.makeupBookings || []).find(booking => booking.status !== 'cancelled' && booking.student_id === studentId
+        && booking.makeup_schedule_id === scheduleId && booking.makeup_date === makeupDate) || null;
+}
+
+/** Builds the badge for an absence's make-up, e.g. "Make-up 23/10: Attended". */
+export function makeupBadgeHtml(booking) {
+    const shortDate = formatDate(booking.makeup_date).substring(0, 5);
+    return `<span class="text-[10px] px-1.5 py-0.5 rounded-full ml-1.5 font-medium align-middle ${STATUS_CLASSES[booking.status] || STATUS_CLASSES.booked}" title="Make-up ${STATUS_LABELS[booking.status] || booking.status}">Make-up ${shortDate}${booking.status === 'booked' ? '' : `: ${STATUS_LABELS[booking.status]}`}</span>`;
+}
+
+/**
+ * Handles the "Book make-up" button on an absent student entry (attached in schedule.js): finds the later
+ * slots the student could take and lists them for booking.
+ */
+export async function handleBookMakeupClick(event) {
+    event.stopPropagation();
+    const button = event.currentTarget;
+    const studentId = parseInt(button.dataset.studentId, 10);
+    const missedScheduleId = parseInt(button.dataset.scheduleId, 10);
+    const missedDate = button.closest('.schedule-item')?.dataset.slotDate;
+    const studentDetails = getStudentDetails(studentId, appState.studentsData);
+    const anchorElement = button.closest('.student-entry') || button;
+    if (Number.isNaN(studentId) || Number.isNaN(missedScheduleId) || !missedDate || !studentDetails) {
+        console.error("Makeups Error: Invalid data attributes on the make-up button.");
+        return;
+    }
+
+    const booking = { studentId, missedScheduleId, missedDate };
+    _renderBookingBox(anchorElement, booking, studentDetails.Name, '<p class="text-gray-500 dark:text-gray-400 italic">Finding lessons with room...</p>');
+
+    const dates = _candidateDates(missedDate);
+    if (dates.length === 0) {
+        _renderBookingBox(anchorElement, booking, studentDetails.Name, '<p class="text-gray-500 dark:text-gray-400 italic">No school days left in term to book a make-up.</p>');
+        return;
+    }
+    const [allSlots, statuses, blocks, substitutions] = await Promise.all([
+        fetchAllScheduleSlots(),
+        getStatusesForDateRange(dates[0], dates[dates.length - 1]),
+        fetchDailyBlocks({ fromDate: dates[0], toDate: dates[dates.length - 1] }),
+        fetchSubstitutionsForDateRange(dates[0], dates[dates.length - 1])
+    ]);
+    if (allSlots === null || statuses === null || blocks === null || substitutions === null) {
+        _renderBookingBox(anchorElement, booking, studentDetails.Name, '<p class="text-red-500 dark:text-red-400">Could not load lessons. Please try again.</p>');
+        return;
+    }
+
+    const options = _findMakeupOptions(studentDetails, dates, allSlots, statuses, blocks, substitutions);
+    console.log(`Makeups: ${options.length} make-up options for student ${studentId} over ${dates.length} days.`);
+    _renderBookingBox(anchorElement, booking, studentDetails.Name, _optionsHtml(options));
+}
+
+/** Removes the make-up booking box. */
+export function closeMakeupBookingBox() {
+    const box = document.getElementById('makeup-booking-box');
+    if (box) {
+        box.removeEventListener('click', handleBookingBoxClick);
+        box.remove();
+    }
+    document.removeEventListener('click', closeBookingBoxOnClickOutside, { capture: true });
+}
+
+/**
+ * Renders a student's make-up bookings (newest first) for the student profile, with Cancel on booked ones.
+ * @param {HTMLElement} container - Where to render.
+ * @param {number} studentId - The student.
+ */
+export async function renderStudentMakeups(container, studentId) {
+    if (!container) return;
+    container.innerHTML = '<p class="text-sm text-gray-500 dark:text-gray-400 italic">Loading make-ups...</p>';
+    const bookings = await fetchMakeupBookings({ studentId, limit: 50 });
+    if (bookings === null) {
+        container.innerHTML = '<p class="text-sm text-red-500 dark:text-red-400">Could not load make-up lessons.</p>';
+        return;
+    }
+    if (bookings.length === 0) {
+        container.innerHTML = '<p class="text-sm text-gray-500 dark:text-gray-400 italic">No make-up lessons booked.</p>';
+        return;
+    }
+
+    const today = getTodaysDateUTC();
+    const rowsHtml = [...bookings].reverse().map(booking => {
+        const awaitingLog = booking.status === 'booked' && booking.makeup_date < today;
+        const statusText = awaitingLog ? 'Not logged yet' : (STATUS_LABELS[booking.status] || booking.status);
+        const cancelButton = booking.status === 'booked' && !awaitingLog
+            ? `<button type="button" data-action="cancel-makeup" data-booking-id="${booking.id}" class="text-red-600 hover:text-red-800 dark:text-red-400 dark:hover:text-red-300 font-medium">Cancel</button>`
+            : '';
+        return `
+            <tr class="border-b border-gray-200 dark:border-gray-600 last:border-b-0">
+                <td class="py-1 pr-3 whitespace-nowrap">${formatDate(booking.missed_date)}</td>
+                <td class="py-1 pr-3 whitespace-nowrap">${formatDate(booking.makeup_date)}</td>
+                <td class="py-1 pr-3"><span class="text-[11px] px-1.5 py-0.5 rounded-full ${STATUS_CLASSES[awaitingLog ? 'cancelled' : booking.status] || ''}">${statusText}</span></td>
+                <td class="py-1 text-right">${cancelButton}</td>
+            </tr>`;
+    }).join('');
+
+    container.innerHTML = `
+        <table class="w-full text-xs text-left text-gray-700 dark:text-gray-200">
+            <thead><tr class="text-gray-500 dark:text-gray-400"><th class="pr-3">Missed</th><th class="pr-3">Make-up</th><th class="pr-3">Status</th><th></th></tr></thead>
+            <tbody>${rowsHtml}</tbody>
+        </table>`;
+
+    container.querySelectorAll('button[data-action="cancel-makeup"]').forEach(button => {
+        button.addEventListener('click', async () => {
+            if (!confirm('Cancel this make-up lesson? Its seat is freed.')) return;
+            button.disabled = true;
+            const result = await cancelMakeupBooking(parseInt(button.dataset.bookingId, 10));
+            if (!result.success) {
+                button.disabled = false;
+                container.insertAdjacentHTML('afterbegin', `<p class="text-xs text-red-500 dark:text-red-400 mb-1">Error: ${escapeHtml(result.message)}</p>`);
+                return;
+            }
+            await renderStudentMakeups(container, studentId);
+            refreshCurrentCoachSchedule();
+        });
+    });
+}
+
+// --- Add a ready flag ---
+export const isReady = true;
+
+console.log("Makeups module (makeups.js) loaded.");
@@ -0,0 +1,308 @@
+// js/notificationsAdmin.js
+// Handles the admin guardian notifications panel: notification rules and the outbound message queue (ES Module).
+// Messages are queued by database triggers when a student is marked or logged absent, cancelled if the absence
+// is withdrawn before they go out, and delivered by the send-notifications edge function.
+
+// --- Import Dependencies ---
+import { appState } from './state.js';
+import { fetchNotificationRules, saveNotificationRule, deleteNotificationRule, fetchNotificationQueue, requeueNotification, sendQueuedNotifications } from './api.js';
+import { ABSENCE_REASONS } from './logging.js';
+import { escapeHtml } from './utils.js';
+import { setStatusText } from './ui.js';
+
+// --- Module Variables ---
+let ruleListContainer = null;
+let addRuleButton = null;
+let ruleStatusP = null;
+let queueListContainer = null;
+let queueRefreshButton = null;
+let sendButton = null;
+let queueStatusP = null;
+let notificationRules = [];
+
+const INPUT_CLASSES = 'block w-full text-xs border-gray-300 dark:border-gray-500 dark:bg-gray-600 dark:text-gray-100 rounded-md shadow-sm p-1 focus:ring-indigo-500 focus:border-indigo-500';
+
+const TRIGGER_TYPES = [
+    { value: 'absence_reason', label: 'Absent with reason' },
+    { value: 'absences_in_term', label: 'Absences in a term reach' }
+];
+
+const NEW_RULE = {
+    id: null,
+    name: '',
+    trigger_type: 'absence_reason',
+    absence_reason: 'Forgot',
+    threshold: 3,
+    subject_template: '{{student_name}} missed chess on {{date}}',
+    body_template: 'Hi {{guardian_name}},\n\n{{student_name}} was absent from chess on {{date}} ({{reason}}).\n\nThanks',
+    is_active: true
+};
+
+const QUEUE_STATUS_CLASSES = {
+    queued: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-800/40 dark:text-yellow-200',
+    sending: 'bg-blue-100 text-blue-800 dark:bg-blue-800/40 dark:text-blue-200',
+    sent: 'bg-green-100 text-green-800 dark:bg-green-800/40 dark:text-green-200',
+    failed: 'bg-red-100 text-red-800 dark:bg-red-800/40 dark:text-red-200',
+    cancelled: 'bg-gray-100 text-gray-600 dark:bg-gray-600/40 dark:text-gray-300'
+};
+
+// --- Helper Functions ---
+
+/** Sets a status paragraph's text and colour. */
+function _setStatus(statusP, message, type = 'info') {
+    setStatusText(statusP, message, type, 'text-xs mb-2');
+}
+
+function _reasonOptions(selectedReason) {
+    // Keep a reason that is no longer in the list selectable so saving doesn't silently change the rule
+    const reasons = selectedReason && !ABSENCE_REASONS.includes(selectedReason) ? [selectedReason, ...ABSENCE_REASONS] : ABSENCE_REASONS;
+    return reasons.map(reason => `<option value="${escapeHtml(reason)}" ${reason === selectedReason ? 'selected' : ''}>${escapeHtml(reason)}</option>`).join('');
+}
+
+/** Builds one editable rule row. Rules without an id are unsaved new rules. */
+function _ruleRowHtml(rule) {
+    const isReasonRule = rule.trigger_type === 'absence_reason';
+    const typeOptions = TRIGGER_TYPES.map(type => `<option value="${type.value}" ${type.value === rule.trigger_type ? 'selected' : ''}>${type.label}</option>`).join('');
+    return `
+        <li class="notification-rule-row grid grid-cols-2 sm:grid-cols-6 gap-2 items-end border-b border-gray-200 dark:border-gray-600 pb-2 mb-2 last:border-b-0 last:mb-0 ${rule.is_active ? '' : 'opacity-60'}" data-rule-id="${rule.id ?? ''}">
+            <label class="col-span-2 text-xs text-gray-700 dark:text-gray-300">Rule Name
+                <input type="text" name="name" value="${escapeHtml(rule.name)}" class="${INPUT_CLASSES}">
+            </label>
+            <label class="col-span-2 text-xs text-gray-700 dark:text-gray-300">When
+                <select name="trigger_type" class="${INPUT_CLASSES}">${typeOptions}</select>
+            </label>
+            <label class="col-span-2 text-xs text-gray-700 dark:text-gray-300 ${isReasonRule ? '' : 'hidden'}" data-field="absence_reason">Reason
+                <select name="absence_reason" class="${INPUT_CLASSES}">${_reasonOptions(rule.absence_reason)}</select>
+            </label>
+            <label class="col-span-2 text-xs text-gray-700 dark:text-gray-300 ${isReasonRule ? 'hidden' : ''}" data-field="threshold">Absences
+                <input type="number" name="threshold" min="1" value="${rule.threshold ?? 3}" class="${INPUT_CLASSES}">
+            </label>
+            <label class="col-span-2 sm:col-span-6 text-xs text-gray-700 dark:text-gray-300">Subject
+                <input type="text" name="subject_template" value="${escapeHtml(rule.subject_template)}" class="${INPUT_CLASSES}">
+            </label>
+            <label class="col-span-2 sm:col-span-6 text-xs text-gray-700 dark:text-gray-300">Message
+                <textarea name="body_template" rows="4" class="${INPUT_CLASSES}">${escapeHtml(rule.body_template)}</textarea>
+            </label>
+            <div class="col-span-2 sm:col-span-6 flex flex-wrap items-center gap-2">
+                <label class="inline-flex items-center text-xs text-gray-700 dark:text-gray-300">
+                    <input type="checkbox" name="is_active" ${rule.is_active ? 'checked' : ''} class="form-checkbox h-3.5 w-3.5 text-purple-600 border-gray-300 rounded mr-1.5 dark:bg-gray-600 dark:border-gray-500">
+                    Active
+                </label>
+                <button type="button" data-action="save" class="text-xs bg-emerald-500 hover:bg-emerald-600 text-white font-semibold py-1 px-1.5 rounded">Save</button>
+                <button type="button" data-action="delete" class="text-xs bg-red-500 hover:bg-red-600 text-white font-semibold py-1 px-1.5 rounded">${rule.id ? 'Delete' : 'Discard'}</button>
+            </div>
+        </li>
+    `;
+}
+
+/** Reads a rule row's inputs into a rule object. */
+function _readRuleRow(row) {
+    return {
+        id: row.dataset.ruleId ? parseInt(row.dataset.ruleId) : null,
+        name: row.querySelector('[name="name"]').value,
+        trigger_type: row.querySelector('[name="trigger_type"]').value,
+        absence_reason: row.querySelector('[name="absence_reason"]').value,
+        threshold: row.querySelector('[name="threshold"]').value,
+        subject_template: row.querySelector('[name="subject_template"]').value,
+        body_template: row.querySelector('[name="body_template"]').value,
+        is_active: row.querySelector('[name="is_active"]').checked
+    };
+}
+
+/** Renders the rules as editable rows. */
+function _renderRuleList() {
+    if (!ruleListContainer) return;
+    if (notificationRules.length === 0) {
+        ruleListContainer.innerHTML = '<p class="text-gray-500 dark:text-gray-400 italic">No notification rules yet.</p>';
+        return;
+    }
+    ruleListContainer.innerHTML = `<ul>${notificationRules.map(_ruleRowHtml).join('')}</ul>`;
+}
+
+async function _reloadRules() {
+    const rules = await fetchNotificationRules();
+    if (rules === null) {
+        _setStatus(ruleStatusP, 'Error: Could not load the notification rules.', 'error');
+        return;
+    }
+    notificationRules = rules;
+    _renderRuleList();
+}
+
+/** Renders the recent outbound messages, newest first. */
+function _renderQueue(messages) {
+    if (!queueListContainer) return;
+    if (messages.length === 0) {
+        queueListContainer.innerHTML = `<p class="text-gray-500 dark:text-gray-400 italic">No ${appState.isTestMode ? 'test-mode ' : ''}messages yet.</p>`;
+        return;
+    }
+    const rows = messages.map(message => {
+        const when = new Date(message.sent_at || message.created_at).toLocaleString();
+        const error = message.last_error ? `<span class="block text-red-500 dark:text-red-400">${escapeHtml(message.last_error)}</span>` : '';
+        const retry = message.status === 'failed'
+            ? `<button type="button" data-action="requeue" data-notification-id="${message.id}" class="text-xs text-blue-600 dark:text-blue-400 hover:underline">Retry</button>`
+            : '';
+        return `
+            <tr class="border-b border-gray-200 dark:border-gray-600 align-top">
+                <td class="py-1 pr-2 whitespace-nowrap">${escapeHtml(when)}</td>
+                <td class="py-1 pr-2">${escapeHtml(message.students?.Name || 'Unknown')}<span class="block text-gray-500 dark:text-gray-400">${escapeHtml(message.recipient)}</span></td>
+                <td class="py-1 pr-2" title="${escapeHtml(message.body)}">${escapeHtml(message.subject)}<span class="block text-gray-500 dark:text-gray-400">${escapeHtml(message.notification_rules?.name || 'Deleted rule')} &middot; ${message.source === 'lesson_log' ? 'Lesson log' : 'Marked absent'}</span>${error}</td>
+                <td class="py-1 whitespace-nowrap"><span class="px-2 py-0.5 rounded-full font-medium ${QUEUE_STATUS_CLASSES[message.status] || ''}">${escapeHtml(message.status)}</span> ${retry}</td>
+            </tr>
+        `;
+    }).join('');
+    queueListContainer.innerHTML = `
+        <table class="w-full text-left text-gray-700 dark:text-gray-200">
+            <thead><tr class="border-b border-gray-300 dark:border-gray-500 text-gray-500 dark:text-gray-400">
+                <th class="py-1 pr-2 font-medium">When</th><th class="py-1 pr-2 font-medium">Student / To</th><th class="py-1 pr-2 font-medium">Message</th><th class="py-1 font-medium">Status</th>
+            </tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+async function _reloadQueue() {
+    const messages = await fetchNotificationQueue();
+    if (messages === null) {
+        _setStatus(queueStatusP, 'Error: Could not load the outbound messages.', 'error');
+        return;
+    }
+    _renderQueue(messages);
+}
+
+// --- Event Handlers ---
+
+/** Shows the reason or the absence count field to match a row's trigger type (delegated). */
+function handleRuleListChange(event) {
+    if (event.target.name !== 'trigger_type') return;
+    const row = event.target.closest('.notification-rule-row');
+    const isReasonRule = event.target.value === 'absence_reason';
+    row.querySelector('[data-field="absence_reason"]').classList.toggle('hidden', !isReasonRule);
+    row.querySelector('[data-field="threshold"]').classList.toggle('hidden', isReasonRule);
+}
+
+/** Handles Save/Delete clicks on rule rows (delegated). */
+async function handleRuleListClick(event) {
+    const button = event.target.closest('button[data-action]');
+    const row = button?.closest('.notification-rule-row');
+    if (!button || !row) return;
+    const rule = _readRuleRow(row);
+
+    if (button.dataset.action === 'save') {
+        button.disabled = true;
+        button.textContent = 'Saving...';
+        const result = await saveNotificationRule(rule);
+        if (!result.success) {
+            _setStatus(ruleStatusP, `Error: ${result.message}`, 'error');
+            button.disabled = false;
+            button.textContent = 'Save';
+            return;
+        }
+        _setStatus(ruleStatusP, `Rule "${rule.name.trim()}" saved.`, 'success');
+        await _reloadRules();
+        return;
+    }
+
+    if (button.dataset.action === 'delete') {
+        if (!rule.id) {
+            notificationRules = notificationRules.filter(r => r.id !== null);
+            _renderRuleList();
+            return;
+        }
+        if (!confirm(`Delete the rule "${rule.name}"? Messages it already queued are still sent. Untick Active to pause it instead.`)) return;
+        button.disabled = true;
+        const result = await deleteNotificationRule(rule.id);
+        if (!result.success) {
+            _setStatus(ruleStatusP, `Error: ${result.message}`, 'error');
+            button.disabled = false;
+            return;
+        }
+        _setStatus(ruleStatusP, `Rule "${rule.name}" deleted.`, 'success');
+        await _reloadRules();
+    }
+}
+
+/** Adds an unsaved rule row (one at a time) filled with a starting template. */
+function handleAddRuleClick() {
+    if (notificationRules.some(rule => rule.id === null)) {
+        _setStatus(ruleStatusP, 'Save or discard the new rule first.', 'info');
+        return;
+    }
+    notificationRules = [...notificationRules, { ...NEW_RULE }];
+    _renderRuleList();
+    ruleListContainer.scrollTop = ruleListContainer.scrollHeight;
+}
+
+/** Handles Retry clicks on failed messages (delegated). */
+async function handleQueueListClick(event) {
+    const button = event.target.closest('button[data-action="requeue"]');
+    if (!button) return;
+    button.disabled = true;
+    const result = await requeueNotification(parseInt(button.dataset.notificationId));
+    if (!result.success) {
+        _setStatus(queueStatusP, `Error: ${result.message}`, 'error');
+        button.disabled = false;
+        return;
+    }
+    _setStatus(queueStatusP, 'Message queued again. It goes out with the next send.', 'success');
+    await _reloadQueue();
+}
+
+/** Delivers the queued messages now and reports what happened. */
+async function handleSendClick() {
+    sendButton.disabled = true;
+    sendButton.textContent = 'Sending...';
+    const result = await sendQueuedNotifications();
+    sendButton.disabled = false;
+    sendButton.textContent = 'Send Queued Now';
+    if (!result.success) {
+        _setStatus(queueStatusP, `Error: ${result.message}`, 'error');
+        return;
+    }
+    const { transport, sent = 0, retrying = 0, failed = 0 } = result.summary || {};
+    const problems = retrying + failed > 0 ? ` ${retrying} will be retried, ${failed} failed.` : '';
+    _setStatus(queueStatusP, `Sent ${sent} message(s) via ${transport || 'the configured transport'}.${problems}`, retrying + failed > 0 ? 'error' : 'success');
+    await _reloadQueue();
+}
+
+// --- Exported Functions ---
+
+/**
+ * Initializes the guardian notifications panel. Called from initAdminControls once data is available.
+ */
+export function initNotificationsAdmin() {
+    ruleListContainer = document.getElementById('notification-rules-list');
+    addRuleButton = document.getElementById('notification-rule-add-btn');
+    ruleStatusP = document.getElementById('notification-rules-status');
+    queueListContainer = document.getElementById('notification-queue-list');
+    queueRefreshButton = document.getElementById('notification-queue-refresh-btn');
+    sendButton = document.getElementById('notification-send-btn');
+    queueStatusP = document.getElementById('notification-queue-status');
+
+    if (!ruleListContainer || !addRuleButton || !queueListContainer || !queueRefreshButton || !sendButton) {
+        console.warn("NotificationsAdmin Init Warning: Notifications panel elements not found.");
+        return;
+    }
+
+    ruleListContainer.removeEventListener('click', handleRuleListClick);
+    ruleListContainer.addEventListener('click', handleRuleListClick);
+    ruleListContainer.removeEventListener('change', handleRuleListChange);
+    ruleListContainer.addEventListener('change', handleRuleListChange);
+    addRuleButton.removeEventListener('click', handleAddRuleClick);
+    addRuleButton.addEventListener('click', handleAddRuleClick);
+    queueListContainer.removeEventListener('click', handleQueueListClick);
+    queueListContainer.addEventListener('click', handleQueueListClick);
+    queueRefreshButton.removeEventListener('click', _reloadQueue);
+    queueRefreshButton.addEventListener('click', _reloadQueue);
+    sendButton.removeEventListener('click', handleSendClick);
+    sendButton.addEventListener('click', handleSendClick);
+
+    _reloadRules();
+    _reloadQueue();
+    console.log("NotificationsAdmin: Initialized.");
+}
+
+// --- Add a ready flag ---
+export const isReady = true;
+
+console.log("Notifications Admin module (notificationsAdmin.js) loaded.");
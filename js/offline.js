@@ -0,0 +1,442 @@
+// js/offline.js
+// Offline support: caches fetched data locally and queues lesson logs and attendance changes in an outbox (ES Module).
+// The outbox is replayed in order when connectivity returns. Entries that clash with changes made meanwhile
+// (e.g. a slot logged by someone else) are kept as conflicts for the coach to resubmit or discard.
+// Each user has their own outbox, so queued changes are only ever sent by the user who made them.
+
+// --- Import Dependencies ---
+import { appState } from './state.js';
+import { submitLogAndUpdates, addDailyStatus, removeDailyStatus, fetchDailyStatus, isSlotLoggedOnDate } from './api.js';
+import { escapeHtml } from './utils.js';
+
+// --- Constants ---
+const STORAGE_PREFIX = 'coachTool';
+const ENTRY_PENDING = 'pending';
+const ENTRY_CONFLICT = 'conflict';
+
+// --- Module Variables ---
+let isOffline = typeof navigator !== 'undefined' && navigator.onLine === false;
+let isReplaying = false;
+let onSyncedCallback = null;
+
+let offlineBanner = null;
+let offlineStatusText = null;
+let outboxSyncButton = null;
+let outboxConflictList = null;
+
+// --- Storage Helpers ---
+
+/** Cache and outbox are kept separately for live and test mode, like the tables they mirror. */
+function _modeKey() {
+    return appState.isTestMode ? 'test' : 'live';
+}
+
+function _readJson(key, fallback) {
+    try {
+        const raw = localStorage.getItem(key);
+        return raw === null ? fallback : JSON.parse(raw);
+    } catch (error) {
+        console.warn(`Offline: Could not read ${key} from local storage.`, error);
+        return fallback;
+    }
+}
+
+function _writeJson(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+        return true;
+    } catch (error) {
+        console.warn(`Offline: Could not write ${key} to local storage.`, error);
+        return false;
+    }
+}
+
+/** The signed-in user's outbox for the current mode, or null when nobody is signed in. */
+function _outboxKey() {
+    const userId = appState.currentUser?.id;
+    return userId ? `${STORAGE_PREFIX}.outbox.${userId}.${_modeKey()}` : null;
+}
+
+function _getOutbox() {
+    const key = _outboxKey();
+    const entries = key ? _readJson(key, []) : [];
+    return Array.isArray(entries) ? entries : [];
+}
+
+function _saveOutbox(entries) {
+    const key = _outboxKey();
+    if (!key) {
+        console.warn("Offline: No signed-in user, so the outbox was not saved.");
+        return;
+    }
+    _writeJson(key, entries);
+    refreshOutboxIndicator();
+}
+
+/** Returns the status currently known for a student in a slot on a date (appState statuses include queued changes). */
+function _findKnownStatus(studentId, scheduleId, statusDate) {
+    const status = (appState.todaysStatuses || []).find(s =>
+        s.student_id === studentId && s.lesson_schedule_id === scheduleId && s.status_date === statusDate
+    );
+    return status ? status.status : null;
+}
+
+// --- Cache (Exported) ---
+
+/**
+ * Stores fetched data for offline use.
+ * @param {string} key - Cache key (e.g. 'students', 'schedule:3').
+ * @param {*} data - JSON-serialisable data.
+ */
+export function cacheData(key, data) {
+    _writeJson(`${STORAGE_PREFIX}.cache.${_modeKey()}.${key}`, { savedAt: new Date().toISOString(), data });
+}
+
+/**
+ * Reads data stored by cacheData.
+ * @param {string} key - Cache key.
+ * @returns {*} The cached data, or null if nothing is cached.
+ */
+export function readCachedData(key) {
+    const cached = _readJson(`${STORAGE_PREFIX}.cache.${_modeKey()}.${key}`, null);
+    return cached && 'data' in cached ? cached.data : null;
+}
+
+/** Removes all cached data (both modes). Outboxes are kept, so queued changes are sent when their user signs in again. */
+export function clearOfflineCache() {
+    try {
+        Object.keys(localStorage)
+            .filter(key => key.startsWith(`${STORAGE_PREFIX}.cache.`))
+            .forEach(key => localStorage.removeItem(key));
+        console.log("Offline: Cache cleared.");
+    } catch (error) {
+        console.warn("Offline: Could not clear cache.", error);
+    }
+}
+
+/**
+ * Checks whether an error means the backend could not be reached (as opposed to the backend rejecting the request).
+ * @param {Error|object} error - The error (or Supabase error object).
+ * @returns {boolean} True for network failures.
+ */
+export function isNetworkError(error) {
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+    const message = String(error?.message || error || '');
+    return /Failed to fetch|NetworkError|Load failed|Network request failed/i.test(message);
+}
+
+/**
+ * Records whether the backend is reachable. Coming back online replays the outbox.
+ * @param {boolean} offline - True if the last request failed with a network error.
+ */
+export function setOfflineState(offline) {
+    if (isOffline === offline) return;
+    isOffline = offline;
+    console.log(`Offline: Connection is now ${offline ? 'offline' : 'online'}.`);
+    refreshOutboxIndicator();
+    if (!offline) replayOutbox();
+}
+
+// --- Outbox (Exported) ---
+
+/**
+ * Adds a change to the outbox.
+ * @param {string} type - 'log', 'status_add' or 'status_remove'.
+ * @param {object} payload - The arguments needed to replay the change.
+ * @param {string} description - Short text shown in the offline banner.
+ * @returns {object} The queued entry.
+ */
+export function queueOutboxEntry(type, payload, description) {
+    const entryPayload = { ...payload };
+    if (type === 'status_add' || type === 'status_remove') {
+        // Remember what the status was so replay can tell if someone else changed it meanwhile
+        entryPayload.previousStatus = _findKnownStatus(payload.studentId, payload.scheduleId, payload.statusDate);
+    }
+    const entry = {
+        id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        type,
+        payload: entryPayload,
+        description,
+        queuedAt: new Date().toISOString(),
+        state: ENTRY_PENDING,
+        conflictReason: null
+    };
+    const entries = _getOutbox();
+    entries.push(entry);
+    _saveOutbox(entries);
+    console.log(`Offline: Queued ${type} (${description}). Outbox size: ${entries.length}`);
+    return entry;
+}
+
+/** @returns {Array<object>} Outbox entries still waiting to be sent (conflicts excluded), oldest first. */
+export function getPendingOutboxEntries() {
+    return _getOutbox().filter(entry => entry.state === ENTRY_PENDING);
+}
+
+/**
+ * Applies queued attendance changes to a list of statuses so the schedule shows them before they sync.
+ * @param {Array<object>} statuses - Status rows { student_id, lesson_schedule_id, status, absence_reason, status_date }.
+ * @param {string} startDate - First date of the list (YYYY-MM-DD).
+ * @param {string} endDate - Last date of the list (YYYY-MM-DD).
+ * @returns {Array<object>} The statuses with queued changes applied.
+ */
+export function applyPendingStatusChanges(statuses, startDate, endDate) {
+    let result = Array.isArray(statuses) ? [...statuses] : [];
+    getPendingOutboxEntries().forEach(({ type, payload }) => {
+        if (type !== 'status_add' && type !== 'status_remove') return;
+        if (payload.statusDate < startDate || payload.statusDate > endDate) return;
+        result = result.filter(s => !(s.student_id === payload.studentId && s.lesson_schedule_id === payload.scheduleId && s.status_date === payload.statusDate));
+        if (type === 'status_add') {
+            result.push({
+                student_id: payload.studentId, lesson_schedule_id: payload.scheduleId, status: payload.status,
+                absence_reason: payload.absenceReason, status_date: payload.statusDate
+            });
+        }
+    });
+    return result;
+}
+
+/**
+ * Lists slots with a queued lesson log in a date range.
+ * @param {number|null} coachId - Only this coach's logs, or null for all.
+ * @param {string} startDate - First date (YYYY-MM-DD).
+ * @param {string} endDate - Last date (YYYY-MM-DD).
+ * @returns {Array<number>} lesson_schedule IDs.
+ */
+export function getPendingLoggedSlotIds(coachId, startDate, endDate) {
+    return getPendingOutboxEntries()
+        .filter(({ type, payload }) => type === 'log' &&
+            payload.logDate >= startDate && payload.logDate <= endDate &&
+            (coachId === null || coachId === undefined || payload.coachId === coachId))
+        .map(({ payload }) => payload.scheduleId);
+}
+
+/**
+ * Drops past missed logs that already have a queued log.
+ * @param {Array<object>} missedLogs - Rows { schedule_id, missed_date, ... }.
+ * @returns {Array<object>} The missed logs still outstanding.
+ */
+export function removeQueuedMissedLogs(missedLogs) {
+    const queuedLogs = getPendingOutboxEntries().filter(entry => entry.type === 'log').map(entry => entry.payload);
+    return (missedLogs || []).filter(log =>
+        !queuedLogs.some(queued => queued.scheduleId === log.schedule_id && queued.logDate === log.missed_date)
+    );
+}
+
+// --- Replay ---
+
+/**
+ * Checks a queued entry against the current backend data.
+ * @returns {Promise<object>} { conflict: string|null, offline: boolean }
+ */
+async function _checkForConflict(entry) {
+    const { type, payload } = entry;
+    if (type === 'log') {
+        const logged = await isSlotLoggedOnDate(payload.scheduleId, payload.logDate);
+        if (!logged.success) return { conflict: null, offline: !!logged.offline, error: logged.message };
+        return { conflict: logged.isLogged ? `This lesson was already logged for ${payload.logDate} by someone else.` : null, offline: false };
+    }
+
+    const current = await fetchDailyStatus(payload.studentId, payload.scheduleId, payload.statusDate);
+    if (!current.success) return { conflict: null, offline: !!current.offline, error: current.message };
+    const currentStatus = current.status?.status || null;
+    const wantedStatus = type === 'status_add' ? payload.status : null;
+    if (currentStatus !== payload.previousStatus && currentStatus !== wantedStatus) {
+        return { conflict: `Attendance was changed meanwhile (now "${currentStatus || 'no status'}").`, offline: false };
+    }
+    return { conflict: null, offline: false };
+}
+
+/** Sends one entry to the backend. Returns the API result ({ success, offline?, message? }). */
+async function _sendEntry(entry) {
+    const { type, payload } = entry;
+    const options = { queueOffline: false };
+    if (type === 'log') return submitLogAndUpdates(payload.entries, options);
+    if (type === 'status_add') {
+        return addDailyStatus(payload.studentId, payload.coachId, payload.scheduleId, payload.status, payload.absenceReason, payload.statusDate, options);
+    }
+    if (type === 'status_remove') return removeDailyStatus(payload.studentId, payload.scheduleId, payload.statusDate, options);
+    return { success: false, message: `Unknown outbox entry type "${type}".` };
+}
+
+/**
+ * Replays one entry. Returns 'sent', 'conflict' or 'offline'.
+ * @param {object} entry - The outbox entry.
+ * @param {boolean} checkConflicts - False to send even if the backend changed meanwhile ("Submit anyway").
+ */
+async function _replayEntry(entry, checkConflicts) {
+    if (checkConflicts) {
+        const check = await _checkForConflict(entry);
+        if (check.offline) return { outcome: 'offline' };
+        if (check.conflict || check.error) return { outcome: 'conflict', reason: check.conflict || `Could not check for conflicts: ${check.error}` };
+    }
+    const result = await _sendEntry(entry);
+    if (result?.success) return { outcome: 'sent' };
+    if (result?.offline) return { outcome: 'offline' };
+    return { outcome: 'conflict', reason: result?.message || "The backend rejected this change." };
+}
+
+/** Updates one outbox entry in storage (or removes it when changes is null). */
+function _updateOutboxEntry(entryId, changes) {
+    const entries = _getOutbox();
+    const index = entries.findIndex(entry => entry.id === entryId);
+    if (index === -1) return;
+    if (changes === null) entries.splice(index, 1);
+    else entries[index] = { ...entries[index], ...changes };
+    _saveOutbox(entries);
+}
+
+/**
+ * Sends queued changes in the order they were made. Stops at the first network failure;
+ * conflicting entries are set aside for review and the rest carry on.
+ * @returns {Promise<number>} The number of entries sent.
+ */
+export async function replayOutbox() {
+    if (isReplaying || !appState.currentUser) return 0; // Replays need a signed-in session
+    const pending = getPendingOutboxEntries();
+    if (pending.length === 0) return 0;
+
+    isReplaying = true;
+    let sentCount = 0;
+    console.log(`Offline: Replaying ${pending.length} outbox entr${pending.length === 1 ? 'y' : 'ies'}...`);
+    try {
+        const outboxAtStart = _outboxKey();
+        for (const entry of pending) {
+            // Test mode was toggled or the user signed out; the rest replays with that outbox later
+            if (_outboxKey() !== outboxAtStart) break;
+            const { outcome, reason } = await _replayEntry(entry, true);
+            if (outcome === 'offline') {
+                setOfflineState(true);
+                break;
+            }
+            if (outcome === 'conflict') {
+                console.warn(`Offline: Outbox entry ${entry.id} conflicts: ${reason}`);
+                _updateOutboxEntry(entry.id, { state: ENTRY_CONFLICT, conflictReason: reason });
+                continue;
+            }
+            _updateOutboxEntry(entry.id, null);
+            sentCount++;
+        }
+    } finally {
+        isReplaying = false;
+        refreshOutboxIndicator();
+    }
+    console.log(`Offline: Replay finished. Sent: ${sentCount}`);
+    if (sentCount > 0 && typeof onSyncedCallback === 'function') await onSyncedCallback();
+    return sentCount;
+}
+
+// --- Banner UI ---
+
+/** Renders the offline/outbox banner from the current state. (Exported so mode changes can refresh it.) */
+export function refreshOutboxIndicator() {
+    if (!offlineBanner) return;
+    const entries = _getOutbox();
+    const pendingCount = entries.filter(entry => entry.state === ENTRY_PENDING).length;
+    const conflicts = entries.filter(entry => entry.state === ENTRY_CONFLICT);
+
+    if (!isOffline && entries.length === 0) {
+        offlineBanner.classList.add('hidden');
+        return;
+    }
+    offlineBanner.classList.remove('hidden');
+
+    const parts = [];
+    if (isOffline) parts.push('You are offline. Showing saved data.');
+    if (pendingCount > 0) parts.push(`${pendingCount} change${pendingCount === 1 ? '' : 's'} waiting to sync.`);
+    if (conflicts.length > 0) parts.push(`${conflicts.length} change${conflicts.length === 1 ? '' : 's'} need${conflicts.length === 1 ? 's' : ''} your review.`);
+    if (offlineStatusText) offlineStatusText.textContent = parts.join(' ');
+    if (outboxSyncButton) {
+        outboxSyncButton.classList.toggle('hidden', pendingCount === 0);
+        outboxSyncButton.disabled = isReplaying;
+    }
+
+    if (!outboxConflictList) return;
+    outboxConflictList.innerHTML = '';
+    conflicts.forEach(entry => {
+        const li = document.createElement('li');
+        li.className = 'flex flex-wrap items-center justify-between gap-2 py-1 border-t border-yellow-200 dark:border-yellow-700';
+        li.innerHTML = `
+            <span class="text-xs">
+                <strong>${escapeHtml(entry.description)}</strong>
+                <span class="block text-yellow-700 dark:text-yellow-300">${escapeHtml(entry.conflictReason)}</span>
+            </span>
+            <span class="flex gap-1">
+                <button type="button" data-outbox-action="resubmit" data-entry-id="${escapeHtml(entry.id)}" class="text-xs bg-indigo-500 hover:bg-indigo-600 text-white font-semibold py-0.5 px-2 rounded">Submit anyway</button>
+                <button type="button" data-outbox-action="discard" data-entry-id="${escapeHtml(entry.id)}" class="text-xs bg-gray-300 hover:bg-gray-400 text-gray-800 dark:bg-gray-600 dark:hover:bg-gray-500 dark:text-gray-100 font-semibold py-0.5 px-2 rounded">Discard</button>
+            </span>
+        `;
+        outboxConflictList.appendChild(li);
+    });
+}
+
+/** Handles "Submit anyway" and "Discard" on a conflicting entry (delegated). */
+async function _handleConflictAction(event) {
+    const button = event.target.closest('button[data-outbox-action]');
+    if (!button) return;
+    const entry = _getOutbox().find(e => e.id === button.dataset.entryId);
+    if (!entry) return;
+
+    if (button.dataset.outboxAction === 'discard') {
+        if (!confirm(`Discard "${entry.description}"? This change will be lost.`)) return;
+        _updateOutboxEntry(entry.id, null);
+        return;
+    }
+
+    button.disabled = true;
+    button.textContent = 'Submitting...';
+    const { outcome, reason } = await _replayEntry(entry, false);
+    if (outcome === 'sent') {
+        _updateOutboxEntry(entry.id, null);
+        if (typeof onSyncedCallback === 'function') await onSyncedCallback();
+    } else if (outcome === 'offline') {
+        setOfflineState(true);
+        refreshOutboxIndicator();
+    } else {
+        _updateOutboxEntry(entry.id, { conflictReason: reason });
+    }
+}
+
+// --- Initialization ---
+
+/**
+ * Sets up the offline banner and connectivity listeners. Anything left in the outbox is replayed once signed in.
+ * @param {Function} onSynced - Called after queued changes have been sent (e.g. to refresh the schedule).
+ */
+export function initOfflineSync(onSynced) {
+    onSyncedCallback = onSynced;
+    offlineBanner = document.getElementById('offline-banner');
+    offlineStatusText = document.getElementById('offline-status-text');
+    outboxSyncButton = document.getElementById('outbox-sync-btn');
+    outboxConflictList = document.getElementById('outbox-conflict-list');
+
+    window.removeEventListener('online', _handleOnline);
+    window.addEventListener('online', _handleOnline);
+    window.removeEventListener('offline', _handleOffline);
+    window.addEventListener('offline', _handleOffline);
+
+    if (outboxSyncButton) {
+        outboxSyncButton.removeEventListener('click', replayOutbox);
+        outboxSyncButton.addEventListener('click', replayOutbox);
+    }
+    if (outboxConflictList) {
+        outboxConflictList.removeEventListener('click', _handleConflictAction);
+        outboxConflictList.addEventListener('click', _handleConflictAction);
+    }
+
+    refreshOutboxIndicator();
+    console.log("Offline: Sync initialized.");
+}
+
+function _handleOnline() {
+    setOfflineState(false);
+}
+
+function _handleOffline() {
+    setOfflineState(true);
+}
+
+// --- Add a ready flag ---
+export const isReady = true;
+
+console.log("Offline module (offline.js) loaded.");
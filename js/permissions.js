@@ -0,0 +1,107 @@
+// js/permissions.js
+// Role-based permissions: what the signed-in user's role may do, and hiding the UI they can't use (ES Module).
+// The database enforces the same rules (supabase/migrations/20261019180000_role_permissions.sql); this module
+// only keeps the UI from offering actions that would be refused.
+
+// --- Import Dependencies ---
+import { appState } from './state.js';
+
+// --- Roles ---
+// Stored in the user's app_metadata.role. A user without a known role is a coach.
+export const ROLES = {
+    COACH: 'coach',
+    HEAD_COACH: 'head_coach',
+    OFFICE: 'office',
+    ADMIN: 'admin'
+};
+
+export const ROLE_LABELS = {
+    coach: 'Coach',
+    head_coach: 'Head Coach',
+    office: 'Office',
+    admin: 'Admin'
+};
+
+const { COACH, HEAD_COACH, OFFICE, ADMIN } = ROLES;
+
+// Capabilities scoped to a coach: a coach may use them for their own coach only, the other listed roles for any coach.
+const COACH_SCOPED_CAPABILITIES = {
+    logLessons: [COACH, HEAD_COACH, ADMIN],
+    markAttendance: [COACH, HEAD_COACH, OFFICE, ADMIN],
+    assignFillIns: [COACH, HEAD_COACH, ADMIN],
+    correctLogs: [COACH, HEAD_COACH, ADMIN],
+    requestLeave: [COACH, HEAD_COACH, OFFICE, ADMIN],
+    bookMakeups: [COACH, HEAD_COACH, OFFICE, ADMIN]
+};
+
+const CAPABILITIES = {
+    viewAllCoaches: [HEAD_COACH, OFFICE, ADMIN],
+    useAdminTools: [HEAD_COACH, OFFICE, ADMIN],
+    useTestMode: [ADMIN],
+    editRosters: [HEAD_COACH, ADMIN],
+    findFillIns: [HEAD_COACH, ADMIN],
+    logAdhocSessions: [HEAD_COACH, ADMIN],
+    manageBlocks: [HEAD_COACH, OFFICE, ADMIN],
+    reviewLeaveRequests: [HEAD_COACH, OFFICE, ADMIN],
+    assignSubstitutes: [HEAD_COACH, OFFICE, ADMIN],
+    manageSkills: [HEAD_COACH, ADMIN],
+    viewReports: [HEAD_COACH, OFFICE, ADMIN],
+    manageStudentStatus: [OFFICE, ADMIN],
+    importStudents: [ADMIN],
+    editAvailability: [ADMIN],
+    adjustLessonsOwed: [OFFICE, ADMIN],
+    editGuardians: [OFFICE, ADMIN],
+    manageNotifications: [OFFICE, ADMIN],
+    manageTerms: [OFFICE, ADMIN],
+    manageUsers: [ADMIN]
+};
+
+// --- Exported Functions ---
+
+/** Returns the role stored in a user's app_metadata ('coach' when missing or unknown). */
+export function getUserRole(user) {
+    const role = user?.app_metadata?.role;
+    return Object.values(ROLES).includes(role) ? role : COACH;
+}
+
+/** Returns the coaches row ID linked to a user's login, or null. */
+export function getUserCoachId(user) {
+    const coachId = parseInt(user?.app_metadata?.coach_id, 10);
+    return Number.isNaN(coachId) ? null : coachId;
+}
+
+/**
+ * Checks whether the signed-in user's role may do something.
+ * @param {string} capability - A capability name (e.g. 'logLessons', 'manageTerms').
+ * @param {number|null} [coachId] - For coach-scoped capabilities, the coach whose slot is being acted on.
+ * @returns {boolean}
+ */
+export function can(capability, coachId = null) {
+    const role = appState.role;
+    if (COACH_SCOPED_CAPABILITIES[capability]) {
+        if (!COACH_SCOPED_CAPABILITIES[capability].includes(role)) return false;
+        if (role !== COACH) return true;
+        return appState.linkedCoachId !== null && coachId !== null && parseInt(coachId, 10) === appState.linkedCoachId;
+    }
+    if (!CAPABILITIES[capability]) {
+        console.warn(`Permissions: Unknown capability "${capability}".`);
+        return false;
+    }
+    return CAPABILITIES[capability].includes(role);
+}
+
+/**
+ * Hides every element marked data-capability="..." whose capability the role lacks (and shows the others).
+ * @param {ParentNode} [root=document] - Where to look for marked elements.
+ */
+export function applyRolePermissions(root = document) {
+    root.querySelectorAll('[data-capability]').forEach(element => {
+        element.classList.toggle('hidden', !can(element.dataset.capability));
+    });
+    console.log(`Permissions: UI restricted for role "${appState.role}".`);
+}
+
+// --- Add a ready flag ---
+export const isReady = true;
+
+console.log("Permissions module (permissions.js) loaded.");
@@ -0,0 +1,252 @@
+// js/ratingCharts.js
+// Proficiency and engagement trend charts for the student profile and the admin class modal (ES Module).
+// Charts are plain inline SVG built here, so no chart library or external service is needed.
+
+// --- Import Dependencies ---
+import { escapeHtml } from './utils.js';
+
+// --- Constants ---
+const RATING_FIELDS = [
+    { field: 'proficiency', label: 'Proficiency' },
+    { field: 'engagement', label: 'Engagement' }
+];
+const STUDENT_ROLLING_WINDOW = 5; // Rated lessons in a student's rolling average
+const CLASS_ROLLING_WINDOW = 4; // Weeks in the class rolling average
+
+// Chart geometry (SVG user units; the SVG scales to its container's width)
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 170;
+const PAD = { left: 26, right: 10, top: 10, bottom: 34 };
+const ABSENCE_ROW_Y = CHART_HEIGHT - PAD.bottom + 12; // Absence markers sit just under the plot
+
+// --- Helper Functions ---
+
+/** Formats a Date as DD/MM. */
+function _formatShortDate(date) {
+    return `${String(date.getUTCDate()).padStart(2, '0')}/${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+/** Formats a Date as DD/MM/YYYY. */
+function _formatDate(date) {
+    return `${_formatShortDate(date)}/${date.getUTCFullYear()}`;
+}
+
+/** Returns the Monday (UTC midnight) of the week containing a date. */
+function _weekStart(date) {
+    const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+    return monday;
+}
+
+function _average(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+/** Adds a trailing rolling average (over the last `window` points that have a value) to each point with a value. */
+function _addRollingAverage(points, window) {
+    const recent = [];
+    points.forEach(point => {
+        if (point.value === null) {
+            point.rolling = null;
+            return;
+        }
+        recent.push(point.value);
+        if (recent.length > window) recent.shift();
+        point.rolling = _average(recent);
+    });
+    return points;
+}
+
+// --- Series ---
+
+/**
+ * Builds one chart series from a student's logs: a point per lesson, with absences marked.
+ * @param {Array<object>} logs - The student's lesson logs (any order).
+ * @param {string} field - 'proficiency' or 'engagement'.
+ * @returns {Array<object>} Points, oldest first: { date, value, rolling, absences, fillIns, label }.
+ */
+export function buildStudentRatingSeries(logs, field) {
+    const points = (logs || [])
+        .filter(log => log.log_date)
+        .map(log => {
+            const isAbsent = log.attendance_status === 'Absent';
+            const value = !isAbsent && Number.isFinite(log[field]) ? log[field] : null;
+            const date = new Date(log.log_date);
+            const kind = isAbsent ? `Absent${log.absence_reason ? ` (${log.absence_reason})` : ''}` : (value !== null ? `${value}/5` : 'Not rated');
+            return {
+                date,
+                value,
+                absences: isAbsent ? 1 : 0,
+                fillIns: log.is_fill_in ? 1 : 0,
+                label: `${_formatDate(date)}: ${kind}${log.is_fill_in ? ', fill-in lesson' : ''}`
+            };
+        })
+        .sort((a, b) => a.date - b.date);
+    return _addRollingAverage(points, STUDENT_ROLLING_WINDOW);
+}
+
+/**
+ * Builds one chart series for a class: a point per week with the class's average rating,
+ * and the week's absences and fill-in lessons as markers.
+ * @param {Array<object>} logs - Lesson logs of the class's students (any order).
+ * @param {string} field - 'proficiency' or 'engagement'.
+ * @returns {Array<object>} Points, oldest week first: { date, value, rolling, absences, fillIns, label }.
+ */
+export function buildClassRatingSeries(logs, field) {
+    const weeks = new Map(); // week start (ms) -> { ratings, absences, fillIns, students }
+    (logs || []).filter(log => log.log_date).forEach(log => {
+        const weekStart = _weekStart(new Date(log.log_date)).getTime();
+        const week = weeks.get(weekStart) || { ratings: [], absences: 0, fillIns: 0, students: new Set() };
+        if (log.attendance_status === 'Absent') week.absences += 1;
+        else if (Number.isFinite(log[field])) week.ratings.push(log[field]);
+        if (log.is_fill_in) week.fillIns += 1;
+        week.students.add(log.student_id);
+        weeks.set(weekStart, week);
+    });
+
+    const points = [...weeks.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([weekStart, week]) => {
+            const date = new Date(weekStart);
+            const value = _average(week.ratings);
+            const details = [
+                value !== null ? `average ${value.toFixed(1)}/5 from ${week.ratings.length} rating${week.ratings.length === 1 ? '' : 's'}` : 'no ratings',
+                week.absences > 0 ? `${week.absences} absence${week.absences === 1 ? '' : 's'}` : null,
+                week.fillIns > 0 ? `${week.fillIns} fill-in lesson${week.fillIns === 1 ? '' : 's'}` : null
+            ].filter(Boolean).join(', ');
+            return {
+                date,
+                value,
+                absences: week.absences,
+                fillIns: week.fillIns,
+                label: `Week of ${_formatDate(date)}: ${details} (${week.students.size} student${week.students.size === 1 ? '' : 's'})`
+            };
+        });
+    return _addRollingAverage(points, CLASS_ROLLING_WINDOW);
+}
+
+// --- Rendering ---
+
+/**
+ * Builds the SVG for one rating chart: rating points, the rolling average line,
+ * fill-in lessons ringed and absences marked with a cross under the plot.
+ * @param {Array<object>} points - A series from buildStudentRatingSeries or buildClassRatingSeries.
+ * @param {string} title - Accessible title (e.g. "Proficiency").
+ * @returns {string} SVG markup.
+ */
+export function renderRatingChartSvg(points, title) {
+    const plotWidth = CHART_WIDTH - PAD.left - PAD.right;
+    const plotBottom = CHART_HEIGHT - PAD.bottom;
+    const plotHeight = plotBottom - PAD.top;
+    const times = points.map(point => point.date.getTime());
+    const minTime = Math.min(...times);
+    const span = Math.max(...times) - minTime;
+    // A single date (or all on one day) is drawn in the middle
+    const x = point => PAD.left + (span > 0 ? ((point.date.getTime() - minTime) / span) * plotWidth : plotWidth / 2);
+    const y = rating => plotBottom - ((rating - 1) / 4) * plotHeight;
+    const fmt = number => number.toFixed(1);
+
+    const gridLines = [1, 2, 3, 4, 5].map(rating => `
+        <line x1="${PAD.left}" x2="${CHART_WIDTH - PAD.right}" y1="${fmt(y(rating))}" y2="${fmt(y(rating))}" class="stroke-gray-200 dark:stroke-gray-600" stroke-width="1" />
+        <text x="${PAD.left - 8}" y="${fmt(y(rating) + 3)}" text-anchor="end" font-size="10" class="fill-gray-500 dark:fill-gray-400">${rating}</text>`).join('');
+
+    // Date labels: first, last and (if there's room) middle
+    const labelPoints = points.length > 2 ? [points[0], points[Math.floor(points.length / 2)], points[points.length - 1]] : points;
+    const dateLabels = [...new Set(labelPoints)].map(point => `
+        <text x="${fmt(x(point))}" y="${CHART_HEIGHT - 4}" text-anchor="middle" font-size="10" class="fill-gray-500 dark:fill-gray-400">${_formatShortDate(point.date)}</text>`).join('');
+
+    const rated = points.filter(point => point.value !== null);
+    const rollingLine = rated.length > 1 ? `
+        <polyline points="${rated.map(point => `${fmt(x(point))},${fmt(y(point.rolling))}`).join(' ')}" fill="none" stroke-width="2" stroke-linejoin="round" class="stroke-amber-500" />` : '';
+
+    const ratingDots = rated.map(point => `
+        <g>
+            <title>${escapeHtml(point.label)}</title>
+            ${point.fillIns > 0 ? `<circle cx="${fmt(x(point))}" cy="${fmt(y(point.value))}" r="6" fill="none" stroke-width="2" class="stroke-emerald-500" />` : ''}
+            <circle cx="${fmt(x(point))}" cy="${fmt(y(point.value))}" r="3" class="fill-indigo-500 dark:fill-indigo-400" />
+        </g>`).join('');
+
+    const absenceMarks = points.filter(point => point.absences > 0).map(point => {
+        const cx = x(point);
+        return `
+        <g>
+            <title>${escapeHtml(point.label)}</title>
+            <path d="M${fmt(cx - 3.5)},${fmt(ABSENCE_ROW_Y - 3.5)} L${fmt(cx + 3.5)},${fmt(ABSENCE_ROW_Y + 3.5)} M${fmt(cx + 3.5)},${fmt(ABSENCE_ROW_Y - 3.5)} L${fmt(cx - 3.5)},${fmt(ABSENCE_ROW_Y + 3.5)}" stroke-width="2" class="stroke-red-500" />
+        </g>`;
+    }).join('');
+
+    // Fill-in lessons without a rating (e.g. absent fill-ins) are still marked on the date axis
+    const unratedFillIns = points.filter(point => point.fillIns > 0 && point.value === null).map(point => `
+        <g>
+            <title>${escapeHtml(point.label)}</title>
+            <circle cx="${fmt(x(point))}" cy="${fmt(plotBottom)}" r="4" fill="none" stroke-width="2" class="stroke-emerald-500" />
+        </g>`).join('');
+
+    return `
+        <svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" class="w-full h-auto" role="img" aria-label="${title} over time">
+            <title>${title} over time</title>
+            ${gridLines}
+            ${dateLabels}
+            ${rollingLine}
+            ${ratingDots}
+            ${unratedFillIns}
+            ${absenceMarks}
+        </svg>`;
+}
+
+/** Renders a proficiency and an engagement chart plus the legend into a container. */
+function _renderCharts(container, buildSeries, logs, rollingText) {
+    if (!container) return;
+    const charts = RATING_FIELDS.map(({ field, label }) => {
+        const points = buildSeries(logs, field);
+        const rated = points.filter(point => point.value !== null);
+        if (points.length === 0) return '';
+        const latest = rated.length > 0 ? rated[rated.length - 1].rolling : null;
+        return `
+            <div class="mb-3">
+                <p class="text-xs font-semibold text-gray-700 dark:text-gray-200 mb-1">${label}
+                    ${latest !== null ? `<span class="font-normal text-gray-500 dark:text-gray-400">(rolling average now ${latest.toFixed(1)}/5)</span>` : ''}</p>
+                ${rated.length > 0 || points.some(point => point.absences > 0)
+                    ? renderRatingChartSvg(points, label)
+                    : '<p class="text-xs italic text-gray-500 dark:text-gray-400">No ratings yet.</p>'}
+            </div>`;
+    }).join('');
+
+    if (!charts.trim()) {
+        container.innerHTML = '<p class="text-sm text-gray-500 dark:text-gray-400 italic">No lessons logged yet.</p>';
+        return;
+    }
+    container.innerHTML = `
+        ${charts}
+        <div class="flex flex-wrap gap-x-4 gap-y-1 text-[11px] text-gray-600 dark:text-gray-400">
+            <span class="inline-flex items-center gap-1"><span class="inline-block w-2 h-2 rounded-full bg-indigo-500"></span>Rating</span>
+            <span class="inline-flex items-center gap-1"><span class="inline-block w-4 h-0.5 bg-amber-500"></span>${rollingText}</span>
+            <span class="inline-flex items-center gap-1"><span class="inline-block w-3 h-3 rounded-full border-2 border-emerald-500"></span>Fill-in lesson</span>
+            <span class="inline-flex items-center gap-1"><span class="text-red-500 font-bold leading-none">&times;</span>Absence</span>
+        </div>`;
+}
+
+// --- Exported Functions ---
+
+/**
+ * Renders a student's proficiency and engagement charts (one point per lesson).
+ * @param {HTMLElement} container - Element to render into.
+ * @param {Array<object>} logs - The student's lesson logs.
+ */
+export function renderStudentRatingCharts(container, logs) {
+    _renderCharts(container, buildStudentRatingSeries, logs, `Rolling average (last ${STUDENT_ROLLING_WINDOW} rated lessons)`);
+}
+
+/**
+ * Renders a class's proficiency and engagement charts (one point per week, averaged over the class).
+ * @param {HTMLElement} container - Element to render into.
+ * @param {Array<object>} logs - Lesson logs of the class's students.
+ */
+export function renderClassRatingCharts(container, logs) {
+    _renderCharts(container, buildClassRatingSeries, logs, `Rolling average (${CLASS_ROLLING_WINDOW} weeks)`);
+}
+
+// --- Add a ready flag ---
+export const isReady = true;
+
+console.log("Rating Charts module (ratingCharts.js) loaded.");
@@ -6,7 +6,8 @@ import { supabaseClient } from './supabaseClient.js';
 import { appState } from './state.js'; // <--- Import from state.js
 import { displayError as uiDisplayError } from './ui.js';
 import { reRenderSlot } from './schedule.js';
-import { getTodaysStatuses, getTodaysLoggedSlotIds } from './api.js';
+import { getStatusesForDateRange, getLoggedSlotIdsForDateRange } from './api.js';
+import { getWeekRange } from './utils.js';
 
 // --- Module State ---
 let realtimeChannel = null;
@@ -55,9 +56,10 @@ async function handleRealtimeChange(payload) {
     // as the underlying data *has* changed.
     try {
         console.log("Realtime Handler: Refreshing statuses and logged slots in background...");
+        const weekRange = getWeekRange(appState.selectedDate); // Keep state scoped to the week being viewed
         const [refreshedStatuses, refreshedLoggedIds] = await Promise.all([
-            getTodaysStatuses(), // Fetches based on current appState.isTestMode
-            getTodaysLoggedSlotIds(currentCoachId) // Fetches for current coach based on appState.isTestMode
+            getStatusesForDateRange(weekRange.startDate, weekRange.endDate), // Fetches based on current appState.isTestMode
+            getLoggedSlotIdsForDateRange(currentCoachId, weekRange.startDate, weekRange.endDate) // Fetches for current coach based on appState.isTestMode
         ]);
 
         // Update global state - Use appState imported from state.js
@@ -1,14 +1,18 @@
 // js/schedule.js
 // Handles rendering the coach's schedule, slot selection, and related UI interactions (ES Module).
-// v20: Improved deselection logic in handleSlotSelection to allow interaction with open inline forms.
+// v27: Roster changes take effect from the viewed week's lesson (or today), and edit mode shows each slot's roster history.
 
 // --- Import Dependencies ---
 import { appState } from './state.js'; // Import from state.js
-import { getStudentDetails, getGroupSizeText, checkPairingRuleViolation, isStudentAvailable } from './utils.js';
+import { getStudentDetails, getGroupSizeText, checkPairingRuleViolation, isStudentAvailable, getDateForWeekday, getSlotStatuses, getEffectiveCapacity, getSlotWaitlist, isEnrolledOn, formatDate } from './utils.js';
 import { handleMarkAbsent, handleUndoAbsent, closeAbsenceSuggestionBox, findAndDisplayAbsenceReplacements } from './absence.js';
 import { populateInlineLogForm } from './logging.js';
-import { addDailyStatus, getTodaysLoggedSlotIds, removeStudentFromSchedule, addStudentToSchedule } from './api.js';
+import { addDailyStatus, getTodaysLoggedSlotIds, removeStudentFromSchedule, addStudentToSchedule, addToSlotWaitlist, removeFromSlotWaitlist, promoteWaitlistedStudent, getTodaysDateUTC } from './api.js';
 import { refreshCurrentCoachSchedule } from './coachSelect.js';
+import { handleRemoveSubstituteClick, updateSubstituteAction } from './substitutes.js';
+import { handleBookMakeupClick, findMakeupForAbsence, findMakeupIntoSlot, makeupBadgeHtml } from './makeups.js';
+import { hasLogDraft } from './logDrafts.js';
+import { can } from './permissions.js';
 import { displayError as uiDisplayError, clearError as uiClearError } from './ui.js';
 
 
@@ -48,16 +52,66 @@ function getDayOfYear(date = new Date()) {
 // --- State for Daily View ---
 let currentScheduleView = 'Week'; // Default to week view
 
+// --- Helper: Format a YYYY-MM-DD date as DD/MM for column headers ---
+function _formatShortDate(dateString) {
+    if (!dateString) return '';
+    const [, month, day] = dateString.split('-');
+    return `${day}/${month}`;
+}
+
+// --- Helper: Roster change date ---
+/** Roster changes made while viewing a week take effect from that week's lesson, or from today for past weeks. */
+function _rosterChangeDate(slotDate) {
+    const today = getTodaysDateUTC();
+    return slotDate && slotDate > today ? slotDate : today;
+}
+
+// --- Helper: Coach name for substitute markers ---
+function _coachName(coachId) {
+    return appState.coachesData?.find(coach => coach.id === coachId)?.Name || `Coach ${coachId}`;
+}
+
+// --- Helper: Create Substitute Marker ---
+/** Builds the "Covering for" / "Covered by" line shown on substituted slots, with a remove button for roles that assign cover. */
+function createSubstituteMarkerElement(slot) {
+    const marker = document.createElement('p');
+    marker.className = slot.is_borrowed
+        ? 'substitute-marker text-[11px] font-medium mb-1.5 px-1.5 py-0.5 rounded bg-sky-100 text-sky-800 dark:bg-sky-900/50 dark:text-sky-200'
+        : 'substitute-marker text-[11px] font-medium mb-1.5 px-1.5 py-0.5 rounded bg-gray-200 text-gray-700 dark:bg-gray-700 dark:text-gray-300';
+    marker.textContent = slot.is_borrowed
+        ? `Covering for ${_coachName(slot.home_coach_id)}`
+        : `Covered by ${_coachName(slot.covered_by_coach_id)}`;
+
+    if (can('assignSubstitutes')) {
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'remove-substitute-btn ml-1.5 underline text-red-600 hover:text-red-800 dark:text-red-400 dark:hover:text-red-300';
+        removeButton.textContent = 'Remove cover';
+        removeButton.dataset.substitutionId = slot.substitution_id;
+        removeButton.addEventListener('click', handleRemoveSubstituteClick);
+        marker.appendChild(removeButton);
+    }
+    return marker;
+}
+
 // --- Helper: Create Day Column Element ---
-function createDayColumnElement(day, theme) {
+function createDayColumnElement(day, theme, dayDate = null) {
     const dayCol = document.createElement('div');
     dayCol.id = `day-col-${day}`;
-    dayCol.className = `day-column border-t-4 ${theme.border} rounded-lg shadow-inner`;
+    const isSelectedDate = dayDate && dayDate === appState.selectedDate;
+    dayCol.className = `day-column border-t-4 ${theme.border} rounded-lg shadow-inner${isSelectedDate ? ' ring-2 ring-indigo-300 dark:ring-indigo-600' : ''}`;
     dayCol.dataset.day = day;
+    if (dayDate) dayCol.dataset.date = dayDate;
 
     const header = document.createElement('h3');
     header.textContent = day;
     header.className = `font-bold text-center p-2 rounded-t-md ${theme.headerBg} ${theme.text}`;
+    if (dayDate) {
+        const dateSpan = document.createElement('span');
+        dateSpan.className = 'block text-xs font-normal opacity-80';
+        dateSpan.textContent = _formatShortDate(dayDate) + (dayDate === getTodaysDateUTC() ? ' (Today)' : '');
+        header.appendChild(dateSpan);
+    }
     dayCol.appendChild(header);
 
     const slotsContainer = document.createElement('div');
@@ -77,8 +131,10 @@ function createSlotElement(slot, todaysStatuses, todaysLoggedIds) {
          return null;
      }
     const scheduleId = slot.schedule_id;
+    const slotDate = getDateForWeekday(appState.selectedDate, slot.day); // Date of this lesson in the selected week
     const isEditMode = appState.isEditMode;
     const isLogged = !isEditMode && todaysLoggedIds.includes(scheduleId);
+    const isCovered = !isEditMode && !!slot.covered_by_coach_id; // Another coach teaches this lesson on slotDate
     const originalStudentIds = slot.original_student_ids || [];
 
     // Determine current students based on mode and status
@@ -87,7 +143,7 @@ function createSlotElement(slot, todaysStatuses, todaysLoggedIds) {
     let fillInStudentIds = [];
 
     if (!isEditMode) { // If NOT in edit mode, calculate current students based on daily statuses
-        const slotStatuses = todaysStatuses.filter(s => s.lesson_schedule_id === scheduleId);
+        const slotStatuses = getSlotStatuses(todaysStatuses, scheduleId, slotDate);
         absentStudentIds = new Set(slotStatuses.filter(s => s.status === 'marked_absent').map(s => s.student_id));
         fillInStudentIds = slotStatuses.filter(s => s.status === 'assigned_fill_in').map(s => s.student_id);
         const presentOriginalIds = originalStudentIds.filter(id => !absentStudentIds.has(id));
@@ -95,20 +151,7 @@ function createSlotElement(slot, todaysStatuses, todaysLoggedIds) {
     }
 
     // Determine effective capacity based on original students' group size
-    let effectiveCapacity = 1;
-    const dbCapacity = parseInt(slot.capacity, 10);
-    const validDbCapacity = !isNaN(dbCapacity) && dbCapacity > 0 ? dbCapacity : 3; // Default to 3 if invalid
-    if (originalStudentIds.length > 0 && appState?.studentsData) {
-        const originalStudentDetails = originalStudentIds.map(id => getStudentDetails(id, appState.studentsData));
-        const hasSolo = originalStudentDetails.some(d => d && d.groupOf === 1);
-        const hasPaired = originalStudentDetails.some(d => d && d.groupOf === 2);
-
-        if (hasSolo) effectiveCapacity = 1;
-        else if (hasPaired) effectiveCapacity = 2;
-        else effectiveCapacity = validDbCapacity;
-    } else {
-        effectiveCapacity = validDbCapacity; // Use DB capacity if slot is empty or no student data
-    }
+    let effectiveCapacity = getEffectiveCapacity(originalStudentIds, slot.capacity, appState?.studentsData);
 
     // Ensure capacity is at least the number of students currently shown (prevents negative capacity display)
     const currentOccupants = currentStudentIds.length; // Use the accurately determined currentStudentIds
@@ -122,7 +165,9 @@ function createSlotElement(slot, todaysStatuses, todaysLoggedIds) {
     slotElement.dataset.scheduleId = scheduleId;
     slotElement.dataset.day = slot.day;
     slotElement.dataset.time = slot.time;
-    slotElement.dataset.coachId = slot.coach_id;
+    if (slotDate) slotElement.dataset.slotDate = slotDate;
+    slotElement.dataset.coachId = slot.coach_id; // For a borrowed slot this is the substitute, so fill-ins and logs record them
+    if (slot.is_borrowed) slotElement.dataset.homeCoachId = slot.home_coach_id;
     slotElement.dataset.capacity = effectiveCapacity;
     slotElement.dataset.capacityFromDb = slot.capacity; // Store original DB capacity
     slotElement.dataset.originalStudents = JSON.stringify(originalStudentIds);
@@ -138,9 +183,14 @@ function createSlotElement(slot, todaysStatuses, todaysLoggedIds) {
     } else if (isLogged) {
         slotClasses += ' bg-gray-100 dark:bg-gray-700/80 opacity-60 dark:opacity-50 cursor-not-allowed';
         slotElement.title = `Slot logged.`;
+    } else if (isCovered) {
+        slotClasses += ' bg-gray-50 dark:bg-gray-800/60 border-dashed border-gray-300 dark:border-gray-600 opacity-75 cursor-default';
+        slotElement.title = `${_coachName(slot.covered_by_coach_id)} is teaching this lesson as a substitute.`;
     } else {
-        // Default interactive style
-        slotClasses += ' bg-white dark:bg-gray-800 hover:shadow-md hover:border-indigo-300 dark:hover:border-indigo-500 cursor-pointer';
+        // Default interactive style (borrowed slots get a sky tint so the substitute can tell them apart)
+        slotClasses += slot.is_borrowed
+            ? ' bg-sky-50 dark:bg-sky-900/20 hover:shadow-md hover:border-indigo-300 dark:hover:border-indigo-500 cursor-pointer'
+            : ' bg-white dark:bg-gray-800 hover:shadow-md hover:border-indigo-300 dark:hover:border-indigo-500 cursor-pointer';
         // Highlight if needs fill-in (not logged, has capacity) or has original students but none present
         const originallyHadStudents = originalStudentIds.length > 0;
         const allOriginalsAbsent = originallyHadStudents && currentStudentIds.length === 0 && fillInStudentIds.length === 0;
@@ -164,7 +214,16 @@ function createSlotElement(slot, todaysStatuses, todaysLoggedIds) {
     const timeElement = document.createElement('p');
     timeElement.className = 'font-bold text-gray-800 dark:text-gray-100 mb-2 text-sm';
     timeElement.textContent = slot.time; // Use the formatted time string
+    // Draft badge (logging.js toggles it while the form is being filled in)
+    if (!isEditMode && !isLogged && !isCovered) {
+        const draftBadge = document.createElement('span');
+        draftBadge.className = `log-draft-badge ${hasLogDraft(scheduleId, slotDate) ? '' : 'hidden'} text-[10px] px-1.5 py-0.5 rounded-full ml-1.5 font-medium align-middle text-indigo-700 dark:text-indigo-300 bg-indigo-100 dark:bg-indigo-900/50`;
+        draftBadge.textContent = 'Draft';
+        draftBadge.title = 'This lesson has an unsubmitted log draft.';
+        timeElement.appendChild(draftBadge);
+    }
     slotElement.appendChild(timeElement);
+    if (!isEditMode && (slot.is_borrowed || isCovered)) slotElement.appendChild(createSubstituteMarkerElement(slot));
 
     // --- Add Student List ---
     const studentsList = document.createElement('div');
@@ -174,7 +233,7 @@ function createSlotElement(slot, todaysStatuses, todaysLoggedIds) {
         const studentDetails = getStudentDetails(studentId, appState.studentsData); // Get details to check is_active
         if (isEditMode || studentDetails?.is_active === true) {
             const isFillIn = !isEditMode && fillInStudentIds.includes(studentId);
-            const studentEntry = createStudentEntryElement(studentId, slot, isFillIn, absentStudentIds, isLogged, isEditMode);
+            const studentEntry = createStudentEntryElement(studentId, slot, isFillIn, absentStudentIds, isLogged || isCovered, isEditMode);
             if (studentEntry) studentsList.appendChild(studentEntry);
         } else if (!isEditMode && studentDetails?.is_active === false) {
              // console.log(`Skipping inactive student ${studentDetails.Name} (ID: ${studentId}) in slot ${scheduleId} (Normal View)`);
@@ -185,7 +244,7 @@ function createSlotElement(slot, todaysStatuses, todaysLoggedIds) {
         originalStudentIds.forEach(studentId => {
             const studentDetails = getStudentDetails(studentId, appState.studentsData);
             if (absentStudentIds.has(studentId) && !currentStudentIds.includes(studentId) && studentDetails?.is_active === true) {
-                const studentEntry = createStudentEntryElement(studentId, slot, false, absentStudentIds, isLogged, false);
+                const studentEntry = createStudentEntryElement(studentId, slot, false, absentStudentIds, isLogged || isCovered, false);
                 if (studentEntry) studentsList.appendChild(studentEntry);
             }
         });
@@ -208,10 +267,14 @@ function createSlotElement(slot, todaysStatuses, todaysLoggedIds) {
         addStudentButton.dataset.scheduleId = scheduleId;
         addStudentButton.addEventListener('click', handleShowAddStudentUI); // Attach listener
         slotElement.appendChild(addStudentButton);
+        if (!slot.is_borrowed) {
+            slotElement.appendChild(createWaitlistElement(slot, originalStudentIds, effectiveCapacity));
+            slotElement.appendChild(createRosterHistoryElement(slot, slotDate));
+        }
     }
 
-    // --- Attach Slot Selection Listener (if not logged and not edit mode) ---
-    if (!isEditMode && !isLogged) {
+    // --- Attach Slot Selection Listener (if not logged, not covered by a substitute and not edit mode) ---
+    if (!isEditMode && !isLogged && !isCovered) {
         slotElement.removeEventListener('click', handleSlotSelection); // Prevent duplicates
         slotElement.addEventListener('click', handleSlotSelection);
     } else {
@@ -236,6 +299,9 @@ function createStudentEntryElement(studentId, slot, isFillIn, absentStudentIds,
     }
 
     const studentIsActive = studentDetails.is_active === true; // Check active status
+    const entryDate = getDateForWeekday(appState.selectedDate, slot.day);
+    const isAbsent = absentStudentIds.has(studentId);
+    const absenceMakeup = !isEditMode && isAbsent ? findMakeupForAbsence(studentId, slot.schedule_id, entryDate) : null;
 
     const studentEntryDiv = document.createElement('div');
     studentEntryDiv.className = 'student-entry flex justify-between items-center group relative'; // Added relative for dropdown positioning
@@ -260,7 +326,8 @@ function createStudentEntryElement(studentId, slot, isFillIn, absentStudentIds,
     const statusBadges = []; // Array to hold badge elements/text
 
     if (isFillIn) {
-        statusBadges.push(`<span class="text-[10px] px-1.5 py-0.5 rounded-full ml-1.5 font-medium align-middle text-emerald-700 dark:text-emerald-300 bg-emerald-100 dark:bg-emerald-900/50">Fill-in</span>`);
+        const fillInLabel = findMakeupIntoSlot(studentId, slot.schedule_id, entryDate) ? 'Make-up' : 'Fill-in';
+        statusBadges.push(`<span class="text-[10px] px-1.5 py-0.5 rounded-full ml-1.5 font-medium align-middle text-emerald-700 dark:text-emerald-300 bg-emerald-100 dark:bg-emerald-900/50">${fillInLabel}</span>`);
     }
     if (absentStudentIds.has(studentId)) {
         statusBadges.push(`<span class="text-[10px] px-1.5 py-0.5 rounded-full ml-1.5 font-medium align-middle text-red-600 dark:text-red-400">Absent</span>`);
@@ -274,6 +341,8 @@ function createStudentEntryElement(studentId, slot, isFillIn, absentStudentIds,
         nameSpan.classList.remove('text-gray-700', 'dark:text-gray-200');
     }
 
+    if (absenceMakeup) statusBadges.push(makeupBadgeHtml(absenceMakeup));
+
     // Append badges if any exist
     if (statusBadges.length > 0) {
         nameSpan.innerHTML += ' ' + statusBadges.join(' '); // Use innerHTML to parse spans
@@ -296,7 +365,7 @@ function createStudentEntryElement(studentId, slot, isFillIn, absentStudentIds,
         removeButton.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" class="h-3 w-3" viewBox="0 0 20 20" fill="currentColor"><path fill-rule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" clip-rule="evenodd" /></svg>`;
         removeButton.addEventListener('click', handleRemoveStudentFromSlot);
         buttonContainer.appendChild(removeButton);
-    } else if (!isLogged && studentIsActive) { // Only show absent/undo if not logged AND student is active
+    } else if (!isLogged && studentIsActive && can('markAttendance', slot.coach_id)) { // Only show absent/undo if not logged, student is active and the role may mark attendance
         // Show Mark Absent / Undo Buttons
         if (absentStudentIds.has(studentId)) {
             // Show Undo Button
@@ -322,6 +391,18 @@ function createStudentEntryElement(studentId, slot, isFillIn, absentStudentIds,
             buttonContainer.appendChild(removeButton);
         }
     }
+    // Book make-up (also once the missed lesson is logged)
+    if (!isEditMode && isAbsent && !absenceMakeup && studentIsActive && can('bookMakeups', slot.coach_id)) {
+        const makeupButton = document.createElement('button');
+        makeupButton.type = 'button';
+        makeupButton.className = 'book-makeup-btn text-sky-600 hover:text-sky-800 dark:text-sky-400 dark:hover:text-sky-300 p-0.5 rounded focus:outline-none focus:ring-1 focus:ring-sky-500';
+        makeupButton.title = `Book a make-up lesson for ${studentDetails.Name}`;
+        makeupButton.dataset.studentId = studentId;
+        makeupButton.dataset.scheduleId = slot.schedule_id;
+        makeupButton.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" class="h-3 w-3" viewBox="0 0 20 20" fill="currentColor"><path fill-rule="evenodd" d="M6 2a1 1 0 00-1 1v1H4a2 2 0 00-2 2v10a2 2 0 002 2h12a2 2 0 002-2V6a2 2 0 00-2-2h-1V3a1 1 0 10-2 0v1H7V3a1 1 0 00-1-1zm0 5a1 1 0 000 2h8a1 1 0 100-2H6z" clip-rule="evenodd" /></svg>`; // Calendar icon
+        makeupButton.addEventListener('click', handleBookMakeupClick);
+        buttonContainer.appendChild(makeupButton);
+    }
     // --- End Action Buttons ---
 
     if (buttonContainer.children.length > 0) {
@@ -332,6 +413,121 @@ function createStudentEntryElement(studentId, slot, isFillIn, absentStudentIds,
 }
 
 
+/**
+ * Creates the waitlist section shown under a slot in roster edit mode: the waiting students (longest first) with
+ * Promote and Remove buttons, and a button to add someone. Promote needs a free seat the student's pairing rules allow.
+ */
+function createWaitlistElement(slot, originalStudentIds, capacity) {
+    const entries = getSlotWaitlist(appState.slotWaitlist, slot.schedule_id);
+    const originalStudentDetails = originalStudentIds.map(id => getStudentDetails(id, appState.studentsData)).filter(Boolean);
+    const hasFreeSeat = originalStudentIds.length < capacity;
+
+    const waitlistDiv = document.createElement('div');
+    waitlistDiv.className = 'slot-waitlist mt-2 pt-2 border-t border-amber-300 dark:border-amber-700';
+
+    const heading = document.createElement('p');
+    heading.className = 'text-[11px] font-semibold text-amber-800 dark:text-amber-200 mb-1';
+    heading.textContent = `Waitlist (${entries.length})`;
+    waitlistDiv.appendChild(heading);
+
+    entries.forEach((entry, index) => {
+        const studentDetails = getStudentDetails(entry.student_id, appState.studentsData);
+        const entryDiv = document.createElement('div');
+        entryDiv.className = 'flex justify-between items-center gap-1 text-xs';
+
+        const nameSpan = document.createElement('span');
+        nameSpan.className = 'text-gray-700 dark:text-gray-200 truncate';
+        nameSpan.textContent = `${index + 1}. ${studentDetails?.Name || `Student ${entry.student_id}`}`;
+        nameSpan.title = entry.note ? `${entry.note} (since ${String(entry.added_at).substring(0, 10)})` : `Waiting since ${String(entry.added_at).substring(0, 10)}`;
+        entryDiv.appendChild(nameSpan);
+
+        const pairingCheck = studentDetails ? checkPairingRuleViolation(studentDetails, originalStudentDetails, capacity) : { violation: true, reason: 'Student not found.' };
+        const promoteButton = document.createElement('button');
+        promoteButton.type = 'button';
+        promoteButton.className = 'promote-waitlist-btn text-[10px] bg-green-500 hover:bg-green-600 text-white font-semibold py-0.5 px-1.5 rounded flex-shrink-0 disabled:opacity-50 disabled:cursor-not-allowed';
+        promoteButton.textContent = 'Promote';
+        promoteButton.dataset.waitlistId = entry.id;
+        promoteButton.disabled = !hasFreeSeat || pairingCheck.violation;
+        promoteButton.title = !hasFreeSeat ? 'The roster is full.' : (pairingCheck.violation ? (pairingCheck.reason || 'Pairing rules prevent this.') : `Add to the roster from ${formatDate(_rosterChangeDate(getDateForWeekday(appState.selectedDate, slot.day)))}`);
+        promoteButton.addEventListener('click', handlePromoteWaitlistedClick);
+
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'remove-waitlist-btn text-red-500 hover:text-red-700 dark:text-red-400 dark:hover:text-red-300 p-0.5 rounded focus:outline-none focus:ring-1 focus:ring-red-500 flex-shrink-0';
+        removeButton.title = 'Remove from waitlist';
+        removeButton.dataset.waitlistId = entry.id;
+        removeButton.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" class="h-3 w-3" viewBox="0 0 20 20" fill="currentColor"><path fill-rule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clip-rule="evenodd" /></svg>`;
+        removeButton.addEventListener('click', handleRemoveWaitlistEntryClick);
+
+        const actions = document.createElement('span');
+        actions.className = 'flex items-center space-x-1';
+        actions.appendChild(promoteButton);
+        actions.appendChild(removeButton);
+        entryDiv.appendChild(actions);
+        waitlistDiv.appendChild(entryDiv);
+    });
+
+    const addButton = document.createElement('button');
+    addButton.type = 'button';
+    addButton.textContent = '+ Add to Waitlist';
+    addButton.className = 'add-to-waitlist-btn text-xs text-amber-700 dark:text-amber-300 hover:underline mt-1';
+    addButton.dataset.scheduleId = slot.schedule_id;
+    addButton.dataset.mode = 'waitlist';
+    addButton.addEventListener('click', handleShowAddStudentUI);
+    waitlistDiv.appendChild(addButton);
+
+    return waitlistDiv;
+}
+
+/**
+ * Creates the collapsible roster history shown under a slot in roster edit mode: every enrolment, newest first,
+ * with the dates it started and ended. Changes that haven't happened yet are flagged.
+ */
+function createRosterHistoryElement(slot, slotDate) {
+    const today = getTodaysDateUTC();
+    const enrolments = [...(slot.enrolments || [])]
+        .sort((a, b) => String(b.start_date || '').localeCompare(String(a.start_date || '')));
+
+    const historyDetails = document.createElement('details');
+    historyDetails.className = 'roster-history mt-2 pt-2 border-t border-gray-300 dark:border-gray-600';
+    historyDetails.addEventListener('click', event => event.stopPropagation());
+
+    const summary = document.createElement('summary');
+    summary.className = 'text-[11px] font-semibold text-gray-600 dark:text-gray-300 cursor-pointer';
+    summary.textContent = `Roster history (${enrolments.length})`;
+    historyDetails.appendChild(summary);
+
+    if (enrolments.length === 0) {
+        historyDetails.insertAdjacentHTML('beforeend', '<p class="text-[11px] text-gray-500 dark:text-gray-400 italic mt-1">No roster changes recorded.</p>');
+        return historyDetails;
+    }
+
+    const list = document.createElement('ul');
+    list.className = 'mt-1 space-y-0.5';
+    enrolments.forEach(enrolment => {
+        const name = getStudentDetails(enrolment.student_id, appState.studentsData)?.Name || `Student ${enrolment.student_id}`;
+        const isCurrent = isEnrolledOn(enrolment, slotDate);
+        const isUpcoming = !!enrolment.start_date && enrolment.start_date > today;
+        const isLeaving = !!enrolment.end_date && enrolment.end_date > today && !isUpcoming;
+
+        const item = document.createElement('li');
+        item.className = `text-[11px] ${isCurrent ? 'text-gray-700 dark:text-gray-200' : 'text-gray-500 dark:text-gray-400'}`;
+        const joined = enrolment.start_date ? `joined ${formatDate(enrolment.start_date)}` : 'enrolled';
+        const left = enrolment.end_date ? `, left ${formatDate(enrolment.end_date)}` : '';
+        item.textContent = `${name}: ${joined}${left}`;
+        if (isUpcoming || isLeaving) {
+            const badge = document.createElement('span');
+            badge.className = 'text-[10px] px-1.5 py-0.5 rounded-full ml-1 font-medium text-sky-700 dark:text-sky-300 bg-sky-100 dark:bg-sky-900/50';
+            badge.textContent = 'Scheduled';
+            item.appendChild(badge);
+        }
+        list.appendChild(item);
+    });
+    historyDetails.appendChild(list);
+    return historyDetails;
+}
+
+
 // --- Helper: Apply Day View Filter ---
 function _applyDayViewFilter(activeView) {
     const scheduleContainer = document.getElementById('coach-schedule');
@@ -361,6 +557,19 @@ function handleDayViewToggleClick(event) {
     const newView = button.dataset.view;
     if (newView === currentScheduleView) return; // No change
 
+    setScheduleView(newView);
+}
+
+/** Returns the current schedule view ('Week' or a day name). */
+export function getScheduleView() {
+    return currentScheduleView;
+}
+
+/**
+ * Switches the schedule between the whole week and a single day.
+ * @param {string} newView - 'Week' or a day name ('Monday' ... 'Friday').
+ */
+export function setScheduleView(newView) {
     currentScheduleView = newView;
 
     // Update button styles
@@ -403,9 +612,11 @@ export function displayCoachSchedule(coachId, scheduleDataParam, studentsData, t
     let totalMissedToday = 0;
 
     daysOfWeek.forEach(day => {
-        const dayCol = createDayColumnElement(day, theme);
+        const dayDate = getDateForWeekday(appState.selectedDate, day);
+        const dayCol = createDayColumnElement(day, theme, dayDate);
         const slotsContainer = dayCol.querySelector('.p-2'); // Get the inner container
-        const slotsForDay = scheduleData[day] || [];
+        // Borrowed slots belong to another coach's roster, so they are left out while editing rosters
+        const slotsForDay = (scheduleData[day] || []).filter(slot => !(appState.isEditMode && slot.is_borrowed));
 
         if (slotsForDay.length === 0) {
             slotsContainer.innerHTML = '<p class="text-xs text-gray-400 dark:text-gray-500 italic text-center py-2">No lessons</p>';
@@ -479,18 +690,21 @@ export function handleSlotSelection(event) {
         scheduleId: scheduleId,
         day: slotElement.dataset.day,
         time: slotElement.dataset.time,
+        slotDate: slotElement.dataset.slotDate || getTodaysDateUTC(),
         coachId: parseInt(slotElement.dataset.coachId),
         capacity: parseInt(slotElement.dataset.capacity),
         originalStudentIds: JSON.parse(slotElement.dataset.originalStudents || '[]'),
         currentStudentIds: JSON.parse(slotElement.dataset.currentStudents || '[]'),
-        isPastLog: false // This is for current day logs
+        isPastLog: false // Logged from the schedule grid (uses slotDate), not the past missed logs list
     };
 
     appState.updateSelectedLessonSlot(slotDetails); // Update global state
 
-    // Populate and show the inline log form for this slot
+    // Populate and show the inline log form for this slot (for roles that may log this coach's lessons)
     const inlineFormContainer = slotElement.querySelector(`#inline-log-form-${scheduleId}`);
-    if (inlineFormContainer) {
+    if (!can('logLessons', slotDetails.coachId)) {
+        console.log(`Schedule: Role may not log lessons for coach ${slotDetails.coachId}; no log form shown.`);
+    } else if (inlineFormContainer) {
         populateInlineLogForm(inlineFormContainer, slotDetails); // From logging.js
         inlineFormContainer.classList.remove('hidden');
     } else {
@@ -506,15 +720,18 @@ export function handleSlotSelection(event) {
         const hasCapacity = slotDetails.currentStudentIds.length < slotDetails.capacity;
         const originallyHadStudents = slotDetails.originalStudentIds.length > 0;
         const allOriginalsAbsent = originallyHadStudents && slotDetails.currentStudentIds.length === 0 &&
-                                   !appState.todaysStatuses.some(s => s.lesson_schedule_id === scheduleId && s.status === 'assigned_fill_in');
+                                   !getSlotStatuses(appState.todaysStatuses, scheduleId, slotDetails.slotDate).some(s => s.status === 'assigned_fill_in');
 
 
         // Show action buttons if there's capacity OR if all original students are absent (to allow finding fill-ins)
-        const showActionButtons = hasCapacity || allOriginalsAbsent;
+        const showActionButtons = (hasCapacity || allOriginalsAbsent) && can('assignFillIns', slotDetails.coachId);
+
+        // Only the slot's own coach's lessons can be handed to a substitute (not one being covered here)
+        const showSubstituteButton = updateSubstituteAction(!slotElement.dataset.homeCoachId);
 
         findStudentsButton.classList.toggle('hidden', !showActionButtons);
         manualAddButton.classList.toggle('hidden', !showActionButtons);
-        slotActionsDiv.classList.toggle('hidden', !showActionButtons);
+        slotActionsDiv.classList.toggle('hidden', !showActionButtons && !showSubstituteButton);
 
         manualAddButton.onclick = () => handleShowManualAddUI(); // Attach fresh listener
 
@@ -670,7 +887,7 @@ async function handleAddManualStudentClick(event) {
     button.disabled = true; button.textContent = 'Adding...';
     errorP.classList.add('hidden');
     try {
-        const result = await addDailyStatus(studentId, selectedSlot.coachId, selectedSlot.scheduleId, 'assigned_fill_in');
+        const result = await addDailyStatus(studentId, selectedSlot.coachId, selectedSlot.scheduleId, 'assigned_fill_in', null, selectedSlot.slotDate);
         if (result && result.success) {
             console.log(`Manual Add: Successfully added student ${studentId}.`);
             hideManualAddUI();
@@ -703,19 +920,20 @@ async function handleRemoveStudentFromSlot(event) {
 
     const studentDetails = getStudentDetails(studentId, appState.studentsData);
     const studentName = studentDetails?.Name || `Student ID ${studentId}`;
+    const effectiveDate = _rosterChangeDate(button.closest('.schedule-item')?.dataset.slotDate);
 
-    if (!confirm(`Are you sure you want to permanently remove ${studentName} from this schedule slot?`)) {
+    if (!confirm(`Remove ${studentName} from this schedule slot from ${formatDate(effectiveDate)}? Earlier lessons keep them in the roster history.`)) {
         console.log("Remove Roster: User cancelled removal.");
         return;
     }
 
-    console.log(`EDIT MODE: Removing student ${studentId} from slot ${scheduleId}.`);
+    console.log(`EDIT MODE: Removing student ${studentId} from slot ${scheduleId} from ${effectiveDate}.`);
     button.disabled = true;
     // Optionally add a spinner or change icon
     button.innerHTML = `<svg class="animate-spin h-3 w-3 text-gray-500" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24"><circle class="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" stroke-width="4"></circle><path class="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path></svg>`;
 
     try {
-        const result = await removeStudentFromSchedule(studentId, scheduleId);
+        const result = await removeStudentFromSchedule(studentId, scheduleId, effectiveDate);
         if (result.success) {
             console.log("Remove Roster: Student removed successfully.");
             await refreshCurrentCoachSchedule(); // Refresh the view
@@ -731,12 +949,13 @@ async function handleRemoveStudentFromSlot(event) {
     }
 }
 
-/** Shows the UI to add a student to a slot in edit mode. */
+/** Shows the UI to add a student to a slot (or to its waitlist) in edit mode. */
 function handleShowAddStudentUI(event) {
     event.stopPropagation(); // Prevent triggering slot selection
     const button = event.currentTarget;
     const scheduleId = parseInt(button.dataset.scheduleId);
-    console.log(`EDIT MODE: Add student to slot ${scheduleId} clicked.`);
+    const mode = button.dataset.mode === 'waitlist' ? 'waitlist' : 'roster';
+    console.log(`EDIT MODE: Add student to slot ${scheduleId} (${mode}) clicked.`);
 
     // Find the target slot element
     const slotElement = button.closest('.schedule-item');
@@ -752,19 +971,26 @@ function handleShowAddStudentUI(event) {
     const errorP = document.getElementById('roster-add-error');
     const titleH4 = document.getElementById('roster-add-title');
     const cancelButton = document.getElementById('roster-add-cancel-button');
+    const effectiveDateRow = document.getElementById('roster-effective-date-row');
+    const effectiveDateInput = document.getElementById('roster-effective-date');
 
-    if (!rosterAddContainer || !searchInput || !resultsDiv || !errorP || !titleH4 || !cancelButton) {
+    if (!rosterAddContainer || !searchInput || !resultsDiv || !errorP || !titleH4 || !cancelButton || !effectiveDateInput) {
         console.error("Add Student UI Error: Roster add UI elements not found in HTML.");
         uiDisplayError("Roster editing UI is missing components.", "general");
         return;
     }
 
-    // Store target schedule ID on the container
+    // Store target schedule ID and mode on the container
     rosterAddContainer.dataset.targetScheduleId = scheduleId;
+    rosterAddContainer.dataset.mode = mode;
     // Update title
     const time = slotElement.dataset.time;
     const day = slotElement.dataset.day;
-    titleH4.textContent = `Add Student to ${day} ${time}`;
+    titleH4.textContent = mode === 'waitlist' ? `Add Student to the ${day} ${time} Waitlist` : `Add Student to ${day} ${time}`;
+    // Roster additions start from the viewed week's lesson by default; pick a later date to schedule one (e.g. next term)
+    effectiveDateInput.min = getTodaysDateUTC();
+    effectiveDateInput.value = _rosterChangeDate(slotElement.dataset.slotDate);
+    effectiveDateRow?.classList.toggle('hidden', mode === 'waitlist');
 
     // Clear previous state
     searchInput.value = '';
@@ -794,6 +1020,7 @@ function handleRosterAddSearchInput(event) {
     const resultsDiv = rosterAddContainer.querySelector('#roster-add-results');
     const errorP = rosterAddContainer.querySelector('#roster-add-error');
     const targetScheduleId = parseInt(rosterAddContainer.dataset.targetScheduleId);
+    const isWaitlistMode = rosterAddContainer.dataset.mode === 'waitlist';
 
     if (!resultsDiv || !errorP || !appState.studentsData || isNaN(targetScheduleId)) return;
 
@@ -817,6 +1044,7 @@ function handleRosterAddSearchInput(event) {
     const originalStudentIds = JSON.parse(slotElement.dataset.originalStudents || '[]');
     const capacity = parseInt(slotElement.dataset.capacity);
     const originalStudentDetails = originalStudentIds.map(id => getStudentDetails(id, appState.studentsData)).filter(Boolean);
+    const waitlistedIds = getSlotWaitlist(appState.slotWaitlist, targetScheduleId).map(entry => entry.student_id);
 
     // console.log(`Roster Add Filter DEBUG: scheduleId=${targetScheduleId}, searchTerm='${searchTerm}', capacity=${capacity}, originalIds=${JSON.stringify(originalStudentIds)}`);
 
@@ -839,6 +1067,10 @@ function handleRosterAddSearchInput(event) {
         if (originalStudentIds.includes(studentId)) {
              return false;
         }
+        // The waitlist is for full slots: it skips the seat and pairing checks (Promote applies them)
+        if (isWaitlistMode) {
+            return !waitlistedIds.includes(studentId);
+        }
         // Check capacity
         if (originalStudentIds.length >= capacity) {
             return false; // Cannot add if already full
@@ -879,7 +1111,7 @@ function handleRosterAddSearchInput(event) {
             addButton.type = 'button';
             addButton.className = 'roster-add-confirm-btn text-xs bg-blue-500 hover:bg-blue-700 text-white font-semibold py-0.5 px-1.5 rounded focus:outline-none focus:ring-1 focus:ring-blue-500 ml-2 flex-shrink-0 dark:bg-blue-600 dark:hover:bg-blue-500';
             addButton.dataset.studentId = student.id;
-            addButton.textContent = 'Add';
+            addButton.textContent = isWaitlistMode ? 'Waitlist' : 'Add';
 
             li.appendChild(nameSpan);
             li.appendChild(addButton);
@@ -898,7 +1130,9 @@ async function handleAddStudentToRosterConfirm(event) {
     const studentId = parseInt(button.dataset.studentId);
     const rosterAddContainer = button.closest('#roster-add-container');
     const scheduleId = parseInt(rosterAddContainer?.dataset.targetScheduleId);
+    const isWaitlistMode = rosterAddContainer?.dataset.mode === 'waitlist';
     const errorP = rosterAddContainer.querySelector('#roster-add-error');
+    const effectiveDate = rosterAddContainer.querySelector('#roster-effective-date')?.value || getTodaysDateUTC();
 
     // Validate IDs and presence of error element
     if (isNaN(studentId) || isNaN(scheduleId) || !errorP) {
@@ -907,14 +1141,16 @@ async function handleAddStudentToRosterConfirm(event) {
         return;
     }
 
-    console.log(`EDIT MODE: Confirm add student ${studentId} to slot ${scheduleId}.`);
+    console.log(`EDIT MODE: Confirm add student ${studentId} to slot ${scheduleId}${isWaitlistMode ? ' waitlist' : ` from ${effectiveDate}`}.`);
     button.disabled = true; // Disable button during API call
     button.textContent = 'Adding...';
     errorP.classList.add('hidden'); // Hide previous errors
 
     try {
         // Call the API function to add the student
-        const result = await addStudentToSchedule(studentId, scheduleId);
+        const result = isWaitlistMode
+            ? await addToSlotWaitlist(studentId, scheduleId)
+            : await addStudentToSchedule(studentId, scheduleId, effectiveDate);
 
         if (result.success) {
             // If successful:
@@ -931,8 +1167,48 @@ async function handleAddStudentToRosterConfirm(event) {
         errorP.textContent = `Error: ${error.message}`; // Display error message
         errorP.classList.remove('hidden');
         button.disabled = false; // Re-enable the button
-        button.textContent = 'Add';
+        button.textContent = isWaitlistMode ? 'Waitlist' : 'Add';
+    }
+}
+
+/** Handles "Promote" on a waitlist entry: moves the student onto the slot's roster. */
+async function handlePromoteWaitlistedClick(event) {
+    event.stopPropagation();
+    const button = event.currentTarget;
+    const waitlistId = parseInt(button.dataset.waitlistId);
+    if (isNaN(waitlistId)) return;
+    const effectiveDate = _rosterChangeDate(button.closest('.schedule-item')?.dataset.slotDate);
+
+    button.disabled = true;
+    button.textContent = 'Promoting...';
+    uiClearError("general");
+    const result = await promoteWaitlistedStudent(waitlistId, effectiveDate);
+    if (!result.success) {
+        uiDisplayError(`Error promoting student: ${result.message}`, "general");
+        button.disabled = false;
+        button.textContent = 'Promote';
+        return;
+    }
+    await refreshCurrentCoachSchedule();
+}
+
+/** Handles the remove button on a waitlist entry. */
+async function handleRemoveWaitlistEntryClick(event) {
+    event.stopPropagation();
+    const button = event.currentTarget;
+    const waitlistId = parseInt(button.dataset.waitlistId);
+    if (isNaN(waitlistId)) return;
+    if (!confirm('Remove this student from the waitlist?')) return;
+
+    button.disabled = true;
+    uiClearError("general");
+    const result = await removeFromSlotWaitlist(waitlistId);
+    if (!result.success) {
+        uiDisplayError(`Error removing from waitlist: ${result.message}`, "general");
+        button.disabled = false;
+        return;
     }
+    await refreshCurrentCoachSchedule();
 }
 
 /** Hides the roster add UI. */
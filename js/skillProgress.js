@@ -0,0 +1,216 @@
+// js/skillProgress.js
+// Per-student skill progression for the student profile modal: curriculum coverage, rating trends and gaps (ES Module).
+// Built from the student's lesson history and the skills catalogue passed in, so it needs no extra queries.
+
+// --- Import Dependencies ---
+import { parseSkillsCovered, escapeHtml, groupSkillsByLevel, findSkillInCatalogue } from './utils.js';
+
+// --- Constants ---
+const GAP_WEEK_OPTIONS = [2, 4, 6, 8, 12];
+const DEFAULT_GAP_WEEKS = 4;
+const TREND_WINDOW = 5; // Rated lessons compared: the latest N against the N before them
+const TREND_THRESHOLD = 0.3; // Smallest change in average rating shown as up or down
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// --- Module Variables ---
+let gapWeeks = DEFAULT_GAP_WEEKS; // Kept while the page is open, so it carries over between students
+
+// --- Helper Functions ---
+
+/** Formats a Date as DD/MM/YYYY. */
+function _formatDate(date) {
+    if (!date) return 'Never';
+    return `${String(date.getDate()).padStart(2, '0')}/${String(date.getMonth() + 1).padStart(2, '0')}/${date.getFullYear()}`;
+}
+
+function _average(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+/**
+ * Compares the average of the latest rated lessons with the lessons before them.
+ * @param {Array<number>} ratings - Ratings, oldest first.
+ * @returns {object} { recent, previous, direction: 'up'|'down'|'steady'|null, count }
+ */
+function _ratingTrend(ratings) {
+    const recentValues = ratings.slice(-TREND_WINDOW);
+    const previousValues = ratings.slice(-2 * TREND_WINDOW, -TREND_WINDOW);
+    const recent = _average(recentValues);
+    const previous = _average(previousValues);
+    let direction = null;
+    if (recent !== null && previous !== null) {
+        const diff = recent - previous;
+        direction = diff >= TREND_THRESHOLD ? 'up' : diff <= -TREND_THRESHOLD ? 'down' : 'steady';
+    }
+    return { recent, previous, direction, count: ratings.length };
+}
+
+// --- Exported Functions ---
+
+/**
+ * Aggregates a student's lesson logs into skill progression.
+ * Only lessons the student attended count. Logged names are matched to the catalogue (following renames),
+ * so a skill logged under an old name counts towards the skill.
+ * @param {Array<object>} logs - The student's lesson logs (any order).
+ * @param {object} [options] - { skills: the catalogue, gapWeeks, today: Date }.
+ * @returns {object} {
+ *   levels: [{ level, skills: [{ skill, count, lastCovered, daysSince, status: 'recent'|'gap'|'not-covered' }] }],
+ *   other: [{ name, count, lastCovered }]  (logged skills that aren't in the catalogue),
+ *   proficiency, engagement (see _ratingTrend), attendedLessons
+ * }
+ */
+export function buildSkillProgression(logs, { skills = [], gapWeeks: weeks = DEFAULT_GAP_WEEKS, today = new Date() } = {}) {
+    const attended = (logs || [])
+        .filter(log => log.attendance_status !== 'Absent' && log.log_date)
+        .sort((a, b) => new Date(a.log_date) - new Date(b.log_date));
+
+    const coverage = new Map(); // skill id or 'name:<name>' -> { count, lastCovered, name }
+    attended.forEach(log => {
+        const logDate = new Date(log.log_date);
+        const seenInLog = new Set();
+        parseSkillsCovered(log.skills_covered).forEach(name => {
+            const skill = findSkillInCatalogue(name, skills);
+            const key = skill ? skill.id : `name:${name.toLowerCase()}`;
+            if (seenInLog.has(key)) return;
+            seenInLog.add(key);
+            const entry = coverage.get(key) || { count: 0, lastCovered: null, name };
+            entry.count += 1;
+            if (!entry.lastCovered || logDate > entry.lastCovered) entry.lastCovered = logDate;
+            coverage.set(key, entry);
+        });
+    });
+
+    const gapDays = weeks * 7;
+    const levels = groupSkillsByLevel(skills, true)
+        .map(group => ({
+            level: group.level,
+            skills: group.skills
+                // Retired skills only matter if the student covered them
+                .filter(skill => !skill.is_retired || coverage.has(skill.id))
+                .map(skill => {
+                    const entry = coverage.get(skill.id);
+                    const daysSince = entry ? Math.floor((today - entry.lastCovered) / DAY_MS) : null;
+                    const status = !entry ? 'not-covered' : daysSince > gapDays ? 'gap' : 'recent';
+                    return { skill, count: entry?.count || 0, lastCovered: entry?.lastCovered || null, daysSince, status };
+                })
+        }))
+        .filter(group => group.skills.length > 0);
+
+    const other = [...coverage.entries()]
+        .filter(([key]) => typeof key === 'string')
+        .map(([, entry]) => ({ name: entry.name, count: entry.count, lastCovered: entry.lastCovered }))
+        .sort((a, b) => b.lastCovered - a.lastCovered);
+
+    const ratingsOf = field => attended.map(log => log[field]).filter(value => Number.isFinite(value));
+    return {
+        levels,
+        other,
+        proficiency: _ratingTrend(ratingsOf('proficiency')),
+        engagement: _ratingTrend(ratingsOf('engagement')),
+        attendedLessons: attended.length
+    };
+}
+
+/**
+ * Suggests what to plan next: skills gone stale (longest first), then the next uncovered skills
+ * of the lowest level that still has any.
+ * @param {object} progression - As returned by buildSkillProgression.
+ * @param {number} [limit=3] - Maximum suggestions.
+ * @returns {Array<object>} Skill rows from the progression.
+ */
+export function suggestNextSkills(progression, limit = 3) {
+    const rows = progression.levels.flatMap(group => group.skills).filter(row => !row.skill.is_retired);
+    const gaps = rows.filter(row => row.status === 'gap').sort((a, b) => b.daysSince - a.daysSince);
+    const firstOpenLevel = progression.levels.find(group => group.skills.some(row => row.status === 'not-covered' && !row.skill.is_retired));
+    const uncovered = firstOpenLevel ? firstOpenLevel.skills.filter(row => row.status === 'not-covered' && !row.skill.is_retired) : [];
+    return [...gaps, ...uncovered].slice(0, limit);
+}
+
+/**
+ * Renders the progression view (coverage per level, rating trends, gaps and suggestions) into a container.
+ * Safe to call again with new logs (e.g. after a log is edited).
+ * @param {HTMLElement} container - Element to render into.
+ * @param {Array<object>} logs - The student's lesson logs.
+ * @param {Array<object>} skills - The skills catalogue (appState.skillsCatalogue).
+ */
+export function renderSkillProgression(container, logs, skills) {
+    if (!container) return;
+    const progression = buildSkillProgression(logs, { skills, gapWeeks });
+
+    if (progression.attendedLessons === 0) {
+        container.innerHTML = '<p class="text-sm text-gray-500 dark:text-gray-400 italic">No attended lessons logged yet.</p>';
+        return;
+    }
+
+    const trendHtml = (label, trend) => {
+        if (trend.count === 0) return `<div><strong>${label}:</strong> <span class="text-gray-500 dark:text-gray-400">Not rated yet</span></div>`;
+        const arrows = { up: ['&uarr; Improving', 'text-green-700 dark:text-green-300'], down: ['&darr; Dropping', 'text-red-700 dark:text-red-300'], steady: ['&rarr; Steady', 'text-gray-600 dark:text-gray-300'] };
+        const [directionText, directionClass] = arrows[trend.direction] || ['', ''];
+        const previousText = trend.previous !== null ? ` (previous ${TREND_WINDOW}: ${trend.previous.toFixed(1)})` : '';
+        return `<div><strong>${label}:</strong> <span class="text-gray-800 dark:text-gray-200">${trend.recent.toFixed(1)}/5</span> over the last ${Math.min(trend.count, TREND_WINDOW)} rated lessons${previousText}
+            ${directionText ? `<span class="ml-1 font-medium ${directionClass}">${directionText}</span>` : ''}</div>`;
+    };
+
+    const statusBadge = row => {
+        if (row.status === 'gap') return `<span class="text-[11px] px-1.5 py-0.5 rounded-full bg-amber-100 text-amber-800 dark:bg-amber-900/40 dark:text-amber-200">Gap: ${Math.floor(row.daysSince / 7)} wk</span>`;
+        if (row.status === 'not-covered') return '<span class="text-[11px] px-1.5 py-0.5 rounded-full bg-gray-100 text-gray-600 dark:bg-gray-600 dark:text-gray-300">Not covered</span>';
+        return '<span class="text-[11px] px-1.5 py-0.5 rounded-full bg-green-100 text-green-800 dark:bg-green-900/40 dark:text-green-200">Recent</span>';
+    };
+
+    const levelsHtml = progression.levels.map(group => {
+        const covered = group.skills.filter(row => row.count > 0).length;
+        return `
+            <div class="mb-3">
+                <p class="text-xs font-semibold text-gray-700 dark:text-gray-200 mb-1">${group.level} <span class="font-normal text-gray-500 dark:text-gray-400">(${covered}/${group.skills.length} covered)</span></p>
+                <table class="w-full text-xs text-left text-gray-700 dark:text-gray-200">
+                    <thead><tr class="text-gray-500 dark:text-gray-400"><th class="pr-3 font-medium">Skill</th><th class="pr-3 font-medium">Times</th><th class="pr-3 font-medium">Last covered</th><th class="font-medium">Status</th></tr></thead>
+                    <tbody>
+                        ${group.skills.map(row => `
+                            <tr class="border-b border-gray-200 dark:border-gray-600 last:border-b-0">
+                                <td class="py-1 pr-3">${escapeHtml(row.skill.name)}${row.skill.is_retired ? ' <span class="italic text-gray-500 dark:text-gray-400">(retired)</span>' : ''}</td>
+                                <td class="py-1 pr-3">${row.count}</td>
+                                <td class="py-1 pr-3 whitespace-nowrap">${_formatDate(row.lastCovered)}</td>
+                                <td class="py-1">${statusBadge(row)}</td>
+                            </tr>`).join('')}
+                    </tbody>
+                </table>
+            </div>`;
+    }).join('');
+
+    const otherHtml = progression.other.length > 0 ? `
+        <p class="text-xs text-gray-500 dark:text-gray-400 mb-2"><strong>Also logged (not in the catalogue):</strong>
+            ${progression.other.map(entry => `${escapeHtml(entry.name)} &times;${entry.count}`).join(', ')}</p>` : '';
+
+    const suggestions = suggestNextSkills(progression);
+    const suggestionsHtml = suggestions.length > 0 ? `
+        <div class="p-2 mb-3 text-xs rounded border border-indigo-200 bg-indigo-50 text-indigo-900 dark:bg-gray-900/40 dark:border-gray-600 dark:text-indigo-200">
+            <strong>Plan next:</strong> ${suggestions.map(row => `${escapeHtml(row.skill.name)} (${row.status === 'gap' ? `not covered in ${Math.floor(row.daysSince / 7)} weeks` : `${row.skill.level}, not covered yet`})`).join('; ')}
+        </div>` : '';
+
+    container.innerHTML = `
+        <div class="grid grid-cols-1 sm:grid-cols-2 gap-x-4 gap-y-1 text-xs mb-3 text-gray-600 dark:text-gray-400">
+            ${trendHtml('Proficiency', progression.proficiency)}
+            ${trendHtml('Engagement', progression.engagement)}
+        </div>
+        <div class="flex items-center gap-2 mb-2 text-xs text-gray-700 dark:text-gray-300">
+            <label for="skill-gap-weeks">Flag a gap after</label>
+            <select id="skill-gap-weeks" class="text-xs border-gray-300 dark:border-gray-500 dark:bg-gray-600 dark:text-gray-100 rounded-md shadow-sm p-1">
+                ${GAP_WEEK_OPTIONS.map(weeks => `<option value="${weeks}" ${weeks === gapWeeks ? 'selected' : ''}>${weeks} weeks</option>`).join('')}
+            </select>
+            <span class="text-gray-500 dark:text-gray-400">without the skill (${progression.attendedLessons} lessons attended)</span>
+        </div>
+        ${suggestionsHtml}
+        ${levelsHtml || '<p class="text-sm text-gray-500 dark:text-gray-400 italic">No skills in the catalogue yet.</p>'}
+        ${otherHtml}
+    `;
+
+    container.querySelector('#skill-gap-weeks')?.addEventListener('change', (event) => {
+        gapWeeks = parseInt(event.target.value) || DEFAULT_GAP_WEEKS;
+        renderSkillProgression(container, logs, skills);
+    });
+}
+
+// --- Add a ready flag ---
+export const isReady = true;
+
+console.log("Skill Progress module (skillProgress.js) loaded.");
@@ -0,0 +1,108 @@
+// js/skillsCatalogue.js
+// Skills catalogue helpers: the curriculum per level, checkbox markup for the log forms and display names for
+// skills recorded in logs (ES Module). The catalogue itself is loaded into appState.skillsCatalogue.
+
+// --- Import Dependencies ---
+import { appState } from './state.js';
+import { parseSkillsCovered, escapeHtml, SKILL_LEVELS, groupSkillsByLevel, findSkillInCatalogue } from './utils.js';
+
+// --- Exported Functions ---
+// The curriculum order and name lookups live in utils.js; these read appState.skillsCatalogue unless given skills.
+
+export { SKILL_LEVELS };
+
+/**
+ * Groups the catalogue into the ordered curriculum for each level.
+ * @param {object} [options] - { includeRetired: false, skills: appState.skillsCatalogue }.
+ * @returns {Array<object>} [{ level, skills: [...] }] in SKILL_LEVELS order; levels without skills are left out.
+ */
+export function getSkillCurriculum({ includeRetired = false, skills = appState.skillsCatalogue } = {}) {
+    return groupSkillsByLevel(skills, includeRetired);
+}
+
+/**
+ * Finds the catalogue skill a logged skill name refers to, following renames (previous_names).
+ * @param {string} name - The name stored in a log's skills_covered.
+ * @param {Array<object>} [skills] - The catalogue (defaults to appState.skillsCatalogue).
+ * @returns {object|null} The skill, or null if the name isn't in the catalogue.
+ */
+export function findSkillByLoggedName(name, skills = appState.skillsCatalogue) {
+    return findSkillInCatalogue(name, skills);
+}
+
+/**
+ * Returns the display label for a logged skill name: the skill's current name, marked if it has been retired.
+ * Names that aren't in the catalogue are shown as they were logged.
+ */
+export function getSkillDisplayName(name, skills = appState.skillsCatalogue) {
+    const skill = findSkillByLoggedName(name, skills);
+    if (!skill) return String(name || '').trim();
+    return skill.is_retired ? `${skill.name} (retired)` : skill.name;
+}
+
+/**
+ * Parses a log's skills_covered value into display labels (see getSkillDisplayName).
+ * @param {string|Array<string>} skillsValue - The raw value, e.g. '{"Skill A","Skill B"}'.
+ * @returns {Array<string>} Labels, without duplicates.
+ */
+export function formatSkillsCovered(skillsValue, skills = appState.skillsCatalogue) {
+    return [...new Set(parseSkillsCovered(skillsValue).map(name => getSkillDisplayName(name, skills)))];
+}
+
+/**
+ * Builds the skill checkboxes for a log form, grouped by level in curriculum order. Retired skills are left out
+ * unless they are already checked (so editing an old log keeps them).
+ * @param {object} options
+ * @param {string} options.name - Checkbox name attribute.
+ * @param {string} options.idPrefix - Prefix for checkbox IDs (must be unique in the page).
+ * @param {Array<string>} [options.checked=[]] - Logged skill names to pre-check.
+ * @returns {string} HTML string.
+ */
+export function renderSkillCheckboxes({ name, idPrefix, checked = [] }) {
+    const checkedSkillIds = new Set();
+    const unknownChecked = [];
+    checked.forEach(loggedName => {
+        const skill = findSkillByLoggedName(loggedName);
+        if (skill) checkedSkillIds.add(skill.id);
+        else if (loggedName) unknownChecked.push(loggedName);
+    });
+
+    const groups = getSkillCurriculum({ includeRetired: true })
+        .map(group => ({ ...group, skills: group.skills.filter(skill => !skill.is_retired || checkedSkillIds.has(skill.id)) }))
+        .filter(group => group.skills.length > 0);
+    if (groups.length === 0 && unknownChecked.length === 0) {
+        return '<p class="text-xs italic text-gray-500 dark:text-gray-400">No skills in the catalogue yet. An admin can add them in the admin panel.</p>';
+    }
+
+    let index = 0;
+    const checkbox = (value, label, isChecked) => {
+        const id = `${idPrefix}-${index++}`;
+        return `
+            <label for="${id}" class="flex items-center space-x-1.5 text-xs text-gray-700 dark:text-gray-300 cursor-pointer">
+                <input type="checkbox" id="${id}" name="${escapeHtml(name)}" value="${escapeHtml(value)}" ${isChecked ? 'checked' : ''}
+                       class="form-checkbox h-3 w-3 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500 dark:bg-gray-600 dark:border-gray-500 dark:focus:ring-offset-gray-800">
+                <span>${escapeHtml(label)}</span>
+            </label>`;
+    };
+
+    const groupsHtml = groups.map(group => `
+        <div class="mb-1.5">
+            <p class="text-[11px] uppercase tracking-wide text-gray-500 dark:text-gray-400 mb-0.5">${group.level}</p>
+            <div class="grid grid-cols-1 sm:grid-cols-2 gap-x-3 gap-y-1">
+                ${group.skills.map(skill => checkbox(skill.name, skill.is_retired ? `${skill.name} (retired)` : skill.name, checkedSkillIds.has(skill.id))).join('')}
+            </div>
+        </div>`).join('');
+    const unknownHtml = unknownChecked.length > 0 ? `
+        <div class="mb-1.5">
+            <p class="text-[11px] uppercase tracking-wide text-gray-500 dark:text-gray-400 mb-0.5">Not in catalogue</p>
+            <div class="grid grid-cols-1 sm:grid-cols-2 gap-x-3 gap-y-1">
+                ${unknownChecked.map(loggedName => checkbox(loggedName, loggedName, true)).join('')}
+            </div>
+        </div>` : '';
+    return groupsHtml + unknownHtml;
+}
+
+// --- Add a ready flag ---
+export const isReady = true;
+
+console.log("Skills Catalogue module (skillsCatalogue.js) loaded.");
@@ -0,0 +1,250 @@
+// js/skillsEditor.js
+// Handles the admin skills curriculum editor: add, rename, re-level, reorder and retire catalogue skills (ES Module).
+
+// --- Import Dependencies ---
+import { appState } from './state.js';
+import { fetchSkillsCatalogue, saveSkill, setSkillRetired, saveSkillOrder } from './api.js';
+import { SKILL_LEVELS, getSkillCurriculum } from './skillsCatalogue.js';
+import { escapeHtml } from './utils.js';
+import { setStatusText } from './ui.js';
+
+// --- Module Variables ---
+let skillListContainer = null;
+let showRetiredCheckbox = null;
+let addSkillForm = null;
+let newSkillNameInput = null;
+let newSkillCategoryInput = null;
+let newSkillLevelSelect = null;
+let addSkillSubmitBtn = null;
+let skillStatusP = null;
+
+const INPUT_CLASSES = 'block w-full text-xs border-gray-300 dark:border-gray-500 dark:bg-gray-600 dark:text-gray-100 rounded-md shadow-sm p-1 focus:ring-indigo-500 focus:border-indigo-500';
+const SMALL_BUTTON_CLASSES = 'text-xs bg-gray-300 hover:bg-gray-400 text-gray-800 dark:bg-gray-600 dark:hover:bg-gray-500 dark:text-gray-100 font-semibold py-1 px-1.5 rounded disabled:opacity-40';
+
+// --- Helper Functions ---
+
+/** Sets the status text under the add-skill form. */
+function _setSkillStatus(message, type = 'info') {
+    setStatusText(skillStatusP, message, type, 'text-xs mb-2');
+}
+
+function _levelOptions(selectedLevel) {
+    return SKILL_LEVELS.map(level => `<option value="${level}" ${level === selectedLevel ? 'selected' : ''}>${level}</option>`).join('');
+}
+
+/** Reads a skill row's inputs into a skill object. */
+function _readSkillRow(row) {
+    return {
+        id: parseInt(row.dataset.skillId),
+        name: row.querySelector('[name="name"]').value,
+        category: row.querySelector('[name="category"]').value,
+        level: row.querySelector('[name="level"]').value
+    };
+}
+
+/** Renders the catalogue as editable rows, one group per level in curriculum order. */
+function _renderSkillList() {
+    if (!skillListContainer) return;
+    const showRetired = !!showRetiredCheckbox?.checked;
+    const curriculum = getSkillCurriculum({ includeRetired: showRetired });
+    skillListContainer.innerHTML = '';
+    if (curriculum.length === 0) {
+        skillListContainer.innerHTML = '<p class="text-gray-500 dark:text-gray-400 italic">No skills set up yet.</p>';
+        return;
+    }
+
+    curriculum.forEach(group => {
+        const heading = document.createElement('p');
+        heading.className = 'font-medium text-purple-800 dark:text-purple-200 mt-2 first:mt-0 mb-1';
+        heading.textContent = `${group.level} (${group.skills.length})`;
+        skillListContainer.appendChild(heading);
+
+        const list = document.createElement('ul');
+        group.skills.forEach((skill, index) => {
+            const li = document.createElement('li');
+            li.className = `skill-row grid grid-cols-2 sm:grid-cols-6 gap-2 items-end border-b border-gray-200 dark:border-gray-600 pb-2 mb-2 last:border-b-0 last:mb-0 ${skill.is_retired ? 'opacity-60' : ''}`;
+            li.dataset.skillId = skill.id;
+            li.dataset.level = skill.level;
+            const previousNames = (skill.previous_names || []).length > 0
+                ? `<span class="block text-[11px] italic text-gray-500 dark:text-gray-400">Previously: ${escapeHtml(skill.previous_names.join(', '))}</span>`
+                : '';
+            li.innerHTML = `
+                <label class="col-span-2 text-xs text-gray-700 dark:text-gray-300">Name${skill.is_retired ? ' (retired)' : ''}
+                    <input type="text" name="name" value="${escapeHtml(skill.name)}" class="${INPUT_CLASSES}">
+                    ${previousNames}
+                </label>
+                <label class="text-xs text-gray-700 dark:text-gray-300">Category
+                    <input type="text" name="category" value="${escapeHtml(skill.category)}" class="${INPUT_CLASSES}">
+                </label>
+                <label class="text-xs text-gray-700 dark:text-gray-300">Level
+                    <select name="level" class="${INPUT_CLASSES}">${_levelOptions(skill.level)}</select>
+                </label>
+                <div class="col-span-2 flex flex-wrap gap-1">
+                    <button type="button" data-action="up" title="Move earlier in the curriculum" class="${SMALL_BUTTON_CLASSES}" ${index === 0 ? 'disabled' : ''}>&uarr;</button>
+                    <button type="button" data-action="down" title="Move later in the curriculum" class="${SMALL_BUTTON_CLASSES}" ${index === group.skills.length - 1 ? 'disabled' : ''}>&darr;</button>
+                    <button type="button" data-action="save" class="text-xs bg-emerald-500 hover:bg-emerald-600 text-white font-semibold py-1 px-1.5 rounded">Save</button>
+                    ${skill.is_retired
+                        ? '<button type="button" data-action="restore" class="text-xs bg-blue-500 hover:bg-blue-600 text-white font-semibold py-1 px-1.5 rounded">Restore</button>'
+                        : '<button type="button" data-action="retire" class="text-xs bg-red-500 hover:bg-red-600 text-white font-semibold py-1 px-1.5 rounded">Retire</button>'}
+                </div>
+            `;
+            list.appendChild(li);
+        });
+        skillListContainer.appendChild(list);
+    });
+}
+
+/** Reloads the catalogue into appState (the log forms render from it) and re-renders the editor. */
+async function _reloadSkills() {
+    const skills = await fetchSkillsCatalogue();
+    if (skills === null) {
+        _setSkillStatus('Error: Could not reload the skills catalogue.', 'error');
+        return;
+    }
+    appState.updateSkillsCatalogue(skills);
+    _renderSkillList();
+}
+
+/**
+ * Moves a skill one place up or down within its level. The order is taken from the skills shown, and any
+ * hidden (retired) skills of the level keep their place at the end.
+ */
+async function _moveSkill(skillId, level, direction) {
+    const levelSkills = getSkillCurriculum({ includeRetired: true }).find(group => group.level === level)?.skills || [];
+    const showRetired = !!showRetiredCheckbox?.checked;
+    const shownIds = levelSkills.filter(skill => showRetired || !skill.is_retired).map(skill => skill.id);
+    const hiddenIds = levelSkills.filter(skill => !shownIds.includes(skill.id)).map(skill => skill.id);
+
+    const index = shownIds.indexOf(skillId);
+    const targetIndex = index + direction;
+    if (index === -1 || targetIndex < 0 || targetIndex >= shownIds.length) return;
+    [shownIds[index], shownIds[targetIndex]] = [shownIds[targetIndex], shownIds[index]];
+
+    const result = await saveSkillOrder([...shownIds, ...hiddenIds]);
+    if (!result.success) {
+        _setSkillStatus(`Error: ${result.message}`, 'error');
+        return;
+    }
+    _setSkillStatus('Curriculum order saved.', 'success');
+    await _reloadSkills();
+}
+
+// --- Event Handlers ---
+
+/** Handles Up/Down/Save/Retire/Restore clicks on skill rows (delegated). */
+async function handleSkillListClick(event) {
+    const button = event.target.closest('button[data-action]');
+    const row = button?.closest('.skill-row');
+    if (!button || !row) return;
+    const skill = _readSkillRow(row);
+    const action = button.dataset.action;
+
+    if (action === 'up' || action === 'down') {
+        button.disabled = true;
+        await _moveSkill(skill.id, row.dataset.level, action === 'up' ? -1 : 1);
+        return;
+    }
+
+    if (action === 'save') {
+        const stored = appState.skillsCatalogue.find(s => s.id === skill.id);
+        // A skill moved to another level goes to the end of that level's curriculum
+        if (stored && stored.level !== skill.level) {
+            const levelSkills = appState.skillsCatalogue.filter(s => s.level === skill.level);
+            skill.sort_order = Math.max(0, ...levelSkills.map(s => s.sort_order ?? 0)) + 1;
+        }
+        button.disabled = true;
+        button.textContent = 'Saving...';
+        const result = await saveSkill(skill);
+        if (!result.success) {
+            _setSkillStatus(`Error: ${result.message}`, 'error');
+            button.disabled = false;
+            button.textContent = 'Save';
+            return;
+        }
+        _setSkillStatus(`Skill "${skill.name.trim()}" saved.`, 'success');
+        await _reloadSkills();
+        return;
+    }
+
+    if (action === 'retire' || action === 'restore') {
+        const retire = action === 'retire';
+        if (retire && !confirm(`Retire "${skill.name}"? It will no longer be offered when logging, but past logs keep it.`)) return;
+        button.disabled = true;
+        const result = await setSkillRetired(skill.id, retire);
+        if (!result.success) {
+            _setSkillStatus(`Error: ${result.message}`, 'error');
+            button.disabled = false;
+            return;
+        }
+        _setSkillStatus(`Skill "${skill.name}" ${retire ? 'retired' : 'restored'}.`, 'success');
+        await _reloadSkills();
+    }
+}
+
+/** Handles the add-skill form submission. New skills go to the end of their level's curriculum. */
+async function handleAddSkillSubmit(event) {
+    event.preventDefault();
+    const level = newSkillLevelSelect.value;
+    const levelSkills = (appState.skillsCatalogue || []).filter(s => s.level === level);
+    const skill = {
+        id: null,
+        name: newSkillNameInput.value,
+        category: newSkillCategoryInput.value,
+        level,
+        sort_order: Math.max(0, ...levelSkills.map(s => s.sort_order ?? 0)) + 1
+    };
+
+    addSkillSubmitBtn.disabled = true;
+    addSkillSubmitBtn.textContent = 'Adding...';
+    const result = await saveSkill(skill);
+    addSkillSubmitBtn.disabled = false;
+    addSkillSubmitBtn.textContent = 'Add Skill';
+    if (!result.success) {
+        _setSkillStatus(`Error: ${result.message}`, 'error');
+        return;
+    }
+    _setSkillStatus(`Skill "${skill.name.trim()}" added to ${level}.`, 'success');
+    addSkillForm.reset();
+    newSkillLevelSelect.value = level; // Keep the level for adding several skills in a row
+    await _reloadSkills();
+}
+
+// --- Exported Functions ---
+
+/**
+ * Initializes the skills curriculum editor. Called from initAdminControls once data is available.
+ */
+export function initSkillsEditor() {
+    skillListContainer = document.getElementById('skills-editor-list');
+    showRetiredCheckbox = document.getElementById('skills-editor-show-retired');
+    addSkillForm = document.getElementById('add-skill-form');
+    newSkillNameInput = document.getElementById('new-skill-name');
+    newSkillCategoryInput = document.getElementById('new-skill-category');
+    newSkillLevelSelect = document.getElementById('new-skill-level');
+    addSkillSubmitBtn = document.getElementById('add-skill-submit-btn');
+    skillStatusP = document.getElementById('skills-editor-status');
+
+    if (!skillListContainer || !addSkillForm || !newSkillNameInput || !newSkillCategoryInput || !newSkillLevelSelect || !addSkillSubmitBtn) {
+        console.warn("SkillsEditor Init Warning: Skills editor elements not found.");
+        return;
+    }
+
+    newSkillLevelSelect.innerHTML = _levelOptions(SKILL_LEVELS[0]);
+
+    skillListContainer.removeEventListener('click', handleSkillListClick);
+    skillListContainer.addEventListener('click', handleSkillListClick);
+    addSkillForm.removeEventListener('submit', handleAddSkillSubmit);
+    addSkillForm.addEventListener('submit', handleAddSkillSubmit);
+    if (showRetiredCheckbox) {
+        showRetiredCheckbox.removeEventListener('change', _renderSkillList);
+        showRetiredCheckbox.addEventListener('change', _renderSkillList);
+    }
+
+    _renderSkillList();
+    console.log("SkillsEditor: Initialized.");
+}
+
+// --- Add a ready flag ---
+export const isReady = true;
+
+console.log("Skills Editor module (skillsEditor.js) loaded.");
@@ -1,27 +1,35 @@
 // js/state.js
 // Defines and exports the central application state object.
-// v2: Added isEditMode flag.
+// v10: slotWaitlist (managed in roster edit mode, ranked first for fill-ins).
 
 // --- Import Dependencies needed for state methods ---
 import { updateTestModeButton, displayMissedLogWarning } from './ui.js'; // Added displayMissedLogWarning
 import { cleanupRealtimeSubscription, setupRealtimeSubscription } from './realtime.js';
+import { getUserRole, getUserCoachId } from './permissions.js';
 // refreshDataForMode callback will be passed into toggleTestMode
 
 console.log("State: Defining appState object...");
 
 export const appState = {
     currentUser: null,
+    role: 'coach', // 'coach' | 'head_coach' | 'office' | 'admin', see permissions.js
+    linkedCoachId: null, // The coaches row a coach login belongs to (app_metadata.coach_id)
     isAdmin: false,
     isTestMode: false, // Default to live mode
     isEditMode: false, // <<< NEW: Flag for roster editing mode
     coachesData: [],
     studentsData: [],
     termDates: [],
+    skillsCatalogue: [], // Rows of the skills table (including retired skills), see skillsCatalogue.js
     scheduleData: {}, // Structure: { Monday: [slotObj, ...], Tuesday: [...], ... }
-    todaysStatuses: [], // Array of { student_id, lesson_schedule_id, status, absence_reason, status_date }
-    todaysLoggedSlotIds: [], // Array of schedule_ids that have been logged today
+    selectedDate: new Date().toISOString().split('T')[0], // YYYY-MM-DD (UTC) the schedule is showing. Defaults to today.
+    todaysStatuses: [], // Array of { student_id, lesson_schedule_id, status, absence_reason, status_date } for the selected week
+    todaysLoggedSlotIds: [], // Array of schedule_ids that have been logged in the selected week
     pastMissedLogs: [], // Array to store past missed logs { schedule_id, missed_date, slot_time, student_ids }
-    selectedLessonSlot: null, // { scheduleId, day, time, coachId, capacity, originalStudentIds, currentStudentIds }
+    substitutions: [], // slot_substitutions rows for the selected week { id, lesson_schedule_id, lesson_date, substitute_coach_id, lesson_schedule }
+    makeupBookings: [], // makeup_bookings rows whose missed or make-up date is in the selected week
+    slotWaitlist: [], // slot_waitlist rows { id, lesson_schedule_id, student_id, note, added_at }, longest waiting first
+    selectedLessonSlot: null, // { scheduleId, day, time, slotDate, coachId, capacity, originalStudentIds, currentStudentIds }
     currentCoachId: null,
     initialDataLoaded: false,
     // isReady flag moved outside the object for direct export check
@@ -29,8 +37,10 @@ export const appState = {
     // --- Methods to update state ---
     setCurrentUser(user) {
         this.currentUser = user;
-        this.isAdmin = user?.app_metadata?.role === 'admin';
-        console.log("AppState: User set. isAdmin check based on role:", this.isAdmin, "User metadata:", user?.app_metadata);
+        this.role = getUserRole(user);
+        this.linkedCoachId = getUserCoachId(user);
+        this.isAdmin = this.role === 'admin';
+        console.log("AppState: User set. Role:", this.role, "Linked coach:", this.linkedCoachId, "User metadata:", user?.app_metadata);
     },
     setInitialData(data) {
         if (!data) {
@@ -38,6 +48,7 @@ export const appState = {
             this.coachesData = [];
             this.studentsData = [];
             this.termDates = [];
+            this.skillsCatalogue = [];
             this.todaysStatuses = [];
             this.todaysLoggedSlotIds = [];
             this.pastMissedLogs = [];
@@ -48,6 +59,7 @@ export const appState = {
         this.coachesData = data.coaches || [];
         this.studentsData = data.students || [];
         this.termDates = data.termDates || [];
+        this.skillsCatalogue = data.skills || [];
         this.todaysStatuses = data.todaysStatuses || [];
         this.todaysLoggedSlotIds = data.todaysLoggedSlotIds || [];
         this.pastMissedLogs = [];
@@ -70,6 +82,35 @@ export const appState = {
         this.pastMissedLogs = Array.isArray(missedLogs) ? missedLogs : [];
         console.log("AppState: Past missed logs updated. Count:", this.pastMissedLogs.length);
     },
+    updateSubstitutions(newSubstitutions) {
+        this.substitutions = Array.isArray(newSubstitutions) ? newSubstitutions : [];
+        console.log("AppState: Substitutions updated. Count:", this.substitutions.length);
+    },
+    updateMakeupBookings(newBookings) {
+        this.makeupBookings = Array.isArray(newBookings) ? newBookings : [];
+        console.log("AppState: Make-up bookings updated. Count:", this.makeupBookings.length);
+    },
+    updateSlotWaitlist(newWaitlist) {
+        this.slotWaitlist = Array.isArray(newWaitlist) ? newWaitlist : [];
+        console.log("AppState: Slot waitlist updated. Count:", this.slotWaitlist.length);
+    },
+    updateStudentsData(newStudentsData) {
+        this.studentsData = Array.isArray(newStudentsData) ? newStudentsData : [];
+        console.log("AppState: Students data updated. Count:", this.studentsData.length);
+    },
+    updateTermDates(newTermDates) {
+        this.termDates = Array.isArray(newTermDates) ? newTermDates : [];
+        console.log("AppState: Term dates updated. Count:", this.termDates.length);
+    },
+    updateSkillsCatalogue(newSkills) {
+        this.skillsCatalogue = Array.isArray(newSkills) ? newSkills : [];
+        console.log("AppState: Skills catalogue updated. Count:", this.skillsCatalogue.length);
+    },
+    updateSelectedDate(dateString) {
+        this.selectedDate = dateString;
+        this.selectedLessonSlot = null;
+        console.log("AppState: Selected date updated:", dateString);
+    },
     updateSelectedLessonSlot(slotDetails) {
         this.selectedLessonSlot = slotDetails;
         console.log("AppState: Selected lesson slot updated:", slotDetails ? slotDetails.scheduleId : 'null');
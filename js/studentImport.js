@@ -0,0 +1,439 @@
+// js/studentImport.js
+// Handles the admin student CSV import: parse, validate availability, review the diff, then apply (ES Module).
+
+// --- Import Dependencies ---
+import { appState } from './state.js';
+import { fetchStudents, importStudents } from './api.js';
+import { parseAvailability, getGroupSizeText } from './utils.js';
+import { setStatusText } from './ui.js';
+
+// --- Constants ---
+// Accepted header names (lowercase, spaces/underscores removed) for each student field
+const COLUMN_ALIASES = {
+    id: ['id', 'studentid'],
+    Name: ['name', 'studentname'],
+    class_name: ['classname', 'class'],
+    groupOf: ['groupof', 'group', 'groupsize'],
+    sub_group: ['subgroup'],
+    availability: ['availability']
+};
+const GROUP_WORDS = { solo: 1, paired: 2, pair: 2, group: 3 };
+const COMPARED_FIELDS = ['Name', 'class_name', 'groupOf', 'sub_group', 'availability'];
+const FIELD_LABELS = { Name: 'Name', class_name: 'Class', groupOf: 'Group', sub_group: 'Sub-group', availability: 'Availability' };
+
+// --- Module Variables ---
+let importFileInput = null;
+let deactivateMissingCheckbox = null;
+let importStatusP = null;
+let importProblemsList = null;
+let importDiffDiv = null;
+let importApplyBtn = null;
+let importCancelBtn = null;
+
+let pendingImport = null; // { fileName, rows, diff } once a file has been reviewed
+let onStudentsImported = null; // Optional callback (set by admin.js) run after an import is applied
+
+// --- Helper Functions ---
+
+/** Sets the status text under the import controls. */
+function _setImportStatus(message, type = 'info') {
+    setStatusText(importStatusP, message, type, 'text-xs mb-2');
+}
+
+/**
+ * Parses CSV text into records. Handles quoted fields containing commas, quotes ("") and newlines.
+ * @param {string} text - The file contents.
+ * @returns {Array<{line: number, fields: Array<string>}>} One entry per record, with the line it starts on.
+ */
+function _parseCsv(text) {
+    const records = [];
+    let fields = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+    const input = text.replace(/^\uFEFF/, ''); // Excel adds a byte order mark to UTF-8 CSVs
+
+    const endRecord = () => {
+        fields.push(field);
+        if (fields.some(f => f.trim() !== '')) records.push({ line: recordLine, fields });
+        fields = [];
+        field = '';
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') { field += '"'; i++; }
+            else if (char === '"') inQuotes = false;
+            else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRecord();
+            line++;
+            recordLine = line;
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || fields.length > 0) endRecord();
+    return records;
+}
+
+/** Normalises a name for matching ("  jane  SMITH " -> "jane smith"). */
+function _normaliseName(name) {
+    return (name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/** Normalises a field value for comparison against the stored student. */
+function _comparableValue(field, value) {
+    if (field === 'groupOf') return Number(value) || null;
+    if (field === 'availability') return (value || '').replace(/\r\n/g, '\n').trim() || null;
+    return (value ?? '').toString().trim() || null;
+}
+
+/** Maps the header row to field names. Returns { columns, problems }. */
+function _mapHeader(headerFields) {
+    const columns = {};
+    const problems = [];
+    headerFields.forEach((header, index) => {
+        const key = header.trim().toLowerCase().replace(/[\s_]+/g, '');
+        const field = Object.keys(COLUMN_ALIASES).find(f => COLUMN_ALIASES[f].includes(key));
+        if (!field) {
+            if (key) problems.push(`Column "${header.trim()}" is not recognised and will be ignored.`);
+            return;
+        }
+        if (field in columns) problems.push(`Column "${header.trim()}" appears more than once; the first one is used.`);
+        else columns[field] = index;
+    });
+    return { columns, problems };
+}
+
+/** Parses a groupOf cell ("1", "2", "3", "Solo", "Paired", "Group"). Returns a number or null. */
+function _parseGroupOf(value) {
+    const text = (value || '').trim().toLowerCase();
+    if (!text) return null;
+    if (GROUP_WORDS[text]) return GROUP_WORDS[text];
+    const number = Number(text);
+    return Number.isInteger(number) && number >= 1 ? number : null;
+}
+
+/**
+ * Validates the CSV records into import rows.
+ * @returns {{rows: Array<object>, problems: Array<{line: number|null, message: string, isError: boolean}>}}
+ */
+function _buildImportRows(records, existingStudents) {
+    const problems = [];
+    const addProblem = (line, message, isError = true) => problems.push({ line, message, isError });
+
+    if (records.length === 0) {
+        addProblem(null, 'The file is empty.');
+        return { rows: [], problems };
+    }
+
+    const header = _mapHeader(records[0].fields);
+    header.problems.forEach(message => addProblem(records[0].line, message, false));
+    if (!('Name' in header.columns)) addProblem(records[0].line, 'The header row needs a "Name" column.');
+    if (!('groupOf' in header.columns)) addProblem(records[0].line, 'The header row needs a "groupOf" column.');
+    if (problems.some(p => p.isError)) return { rows: [], problems };
+
+    const studentsById = new Map(existingStudents.map(s => [String(s.id), s]));
+    const studentsByName = new Map();
+    existingStudents.forEach(s => {
+        const key = _normaliseName(s.Name);
+        studentsByName.set(key, [...(studentsByName.get(key) || []), s]);
+    });
+
+    const rows = [];
+    const seenNames = new Map(); // normalised name -> line
+    const seenIds = new Map(); // student id -> line
+    const cell = (record, field) => (field in header.columns ? (record.fields[header.columns[field]] ?? '') : '');
+
+    records.slice(1).forEach(record => {
+        const line = record.line;
+        const name = cell(record, 'Name').trim().replace(/\s+/g, ' ');
+        const idText = cell(record, 'id').trim();
+        const groupText = cell(record, 'groupOf');
+        const availability = cell(record, 'availability').replace(/\r\n/g, '\n').trim();
+        let rowHasError = false;
+        const rowError = (message) => { addProblem(line, message); rowHasError = true; };
+
+        if (!name) rowError('Name is missing.');
+        const groupOf = _parseGroupOf(groupText);
+        if (groupOf === null) rowError(`groupOf "${groupText.trim()}" is not valid (use 1, 2, 3+, Solo, Paired or Group).`);
+
+        // Availability: every fragment must parse, otherwise the student silently loses those times
+        const availabilityProblems = [];
+        const parsed = parseAvailability(availability, availabilityProblems);
+        availabilityProblems.forEach(message => rowError(`Availability ${message}`));
+        if (!availability) addProblem(line, `${name || 'This student'} has no availability, so they will never be suggested as a fill-in.`, false);
+        else if (availabilityProblems.length === 0 && Object.keys(parsed).length === 0) rowError('Availability has no usable day/time entries.');
+
+        // Match to an existing student by id when given, otherwise by name
+        let existing = null;
+        if (idText) {
+            existing = studentsById.get(idText) || null;
+            if (!existing) rowError(`No existing student has id ${idText}. Leave id blank to add a new student.`);
+        } else if (name) {
+            const matches = studentsByName.get(_normaliseName(name)) || [];
+            if (matches.length > 1) rowError(`${matches.length} existing students are called "${name}". Add an id column to say which one this is.`);
+            existing = matches.length === 1 ? matches[0] : null;
+        }
+
+        if (name) {
+            const nameKey = _normaliseName(name);
+            if (seenNames.has(nameKey)) rowError(`"${name}" is also on line ${seenNames.get(nameKey)}.`);
+            else seenNames.set(nameKey, line);
+        }
+        if (existing) {
+            if (seenIds.has(existing.id)) rowError(`This is the same student as line ${seenIds.get(existing.id)}.`);
+            else seenIds.set(existing.id, line);
+        }
+
+        rows.push({
+            line,
+            hasError: rowHasError,
+            existing,
+            student: {
+                id: existing ? existing.id : null,
+                Name: name,
+                class_name: cell(record, 'class_name').trim() || null,
+                groupOf,
+                sub_group: cell(record, 'sub_group').trim() || null,
+                availability: availability || null
+            }
+        });
+    });
+
+    if (rows.length === 0) addProblem(null, 'The file has a header row but no students.');
+    return { rows, problems };
+}
+
+/**
+ * Compares import rows against the stored students.
+ * @returns {{added: Array, changed: Array, unchanged: Array, deactivated: Array}} changed entries carry a list of field changes.
+ */
+function _buildImportDiff(rows, existingStudents, deactivateMissing) {
+    const diff = { added: [], changed: [], unchanged: [], deactivated: [] };
+    const matchedIds = new Set();
+
+    rows.forEach(row => {
+        if (!row.existing) {
+            diff.added.push(row);
+            return;
+        }
+        matchedIds.add(row.existing.id);
+        const changes = COMPARED_FIELDS
+            .filter(field => _comparableValue(field, row.existing[field]) !== _comparableValue(field, row.student[field]))
+            .map(field => ({ field, from: row.existing[field], to: row.student[field] }));
+        if (row.existing.is_active !== true) changes.push({ field: 'is_active', from: 'Inactive', to: 'Active' });
+        (changes.length > 0 ? diff.changed : diff.unchanged).push({ ...row, changes });
+    });
+
+    if (deactivateMissing) {
+        diff.deactivated = existingStudents.filter(s => s.is_active === true && !matchedIds.has(s.id));
+    }
+    return diff;
+}
+
+/** Formats a field value for the diff ("—" for empty, group numbers as Solo/Paired/Group). */
+function _formatDiffValue(field, value) {
+    if (value === null || value === undefined || value === '') return '—';
+    if (field === 'groupOf') return `${value} (${getGroupSizeText(Number(value))})`;
+    return String(value).replace(/\n/g, '; ');
+}
+
+/** Renders the line-by-line problems list. */
+function _renderProblems(problems) {
+    if (!importProblemsList) return;
+    importProblemsList.innerHTML = '';
+    problems.forEach(problem => {
+        const li = document.createElement('li');
+        li.className = problem.isError ? 'text-red-600 dark:text-red-400' : 'text-yellow-700 dark:text-yellow-300';
+        li.textContent = `${problem.line ? `Line ${problem.line}: ` : ''}${problem.isError ? '' : 'Warning: '}${problem.message}`;
+        importProblemsList.appendChild(li);
+    });
+    importProblemsList.classList.toggle('hidden', problems.length === 0);
+}
+
+/** Adds a titled section to the diff listing one item per entry. */
+function _appendDiffSection(title, titleClass, items, renderItem) {
+    const section = document.createElement('div');
+    section.className = 'mb-2';
+    const heading = document.createElement('p');
+    heading.className = `font-medium ${titleClass}`;
+    heading.textContent = `${title} (${items.length})`;
+    section.appendChild(heading);
+    if (items.length > 0) {
+        const list = document.createElement('ul');
+        list.className = 'pl-3 space-y-0.5 text-gray-700 dark:text-gray-300';
+        items.forEach(item => {
+            const li = document.createElement('li');
+            renderItem(li, item);
+            list.appendChild(li);
+        });
+        section.appendChild(list);
+    }
+    importDiffDiv.appendChild(section);
+}
+
+/** Renders the new / changed / to-deactivate review. */
+function _renderDiff(diff) {
+    if (!importDiffDiv) return;
+    importDiffDiv.innerHTML = '';
+
+    _appendDiffSection('New students', 'text-green-700 dark:text-green-400', diff.added, (li, row) => {
+        li.textContent = `Line ${row.line}: ${row.student.Name} — ${row.student.class_name || 'no class'}, ${_formatDiffValue('groupOf', row.student.groupOf)}`;
+    });
+    _appendDiffSection('Changed students', 'text-blue-700 dark:text-blue-400', diff.changed, (li, row) => {
+        li.textContent = `Line ${row.line}: ${row.existing.Name}`;
+        const changeList = document.createElement('ul');
+        changeList.className = 'pl-3 text-gray-600 dark:text-gray-400';
+        row.changes.forEach(change => {
+            const changeLi = document.createElement('li');
+            const label = change.field === 'is_active' ? 'Status' : FIELD_LABELS[change.field];
+            changeLi.textContent = `${label}: ${_formatDiffValue(change.field, change.from)} → ${_formatDiffValue(change.field, change.to)}`;
+            changeList.appendChild(changeLi);
+        });
+        li.appendChild(changeList);
+    });
+    _appendDiffSection('To deactivate (active, not in the file)', 'text-red-700 dark:text-red-400', diff.deactivated, (li, student) => {
+        li.textContent = `${student.Name} — ${student.class_name || 'no class'}`;
+    });
+
+    const unchangedP = document.createElement('p');
+    unchangedP.className = 'text-gray-500 dark:text-gray-400';
+    unchangedP.textContent = `Unchanged: ${diff.unchanged.length}`;
+    importDiffDiv.appendChild(unchangedP);
+    importDiffDiv.classList.remove('hidden');
+}
+
+/** Clears the reviewed import and its display. */
+function _resetImport() {
+    pendingImport = null;
+    if (importFileInput) importFileInput.value = '';
+    if (importApplyBtn) importApplyBtn.disabled = true;
+    if (importProblemsList) { importProblemsList.innerHTML = ''; importProblemsList.classList.add('hidden'); }
+    if (importDiffDiv) { importDiffDiv.innerHTML = ''; importDiffDiv.classList.add('hidden'); }
+}
+
+/** Re-runs the diff for the loaded file (e.g. when the deactivate option changes). */
+function _refreshPendingDiff() {
+    if (!pendingImport) return;
+    pendingImport.diff = _buildImportDiff(pendingImport.rows, appState.studentsData || [], deactivateMissingCheckbox?.checked === true);
+    _renderDiff(pendingImport.diff);
+    const { added, changed, deactivated } = pendingImport.diff;
+    const changeCount = added.length + changed.length + deactivated.length;
+    importApplyBtn.disabled = pendingImport.hasErrors || changeCount === 0;
+    if (pendingImport.hasErrors) {
+        _setImportStatus(`${pendingImport.fileName}: fix the errors listed above and choose the file again.`, 'error');
+    } else if (changeCount === 0) {
+        _setImportStatus(`${pendingImport.fileName}: everything already matches. Nothing to import.`, 'info');
+    } else {
+        _setImportStatus(`${pendingImport.fileName}: review the changes below, then apply them.`, 'info');
+    }
+}
+
+// --- Event Handlers ---
+
+/** Reads, validates and diffs the chosen CSV file. */
+async function handleImportFileChange() {
+    const file = importFileInput.files?.[0];
+    pendingImport = null;
+    importApplyBtn.disabled = true;
+    if (!file) return;
+
+    _setImportStatus(`Reading ${file.name}...`);
+    try {
+        const text = await file.text();
+        const { rows, problems } = _buildImportRows(_parseCsv(text), appState.studentsData || []);
+        _renderProblems(problems);
+        pendingImport = { fileName: file.name, rows, hasErrors: problems.some(p => p.isError), diff: null };
+        _refreshPendingDiff();
+    } catch (error) {
+        console.error("StudentImport Error reading file:", error);
+        _setImportStatus(`Error: Could not read ${file.name}: ${error.message}`, 'error');
+    }
+}
+
+/** Applies the reviewed import, then reloads students. */
+async function handleImportApplyClick() {
+    if (!pendingImport || pendingImport.hasErrors || !pendingImport.diff) return;
+    const { added, changed, deactivated } = pendingImport.diff;
+    if (!confirm(`Import ${pendingImport.fileName}? ${added.length} new, ${changed.length} changed, ${deactivated.length} to deactivate.`)) return;
+
+    importApplyBtn.disabled = true;
+    importApplyBtn.textContent = 'Importing...';
+    const result = await importStudents(
+        [...added, ...changed].map(row => row.student),
+        deactivated.map(student => student.id)
+    );
+    importApplyBtn.textContent = 'Apply Import';
+    if (!result.success) {
+        _setImportStatus(`Error: ${result.message}`, 'error');
+        importApplyBtn.disabled = false;
+        return;
+    }
+
+    const students = await fetchStudents();
+    if (students) appState.updateStudentsData(students);
+    _resetImport();
+    _setImportStatus(`Import applied: ${result.inserted} added, ${result.updated} updated, ${result.deactivated} deactivated.`
+        + (students ? '' : ' Reload the page to see the changes.'), students ? 'success' : 'error');
+    if (students && typeof onStudentsImported === 'function') onStudentsImported();
+}
+
+/** Discards the reviewed import. */
+function handleImportCancelClick() {
+    _resetImport();
+    _setImportStatus('');
+}
+
+// --- Exported Functions ---
+
+/**
+ * Initializes the student CSV import. Called from initAdminControls.
+ * @param {Function} [studentsImportedCallback] - Called after an import is applied and students are reloaded.
+ */
+export function initStudentImport(studentsImportedCallback = null) {
+    importFileInput = document.getElementById('student-import-file');
+    deactivateMissingCheckbox = document.getElementById('student-import-deactivate');
+    importStatusP = document.getElementById('student-import-status');
+    importProblemsList = document.getElementById('student-import-problems');
+    importDiffDiv = document.getElementById('student-import-diff');
+    importApplyBtn = document.getElementById('student-import-apply-btn');
+    importCancelBtn = document.getElementById('student-import-cancel-btn');
+    onStudentsImported = studentsImportedCallback;
+
+    if (!importFileInput || !importApplyBtn || !importCancelBtn || !importDiffDiv) {
+        console.warn("StudentImport Init Warning: Student import elements not found.");
+        return;
+    }
+
+    importFileInput.removeEventListener('change', handleImportFileChange);
+    importFileInput.addEventListener('change', handleImportFileChange);
+    importApplyBtn.removeEventListener('click', handleImportApplyClick);
+    importApplyBtn.addEventListener('click', handleImportApplyClick);
+    importCancelBtn.removeEventListener('click', handleImportCancelClick);
+    importCancelBtn.addEventListener('click', handleImportCancelClick);
+    if (deactivateMissingCheckbox) {
+        deactivateMissingCheckbox.removeEventListener('change', _refreshPendingDiff);
+        deactivateMissingCheckbox.addEventListener('change', _refreshPendingDiff);
+    }
+
+    _resetImport();
+    console.log("StudentImport: Initialized.");
+}
+
+// --- Add a ready flag ---
+export const isReady = true;
+
+console.log("Student Import module (studentImport.js) loaded.");
@@ -1,13 +1,21 @@
 // js/studentProfile.js
 // Handles the student profile modal: display, data population, and interaction.
-// v12: Added logging to verify close button element and direct listener attachment.
+// v21: Lists the student's make-up lesson bookings (makeups.js).
 
 // --- Import Dependencies ---
 import { appState } from './state.js';
-import { getStudentDetails, getGroupSizeText, parseAvailability } from './utils.js';
-import { fetchStudentLogHistory } from './api.js';
+import { getStudentDetails, getGroupSizeText, getStudentAvailabilitySlots, availabilityStringToSlots, AVAILABILITY_DAYS, escapeHtml } from './utils.js';
+import { fetchStudentLogHistory, fetchLessonsOwedLedger, addLessonsOwedEntry, saveStudentAvailability, fetchGuardianContact, saveGuardianContact } from './api.js';
+import { renderAvailabilityGrid, readAvailabilityGrid } from './availabilityEditor.js';
+import { renderLogCorrectionActions, attachLogCorrections } from './logCorrections.js';
+import { formatSkillsCovered } from './skillsCatalogue.js';
+import { renderSkillProgression } from './skillProgress.js';
+import { renderStudentRatingCharts } from './ratingCharts.js';
+import { can } from './permissions.js';
+import { renderStudentMakeups } from './makeups.js';
 
 // --- Module Variables ---
+const GUARDIAN_INPUT_CLASSES = 'block w-full text-sm border-gray-300 dark:border-gray-500 dark:bg-gray-600 dark:text-gray-100 rounded-md shadow-sm p-1 focus:ring-indigo-500 focus:border-indigo-500';
 let studentProfileModal = null;
 let modalContentArea = null;
 let modalStudentName = null;
@@ -16,9 +24,24 @@ let modalLessonHistory = null;
 let modalCloseButton = null;
 let modalLoadingIndicator = null;
 let modalErrorMessage = null;
+let modalOwedLedger = null;
+let modalMakeups = null;
+let modalSkillProgress = null;
+let modalRatingCharts = null;
 
 const TRANSITION_DURATION = 300; // ms, should match CSS transition duration
 
+// Ledger entry types and how they're shown. Manual types can be added from the profile by admins and the office.
+const LEDGER_ENTRY_LABELS = {
+    opening_balance: 'Opening balance',
+    lesson_log: 'Lesson log',
+    top_up: 'Top-up',
+    credit: 'Credit',
+    correction: 'Correction',
+    direct_edit: 'Direct edit'
+};
+const MANUAL_LEDGER_TYPES = ['top_up', 'credit', 'correction'];
+
 /**
  * Initializes the student profile module by getting DOM elements and setting up listeners.
  */
@@ -31,6 +54,14 @@ export function initStudentProfile() {
     modalCloseButton = document.getElementById('modal-close-button');
     modalLoadingIndicator = document.getElementById('modal-loading-indicator');
     modalErrorMessage = document.getElementById('modal-error-message');
+    modalOwedLedger = document.getElementById('modal-owed-ledger');
+    if (!modalOwedLedger) console.warn("StudentProfile Warning: Lessons owed ledger container not found.");
+    modalMakeups = document.getElementById('modal-makeup-bookings');
+    if (!modalMakeups) console.warn("StudentProfile Warning: Make-up bookings container not found.");
+    modalSkillProgress = document.getElementById('modal-skill-progress');
+    if (!modalSkillProgress) console.warn("StudentProfile Warning: Skill progression container not found.");
+    modalRatingCharts = document.getElementById('modal-rating-charts');
+    if (!modalRatingCharts) console.warn("StudentProfile Warning: Rating charts container not found.");
 
     if (!studentProfileModal || !modalContentArea || !modalStudentName || !modalStudentInfo || !modalLessonHistory || !modalCloseButton || !modalLoadingIndicator || !modalErrorMessage) {
         console.error("StudentProfile Error: One or more modal elements not found in the DOM.");
@@ -90,27 +121,10 @@ function _formatModalLogDateTime(logDateStr) {
 }
 
 /**
- * (Internal) Parses the skills_covered string (PostgreSQL array format) into a readable string.
+ * (Internal) Parses the skills_covered value into a readable string, resolving renamed and retired skills.
  */
-function _parseModalSkillsCovered(skillsString) {
-    if (!skillsString || typeof skillsString !== 'string') {
-        return 'N/A';
-    }
-    if (skillsString.startsWith('{') && skillsString.endsWith('}')) {
-        try {
-            let cleanedString = skillsString.substring(1, skillsString.length - 1);
-            const skillsArray = cleanedString.split('","').map(skill => {
-                if (skill.startsWith('"')) skill = skill.substring(1);
-                if (skill.endsWith('"')) skill = skill.substring(0, skill.length - 1);
-                return skill.trim();
-            });
-            return skillsArray.join(', ') || 'N/A';
-        } catch (e) {
-            console.error("Error parsing skills_covered string for modal:", skillsString, e);
-            return skillsString;
-        }
-    }
-    return skillsString;
+function _parseModalSkillsCovered(skillsValue) {
+    return formatSkillsCovered(skillsValue).join(', ') || 'N/A';
 }
 
 /**
@@ -130,6 +144,7 @@ function _renderStudentHistory(logs) {
     logs.forEach(log => {
         const listItem = document.createElement('li');
         listItem.className = 'p-3 border rounded-md bg-gray-50 dark:bg-gray-700/60 dark:border-gray-600 shadow-sm hover:shadow transition-shadow duration-150';
+        listItem.dataset.logId = log.id;
 
         const coachName = log.coaches?.Name || 'Unknown Coach';
         const formattedLogDate = _formatModalLogDateTime(log.log_date);
@@ -179,6 +194,7 @@ function _renderStudentHistory(logs) {
                 <p class="font-medium text-gray-500 dark:text-gray-400">Notes:</p>
                 <p class="text-gray-700 dark:text-gray-200 whitespace-pre-wrap pl-2">${notes}</p>
             </div>` : ''}
+            ${renderLogCorrectionActions(log)}
         `;
         list.appendChild(listItem);
     });
@@ -197,6 +213,8 @@ async function _fetchAndDisplayStudentHistory(studentId) {
     modalLoadingIndicator.classList.remove('hidden');
     modalLessonHistory.innerHTML = ''; // Clear previous history
     modalErrorMessage.classList.add('hidden');
+    if (modalSkillProgress) modalSkillProgress.innerHTML = '<p class="text-sm text-gray-500 dark:text-gray-400 italic p-3">Loading progression...</p>';
+    if (modalRatingCharts) modalRatingCharts.innerHTML = '<p class="text-sm text-gray-500 dark:text-gray-400 italic p-3">Loading charts...</p>';
 
     try {
         const historyLogs = await fetchStudentLogHistory(studentId);
@@ -204,17 +222,137 @@ async function _fetchAndDisplayStudentHistory(studentId) {
             throw new Error("Failed to fetch lesson history from the server.");
         }
         _renderStudentHistory(historyLogs);
+        renderSkillProgression(modalSkillProgress, historyLogs, appState.skillsCatalogue);
+        renderStudentRatingCharts(modalRatingCharts, historyLogs);
+        attachLogCorrections(modalLessonHistory, historyLogs, async () => {
+            await _fetchAndDisplayStudentHistory(studentId);
+            await _fetchAndDisplayOwedLedger(studentId);
+        });
     } catch (error) {
         console.error(`StudentProfile Error: Failed to fetch/render history for student ${studentId}:`, error);
         modalErrorMessage.textContent = error.message || "Could not load lesson history.";
         modalErrorMessage.classList.remove('hidden');
         modalLessonHistory.innerHTML = ''; // Clear any partial rendering
+        if (modalSkillProgress) modalSkillProgress.innerHTML = '';
+        if (modalRatingCharts) modalRatingCharts.innerHTML = '';
     } finally {
         modalLoadingIndicator.classList.add('hidden');
     }
 }
 
 
+/**
+ * (Internal) Renders the lessons-owed ledger, its derived balance and (for admins and the office) the adjustment form.
+ */
+function _renderOwedLedger(studentId, entries) {
+    if (!modalOwedLedger) return;
+    const balance = entries.reduce((sum, entry) => sum + (entry.change || 0), 0);
+
+    // The balance shown in the info section is always the ledger's
+    const balanceDd = document.getElementById('modal-owed-balance');
+    if (balanceDd) balanceDd.textContent = balance;
+
+    const adjustFormHtml = can('adjustLessonsOwed') ? `
+        <form id="owed-adjust-form" class="grid grid-cols-1 sm:grid-cols-4 gap-2 items-end p-3 border rounded-md bg-gray-50 dark:bg-gray-700/60 dark:border-gray-600">
+            <label class="text-xs font-medium text-gray-700 dark:text-gray-300">Type
+                <select name="entry_type" class="mt-1 block w-full text-sm border-gray-300 dark:border-gray-500 dark:bg-gray-600 dark:text-gray-100 rounded-md shadow-sm p-1.5">
+                    ${MANUAL_LEDGER_TYPES.map(type => `<option value="${type}">${LEDGER_ENTRY_LABELS[type]}</option>`).join('')}
+                </select>
+            </label>
+            <label class="text-xs font-medium text-gray-700 dark:text-gray-300">Lessons (+/-)
+                <input type="number" name="change" step="1" required class="mt-1 block w-full text-sm border-gray-300 dark:border-gray-500 dark:bg-gray-600 dark:text-gray-100 rounded-md shadow-sm p-1.5">
+            </label>
+            <label class="text-xs font-medium text-gray-700 dark:text-gray-300 sm:col-span-2">Reason
+                <input type="text" name="reason" required placeholder="e.g. Paid for 10 lessons" class="mt-1 block w-full text-sm border-gray-300 dark:border-gray-500 dark:bg-gray-600 dark:text-gray-100 rounded-md shadow-sm p-1.5">
+            </label>
+            <div class="sm:col-span-4 flex items-center gap-3">
+                <button type="submit" class="bg-indigo-500 hover:bg-indigo-600 text-white font-bold py-1.5 px-3 rounded text-sm">Add Adjustment</button>
+                <p id="owed-adjust-status" class="text-xs"></p>
+            </div>
+        </form>` : '';
+
+    const rowsHtml = entries.map(entry => {
+        const changeClass = entry.change > 0 ? 'text-green-700 dark:text-green-300' : 'text-red-700 dark:text-red-300';
+        return `
+            <tr class="border-b border-gray-200 dark:border-gray-600 last:border-b-0">
+                <td class="py-1 pr-3 whitespace-nowrap">${_formatModalLogDateTime(entry.created_at)}</td>
+                <td class="py-1 pr-3 font-semibold ${changeClass}">${entry.change > 0 ? '+' : ''}${entry.change}</td>
+                <td class="py-1 pr-3">${LEDGER_ENTRY_LABELS[entry.entry_type] || entry.entry_type}</td>
+                <td class="py-1 pr-3 ledger-reason"></td>
+                <td class="py-1 text-gray-500 dark:text-gray-400">${entry.created_by_email || 'System'}</td>
+            </tr>`;
+    }).join('');
+
+    modalOwedLedger.innerHTML = `
+        <p class="text-sm text-gray-700 dark:text-gray-200">Balance: <strong>${balance}</strong> lesson${Math.abs(balance) === 1 ? '' : 's'} owed (from ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'})</p>
+        ${adjustFormHtml}
+        ${entries.length === 0
+            ? '<p class="text-sm text-gray-500 dark:text-gray-400 italic">No ledger entries yet.</p>'
+            : `<div class="max-h-64 overflow-y-auto"><table class="w-full text-xs text-left text-gray-700 dark:text-gray-200">
+                <thead><tr class="text-gray-500 dark:text-gray-400"><th class="pr-3">When</th><th class="pr-3">Change</th><th class="pr-3">Type</th><th class="pr-3">Reason</th><th>By</th></tr></thead>
+                <tbody>${rowsHtml}</tbody>
+            </table></div>`}
+    `;
+    // Reasons are free text, so set them as text rather than HTML
+    modalOwedLedger.querySelectorAll('.ledger-reason').forEach((cell, index) => {
+        cell.textContent = entries[index].reason || '';
+    });
+
+    const adjustForm = document.getElementById('owed-adjust-form');
+    if (adjustForm) adjustForm.addEventListener('submit', (event) => _handleOwedAdjustSubmit(event, studentId));
+}
+
+/**
+ * (Internal) Fetches and displays the student's lessons-owed ledger.
+ */
+async function _fetchAndDisplayOwedLedger(studentId) {
+    if (!modalOwedLedger) return;
+    modalOwedLedger.innerHTML = '<p class="text-sm text-gray-500 dark:text-gray-400 italic p-3">Loading ledger...</p>';
+    const entries = await fetchLessonsOwedLedger(studentId);
+    if (entries === null) {
+        modalOwedLedger.innerHTML = '<p class="text-sm text-red-500 dark:text-red-400">Could not load the lessons owed ledger.</p>';
+        return;
+    }
+    _renderOwedLedger(studentId, entries);
+}
+
+/**
+ * (Internal) Handles the admin adjustment form: validates, saves the entry and refreshes the ledger.
+ */
+async function _handleOwedAdjustSubmit(event, studentId) {
+    event.preventDefault();
+    const form = event.currentTarget;
+    const statusP = form.querySelector('#owed-adjust-status');
+    const submitButton = form.querySelector('button[type="submit"]');
+    const entryType = form.elements.entry_type.value;
+    const change = parseInt(form.elements.change.value);
+    const reason = form.elements.reason.value.trim();
+
+    const showError = (message) => {
+        statusP.textContent = message;
+        statusP.className = 'text-xs text-red-500 dark:text-red-400';
+    };
+    if (!Number.isInteger(change) || change === 0) return showError("Enter a whole, non-zero number of lessons.");
+    // Top-ups and credits add lessons; only corrections can remove them
+    if (entryType !== 'correction' && change < 0) return showError(`${LEDGER_ENTRY_LABELS[entryType]}s must be positive. Use a correction to remove lessons.`);
+    if (!reason) return showError("A reason is required.");
+
+    submitButton.disabled = true;
+    submitButton.textContent = 'Saving...';
+    const result = await addLessonsOwedEntry(studentId, change, entryType, reason);
+    if (!result.success) {
+        submitButton.disabled = false;
+        submitButton.textContent = 'Add Adjustment';
+        return showError(`Error: ${result.message}`);
+    }
+
+    // Keep the cached student data in step so suggestions and lists show the new balance
+    const studentDetails = getStudentDetails(studentId, appState.studentsData);
+    if (studentDetails) studentDetails.lessons_owed = result.balance;
+    console.log(`StudentProfile: Ledger adjustment saved. New balance for ${studentId}: ${result.balance}`);
+    await _fetchAndDisplayOwedLedger(studentId);
+}
+
 /**
  * Opens the student profile modal and populates it with data.
  */
@@ -245,8 +383,10 @@ export async function openStudentProfileModal(studentId) {
     });
     document.body.style.overflow = 'hidden'; // Prevent background scrolling
 
-    // Fetch dynamic history data
+    // Fetch dynamic history and ledger data
     _fetchAndDisplayStudentHistory(studentId);
+    _fetchAndDisplayOwedLedger(studentId);
+    if (modalMakeups) renderStudentMakeups(modalMakeups, studentId);
 }
 
 /**
@@ -267,11 +407,30 @@ export function closeStudentProfileModal() {
     if (modalStudentName) modalStudentName.textContent = 'Student Profile';
     if (modalStudentInfo) modalStudentInfo.innerHTML = '';
     if (modalLessonHistory) modalLessonHistory.innerHTML = '';
+    if (modalOwedLedger) modalOwedLedger.innerHTML = '';
+    if (modalMakeups) modalMakeups.innerHTML = '';
+    if (modalSkillProgress) modalSkillProgress.innerHTML = '';
+    if (modalRatingCharts) modalRatingCharts.innerHTML = '';
     if (modalErrorMessage) modalErrorMessage.classList.add('hidden');
 
     console.log("Student Profile modal closed and content cleared.");
 }
 
+/** (Internal) Builds the guardian contact lines, or a placeholder when none are stored. */
+function _guardianContactHtml(studentDetails) {
+    const lines = [
+        studentDetails.guardian_name,
+        studentDetails.guardian_email && `<a href="mailto:${escapeHtml(studentDetails.guardian_email)}" class="text-blue-600 dark:text-blue-400 hover:underline">${escapeHtml(studentDetails.guardian_email)}</a>`,
+        studentDetails.guardian_phone && `<a href="tel:${escapeHtml(studentDetails.guardian_phone)}" class="text-blue-600 dark:text-blue-400 hover:underline">${escapeHtml(studentDetails.guardian_phone)}</a>`
+    ].map((line, index) => (index === 0 && line ? escapeHtml(line) : line)).filter(Boolean);
+    if (lines.length === 0) return '<p class="text-sm text-gray-500 dark:text-gray-400 italic">No contact details</p>';
+    const notifyText = !studentDetails.guardian_email
+        ? 'No email, so absence notifications are not sent.'
+        : (studentDetails.guardian_notify === false ? 'Absence notifications turned off.' : 'Receives absence notifications.');
+    return `<div class="text-sm text-gray-900 dark:text-gray-100 space-y-0.5">${lines.map(line => `<div>${line}</div>`).join('')}</div>
+        <p class="text-xs text-gray-500 dark:text-gray-400 mt-0.5">${notifyText}</p>`;
+}
+
 /**
  * (Internal) Renders the basic student information into the modal.
  * Uses a definition list style for better alignment and refined styling.
@@ -288,20 +447,45 @@ function _renderStudentInfo(studentDetails) {
         '<span class="text-xs bg-red-100 text-red-800 dark:bg-red-800/40 dark:text-red-200 px-2.5 py-0.5 rounded-full font-medium align-middle">Inactive</span>';
 
     let availabilityHtml = '<p class="text-sm text-gray-500 dark:text-gray-400 italic">Not specified</p>';
-    if (studentDetails.availability_string) {
-        const parsedAvail = parseAvailability(studentDetails.availability_string);
-        let formattedAvail = '';
-        const daysOrder = ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"];
-        daysOrder.forEach(day => {
-            if (parsedAvail[day] && parsedAvail[day].size > 0) {
-                const times = Array.from(parsedAvail[day]).sort().join(', ');
-                formattedAvail += `<div class="capitalize text-sm py-0.5"><span class="font-medium text-gray-600 dark:text-gray-300 w-20 inline-block">${day}:</span> ${times}</div>`;
-            }
-        });
-        if (formattedAvail) {
-            availabilityHtml = `<div class="space-y-1 text-gray-700 dark:text-gray-200 mt-1">${formattedAvail}</div>`;
-        }
+    const availabilitySlots = getStudentAvailabilitySlots(studentDetails);
+    const formattedAvail = AVAILABILITY_DAYS
+        .filter(day => availabilitySlots[day])
+        .map(day => `<div class="text-sm py-0.5"><span class="font-medium text-gray-600 dark:text-gray-300 w-20 inline-block">${day}:</span> ${availabilitySlots[day].join(', ')}</div>`)
+        .join('');
+    if (formattedAvail) {
+        availabilityHtml = `<div class="space-y-1 text-gray-700 dark:text-gray-200 mt-1">${formattedAvail}</div>`;
     }
+    const availabilityEditHtml = can('editAvailability') ? `
+        <button id="modal-availability-edit-btn" type="button" class="ml-2 text-xs bg-blue-500 hover:bg-blue-700 text-white font-semibold py-0.5 px-2 rounded focus:outline-none focus:ring-1 focus:ring-blue-500">Edit</button>` : '';
+
+    // Guardian contacts are private to admins and the office (student_guardian_contacts)
+    const guardianSectionHtml = can('editGuardians') ? `
+             <div class="pt-1">
+                <dt class="text-sm font-medium text-gray-500 dark:text-gray-400 mb-1">Parent/Guardian<button id="modal-guardian-edit-btn" type="button" class="ml-2 text-xs bg-blue-500 hover:bg-blue-700 text-white font-semibold py-0.5 px-2 rounded focus:outline-none focus:ring-1 focus:ring-blue-500">Edit</button></dt>
+                <dd id="modal-guardian-display" data-student-id="${studentDetails.id}">${_hasGuardianContact(studentDetails) ? _guardianContactHtml(studentDetails) : '<p class="text-sm text-gray-500 dark:text-gray-400 italic">Loading...</p>'}</dd>
+                <dd id="modal-guardian-editor" class="hidden mt-2 p-3 border rounded-md bg-gray-50 dark:bg-gray-700/60 dark:border-gray-600">
+                    <div class="grid grid-cols-1 sm:grid-cols-3 gap-2">
+                        <label class="text-xs text-gray-700 dark:text-gray-300">Name
+                            <input id="modal-guardian-name" type="text" class="${GUARDIAN_INPUT_CLASSES}">
+                        </label>
+                        <label class="text-xs text-gray-700 dark:text-gray-300">Email
+                            <input id="modal-guardian-email" type="email" class="${GUARDIAN_INPUT_CLASSES}">
+                        </label>
+                        <label class="text-xs text-gray-700 dark:text-gray-300">Phone
+                            <input id="modal-guardian-phone" type="tel" class="${GUARDIAN_INPUT_CLASSES}">
+                        </label>
+                    </div>
+                    <label class="inline-flex items-center text-xs text-gray-700 dark:text-gray-300 mt-2">
+                        <input id="modal-guardian-notify" type="checkbox" class="form-checkbox h-3.5 w-3.5 text-indigo-600 border-gray-300 rounded mr-1.5 dark:bg-gray-600 dark:border-gray-500">
+                        Email absence notifications
+                    </label>
+                    <div class="flex items-center gap-3 mt-2">
+                        <button id="modal-guardian-save-btn" type="button" class="text-xs bg-green-500 hover:bg-green-600 text-white font-semibold py-1 px-2 rounded">Save</button>
+                        <button id="modal-guardian-cancel-btn" type="button" class="text-xs text-gray-600 dark:text-gray-400 hover:underline">Cancel</button>
+                        <p id="modal-guardian-status" class="text-xs"></p>
+                    </div>
+                </dd>
+            </div>` : '';
 
     // Target the #modal-student-info div directly
     modalStudentInfo.innerHTML = `
@@ -317,7 +501,7 @@ function _renderStudentInfo(studentDetails) {
                 </div>
                  <div>
                     <dt class="text-sm font-medium text-gray-500 dark:text-gray-400">Lessons Owed</dt>
-                    <dd class="mt-0.5 text-sm text-gray-900 dark:text-gray-100">${studentDetails.lessons_owed || 0}</dd>
+                    <dd id="modal-owed-balance" class="mt-0.5 text-sm text-gray-900 dark:text-gray-100">${studentDetails.lessons_owed || 0}</dd>
                 </div>
             </div>
              <div class="grid grid-cols-1 sm:grid-cols-3 gap-x-4 gap-y-2">
@@ -326,12 +510,165 @@ function _renderStudentInfo(studentDetails) {
                     <dd class="mt-0.5 text-sm text-gray-900 dark:text-gray-100">${groupText}${subGroupText}</dd>
                 </div>
              </div>
+${guardianSectionHtml}
              <div class="pt-1">
-                <dt class="text-sm font-medium text-gray-500 dark:text-gray-400 mb-1">Availability</dt>
-                <dd>${availabilityHtml}</dd>
+                <dt class="text-sm font-medium text-gray-500 dark:text-gray-400 mb-1">Availability${availabilityEditHtml}</dt>
+                <dd id="modal-availability-display">${availabilityHtml}</dd>
+                <dd id="modal-availability-editor" class="hidden mt-2 p-3 border rounded-md bg-gray-50 dark:bg-gray-700/60 dark:border-gray-600">
+                    <div id="modal-availability-note" class="hidden mb-2 text-xs text-yellow-800 dark:text-yellow-200"></div>
+                    <div id="modal-availability-grid"></div>
+                    <div class="flex items-center gap-3 mt-2">
+                        <button id="modal-availability-save-btn" type="button" class="text-xs bg-green-500 hover:bg-green-600 text-white font-semibold py-1 px-2 rounded">Save</button>
+                        <button id="modal-availability-cancel-btn" type="button" class="text-xs text-gray-600 dark:text-gray-400 hover:underline">Cancel</button>
+                        <p id="modal-availability-status" class="text-xs"></p>
+                    </div>
+                </dd>
             </div>
         </dl>
     `;
+
+    const editButton = document.getElementById('modal-availability-edit-btn');
+    if (editButton) editButton.addEventListener('click', () => _openAvailabilityEditor(studentDetails));
+    const guardianEditButton = document.getElementById('modal-guardian-edit-btn');
+    if (guardianEditButton) {
+        guardianEditButton.addEventListener('click', () => _openGuardianEditor(studentDetails));
+        _loadGuardianContact(studentDetails);
+    }
+}
+
+/** (Internal) True once the student's guardian contact has been loaded onto the cached student. */
+function _hasGuardianContact(studentDetails) {
+    return 'guardian_notify' in studentDetails;
+}
+
+/**
+ * (Internal) Loads the guardian contact onto the cached student and shows it, if the profile is still open on them.
+ */
+async function _loadGuardianContact(studentDetails) {
+    const contact = await fetchGuardianContact(studentDetails.id);
+    const displayDd = document.getElementById('modal-guardian-display');
+    const stillShown = displayDd?.dataset.studentId === String(studentDetails.id);
+    if (!contact) {
+        if (stillShown && !_hasGuardianContact(studentDetails)) {
+            displayDd.innerHTML = '<p class="text-sm text-red-500 dark:text-red-400">Could not load contact details.</p>';
+        }
+        return;
+    }
+    Object.assign(studentDetails, contact);
+    if (stillShown) {
+        displayDd.innerHTML = _guardianContactHtml(studentDetails);
+    }
+}
+
+/**
+ * (Internal) Shows the guardian contact form filled with the student's current details.
+ */
+function _openGuardianEditor(studentDetails) {
+    const editorDd = document.getElementById('modal-guardian-editor');
+    const saveButton = document.getElementById('modal-guardian-save-btn');
+    const cancelButton = document.getElementById('modal-guardian-cancel-btn');
+    if (!editorDd || !saveButton || !cancelButton) return;
+    if (!_hasGuardianContact(studentDetails)) return; // Still loading: saving now would clear the stored details
+
+    document.getElementById('modal-guardian-name').value = studentDetails.guardian_name || '';
+    document.getElementById('modal-guardian-email').value = studentDetails.guardian_email || '';
+    document.getElementById('modal-guardian-phone').value = studentDetails.guardian_phone || '';
+    document.getElementById('modal-guardian-notify').checked = studentDetails.guardian_notify !== false;
+    editorDd.classList.remove('hidden');
+    saveButton.onclick = () => _handleGuardianSave(studentDetails);
+    cancelButton.onclick = () => editorDd.classList.add('hidden');
+}
+
+/**
+ * (Internal) Saves the guardian contact form and refreshes the info section.
+ */
+async function _handleGuardianSave(studentDetails) {
+    const saveButton = document.getElementById('modal-guardian-save-btn');
+    const statusP = document.getElementById('modal-guardian-status');
+    const contact = {
+        guardian_name: document.getElementById('modal-guardian-name').value.trim(),
+        guardian_email: document.getElementById('modal-guardian-email').value.trim(),
+        guardian_phone: document.getElementById('modal-guardian-phone').value.trim(),
+        guardian_notify: document.getElementById('modal-guardian-notify').checked
+    };
+
+    saveButton.disabled = true;
+    saveButton.textContent = 'Saving...';
+    const result = await saveGuardianContact(studentDetails.id, contact);
+    if (!result.success) {
+        saveButton.disabled = false;
+        saveButton.textContent = 'Save';
+        statusP.textContent = `Error: ${result.message}`;
+        statusP.className = 'text-xs text-red-500 dark:text-red-400';
+        return;
+    }
+
+    // Keep the cached student in step with the saved details
+    Object.assign(studentDetails, {
+        guardian_name: contact.guardian_name || null,
+        guardian_email: contact.guardian_email || null,
+        guardian_phone: contact.guardian_phone || null,
+        guardian_notify: contact.guardian_notify
+    });
+    console.log(`StudentProfile: Guardian contact saved for student ${studentDetails.id}.`);
+    _renderStudentInfo(studentDetails);
+}
+
+/**
+ * (Internal) Shows the availability grid for a student. Students without stored slots start from their
+ * converted legacy text, with any fragments that could not be converted listed for the admin to re-enter.
+ */
+function _openAvailabilityEditor(studentDetails) {
+    const editorDd = document.getElementById('modal-availability-editor');
+    const gridDiv = document.getElementById('modal-availability-grid');
+    const noteDiv = document.getElementById('modal-availability-note');
+    const saveButton = document.getElementById('modal-availability-save-btn');
+    const cancelButton = document.getElementById('modal-availability-cancel-btn');
+    if (!editorDd || !gridDiv || !noteDiv || !saveButton || !cancelButton) return;
+
+    let slots = getStudentAvailabilitySlots(studentDetails);
+    noteDiv.classList.add('hidden');
+    const legacyText = studentDetails.availability_string || studentDetails.availability;
+    if (!studentDetails.availability_slots && legacyText) {
+        const problems = [];
+        slots = availabilityStringToSlots(legacyText, problems);
+        noteDiv.textContent = 'Converted from the text availability. Check the grid and save to store it.'
+            + (problems.length > 0 ? ` Could not convert: ${problems.join(' ')}` : '');
+        noteDiv.classList.remove('hidden');
+    }
+
+    renderAvailabilityGrid(gridDiv, slots);
+    editorDd.classList.remove('hidden');
+    saveButton.onclick = () => _handleAvailabilitySave(studentDetails);
+    cancelButton.onclick = () => editorDd.classList.add('hidden');
+}
+
+/**
+ * (Internal) Saves the grid's availability for the student and refreshes the info section.
+ */
+async function _handleAvailabilitySave(studentDetails) {
+    const gridDiv = document.getElementById('modal-availability-grid');
+    const saveButton = document.getElementById('modal-availability-save-btn');
+    const statusP = document.getElementById('modal-availability-status');
+    const slots = readAvailabilityGrid(gridDiv);
+
+    saveButton.disabled = true;
+    saveButton.textContent = 'Saving...';
+    const result = await saveStudentAvailability([studentDetails.id], slots);
+    if (!result.success) {
+        saveButton.disabled = false;
+        saveButton.textContent = 'Save';
+        statusP.textContent = `Error: ${result.message}`;
+        statusP.className = 'text-xs text-red-500 dark:text-red-400';
+        return;
+    }
+
+    // Keep the cached student in step so availability checks use the new slots straight away
+    studentDetails.availability_slots = slots;
+    studentDetails.availability = result.availability;
+    studentDetails.availability_string = result.availability;
+    console.log(`StudentProfile: Availability saved for student ${studentDetails.id}.`);
+    _renderStudentInfo(studentDetails);
 }
 
 // --- Add a ready flag ---
@@ -0,0 +1,176 @@
+// js/substitutes.js
+// Handles substitute coach assignment from the slot actions bar: handing the selected slot, or all of its coach's
+// slots that day, to another coach for the slot's date, and handing covered slots back (ES Module).
+// The substitute's schedule shows borrowed slots (see applySubstitutionsToSchedule in utils.js and schedule.js).
+
+// --- Import Dependencies ---
+import { appState } from './state.js';
+import { assignSubstituteCoach, removeSubstituteCoach, fetchDailyBlocksForDate } from './api.js';
+import { can } from './permissions.js';
+import { refreshCurrentCoachSchedule } from './coachSelect.js';
+import { hideAllInlineForms } from './schedule.js';
+import { closeAbsenceSuggestionBox } from './absence.js';
+import { showStatusMessage, displayError, setStatusText } from './ui.js';
+import { escapeHtml, formatDate } from './utils.js';
+
+// --- Module Variables ---
+let assignButton = null;
+let substituteContainer = null;
+let coachSelect = null;
+let wholeDayCheckbox = null;
+let confirmButton = null;
+let statusP = null;
+
+// --- Helper Functions ---
+
+/** Sets the status text inside the substitute panel. */
+function _setStatus(message, type = 'info') {
+    setStatusText(statusP, message, type, 'text-xs mt-1');
+}
+
+/**
+ * Fills the coach select with every coach except the slot's own. Coaches with a Coach Unavailable block on the
+ * date are listed but can't be chosen.
+ */
+async function _populateCoachOptions(excludeCoachId, slotDate) {
+    coachSelect.innerHTML = '<option value="">Loading coaches...</option>';
+    const blocks = await fetchDailyBlocksForDate(slotDate);
+    const unavailableIds = new Set((blocks || [])
+        .filter(block => block.block_type === 'Coach Unavailable')
+        .map(block => parseInt(block.identifier, 10)));
+    const coaches = [...(appState.coachesData || [])]
+        .filter(coach => coach.id !== excludeCoachId)
+        .sort((a, b) => (a.Name || '').localeCompare(b.Name || ''));
+    coachSelect.innerHTML = '<option value="">-- Select a Coach --</option>' + coaches.map(coach => unavailableIds.has(coach.id)
+        ? `<option value="${coach.id}" disabled>${escapeHtml(coach.Name)} (unavailable)</option>`
+        : `<option value="${coach.id}">${escapeHtml(coach.Name)}</option>`
+    ).join('');
+}
+
+/**
+ * The selected slot, or every slot its coach teaches that day when "whole day" is ticked. Slots another
+ * substitute already covers are left with them.
+ */
+function _scheduleIdsToAssign(slot, substituteCoachId) {
+    if (!wholeDayCheckbox.checked) return [slot.scheduleId];
+    return (appState.scheduleData[slot.day] || [])
+        .filter(daySlot => !daySlot.is_borrowed)
+        .filter(daySlot => !daySlot.covered_by_coach_id || daySlot.covered_by_coach_id === substituteCoachId)
+        .map(daySlot => daySlot.schedule_id);
+}
+
+/** Clears the slot selection once its slots have been handed over (they are no longer actionable here). */
+function _clearSlotSelection() {
+    hideAllInlineForms();
+    closeAbsenceSuggestionBox();
+    appState.updateSelectedLessonSlot(null);
+    const slotActionsDiv = document.getElementById('slot-actions');
+    if (slotActionsDiv) slotActionsDiv.classList.add('hidden');
+}
+
+// --- Event Handlers ---
+
+function handleAssignButtonClick() {
+    const slot = appState.selectedLessonSlot;
+    if (!slot) return;
+    const isOpening = substituteContainer.classList.contains('hidden');
+    substituteContainer.classList.toggle('hidden', !isOpening);
+    if (isOpening) {
+        _populateCoachOptions(slot.coachId, slot.slotDate);
+        wholeDayCheckbox.checked = false;
+        _setStatus(`Cover the ${String(slot.time).substring(0, 5)} lesson on ${slot.day} ${formatDate(slot.slotDate)}.`);
+    }
+}
+
+async function handleConfirmClick() {
+    const slot = appState.selectedLessonSlot;
+    if (!slot) return;
+    const substituteCoachId = parseInt(coachSelect.value, 10);
+    if (Number.isNaN(substituteCoachId)) {
+        _setStatus('Choose the substitute coach.', 'error');
+        return;
+    }
+
+    const scheduleIds = _scheduleIdsToAssign(slot, substituteCoachId);
+    if (scheduleIds.length === 0) {
+        _setStatus('Every lesson that day already has a substitute.', 'error');
+        return;
+    }
+    confirmButton.disabled = true;
+    const result = await assignSubstituteCoach(scheduleIds, slot.slotDate, substituteCoachId);
+    confirmButton.disabled = false;
+    if (!result.success) {
+        _setStatus(`Error: ${result.message}`, 'error');
+        return;
+    }
+
+    const substituteName = appState.coachesData.find(coach => coach.id === substituteCoachId)?.Name || 'The substitute';
+    const lessonText = scheduleIds.length === 1 ? 'this lesson' : `${scheduleIds.length} lessons`;
+    const restoredText = result.restored > 0 ? ` ${result.restored} block absence${result.restored === 1 ? '' : 's'} cleared.` : '';
+    substituteContainer.classList.add('hidden');
+    _clearSlotSelection();
+    showStatusMessage(`${substituteName} will cover ${lessonText} on ${formatDate(slot.slotDate)}.${restoredText}`, 'general', true);
+    await refreshCurrentCoachSchedule();
+}
+
+// --- Exported Functions ---
+
+/**
+ * Shows the "Assign Substitute" button for the selected slot when the role may assign cover, and closes the panel.
+ * Called by handleSlotSelection in schedule.js.
+ * @param {boolean} isAvailable - False for slots that can't be handed over (e.g. a slot the coach is covering).
+ * @returns {boolean} True if the button is shown.
+ */
+export function updateSubstituteAction(isAvailable) {
+    const isShown = !!assignButton && isAvailable && can('assignSubstitutes');
+    if (assignButton) assignButton.classList.toggle('hidden', !isShown);
+    if (substituteContainer) substituteContainer.classList.add('hidden');
+    return isShown;
+}
+
+/** Handles "Remove cover" clicks on substituted slots (attached in schedule.js). */
+export async function handleRemoveSubstituteClick(event) {
+    event.stopPropagation(); // Don't select the slot underneath
+    const button = event.currentTarget;
+    const substitutionId = parseInt(button.dataset.substitutionId, 10);
+    if (Number.isNaN(substitutionId)) return;
+    if (!confirm('Hand this lesson back to its own coach? If they are still unavailable, their students are marked absent again.')) return;
+
+    button.disabled = true;
+    const result = await removeSubstituteCoach(substitutionId);
+    if (!result.success) {
+        displayError(`Could not remove the substitute: ${result.message}`, 'general');
+        button.disabled = false;
+        return;
+    }
+    _clearSlotSelection();
+    showStatusMessage(`Substitute removed.${result.marked > 0 ? ` ${result.marked} student${result.marked === 1 ? '' : 's'} marked absent again.` : ''}`, 'general', true);
+    await refreshCurrentCoachSchedule();
+}
+
+/** Initializes the substitute coach controls in the slot actions bar. */
+export function initSubstitutes() {
+    assignButton = document.getElementById('assign-substitute-button');
+    substituteContainer = document.getElementById('substitute-container');
+    coachSelect = document.getElementById('substitute-coach-select');
+    wholeDayCheckbox = document.getElementById('substitute-whole-day');
+    confirmButton = document.getElementById('substitute-confirm-button');
+    statusP = document.getElementById('substitute-status');
+
+    if (!assignButton || !substituteContainer || !coachSelect || !wholeDayCheckbox || !confirmButton) {
+        console.warn("Substitutes Init Warning: Substitute coach elements not found.");
+        assignButton = null;
+        return;
+    }
+
+    assignButton.removeEventListener('click', handleAssignButtonClick);
+    assignButton.addEventListener('click', handleAssignButtonClick);
+    confirmButton.removeEventListener('click', handleConfirmClick);
+    confirmButton.addEventListener('click', handleConfirmClick);
+    console.log("Substitutes: Initialized.");
+}
+
+// --- Add a ready flag ---
+export const isReady = true;
+
+console.log("Substitutes module (substitutes.js) loaded.");
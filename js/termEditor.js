@@ -0,0 +1,316 @@
+// js/termEditor.js
+// Handles the admin term calendar editor: create, edit, delete and preview term_dates (ES Module).
+
+// --- Import Dependencies ---
+import { appState } from './state.js';
+import { fetchTermDates, saveTermDate, deleteTermDate, getTodaysDateUTC } from './api.js';
+import { calculateCurrentTermAndWeek, validateTermDates, getTermWeekPreview } from './utils.js';
+import { displayCurrentDateInfo, setStatusText } from './ui.js';
+import { updateDateNavigatorUI } from './dateNavigator.js';
+
+// --- Module Variables ---
+let termListContainer = null;
+let todayWarningDiv = null;
+let validationList = null;
+let addTermForm = null;
+let newTermNumberInput = null;
+let newTermStartInput = null;
+let newTermEndInput = null;
+let newTermPreviewBtn = null;
+let addTermSubmitBtn = null;
+let termStatusP = null;
+let weekPreviewDiv = null;
+
+let onTermDatesChanged = null; // Optional callback (set by admin.js) run after terms are saved
+
+const INPUT_CLASSES = 'block w-full text-xs border-gray-300 dark:border-gray-500 dark:bg-gray-600 dark:text-gray-100 rounded-md shadow-sm p-1 focus:ring-indigo-500 focus:border-indigo-500';
+
+// --- Helper Functions ---
+
+/** Formats a YYYY-MM-DD string as DD/MM/YYYY. */
+function _formatTermDate(dateString) {
+    if (!dateString) return 'N/A';
+    const [year, month, day] = dateString.split('-');
+    return `${day}/${month}/${year}`;
+}
+
+/** Sets the status text under the add-term form. */
+function _setTermStatus(message, type = 'info') {
+    setStatusText(termStatusP, message, type, 'text-xs mb-2');
+}
+
+/** Reads a term row's inputs into a term object. */
+function _readTermRow(row) {
+    return {
+        id: row.dataset.termId ? parseInt(row.dataset.termId) : null,
+        term_number: parseInt(row.querySelector('[name="term_number"]').value) || null,
+        start_date: row.querySelector('[name="start_date"]').value || null,
+        end_date: row.querySelector('[name="end_date"]').value || null
+    };
+}
+
+/**
+ * Validates a term as it would be saved, against the other stored terms.
+ * @returns {Array<string>} Problems with this term (empty if it can be saved).
+ */
+function _validateTermChange(term) {
+    const otherTerms = (appState.termDates || []).filter(t => term.id === null || t.id !== term.id);
+    const candidateTerms = [...otherTerms, term];
+    const candidateIndex = candidateTerms.length - 1;
+    return validateTermDates(candidateTerms)
+        .filter(problem => problem.termIndex === candidateIndex || problem.otherTermIndex === candidateIndex)
+        .map(problem => problem.message);
+}
+
+/** Shows problems in the stored calendar and warns when today falls outside every term. */
+function _renderCalendarWarnings() {
+    const terms = appState.termDates || [];
+
+    if (validationList) {
+        const problems = validateTermDates(terms);
+        validationList.innerHTML = '';
+        problems.forEach(problem => {
+            const li = document.createElement('li');
+            li.textContent = problem.message;
+            validationList.appendChild(li);
+        });
+        validationList.classList.toggle('hidden', problems.length === 0);
+    }
+
+    if (todayWarningDiv) {
+        const today = getTodaysDateUTC();
+        const termInfo = calculateCurrentTermAndWeek(new Date(`${today}T00:00:00Z`), terms);
+        if (termInfo.term) {
+            todayWarningDiv.classList.add('hidden');
+        } else {
+            const nextTerm = terms.filter(t => t.start_date > today).sort((a, b) => a.start_date.localeCompare(b.start_date))[0];
+            todayWarningDiv.textContent = `Today (${_formatTermDate(today)}) falls outside every term, so the banner shows "Outside of term dates".`
+                + (nextTerm ? ` The next term (Term ${nextTerm.term_number}) starts ${_formatTermDate(nextTerm.start_date)}.` : ' No future terms are set up.');
+            todayWarningDiv.classList.remove('hidden');
+        }
+    }
+}
+
+/** Renders the list of stored terms as editable rows. */
+function _renderTermList() {
+    if (!termListContainer) return;
+    const terms = appState.termDates || [];
+    termListContainer.innerHTML = '';
+    if (terms.length === 0) {
+        termListContainer.innerHTML = '<p class="text-gray-500 dark:text-gray-400 italic">No terms set up yet.</p>';
+        return;
+    }
+
+    const list = document.createElement('ul');
+    terms.forEach(term => {
+        const li = document.createElement('li');
+        li.className = 'term-row grid grid-cols-2 sm:grid-cols-5 gap-2 items-end border-b border-gray-200 dark:border-gray-600 pb-2 mb-2 last:border-b-0 last:mb-0';
+        li.dataset.termId = term.id;
+        li.innerHTML = `
+            <label class="text-xs text-gray-700 dark:text-gray-300">Term #
+                <input type="number" name="term_number" min="1" max="4" value="${term.term_number}" class="${INPUT_CLASSES}">
+            </label>
+            <label class="text-xs text-gray-700 dark:text-gray-300">Start
+                <input type="date" name="start_date" value="${term.start_date}" class="${INPUT_CLASSES}">
+            </label>
+            <label class="text-xs text-gray-700 dark:text-gray-300">End
+                <input type="date" name="end_date" value="${term.end_date}" class="${INPUT_CLASSES}">
+            </label>
+            <div class="col-span-2 flex gap-1">
+                <button type="button" data-action="preview" class="text-xs bg-gray-300 hover:bg-gray-400 text-gray-800 dark:bg-gray-600 dark:hover:bg-gray-500 dark:text-gray-100 font-semibold py-1 px-1.5 rounded">Preview</button>
+                <button type="button" data-action="save" class="text-xs bg-emerald-500 hover:bg-emerald-600 text-white font-semibold py-1 px-1.5 rounded">Save</button>
+                <button type="button" data-action="delete" class="text-xs bg-red-500 hover:bg-red-600 text-white font-semibold py-1 px-1.5 rounded">Delete</button>
+            </div>
+        `;
+        list.appendChild(li);
+    });
+    termListContainer.appendChild(list);
+}
+
+/** Shows the weeks a term will have, marking the week containing today. */
+function _renderWeekPreview(term) {
+    if (!weekPreviewDiv) return;
+    const problems = _validateTermChange(term);
+    const weeks = getTermWeekPreview(term);
+    const today = getTodaysDateUTC();
+
+    weekPreviewDiv.innerHTML = '';
+    const heading = document.createElement('p');
+    heading.className = 'font-medium text-gray-800 dark:text-gray-200 mb-1';
+    heading.textContent = `Term ${term.term_number || '?'} preview: ${weeks.length} week${weeks.length === 1 ? '' : 's'}`;
+    weekPreviewDiv.appendChild(heading);
+
+    problems.forEach(message => {
+        const problemP = document.createElement('p');
+        problemP.className = 'text-red-500 dark:text-red-400';
+        problemP.textContent = message;
+        weekPreviewDiv.appendChild(problemP);
+    });
+
+    const list = document.createElement('ul');
+    list.className = 'grid grid-cols-1 sm:grid-cols-2 gap-x-4';
+    weeks.forEach(week => {
+        const li = document.createElement('li');
+        const isCurrent = today >= week.startDate && today <= week.endDate;
+        li.className = isCurrent ? 'font-semibold text-indigo-600 dark:text-indigo-400' : 'text-gray-600 dark:text-gray-400';
+        li.textContent = `Week ${week.week}: ${_formatTermDate(week.startDate)} - ${_formatTermDate(week.endDate)}`
+            + (isCurrent ? ` (today shows "Term ${term.term_number}, Week ${week.week}")` : '');
+        list.appendChild(li);
+    });
+    weekPreviewDiv.appendChild(list);
+    weekPreviewDiv.classList.remove('hidden');
+}
+
+/** Reloads term dates and refreshes everything that displays them. */
+async function _reloadTermDates() {
+    const terms = await fetchTermDates();
+    if (terms === null) {
+        _setTermStatus('Error: Could not reload term dates.', 'error');
+        return;
+    }
+    appState.updateTermDates(terms);
+
+    const today = new Date();
+    displayCurrentDateInfo(today, calculateCurrentTermAndWeek(today, appState.termDates));
+    updateDateNavigatorUI();
+    if (typeof onTermDatesChanged === 'function') onTermDatesChanged();
+
+    _renderTermList();
+    _renderCalendarWarnings();
+}
+
+// --- Event Handlers ---
+
+/** Handles Preview/Save/Delete clicks on term rows (delegated). */
+async function handleTermListClick(event) {
+    const button = event.target.closest('button[data-action]');
+    const row = button?.closest('.term-row');
+    if (!button || !row) return;
+    const term = _readTermRow(row);
+
+    if (button.dataset.action === 'preview') {
+        _renderWeekPreview(term);
+        return;
+    }
+
+    if (button.dataset.action === 'save') {
+        const problems = _validateTermChange(term);
+        if (problems.length > 0) {
+            _setTermStatus(`Error: ${problems[0]}`, 'error');
+            _renderWeekPreview(term);
+            return;
+        }
+        button.disabled = true;
+        button.textContent = 'Saving...';
+        const result = await saveTermDate(term);
+        if (!result.success) {
+            _setTermStatus(`Error: ${result.message}`, 'error');
+            button.disabled = false;
+            button.textContent = 'Save';
+            return;
+        }
+        _setTermStatus(`Term ${term.term_number} saved.`, 'success');
+        await _reloadTermDates();
+        return;
+    }
+
+    if (button.dataset.action === 'delete') {
+        if (!confirm(`Delete Term ${term.term_number} (${_formatTermDate(term.start_date)} to ${_formatTermDate(term.end_date)})?`)) return;
+        button.disabled = true;
+        const result = await deleteTermDate(term.id);
+        if (!result.success) {
+            _setTermStatus(`Error: ${result.message}`, 'error');
+            button.disabled = false;
+            return;
+        }
+        _setTermStatus(`Term ${term.term_number} deleted.`, 'success');
+        await _reloadTermDates();
+    }
+}
+
+/** Reads the add-term form into a term object. */
+function _readNewTermForm() {
+    return {
+        id: null,
+        term_number: parseInt(newTermNumberInput.value) || null,
+        start_date: newTermStartInput.value || null,
+        end_date: newTermEndInput.value || null
+    };
+}
+
+/** Handles the add-term form submission. */
+async function handleAddTermSubmit(event) {
+    event.preventDefault();
+    const term = _readNewTermForm();
+    const problems = _validateTermChange(term);
+    if (problems.length > 0) {
+        _setTermStatus(`Error: ${problems[0]}`, 'error');
+        _renderWeekPreview(term);
+        return;
+    }
+
+    addTermSubmitBtn.disabled = true;
+    addTermSubmitBtn.textContent = 'Adding...';
+    const result = await saveTermDate(term);
+    addTermSubmitBtn.disabled = false;
+    addTermSubmitBtn.textContent = 'Add Term';
+    if (!result.success) {
+        _setTermStatus(`Error: ${result.message}`, 'error');
+        return;
+    }
+    _setTermStatus(`Term ${term.term_number} added.`, 'success');
+    addTermForm.reset();
+    await _reloadTermDates();
+}
+
+/** Previews the term typed into the add-term form. */
+function handleNewTermPreview() {
+    const term = _readNewTermForm();
+    if (!term.start_date || !term.end_date) {
+        _setTermStatus('Enter a start and end date to preview.', 'error');
+        return;
+    }
+    _renderWeekPreview(term);
+}
+
+// --- Exported Functions ---
+
+/**
+ * Initializes the term calendar editor. Called from initAdminControls once data is available.
+ * @param {Function} [termDatesChangedCallback] - Called after terms are added, saved or deleted.
+ */
+export function initTermEditor(termDatesChangedCallback = null) {
+    termListContainer = document.getElementById('term-editor-list');
+    todayWarningDiv = document.getElementById('term-editor-today-warning');
+    validationList = document.getElementById('term-editor-validation');
+    addTermForm = document.getElementById('add-term-form');
+    newTermNumberInput = document.getElementById('new-term-number');
+    newTermStartInput = document.getElementById('new-term-start');
+    newTermEndInput = document.getElementById('new-term-end');
+    newTermPreviewBtn = document.getElementById('new-term-preview-btn');
+    addTermSubmitBtn = document.getElementById('add-term-submit-btn');
+    termStatusP = document.getElementById('term-editor-status');
+    weekPreviewDiv = document.getElementById('term-week-preview');
+    onTermDatesChanged = termDatesChangedCallback;
+
+    if (!termListContainer || !addTermForm || !newTermNumberInput || !newTermStartInput || !newTermEndInput || !newTermPreviewBtn || !addTermSubmitBtn) {
+        console.warn("TermEditor Init Warning: Term editor elements not found.");
+        return;
+    }
+
+    termListContainer.removeEventListener('click', handleTermListClick);
+    termListContainer.addEventListener('click', handleTermListClick);
+    addTermForm.removeEventListener('submit', handleAddTermSubmit);
+    addTermForm.addEventListener('submit', handleAddTermSubmit);
+    newTermPreviewBtn.removeEventListener('click', handleNewTermPreview);
+    newTermPreviewBtn.addEventListener('click', handleNewTermPreview);
+
+    _renderTermList();
+    _renderCalendarWarnings();
+    console.log("TermEditor: Initialized.");
+}
+
+// --- Add a ready flag ---
+export const isReady = true;
+
+console.log("Term Editor module (termEditor.js) loaded.");
@@ -1,12 +1,13 @@
 // js/ui.js
 // Handles UI manipulation, showing/hiding elements, messages, quotes, and theme toggling (ES Module).
-// v13: Updated theme toggle to use emoji.
+// v15: The admin badge shows the user's role label.
 
 // --- Import Dependencies ---
 import { appState } from './state.js'; // Import appState
 import { getStudentDetails } from './utils.js'; // Import getStudentDetails for rendering names
 // Import logging functions needed to open the form for past logs
 import { populateInlineLogForm } from './logging.js';
+import { ROLES, ROLE_LABELS } from './permissions.js';
 
 // --- Define module-level variables for elements (assigned in initializeUI) ---
 let loginSection, appSection, passwordResetSection, loginErrorMessage, passwordResetMessage,
@@ -248,6 +249,25 @@ export function showStatusMessage(message, location = 'general', isSuccess = tru
      }
 }
 
+const STATUS_COLOUR_CLASSES = {
+    info: 'text-gray-500 dark:text-gray-400',
+    success: 'text-green-600 dark:text-green-400',
+    error: 'text-red-500 dark:text-red-400'
+};
+
+/**
+ * Sets the text and colour of a panel's status line (the small message under a form or next to a button).
+ * @param {HTMLElement|null} element - The status element. Nothing happens if it's missing.
+ * @param {string} message - The message.
+ * @param {'info'|'success'|'error'} [type='info'] - Picks the colour.
+ * @param {string} [layoutClasses='text-xs'] - The element's size and spacing classes, kept alongside the colour.
+ */
+export function setStatusText(element, message, type = 'info', layoutClasses = 'text-xs') {
+    if (!element) return;
+    element.textContent = message;
+    element.className = `${layoutClasses} ${STATUS_COLOUR_CLASSES[type] || STATUS_COLOUR_CLASSES.info}`;
+}
+
 /** Displays a message on the password reset screen. */
 export function displayPasswordResetMessage(message, isError = false) {
     if (passwordResetMessage) {
@@ -268,11 +288,13 @@ export function clearPasswordResetMessage() {
     }
 }
 
-/** Shows or hides the admin badge. */
-export function displayAdminIndicator(isAdmin) {
+/** Shows the role badge (Admin, Head Coach, Office) next to the title. Coaches get no badge. */
+export function displayAdminIndicator(role) {
     if (adminBadge) {
-        adminBadge.classList.toggle('hidden', !isAdmin);
-        console.log(`UI: Admin badge visibility set to ${!isAdmin ? 'hidden' : 'visible'}`);
+        const showBadge = !!role && role !== ROLES.COACH;
+        adminBadge.textContent = ROLE_LABELS[role] || '';
+        adminBadge.classList.toggle('hidden', !showBadge);
+        console.log(`UI: Role badge visibility set to ${!showBadge ? 'hidden' : 'visible'} (${role})`);
     } else {
         console.warn("UI Warn: Admin badge element not found.");
     }
@@ -408,7 +430,7 @@ function handleAdminToggle() {
 }
 
 
-/** Shows or hides the admin toggle button itself based on user admin status. */
+/** Shows or hides the admin tools (and their toggle button) for roles that have admin tools. */
 export function displayAdminToggleButton(isAdmin) {
     if (adminToggleButton) {
         adminToggleButton.classList.toggle('hidden', !isAdmin);
@@ -0,0 +1,133 @@
+// js/userRoles.js
+// Handles the admin user roles panel: each login's role and the coach it belongs to (ES Module).
+// Roles are stored in the user's app_metadata by the set_app_user_role RPC and take effect at their next sign-in.
+
+// --- Import Dependencies ---
+import { appState } from './state.js';
+import { fetchAppUsers, setAppUserRole } from './api.js';
+import { ROLES, ROLE_LABELS } from './permissions.js';
+import { escapeHtml } from './utils.js';
+import { setStatusText } from './ui.js';
+
+// --- Module Variables ---
+let userListContainer = null;
+let refreshButton = null;
+let statusP = null;
+let appUsers = [];
+
+const INPUT_CLASSES = 'block w-full text-xs border-gray-300 dark:border-gray-500 dark:bg-gray-600 dark:text-gray-100 rounded-md shadow-sm p-1 focus:ring-indigo-500 focus:border-indigo-500';
+
+// --- Helper Functions ---
+
+/** Sets the status paragraph's text and colour. */
+function _setStatus(message, type = 'info') {
+    setStatusText(statusP, message, type, 'text-xs mb-2');
+}
+
+function _coachOptions(selectedCoachId) {
+    const coaches = [...(appState.coachesData || [])].sort((a, b) => (a.Name || '').localeCompare(b.Name || ''));
+    return `<option value="">No coach</option>` + coaches.map(coach =>
+        `<option value="${coach.id}" ${coach.id === selectedCoachId ? 'selected' : ''}>${escapeHtml(coach.Name)}</option>`
+    ).join('');
+}
+
+/** Builds one user row with its role and coach selects. */
+function _userRowHtml(user) {
+    const roleOptions = Object.values(ROLES).map(role =>
+        `<option value="${role}" ${role === user.role ? 'selected' : ''}>${ROLE_LABELS[role]}</option>`
+    ).join('');
+    const lastSignIn = user.last_sign_in_at ? new Date(user.last_sign_in_at).toLocaleDateString() : 'never';
+    const isSelf = user.user_id === appState.currentUser?.id;
+    return `
+        <li class="user-role-row grid grid-cols-2 sm:grid-cols-6 gap-2 items-end border-b border-gray-200 dark:border-gray-600 pb-2 mb-2 last:border-b-0 last:mb-0" data-user-id="${escapeHtml(user.user_id)}">
+            <div class="col-span-2 text-xs text-gray-700 dark:text-gray-300">
+                <span class="font-medium break-all">${escapeHtml(user.email || user.user_id)}</span>${isSelf ? ' <span class="italic text-gray-500 dark:text-gray-400">(you)</span>' : ''}
+                <span class="block text-[11px] text-gray-500 dark:text-gray-400">Last sign-in: ${lastSignIn}</span>
+            </div>
+            <label class="text-xs text-gray-700 dark:text-gray-300">Role
+                <select name="role" class="${INPUT_CLASSES}" ${isSelf ? 'disabled title="You cannot change your own role."' : ''}>${roleOptions}</select>
+            </label>
+            <label class="col-span-2 text-xs text-gray-700 dark:text-gray-300">Coach
+                <select name="coach_id" class="${INPUT_CLASSES}">${_coachOptions(user.coach_id)}</select>
+            </label>
+            <div class="text-right">
+                <button type="button" data-action="save" class="text-xs bg-purple-500 hover:bg-purple-700 text-white font-semibold py-1 px-2 rounded disabled:opacity-50">Save</button>
+            </div>
+        </li>`;
+}
+
+function _renderUserList() {
+    if (!userListContainer) return;
+    if (appUsers.length === 0) {
+        userListContainer.innerHTML = '<p class="text-gray-500 dark:text-gray-400 italic">No users found.</p>';
+        return;
+    }
+    userListContainer.innerHTML = `<ul>${appUsers.map(_userRowHtml).join('')}</ul>`;
+}
+
+async function _reloadUsers() {
+    if (!userListContainer) return;
+    userListContainer.innerHTML = '<p class="text-gray-500 dark:text-gray-400 italic">Loading users...</p>';
+    const users = await fetchAppUsers();
+    if (users === null) {
+        userListContainer.innerHTML = '<p class="text-red-500 dark:text-red-400">Could not load users.</p>';
+        return;
+    }
+    appUsers = users;
+    _renderUserList();
+}
+
+// --- Event Handlers ---
+
+/** Handles Save clicks on a user row (delegated). */
+async function handleUserListClick(event) {
+    const button = event.target.closest('button[data-action="save"]');
+    if (!button) return;
+    const row = button.closest('.user-role-row');
+    const role = row.querySelector('select[name="role"]').value;
+    const coachId = parseInt(row.querySelector('select[name="coach_id"]').value, 10);
+
+    if (role === ROLES.COACH && Number.isNaN(coachId)) {
+        _setStatus('Choose the coach this login belongs to.', 'error');
+        return;
+    }
+
+    button.disabled = true;
+    const result = await setAppUserRole(row.dataset.userId, role, Number.isNaN(coachId) ? null : coachId);
+    button.disabled = false;
+    if (!result.success) {
+        _setStatus(`Error: ${result.message}`, 'error');
+        return;
+    }
+    _setStatus(`Saved. The new role applies at the user's next sign-in.`, 'success');
+    await _reloadUsers();
+}
+
+// --- Exported Functions ---
+
+/**
+ * Initializes the user roles panel. Called from initAdminControls for admins.
+ */
+export function initUserRoles() {
+    userListContainer = document.getElementById('user-roles-list');
+    refreshButton = document.getElementById('user-roles-refresh-btn');
+    statusP = document.getElementById('user-roles-status');
+
+    if (!userListContainer || !refreshButton) {
+        console.warn("UserRoles Init Warning: User roles panel elements not found.");
+        return;
+    }
+
+    userListContainer.removeEventListener('click', handleUserListClick);
+    userListContainer.addEventListener('click', handleUserListClick);
+    refreshButton.removeEventListener('click', _reloadUsers);
+    refreshButton.addEventListener('click', _reloadUsers);
+
+    _reloadUsers();
+    console.log("UserRoles: Initialized.");
+}
+
+// --- Add a ready flag ---
+export const isReady = true;
+
+console.log("User Roles module (userRoles.js) loaded.");
@@ -0,0 +1,272 @@
+// js/utilisationReport.js
+// Handles the admin coach utilisation report: weekly capacity against enrolled (roster) against attended (logs),
+// per coach and day, with empty-slot minutes and persistently under-filled slots to consider consolidating (ES Module).
+
+// --- Import Dependencies ---
+import { appState } from './state.js';
+import { fetchAllScheduleSlots, fetchAttendanceLogs, getTodaysDateUTC } from './api.js';
+import { getStudentDetails, getRosterOnDate, addDaysToDateString, getWeekdayName, escapeHtml, formatDate } from './utils.js';
+import { setStatusText } from './ui.js';
+
+// --- Constants ---
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const SLOT_MINUTES = 30; // Lessons are booked on the 30-minute availability grid
+const UNDER_FILLED_SHARE = 0.5; // A lesson is under-filled when fewer than half the seats were attended
+const PERSISTENT_SHARE = 0.75; // ...and a slot persistently so when most of its lessons were
+const MIN_LESSONS_FOR_TREND = 3; // Lessons a slot needs in the range before it can be called persistent
+
+// --- Module Variables ---
+let termSelect = null;
+let loadButton = null;
+let statusP = null;
+let tableDiv = null;
+let candidatesDiv = null;
+
+// --- Helper Functions ---
+
+function _formatPercent(value) {
+    return value === null ? '-' : `${Math.round(value * 100)}%`;
+}
+
+function _formatNumber(value) {
+    return value === null ? '-' : (Math.round(value * 10) / 10).toString();
+}
+
+function _coachName(coachId) {
+    return appState.coachesData.find(coach => coach.id === coachId)?.Name || `Coach ${coachId}`;
+}
+
+/** Sets the status text next to the Load button. */
+function _setStatus(message, type = 'info') {
+    setStatusText(statusP, message, type, 'text-xs');
+}
+
+/** Lists the dates (YYYY-MM-DD) from startDate to endDate, inclusive, that fall on a weekday. */
+function _datesOnWeekday(day, startDate, endDate) {
+    const dates = [];
+    let date = startDate;
+    while (date && getWeekdayName(date) !== day && date <= endDate) date = addDaysToDateString(date, 1);
+    for (; date && date <= endDate; date = addDaysToDateString(date, 7)) dates.push(date);
+    return dates;
+}
+
+/**
+ * Works out each slot's figures: enrolment from the roster on each of its lesson dates in the range (averaged)
+ * and, from the logs in the range, how many lessons were held and how many students attended on average.
+ * @returns {Array<object>} Slots with { enrolled, student_ids (the roster on the last lesson date), heldLessons,
+ *   avgAttended, underFilledLessons, isPersistentlyUnderFilled }.
+ */
+function _measureSlots(slots, logs, startDate, endDate) {
+    const lessonsBySlot = new Map(); // schedule_id -> Map(date -> present count)
+    logs.forEach(log => {
+        if (!log.lesson_schedule_id) return; // Ad-hoc lessons have no slot
+        const date = log.log_date.substring(0, 10);
+        if (!lessonsBySlot.has(log.lesson_schedule_id)) lessonsBySlot.set(log.lesson_schedule_id, new Map());
+        const lessons = lessonsBySlot.get(log.lesson_schedule_id);
+        lessons.set(date, (lessons.get(date) || 0) + (log.attendance_status === 'Present' ? 1 : 0));
+    });
+
+    return slots.map(slot => {
+        const capacity = slot.capacity || 0;
+        const lessonCounts = [...(lessonsBySlot.get(slot.schedule_id)?.values() || [])];
+        const heldLessons = lessonCounts.length;
+        const underFilledLessons = lessonCounts.filter(present => present < capacity * UNDER_FILLED_SHARE).length;
+        const rosters = _datesOnWeekday(slot.day, startDate, endDate).map(date => getRosterOnDate(slot.enrolments, date));
+        return {
+            ...slot,
+            capacity,
+            enrolled: rosters.length > 0 ? rosters.reduce((sum, roster) => sum + roster.length, 0) / rosters.length : 0,
+            student_ids: rosters.length > 0 ? rosters[rosters.length - 1] : [],
+            heldLessons,
+            avgAttended: heldLessons > 0 ? lessonCounts.reduce((sum, present) => sum + present, 0) / heldLessons : null,
+            underFilledLessons,
+            isPersistentlyUnderFilled: heldLessons >= MIN_LESSONS_FOR_TREND && underFilledLessons / heldLessons >= PERSISTENT_SHARE
+        };
+    });
+}
+
+/** Totals a set of measured slots. Attendance only counts slots that held lessons in the range. */
+function _totalSlots(slots) {
+    const held = slots.filter(slot => slot.avgAttended !== null);
+    const capacity = slots.reduce((sum, slot) => sum + slot.capacity, 0);
+    const enrolled = slots.reduce((sum, slot) => sum + slot.enrolled, 0);
+    const heldCapacity = held.reduce((sum, slot) => sum + slot.capacity, 0);
+    const attended = held.reduce((sum, slot) => sum + slot.avgAttended, 0);
+    return {
+        slots: slots.length,
+        capacity,
+        enrolled,
+        attended: held.length > 0 ? attended : null,
+        enrolledShare: capacity > 0 ? enrolled / capacity : null,
+        attendedShare: heldCapacity > 0 ? attended / heldCapacity : null,
+        emptySlotMinutes: slots.filter(slot => slot.enrolled === 0).length * SLOT_MINUTES
+    };
+}
+
+// --- Rendering ---
+
+function _renderTable(slots) {
+    if (!tableDiv) return;
+    if (slots.length === 0) {
+        tableDiv.innerHTML = '<p class="text-gray-500 dark:text-gray-400 italic">No schedule slots set up.</p>';
+        return;
+    }
+
+    const byCoach = new Map();
+    slots.forEach(slot => {
+        if (!byCoach.has(slot.coach_id)) byCoach.set(slot.coach_id, []);
+        byCoach.get(slot.coach_id).push(slot);
+    });
+    const coachIds = [...byCoach.keys()].sort((a, b) => _coachName(a).localeCompare(_coachName(b)));
+
+    const cells = (totals) => `
+        <td class="py-1 pr-3">${totals.slots}</td>
+        <td class="py-1 pr-3">${totals.capacity}</td>
+        <td class="py-1 pr-3">${_formatNumber(totals.enrolled)} <span class="text-gray-500 dark:text-gray-400">(${_formatPercent(totals.enrolledShare)})</span></td>
+        <td class="py-1 pr-3">${_formatNumber(totals.attended)} <span class="text-gray-500 dark:text-gray-400">(${_formatPercent(totals.attendedShare)})</span></td>
+        <td class="py-1">${totals.emptySlotMinutes}</td>`;
+
+    const rowsHtml = coachIds.map(coachId => {
+        const coachSlots = byCoach.get(coachId);
+        const dayRows = WEEKDAYS
+            .map(day => ({ day, daySlots: coachSlots.filter(slot => slot.day === day) }))
+            .filter(({ daySlots }) => daySlots.length > 0)
+            .map(({ day, daySlots }) => `
+                <tr class="border-b border-gray-100 dark:border-gray-700 text-gray-600 dark:text-gray-300">
+                    <td class="py-1 pr-3 pl-4">${day}</td>
+                    ${cells(_totalSlots(daySlots))}
+                </tr>`).join('');
+        return `
+            <tr class="border-b border-gray-200 dark:border-gray-600 bg-purple-50 dark:bg-gray-700/60 font-semibold">
+                <td class="py-1 pr-3">${escapeHtml(_coachName(coachId))}</td>
+                ${cells(_totalSlots(coachSlots))}
+            </tr>
+            ${dayRows}`;
+    }).join('');
+
+    const totals = _totalSlots(slots);
+    tableDiv.innerHTML = `
+        <table class="w-full text-xs text-left text-gray-700 dark:text-gray-200">
+            <thead><tr class="text-gray-500 dark:text-gray-400">
+                <th class="pr-3 font-medium">Coach / Day</th><th class="pr-3 font-medium">Slots</th><th class="pr-3 font-medium">Capacity</th>
+                <th class="pr-3 font-medium">Enrolled</th><th class="pr-3 font-medium">Attended (avg)</th><th class="font-medium">Empty slot min</th>
+            </tr></thead>
+            <tbody>
+                ${rowsHtml}
+                <tr class="font-semibold border-t-2 border-gray-300 dark:border-gray-500">
+                    <td class="py-1 pr-3">All coaches</td>
+                    ${cells(totals)}
+                </tr>
+            </tbody>
+        </table>`;
+}
+
+function _renderCandidates(slots) {
+    if (!candidatesDiv) return;
+    const candidates = slots
+        .filter(slot => slot.isPersistentlyUnderFilled || slot.enrolled === 0)
+        .sort((a, b) => WEEKDAYS.indexOf(a.day) - WEEKDAYS.indexOf(b.day) || String(a.time).localeCompare(String(b.time)));
+    if (candidates.length === 0) {
+        candidatesDiv.innerHTML = '<p class="text-gray-500 dark:text-gray-400 italic">No persistently under-filled slots.</p>';
+        return;
+    }
+
+    candidatesDiv.innerHTML = `
+        <ul class="space-y-1.5">
+            ${candidates.map(slot => {
+                const students = slot.student_ids.map(id => getStudentDetails(id, appState.studentsData)?.Name || `Student ${id}`);
+                const reason = slot.enrolled === 0
+                    ? 'No students enrolled'
+                    : `${slot.underFilledLessons} of ${slot.heldLessons} lessons under half full (avg ${_formatNumber(slot.avgAttended)} of ${slot.capacity} attended)`;
+                // Other candidates on the same day are the obvious places to merge into
+                const sameDay = candidates.filter(other => other !== slot && other.day === slot.day && other.enrolled > 0)
+                    .map(other => `${_coachName(other.coach_id)} ${String(other.time).substring(0, 5)}`);
+                return `
+                <li class="border-b border-gray-200 dark:border-gray-600 pb-1.5 last:border-b-0">
+                    <p class="font-medium text-gray-800 dark:text-gray-100">${slot.day} ${String(slot.time).substring(0, 5)} &middot; ${escapeHtml(_coachName(slot.coach_id))}
+                        <span class="font-normal text-gray-500 dark:text-gray-400">(${_formatNumber(slot.enrolled)}/${slot.capacity} enrolled)</span></p>
+                    <p class="text-gray-600 dark:text-gray-300">${reason}.</p>
+                    ${students.length > 0 ? `<p class="text-gray-500 dark:text-gray-400">Students: ${escapeHtml(students.join(', '))}</p>` : ''}
+                    ${sameDay.length > 0 ? `<p class="text-gray-500 dark:text-gray-400">Also under-filled that day: ${escapeHtml(sameDay.join(', '))}</p>` : ''}
+                </li>`;
+            }).join('')}
+        </ul>`;
+}
+
+// --- Event Handlers ---
+
+/** Loads the slots and the chosen term's logs (up to today) and renders the report. */
+async function handleLoadUtilisation() {
+    const term = (appState.termDates || [])[parseInt(termSelect.value)];
+    if (!term) {
+        _setStatus('Choose a term first.', 'error');
+        return;
+    }
+    const today = getTodaysDateUTC();
+    if (term.start_date > today) {
+        _setStatus('This term has not started yet, so there is no attendance to report.', 'error');
+        return;
+    }
+    const endDate = term.end_date < today ? term.end_date : today;
+
+    loadButton.disabled = true;
+    _setStatus('Loading slots and logs...');
+    const [slots, logs] = await Promise.all([fetchAllScheduleSlots(), fetchAttendanceLogs(term.start_date, endDate)]);
+    loadButton.disabled = false;
+    if (slots === null || logs === null) {
+        _setStatus('Error: Could not load the schedule or logs.', 'error');
+        return;
+    }
+
+    const measured = _measureSlots(slots, logs, term.start_date, endDate);
+    _setStatus(`Weekly figures for ${measured.length} slots; enrolment and attendance from ${formatDate(term.start_date)} to ${formatDate(endDate)}${appState.isTestMode ? ' (test data)' : ''}.`, 'success');
+    _renderTable(measured);
+    _renderCandidates(measured);
+}
+
+// --- Exported Functions ---
+
+/**
+ * Fills the term selector from appState.termDates, selecting the current (or latest started) term.
+ */
+export function refreshUtilisationTermOptions() {
+    if (!termSelect) return;
+    const terms = appState.termDates || [];
+    if (terms.length === 0) {
+        termSelect.innerHTML = '<option value="">No terms set up</option>';
+        return;
+    }
+    termSelect.innerHTML = terms.map((term, index) =>
+        `<option value="${index}">Term ${term.term_number} (${formatDate(term.start_date)} - ${formatDate(term.end_date)})</option>`
+    ).join('');
+    const today = getTodaysDateUTC();
+    const started = terms.map((term, index) => ({ term, index })).filter(({ term }) => term.start_date <= today);
+    termSelect.value = String(started.length > 0 ? started[started.length - 1].index : 0);
+}
+
+/**
+ * Initializes the coach utilisation report. Called from initAdminControls once data is available.
+ */
+export function initUtilisationReport() {
+    termSelect = document.getElementById('utilisation-term-select');
+    loadButton = document.getElementById('utilisation-load-btn');
+    statusP = document.getElementById('utilisation-status');
+    tableDiv = document.getElementById('utilisation-table');
+    candidatesDiv = document.getElementById('utilisation-candidates');
+
+    if (!termSelect || !loadButton || !tableDiv) {
+        console.warn("UtilisationReport Init Warning: Report elements not found.");
+        return;
+    }
+
+    loadButton.removeEventListener('click', handleLoadUtilisation);
+    loadButton.addEventListener('click', handleLoadUtilisation);
+
+    refreshUtilisationTermOptions();
+    console.log("UtilisationReport: Initialized.");
+}
+
+// --- Add a ready flag ---
+export const isReady = true;
+
+console.log("Utilisation Report module (utilisationReport.js) loaded.");
@@ -1,6 +1,10 @@
 // js/utils.js
 // Shared utility functions for the Chess Coach Schedule Tool (ES Module).
-// v4: Fixed ReferenceError in getStudentDetails fallback logic.
+// v18: Effective-dated enrolments: isEnrolledOn and getRosterOnDate; borrowed slots use the roster on their date.
+
+// Rules shared with the edge function live in one place; re-exported so existing imports keep working
+import { AVAILABILITY_DAYS, isAvailableInSlots, checkPairingRuleViolation, doesBlockApplyOnDate, isStudentBlocked, getSlotStatuses, getSlotOccupantIds, isEnrolledOn, getRosterOnDate } from '../supabase/functions/_shared/schedulingRules.js';
+export { AVAILABILITY_DAYS, checkPairingRuleViolation, doesBlockApplyOnDate, isStudentBlocked, getSlotStatuses, getSlotOccupantIds, isEnrolledOn, getRosterOnDate };
 
 /**
  * Retrieves student details from the provided studentsData array.
@@ -145,14 +149,17 @@ export function formatTime(date) {
 
 
 /**
- * Parses a student's availability string into a structured object.
+ * Parses a legacy free-text availability string into a structured object.
+ * New code should read availability through getStudentAvailabilitySlots; this is used to convert legacy strings.
  * Handles formats like "Day: Time1;Time2", "Day: TimeRange", "Day: Time1; Day2: Time2".
  * Expects times in HH:MM, H:MM am/pm, HHMM, or HH:MM:SS format. Skips invalid time parts.
  * Assumes days are separated by newlines or semicolons followed by a day name.
  * @param {string|null} availabilityString - The raw availability string.
+ * @param {Array<string>|null} [problems=null] - If given, a message is pushed for every fragment that could not be parsed.
  * @returns {object} An object where keys are days (lowercase) and values are Sets of available times (HH:MM).
  */
-export function parseAvailability(availabilityString) {
+export function parseAvailability(availabilityString, problems = null) {
+    const reportProblem = (message) => { if (Array.isArray(problems)) problems.push(message); };
     const availability = {};
     if (!availabilityString || typeof availabilityString !== 'string') {
         return availability;
@@ -164,14 +171,23 @@ export function parseAvailability(availabilityString) {
     entries.forEach(entry => {
         // Split day from the rest of the time string
         const parts = entry.split(/:(.+)/); // Split only on the first colon
-        if (parts.length < 2) return; // Skip if no colon found
+        if (parts.length < 2) { // Skip if no colon found
+            reportProblem(`"${entry}": expected "Day: times".`);
+            return;
+        }
 
         const day = parts[0].trim().toLowerCase();
         const validDays = ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"];
-        if (!validDays.includes(day)) return; // Skip invalid day names
+        if (!validDays.includes(day)) { // Skip invalid day names
+            reportProblem(`"${entry}": "${parts[0].trim()}" is not a day name.`);
+            return;
+        }
 
         const timePart = parts[1]?.trim(); // Get the part after the first colon
-        if (!timePart) return; // Skip if no time part
+        if (!timePart) { // Skip if no time part
+            reportProblem(`"${entry}": no times given.`);
+            return;
+        }
 
         if (!availability[day]) availability[day] = new Set();
 
@@ -196,10 +212,11 @@ export function parseAvailability(availabilityString) {
                             currentTime.setUTCMinutes(currentTime.getUTCMinutes() + 30);
                         }
                     } else {
-                        // console.warn(`parseAvailability: Invalid range "${time}" for day "${day}"`);
+                        reportProblem(`${parts[0].trim()}: "${time}" is not a valid time range.`);
                     }
                 } catch (e) {
                     console.error(`parseAvailability: Error parsing range "${time}"`, e);
+                    reportProblem(`${parts[0].trim()}: "${time}" is not a valid time range.`);
                 }
             } else { // Handle single times
                 try {
@@ -210,10 +227,11 @@ export function parseAvailability(availabilityString) {
                             availability[day].add(formatted);
                         }
                     } else {
-                         // console.warn(`parseAvailability: Invalid single time "${time}" for day "${day}"`);
+                        reportProblem(`${parts[0].trim()}: "${time}" is not a valid time.`);
                     }
                 } catch (e) {
                     console.error(`parseAvailability: Error parsing single time "${time}"`, e);
+                    reportProblem(`${parts[0].trim()}: "${time}" is not a valid time.`);
                 }
             }
         });
@@ -222,133 +240,104 @@ export function parseAvailability(availabilityString) {
 }
 
 
+// --- Availability Slots (canonical format) ---
+// Availability is stored in students.availability_slots as { "Monday": ["10:00", "13:20"], ... }:
+// capitalised weekday names mapping to sorted, de-duplicated HH:MM start times. An empty object means no availability.
+// The slot lookup itself (isAvailableInSlots) is shared with get-optimal-fill-ins.
+
+/**
+ * Cleans an availability slots value into the canonical format.
+ * Unknown days and invalid times are dropped; day names are matched case-insensitively.
+ * @param {object|null} slots - A slots object (possibly from the database or the grid editor).
+ * @returns {object} Canonical slots, e.g. { Monday: ["10:00", "13:20"] }.
+ */
+export function normalizeAvailabilitySlots(slots) {
+    const normalized = {};
+    if (!slots || typeof slots !== 'object' || Array.isArray(slots)) return normalized;
+    Object.entries(slots).forEach(([dayKey, times]) => {
+        const day = AVAILABILITY_DAYS.find(d => d.toLowerCase() === String(dayKey).trim().toLowerCase());
+        if (!day || !Array.isArray(times)) return;
+        const cleanTimes = new Set(normalized[day] || []);
+        times.forEach(time => {
+            const formatted = formatTime(parseTime(String(time)));
+            if (formatted) cleanTimes.add(formatted);
+        });
+        if (cleanTimes.size > 0) normalized[day] = [...cleanTimes].sort();
+    });
+    return normalized;
+}
+
+/**
+ * Converts a legacy availability string into canonical slots.
+ * @param {string|null} availabilityString - The legacy free-text availability.
+ * @param {Array<string>|null} [problems=null] - If given, receives a message for every fragment that could not be converted.
+ * @returns {object} Canonical slots.
+ */
+export function availabilityStringToSlots(availabilityString, problems = null) {
+    const parsed = parseAvailability(availabilityString, problems);
+    const slots = {};
+    Object.entries(parsed).forEach(([dayLower, times]) => {
+        if (times.size > 0) slots[dayLower.charAt(0).toUpperCase() + dayLower.slice(1)] = [...times];
+    });
+    return normalizeAvailabilitySlots(slots);
+}
+
 /**
- * Checks if a student is available at a specific day and time based on their parsed availability.
+ * Formats canonical slots as text ("Monday: 10:00; 13:20" per line), readable by parseAvailability.
+ * @param {object|null} slots - Canonical slots.
+ * @returns {string} The formatted text (empty string when there is no availability).
+ */
+export function formatAvailabilitySlots(slots) {
+    const normalized = normalizeAvailabilitySlots(slots);
+    return AVAILABILITY_DAYS
+        .filter(day => normalized[day])
+        .map(day => `${day}: ${normalized[day].join('; ')}`)
+        .join('\n');
+}
+
+/**
+ * Returns a student's availability in the canonical format.
+ * Uses availability_slots when the student has them, otherwise converts the legacy availability string.
+ * @param {object} studentDetails - The student object.
+ * @returns {object} Canonical slots.
+ */
+export function getStudentAvailabilitySlots(studentDetails) {
+    if (!studentDetails) return {};
+    if (studentDetails.availability_slots && typeof studentDetails.availability_slots === 'object') {
+        return normalizeAvailabilitySlots(studentDetails.availability_slots);
+    }
+    return availabilityStringToSlots(studentDetails.availability_string || studentDetails.availability);
+}
+
+/**
+ * Checks if a student is available at a specific day and time based on their availability slots.
  * @param {object} studentDetails - The student details object.
  * @param {string} targetDay - The target day name (e.g., 'Monday').
  * @param {string} targetTime - The target time string (e.g., '13:20:00' or '13:20').
- * @param {object} [parsedAvailabilityCache={}] - Cache for parsed availability.
+ * @param {object} [parsedAvailabilityCache={}] - Cache of slots by student ID.
  * @returns {boolean} True if available, false otherwise.
  */
 export function isStudentAvailable(studentDetails, targetDay, targetTime, parsedAvailabilityCache = {}) {
     if (!studentDetails || !targetDay || !targetTime) return false;
 
     const studentId = studentDetails.id;
-    // Use availability_string first, fallback to availability if needed
-    const availabilityString = studentDetails.availability_string || studentDetails.availability;
-
-    // console.log(`DEBUG isStudentAvailable: Checking Student ID: ${studentId}, Day: ${targetDay}, Raw Target Time: ${targetTime}`);
-
-    let parsedAvailability = parsedAvailabilityCache[studentId];
-    if (typeof parsedAvailability === 'undefined') {
-        // console.log(`DEBUG isStudentAvailable: Cache MISS for ${studentId}. Parsing string: "${availabilityString}"`);
-        parsedAvailability = parseAvailability(availabilityString);
-        parsedAvailabilityCache[studentId] = parsedAvailability;
-        // console.log(`DEBUG isStudentAvailable: Parsed availability for ${studentId}:`, JSON.stringify(Object.fromEntries(Object.entries(parsedAvailability).map(([k, v]) => [k, [...v]]))) ); // Log parsed set content
-    } else {
-        // console.log(`DEBUG isStudentAvailable: Cache HIT for ${studentId}`);
+    let slots = parsedAvailabilityCache[studentId];
+    if (typeof slots === 'undefined') {
+        slots = getStudentAvailabilitySlots(studentDetails);
+        parsedAvailabilityCache[studentId] = slots;
     }
 
-    const targetDayLower = targetDay.toLowerCase();
-    // Standardize the target time to HH:MM format
+    // Standardize the target time to "HH:MM" (accepts "1:20 pm" style times as well)
     const targetTimeFormatted = formatTime(parseTime(targetTime));
-
-    // console.log(`DEBUG isStudentAvailable: Standardized Target Time: ${targetTimeFormatted}`);
-
     if (!targetTimeFormatted) {
-        console.warn(`isStudentAvailable: Could not format targetTime "${targetTime}" for student ${studentId}`);
+        console.warn(`isStudentAvailable: Could not read target time "${targetTime}" for student ${studentId}`);
         return false;
     }
 
-    const availableTimesForDay = parsedAvailability[targetDayLower];
-    const isAvailable = availableTimesForDay?.has(targetTimeFormatted) || false;
-
-    // console.log(`DEBUG isStudentAvailable: Checking Day='${targetDayLower}', TargetTimeFormatted='${targetTimeFormatted}'. Available=${isAvailable}. Day's Set=`, availableTimesForDay ? [...availableTimesForDay] : 'N/A');
-
-    return isAvailable;
+    return isAvailableInSlots(slots, targetDay, targetTimeFormatted);
 }
 
 
-/**
- * Checks if adding a new student violates pairing rules (Solo=1, Paired=2, Group=3+).
- * Also checks sub-group compatibility.
- * @param {object} newStudentDetails - Details of the student being added.
- * @param {Array<object>} [currentOccupantDetails=[]] - Array of details for students already in the slot.
- * @param {number} slotCapacity - The maximum capacity of the slot.
- * @returns {object} { violation: boolean, reason: string | null }
- */
-export function checkPairingRuleViolation(newStudentDetails, currentOccupantDetails = [], slotCapacity) {
-    // Basic validation
-    if (!newStudentDetails || typeof newStudentDetails.groupOf !== 'number') {
-        console.warn("checkPairingRuleViolation: Invalid newStudentDetails or missing groupOf.", newStudentDetails);
-        return { violation: true, reason: "Invalid new student data." };
-    }
-    if (!Array.isArray(currentOccupantDetails)) {
-         console.warn("checkPairingRuleViolation: Invalid currentOccupantDetails (not an array).", currentOccupantDetails);
-         return { violation: true, reason: "Invalid current occupants data." };
-    }
-     if (typeof slotCapacity !== 'number' || slotCapacity < 1) {
-         console.warn("checkPairingRuleViolation: Invalid slotCapacity.", slotCapacity);
-         return { violation: true, reason: "Invalid slot capacity." };
-     }
-
-    const newStudentGroup = newStudentDetails.groupOf;
-    const currentOccupants = currentOccupantDetails.length;
-    const newTotalOccupants = currentOccupants + 1;
-
-    // 1. Check Capacity
-    if (newTotalOccupants > slotCapacity) {
-        return { violation: true, reason: `Adding student exceeds slot capacity (${slotCapacity}).` };
-    }
-
-    // 2. Check Group Type Compatibility
-    const existingGroupTypes = new Set(currentOccupantDetails.map(occ => occ?.groupOf).filter(g => typeof g === 'number'));
-
-    if (newStudentGroup === 1) { // Trying to add a Solo student
-        if (currentOccupants > 0) {
-            return { violation: true, reason: "Cannot add a Solo student to an occupied slot." };
-        }
-    } else if (newStudentGroup === 2) { // Trying to add a Paired student
-        if (existingGroupTypes.has(1)) {
-            return { violation: true, reason: "Cannot add Paired student to a Solo slot." };
-        }
-        if (existingGroupTypes.size > 0 && !existingGroupTypes.has(2)) { // If existing students are not Paired (must be Group)
-             return { violation: true, reason: "Cannot mix Paired students with Group students." };
-        }
-        if (newTotalOccupants > 2 && currentOccupants > 0) { // Check if adding exceeds pair limit (only if not empty)
-             return { violation: true, reason: "Cannot exceed 2 students in a Paired slot." };
-         }
-
-    } else { // Trying to add a Group student (groupOf >= 3)
-        if (existingGroupTypes.has(1)) {
-            return { violation: true, reason: "Cannot add Group student to a Solo slot." };
-        }
-        if (existingGroupTypes.has(2)) {
-            return { violation: true, reason: "Cannot add Group student to a Paired slot." };
-        }
-    }
-
-    // 3. Check Sub-Group Compatibility
-    const newSubGroup = newStudentDetails.sub_group || null; // Treat undefined/empty as null
-    const existingSubGroups = new Set(currentOccupantDetails.map(occ => occ?.sub_group || null).filter(sg => sg !== null)); // Get unique non-null existing sub-groups
-
-    if (existingSubGroups.size > 0) { // If there's already a sub-group established
-        const establishedSubGroup = [...existingSubGroups][0]; // Get the first (should be only one) established sub-group
-        // *** FIX: Allow adding a student WITHOUT a sub-group to an established sub-group ***
-        if (newSubGroup !== null && newSubGroup !== establishedSubGroup) {
-             return { violation: true, reason: `Cannot mix sub-groups ('${newSubGroup}' vs existing '${establishedSubGroup}').` };
-        }
-        // It's now okay if newSubGroup is null here.
-    } else { // If no sub-group is established yet
-        // It's okay to add a student with or without a sub-group to an empty or non-sub-grouped slot.
-        // The first student with a sub-group will establish it.
-    }
-
-
-    // Passed all checks
-    return { violation: false, reason: null };
-}
-
 /**
  * Converts groupOf number to text.
  */
@@ -403,6 +392,340 @@ export function calculateCurrentTermAndWeek(today, termDatesData) {
     return { term: null, week: null, error: null };
 }
 
+// --- Display Helpers ---
+
+/**
+ * Escapes text for use in HTML, in element content or a quoted attribute value.
+ * @param {*} text - The text (null and undefined become '').
+ * @returns {string} The escaped text.
+ */
+export function escapeHtml(text) {
+    return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// --- Date Helpers (YYYY-MM-DD strings, UTC) ---
+
+const WEEKDAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+/**
+ * Formats a Date object as a YYYY-MM-DD string (UTC).
+ * @param {Date} date - The date to format.
+ * @returns {string|null} The formatted date string, or null if the date is invalid.
+ */
+export function formatDateUTC(date) {
+    if (!(date instanceof Date) || isNaN(date.getTime())) return null;
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Adds (or subtracts) a number of days to a YYYY-MM-DD date string.
+ * @param {string} dateString - The starting date (YYYY-MM-DD).
+ * @param {number} days - Number of days to add (negative to subtract).
+ * @returns {string|null} The resulting date string, or null if the input is invalid.
+ */
+export function addDaysToDateString(dateString, days) {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    if (isNaN(date.getTime())) return null;
+    date.setUTCDate(date.getUTCDate() + days);
+    return formatDateUTC(date);
+}
+
+/**
+ * Returns the weekday name (e.g. "Monday") for a YYYY-MM-DD date string.
+ * @param {string} dateString - The date (YYYY-MM-DD).
+ * @returns {string|null} The weekday name, or null if the input is invalid.
+ */
+export function getWeekdayName(dateString) {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    if (isNaN(date.getTime())) return null;
+    return WEEKDAY_NAMES[date.getUTCDay()];
+}
+
+/**
+ * Gets the Monday-to-Sunday range containing the given date.
+ * @param {string} dateString - Any date in the week (YYYY-MM-DD).
+ * @returns {{startDate: string, endDate: string}|null} Monday and Sunday of that week, or null if invalid.
+ */
+export function getWeekRange(dateString) {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    if (isNaN(date.getTime())) return null;
+    const dayOfWeek = date.getUTCDay(); // Sunday = 0
+    const diffToMonday = dayOfWeek === 0 ? -6 : 1 - dayOfWeek;
+    const startDate = addDaysToDateString(dateString, diffToMonday);
+    return { startDate, endDate: addDaysToDateString(startDate, 6) };
+}
+
+/**
+ * Gets the date of a named weekday within the week that contains the given date.
+ * @param {string} dateString - Any date in the week (YYYY-MM-DD).
+ * @param {string} dayName - The weekday name (e.g. "Wednesday").
+ * @returns {string|null} The date of that weekday (YYYY-MM-DD), or null if invalid.
+ */
+export function getDateForWeekday(dateString, dayName) {
+    const range = getWeekRange(dateString);
+    const dayIndex = WEEKDAY_NAMES.indexOf(dayName);
+    if (!range || dayIndex === -1) return null;
+    // Monday is offset 0, Sunday is offset 6
+    const offset = dayIndex === 0 ? 6 : dayIndex - 1;
+    return addDaysToDateString(range.startDate, offset);
+}
+
+/**
+ * Formats a YYYY-MM-DD string (or timestamp) as DD/MM/YYYY for display.
+ * @param {string|null} dateString - The date.
+ * @returns {string} The formatted date, or 'N/A' if there is none.
+ */
+export function formatDate(dateString) {
+    if (!dateString) return 'N/A';
+    const [year, month, day] = String(dateString).substring(0, 10).split('-');
+    return `${day}/${month}/${year}`;
+}
+
+/**
+ * Filters waitlist entries down to one slot's, longest waiting first.
+ * @param {Array<object>} waitlist - slot_waitlist rows { id, lesson_schedule_id, student_id, added_at }.
+ * @param {number} scheduleId - The lesson_schedule ID of the slot.
+ * @returns {Array<object>} The slot's entries.
+ */
+export function getSlotWaitlist(waitlist, scheduleId) {
+    if (!Array.isArray(waitlist)) return [];
+    return waitlist
+        .filter(entry => entry.lesson_schedule_id === scheduleId)
+        .sort((a, b) => String(a.added_at || '').localeCompare(String(b.added_at || '')));
+}
+
+// --- Term Calendar Helpers ---
+
+/**
+ * Checks a list of terms for missing, inverted and overlapping date ranges.
+ * @param {Array<object>} terms - Term objects { id?, term_number, start_date, end_date }.
+ * @returns {Array<{termIndex: number, otherTermIndex?: number, message: string}>} Problems found, by index into terms
+ *   (overlaps also name the other term). Empty if none.
+ */
+export function validateTermDates(terms) {
+    const problems = [];
+    if (!Array.isArray(terms)) return problems;
+
+    terms.forEach((term, index) => {
+        if (!term.term_number || !term.start_date || !term.end_date) {
+            problems.push({ termIndex: index, message: `Term ${term.term_number || '?'}: number, start date and end date are required.` });
+        } else if (term.end_date < term.start_date) {
+            problems.push({ termIndex: index, message: `Term ${term.term_number}: ends (${term.end_date}) before it starts (${term.start_date}).` });
+        }
+    });
+
+    // Overlaps are only checked between terms with valid ranges (term lists are short, so compare every pair)
+    const validTerms = terms
+        .map((term, index) => ({ term, index }))
+        .filter(({ term }) => term.start_date && term.end_date && term.end_date >= term.start_date);
+    for (let i = 0; i < validTerms.length; i++) {
+        for (let j = i + 1; j < validTerms.length; j++) {
+            const [first, second] = validTerms[i].term.start_date <= validTerms[j].term.start_date
+                ? [validTerms[i], validTerms[j]]
+                : [validTerms[j], validTerms[i]];
+            if (second.term.start_date <= first.term.end_date) {
+                problems.push({
+                    termIndex: second.index,
+                    otherTermIndex: first.index,
+                    message: `Term ${second.term.term_number} (${second.term.start_date} to ${second.term.end_date}) overlaps Term ${first.term.term_number} (${first.term.start_date} to ${first.term.end_date}).`
+                });
+            }
+        }
+    }
+    return problems;
+}
+
+/**
+ * Lists the weeks of a term as calculateCurrentTermAndWeek numbers them
+ * (week 1 starts on the term's start date, whatever weekday that is).
+ * @param {object} term - Term object { term_number, start_date, end_date }.
+ * @returns {Array<{week: number, startDate: string, endDate: string}>} The term's weeks (empty if the range is invalid).
+ */
+export function getTermWeekPreview(term) {
+    const weeks = [];
+    if (!term?.start_date || !term?.end_date || term.end_date < term.start_date) return weeks;
+    for (let weekStart = term.start_date; weekStart && weekStart <= term.end_date; weekStart = addDaysToDateString(weekStart, 7)) {
+        const { week } = calculateCurrentTermAndWeek(new Date(`${weekStart}T00:00:00Z`), [term]);
+        const weekEnd = addDaysToDateString(weekStart, 6);
+        weeks.push({ week, startDate: weekStart, endDate: weekEnd > term.end_date ? term.end_date : weekEnd });
+    }
+    return weeks;
+}
+
+// --- Daily Block Helpers ---
+
+/**
+ * Lists every date a block covers (used to preview blocks before they are created).
+ * @param {string} startDate - First day of the block (YYYY-MM-DD).
+ * @param {string|null} endDate - Last day of the block (inclusive), or null for a single day.
+ * @param {Array<string>|null} repeatDays - Weekday names to limit the range to, or null for every day.
+ * @returns {Array<string>} The covered dates in order (empty if the range is invalid).
+ */
+export function getBlockOccurrenceDates(startDate, endDate = null, repeatDays = null) {
+    const block = { block_date: startDate, end_date: endDate, repeat_days: repeatDays };
+    const lastDate = endDate || startDate;
+    const dates = [];
+    if (!startDate || lastDate < startDate) return dates;
+    for (let date = startDate; date && date <= lastDate; date = addDaysToDateString(date, 1)) {
+        if (doesBlockApplyOnDate(block, date)) dates.push(date);
+    }
+    return dates;
+}
+
+// --- Lesson Log Helpers ---
+
+/**
+ * Parses a lesson log's skills_covered value into an array of skill names.
+ * Accepts a real array or the PostgreSQL array string, e.g. "{\"Skill A\",\"Skill B\"}".
+ * @param {Array<string>|string|null} skillsValue - The raw skills_covered value.
+ * @returns {Array<string>} The skill names (empty if there are none).
+ */
+export function parseSkillsCovered(skillsValue) {
+    if (Array.isArray(skillsValue)) return skillsValue.map(skill => String(skill).trim()).filter(Boolean);
+    if (!skillsValue || typeof skillsValue !== 'string') return [];
+    const trimmed = skillsValue.trim();
+    if (!trimmed.startsWith('{') || !trimmed.endsWith('}')) return trimmed ? [trimmed] : [];
+
+    const skills = [];
+    let current = '';
+    let inQuotes = false;
+    const inner = trimmed.substring(1, trimmed.length - 1);
+    for (let i = 0; i < inner.length; i++) {
+        const char = inner[i];
+        if (char === '\\' && inQuotes && i + 1 < inner.length) {
+            current += inner[++i]; // Escaped quote or backslash inside a quoted element
+        } else if (char === '"') {
+            inQuotes = !inQuotes;
+        } else if (char === ',' && !inQuotes) {
+            skills.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    skills.push(current.trim());
+    return skills.filter(skill => skill && skill !== 'NULL');
+}
+// --- Slot Capacity ---
+
+/**
+ * Works out how many students a slot takes: 1 if a rostered student is solo, 2 if one is paired, otherwise the
+ * slot's capacity (3 if that is missing or invalid).
+ * @param {Array<number>} originalStudentIds - The slot's roster.
+ * @param {number|string|null} dbCapacity - lesson_schedule.capacity.
+ * @param {Array<object>} studentsData - All students (for groupOf).
+ * @returns {number} The effective capacity.
+ */
+export function getEffectiveCapacity(originalStudentIds, dbCapacity, studentsData) {
+    const parsedCapacity = parseInt(dbCapacity, 10);
+    const validDbCapacity = !isNaN(parsedCapacity) && parsedCapacity > 0 ? parsedCapacity : 3; // Default to 3 if invalid
+    if (!Array.isArray(originalStudentIds) || originalStudentIds.length === 0 || !studentsData) return validDbCapacity;
+    const rosterDetails = originalStudentIds.map(id => getStudentDetails(id, studentsData));
+    if (rosterDetails.some(d => d && d.groupOf === 1)) return 1;
+    if (rosterDetails.some(d => d && d.groupOf === 2)) return 2;
+    return validDbCapacity;
+}
+
+// --- Substitute Coach Helpers ---
+
+/**
+ * Finds the substitution covering a slot on a date.
+ * @param {Array<object>} substitutions - slot_substitutions rows { id, lesson_schedule_id, lesson_date, substitute_coach_id }.
+ * @param {number} scheduleId - The lesson_schedule ID.
+ * @param {string} slotDate - The lesson date (YYYY-MM-DD).
+ * @returns {object|null} The substitution, or null if the slot's own coach teaches it.
+ */
+export function getSlotSubstitution(substitutions, scheduleId, slotDate) {
+    if (!Array.isArray(substitutions) || !slotDate) return null;
+    return substitutions.find(sub => sub.lesson_schedule_id === scheduleId && sub.lesson_date === slotDate) || null;
+}
+
+/**
+ * Applies a week's substitutions to one coach's schedule. The coach's own slots covered by someone else get
+ * covered_by_coach_id and substitution_id; slots the coach covers for others are added to their day as
+ * borrowed slots (coach_id is the viewed coach, home_coach_id the slot's own coach, is_borrowed true).
+ * @param {object} scheduleData - { Monday: [slot, ...], ... } as returned by fetchScheduleData.
+ * @param {Array<object>} substitutions - Rows from fetchSubstitutionsForDateRange (with their lesson_schedule).
+ * @param {number} coachId - The coach whose schedule is shown.
+ * @param {string} weekDate - Any date in the week being shown (YYYY-MM-DD).
+ * @returns {object} A new schedule object; the input is not changed.
+ */
+export function applySubstitutionsToSchedule(scheduleData, substitutions, coachId, weekDate) {
+    const merged = {};
+    Object.entries(scheduleData || {}).forEach(([day, slots]) => {
+        const dayDate = getDateForWeekday(weekDate, day);
+        merged[day] = slots.map(slot => {
+            const substitution = getSlotSubstitution(substitutions, slot.schedule_id, dayDate);
+            return substitution
+                ? { ...slot, covered_by_coach_id: substitution.substitute_coach_id, substitution_id: substitution.id }
+                : slot;
+        });
+    });
+
+    (substitutions || []).forEach(sub => {
+        const lesson = sub.lesson_schedule;
+        if (sub.substitute_coach_id !== coachId || !lesson) return;
+        const day = lesson.day_of_week;
+        if (getDateForWeekday(weekDate, day) !== sub.lesson_date) return;
+        if (!merged[day]) merged[day] = [];
+        merged[day].push({
+            schedule_id: lesson.id,
+            day,
+            time: lesson.start_time,
+            capacity: lesson.capacity,
+            coach_id: coachId,
+            home_coach_id: lesson.coach_id,
+            substitution_id: sub.id,
+            is_borrowed: true,
+            original_student_ids: getRosterOnDate(lesson.scheduled_students, sub.lesson_date),
+            enrolments: lesson.scheduled_students || []
+        });
+        merged[day].sort((a, b) => String(a.time).localeCompare(String(b.time)));
+    });
+    return merged;
+}
+
+// --- Skills Catalogue Helpers ---
+// Lookups on a catalogue passed in (skills rows). js/skillsCatalogue.js wraps them for appState.skillsCatalogue.
+
+export const SKILL_LEVELS = ["Beginner", "Intermediate", "Advanced", "Tournament"];
+
+/** Orders skills by level (curriculum order), then sort_order, then name. */
+function _compareSkills(a, b) {
+    const levelDiff = SKILL_LEVELS.indexOf(a.level) - SKILL_LEVELS.indexOf(b.level);
+    if (levelDiff !== 0) return levelDiff;
+    if ((a.sort_order ?? 0) !== (b.sort_order ?? 0)) return (a.sort_order ?? 0) - (b.sort_order ?? 0);
+    return String(a.name).localeCompare(String(b.name));
+}
+
+/**
+ * Groups a catalogue into the ordered curriculum for each level.
+ * @param {Array<object>} skills - The catalogue.
+ * @param {boolean} [includeRetired=false] - Whether retired skills are listed.
+ * @returns {Array<object>} [{ level, skills: [...] }] in SKILL_LEVELS order; levels without skills are left out.
+ */
+export function groupSkillsByLevel(skills, includeRetired = false) {
+    const sorted = (skills || []).filter(skill => includeRetired || !skill.is_retired).sort(_compareSkills);
+    return SKILL_LEVELS
+        .map(level => ({ level, skills: sorted.filter(skill => skill.level === level) }))
+        .filter(group => group.skills.length > 0);
+}
+
+/**
+ * Finds the skill a logged skill name refers to, by current name first and then following renames (previous_names).
+ * @param {string} name - The name stored in a log's skills_covered.
+ * @param {Array<object>} skills - The catalogue.
+ * @returns {object|null} The skill, or null if the name isn't in the catalogue.
+ */
+export function findSkillInCatalogue(name, skills) {
+    const target = String(name || '').trim().toLowerCase();
+    if (!target) return null;
+    const catalogue = skills || [];
+    return catalogue.find(skill => skill.name.toLowerCase() === target)
+        || catalogue.find(skill => (skill.previous_names || []).some(old => old.toLowerCase() === target))
+        || null;
+}
+
 // --- Add a ready flag ---
 export const isReady = true;
 
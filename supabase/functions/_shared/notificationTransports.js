@@ -0,0 +1,176 @@
+// supabase/functions/_shared/notificationTransports.js
+// Delivery transports for queued guardian notifications (used by the send-notifications edge function).
+// Plain, dependency-free JavaScript like schedulingRules.js. tests/notificationTransports.test.js pins the message format.
+//
+// Every transport is { name, send(message) } where message is { to, subject, body } and send resolves once the
+// message is accepted, or throws. NOTIFY_TRANSPORT picks one:
+//   * console - logs the message and sends nothing (default, and always used for test-mode messages).
+//   * smtp    - plain SMTP without TLS or auth, meant for a local stand-in such as the Supabase CLI's Inbucket
+//               (enable [inbucket] smtp_port in supabase/config.toml). SMTP_HOST, SMTP_PORT, NOTIFY_FROM.
+//   * webhook - POSTs the message as JSON to NOTIFY_WEBHOOK_URL (with NOTIFY_WEBHOOK_TOKEN as a bearer token
+//               if set), for handing delivery to an email/SMS provider.
+
+export const TRANSPORT_NAMES = ["console", "smtp", "webhook"];
+
+const DEFAULT_FROM = "coach-tool@localhost";
+
+// --- Message Format ---
+
+/** Normalises line endings to CRLF, as SMTP requires. */
+function _toCrlf(text) {
+    return String(text ?? '').replace(/\r\n|\r|\n/g, '\r\n');
+}
+
+/** Reduces a header value to one line so a template can't inject extra headers. */
+function _headerValue(value) {
+    return String(value ?? '').replace(/[\r\n]+/g, ' ').trim();
+}
+
+/**
+ * Builds the DATA section of an SMTP transaction: headers, a blank line and the body, with lines starting "."
+ * dot-stuffed and the terminating "." line appended.
+ * @param {object} message - { from, to, subject, body, date? }
+ * @returns {string}
+ */
+export function buildSmtpData({ from, to, subject, body, date = new Date() }) {
+    const headers = [
+        `From: ${_headerValue(from)}`,
+        `To: ${_headerValue(to)}`,
+        `Subject: ${_headerValue(subject)}`,
+        `Date: ${date.toUTCString()}`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: 8bit'
+    ];
+    const stuffedBody = _toCrlf(body).split('\r\n').map(line => (line.startsWith('.') ? `.${line}` : line)).join('\r\n');
+    return `${headers.join('\r\n')}\r\n\r\n${stuffedBody}\r\n.\r\n`;
+}
+
+// --- SMTP ---
+
+/**
+ * Reads one SMTP reply (which may span several "250-" lines) and returns { code, text }.
+ * @param {function} readChunk - Resolves to the next decoded chunk of the stream, or null when it closes.
+ * @param {{ buffer: string }} state - Carries bytes read past the end of the reply.
+ */
+async function _readReply(readChunk, state) {
+    while (true) {
+        const lines = state.buffer.split('\r\n');
+        for (let i = 0; i < lines.length - 1; i++) {
+            if (/^\d{3} /.test(lines[i]) || /^\d{3}$/.test(lines[i])) {
+                state.buffer = lines.slice(i + 1).join('\r\n');
+                return { code: parseInt(lines[i].slice(0, 3), 10), text: lines.slice(0, i + 1).join('\n') };
+            }
+        }
+        const chunk = await readChunk();
+        if (chunk === null) throw new Error("SMTP server closed the connection.");
+        state.buffer += chunk;
+    }
+}
+
+/**
+ * Sends one message over an open SMTP connection.
+ * @param {object} conn - { read(): Promise<string|null>, write(text): Promise<void> }
+ * @param {object} message - { from, to, subject, body }
+ * @param {string} heloName - Name given in EHLO.
+ */
+export async function sendOverSmtp(conn, message, heloName = 'localhost') {
+    const state = { buffer: '' };
+    const expect = async (expectedCode, step) => {
+        const reply = await _readReply(() => conn.read(), state);
+        if (reply.code !== expectedCode) throw new Error(`SMTP ${step} failed: ${reply.text}`);
+    };
+    const command = async (line, expectedCode, step) => {
+        await conn.write(`${line}\r\n`);
+        await expect(expectedCode, step);
+    };
+
+    await expect(220, 'greeting');
+    await command(`EHLO ${heloName}`, 250, 'EHLO');
+    await command(`MAIL FROM:<${_headerValue(message.from)}>`, 250, 'MAIL FROM');
+    await command(`RCPT TO:<${_headerValue(message.to)}>`, 250, 'RCPT TO');
+    await command('DATA', 354, 'DATA');
+    await conn.write(buildSmtpData(message));
+    await expect(250, 'message');
+    await conn.write('QUIT\r\n');
+}
+
+/** Wraps a Deno TCP connection in the { read, write, close } shape sendOverSmtp uses. */
+function _wrapDenoConnection(tcpConn) {
+    const decoder = new TextDecoder();
+    const encoder = new TextEncoder();
+    return {
+        async read() {
+            const buffer = new Uint8Array(4096);
+            const bytesRead = await tcpConn.read(buffer);
+            return bytesRead === null ? null : decoder.decode(buffer.subarray(0, bytesRead));
+        },
+        async write(text) {
+            const bytes = encoder.encode(text);
+            let written = 0;
+            while (written < bytes.length) written += await tcpConn.write(bytes.subarray(written));
+        },
+        close() {
+            try { tcpConn.close(); } catch (_error) { /* already closed */ }
+        }
+    };
+}
+
+// --- Transports ---
+
+/**
+ * Creates the transport named by NOTIFY_TRANSPORT (or `name`).
+ * @param {string|null} name - 'console' | 'smtp' | 'webhook'. Defaults to env NOTIFY_TRANSPORT, then 'console'.
+ * @param {function} getEnv - Reads an environment variable (Deno.env.get in the edge function).
+ * @param {object} [deps] - { connect, fetch } overrides, for runtimes other than Deno.
+ */
+export function createTransport(name, getEnv = () => undefined, deps = {}) {
+    const transportName = (name || getEnv('NOTIFY_TRANSPORT') || 'console').trim().toLowerCase();
+    const from = getEnv('NOTIFY_FROM') || DEFAULT_FROM;
+
+    if (transportName === 'console') {
+        return {
+            name: 'console',
+            async send(message) {
+                console.log(`[notification] To: ${message.to} | Subject: ${message.subject}\n${message.body}`);
+            }
+        };
+    }
+
+    if (transportName === 'smtp') {
+        const hostname = getEnv('SMTP_HOST') || 'host.docker.internal';
+        const port = parseInt(getEnv('SMTP_PORT') || '54325', 10);
+        const connect = deps.connect || (async () => _wrapDenoConnection(await globalThis.Deno.connect({ hostname, port })));
+        return {
+            name: 'smtp',
+            async send(message) {
+                const conn = await connect();
+                try {
+                    await sendOverSmtp(conn, { ...message, from }, 'coach-tool');
+                } finally {
+                    conn.close?.();
+                }
+            }
+        };
+    }
+
+    if (transportName === 'webhook') {
+        const url = getEnv('NOTIFY_WEBHOOK_URL');
+        if (!url) throw new Error("NOTIFY_WEBHOOK_URL is required for the webhook transport.");
+        const token = getEnv('NOTIFY_WEBHOOK_TOKEN');
+        const doFetch = deps.fetch || globalThis.fetch;
+        return {
+            name: 'webhook',
+            async send(message) {
+                const response = await doFetch(url, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+                    body: JSON.stringify({ from, to: message.to, subject: message.subject, body: message.body })
+                });
+                if (!response.ok) throw new Error(`Webhook responded ${response.status}.`);
+            }
+        };
+    }
+
+    throw new Error(`Unknown notification transport "${transportName}". Use one of: ${TRANSPORT_NAMES.join(', ')}.`);
+}
@@ -0,0 +1,236 @@
+// supabase/functions/_shared/schedulingRules.js
+// Scheduling rules shared by the browser app (via js/utils.js) and the get-optimal-fill-ins edge function.
+// Plain, dependency-free JavaScript so it runs unchanged in both runtimes. tests/schedulingRules.test.js pins the behaviour.
+
+// --- Availability ---
+// Availability slots are { "Monday": ["10:00", "13:20"], ... }: capitalised weekday names mapping to sorted HH:MM
+// start times (students.availability_slots). An empty object means no availability.
+
+export const AVAILABILITY_DAYS = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
+
+const WEEKDAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+/** Matches a day name case-insensitively to its canonical form ("monday" -> "Monday"). Returns null if unknown. */
+function _canonicalDay(day) {
+    if (typeof day !== 'string') return null;
+    const trimmed = day.trim().toLowerCase();
+    return AVAILABILITY_DAYS.find(d => d.toLowerCase() === trimmed) || null;
+}
+
+/** Reduces a 24-hour time ("13:20", "9:05", "13:20:00") to "HH:MM". Returns null if invalid. */
+function _toHourMinute(time) {
+    const match = typeof time === 'string' ? time.trim().match(/^(\d{1,2}):(\d{2})(?::\d{2})?$/) : null;
+    if (!match) return null;
+    const hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    if (hours > 23 || minutes > 59) return null;
+    return `${String(hours).padStart(2, '0')}:${match[2]}`;
+}
+
+/**
+ * Checks whether availability slots include a lesson start time.
+ * @param {object|null} slots - Canonical availability slots.
+ * @param {string} targetDay - The weekday name (matched case-insensitively, e.g. 'Monday').
+ * @param {string} targetTime - The 24-hour start time ('13:20' or '13:20:00').
+ * @returns {boolean} True if the slot is covered.
+ */
+export function isAvailableInSlots(slots, targetDay, targetTime) {
+    if (!slots || typeof slots !== 'object') return false;
+    const day = _canonicalDay(targetDay);
+    const time = _toHourMinute(targetTime);
+    if (!day || !time) return false;
+    return Array.isArray(slots[day]) && slots[day].some(slotTime => _toHourMinute(String(slotTime)) === time);
+}
+
+// --- Pairing Rules ---
+
+/** Reads a student's sub-group from either the database shape (sub_group) or the edge function shape (subGroup). */
+function _getSubGroup(studentDetails) {
+    return studentDetails?.sub_group || studentDetails?.subGroup || null;
+}
+
+/**
+ * Checks if adding a new student violates pairing rules (Solo=1, Paired=2, Group=3+).
+ * Also checks sub-group compatibility: once a slot has a sub-group, students from another sub-group can't join
+ * (students without a sub-group can).
+ * @param {object} newStudentDetails - Details of the student being added.
+ * @param {Array<object>} [currentOccupantDetails=[]] - Array of details for students already in the slot.
+ * @param {number} slotCapacity - The maximum capacity of the slot.
+ * @returns {object} { violation: boolean, reason: string | null }
+ */
+export function checkPairingRuleViolation(newStudentDetails, currentOccupantDetails = [], slotCapacity) {
+    // Basic validation
+    if (!newStudentDetails || typeof newStudentDetails.groupOf !== 'number') {
+        console.warn("checkPairingRuleViolation: Invalid newStudentDetails or missing groupOf.", newStudentDetails);
+        return { violation: true, reason: "Invalid new student data." };
+    }
+    if (!Array.isArray(currentOccupantDetails)) {
+        console.warn("checkPairingRuleViolation: Invalid currentOccupantDetails (not an array).", currentOccupantDetails);
+        return { violation: true, reason: "Invalid current occupants data." };
+    }
+    if (typeof slotCapacity !== 'number' || slotCapacity < 1) {
+        console.warn("checkPairingRuleViolation: Invalid slotCapacity.", slotCapacity);
+        return { violation: true, reason: "Invalid slot capacity." };
+    }
+
+    const newStudentGroup = newStudentDetails.groupOf;
+    const currentOccupants = currentOccupantDetails.length;
+    const newTotalOccupants = currentOccupants + 1;
+
+    // 1. Check Capacity
+    if (newTotalOccupants > slotCapacity) {
+        return { violation: true, reason: `Adding student exceeds slot capacity (${slotCapacity}).` };
+    }
+
+    // 2. Check Group Type Compatibility
+    const existingGroupTypes = new Set(currentOccupantDetails.map(occ => occ?.groupOf).filter(g => typeof g === 'number'));
+
+    if (newStudentGroup === 1) { // Trying to add a Solo student
+        if (currentOccupants > 0) {
+            return { violation: true, reason: "Cannot add a Solo student to an occupied slot." };
+        }
+    } else if (newStudentGroup === 2) { // Trying to add a Paired student
+        if (existingGroupTypes.has(1)) {
+            return { violation: true, reason: "Cannot add Paired student to a Solo slot." };
+        }
+        if (existingGroupTypes.size > 0 && !existingGroupTypes.has(2)) { // Existing students are Group students
+            return { violation: true, reason: "Cannot mix Paired students with Group students." };
+        }
+        if (newTotalOccupants > 2) {
+            return { violation: true, reason: "Cannot exceed 2 students in a Paired slot." };
+        }
+    } else { // Trying to add a Group student (groupOf >= 3)
+        if (existingGroupTypes.has(1)) {
+            return { violation: true, reason: "Cannot add Group student to a Solo slot." };
+        }
+        if (existingGroupTypes.has(2)) {
+            return { violation: true, reason: "Cannot add Group student to a Paired slot." };
+        }
+    }
+
+    // 3. Check Sub-Group Compatibility
+    const newSubGroup = _getSubGroup(newStudentDetails);
+    const existingSubGroups = new Set(currentOccupantDetails.map(_getSubGroup).filter(sg => sg !== null));
+    if (existingSubGroups.size > 0 && newSubGroup !== null) {
+        const establishedSubGroup = [...existingSubGroups][0];
+        if (newSubGroup !== establishedSubGroup) {
+            return { violation: true, reason: `Cannot mix sub-groups ('${newSubGroup}' vs existing '${establishedSubGroup}').` };
+        }
+    }
+
+    // Passed all checks
+    return { violation: false, reason: null };
+}
+
+// --- Daily Blocks ---
+
+/**
+ * Checks whether a daily block covers a given date.
+ * A block starts on block_date (or start_date when the row has been expanded for one date),
+ * runs until end_date (inclusive, defaults to the start date) and, if repeat_days is set,
+ * only applies on those weekdays.
+ * @param {object} block - Block object { block_date, end_date?, repeat_days?, start_date? }.
+ * @param {string} dateString - The date to check (YYYY-MM-DD).
+ * @returns {boolean} True if the block applies on that date.
+ */
+export function doesBlockApplyOnDate(block, dateString) {
+    if (!block || !dateString) return false;
+    const startDate = block.start_date || block.block_date;
+    const endDate = block.end_date || startDate;
+    if (!startDate || dateString < startDate || dateString > endDate) return false;
+    if (Array.isArray(block.repeat_days) && block.repeat_days.length > 0) {
+        const weekday = WEEKDAY_NAMES[new Date(`${dateString}T00:00:00Z`).getUTCDay()];
+        return block.repeat_days.includes(weekday);
+    }
+    return true;
+}
+
+/**
+ * Checks if a student is affected by any relevant block on a specific date.
+ * Public holidays block everyone; year level and class absences match the student's class_name;
+ * 'Coach Unavailable' matches the slot's coach. 'Other' blocks are informational only.
+ * @param {object} studentDetails - The student to check (needs class_name).
+ * @param {string} blockDate - The date (YYYY-MM-DD) to check.
+ * @param {number} coachId - The ID of the coach for the slot.
+ * @param {Array<object>} blocks - Daily blocks that may cover the date.
+ * @returns {boolean} True if the student is blocked.
+ */
+export function isStudentBlocked(studentDetails, blockDate, coachId, blocks) {
+    if (!studentDetails || !blockDate || !Array.isArray(blocks)) {
+        console.warn("isStudentBlocked: Invalid input provided.");
+        return false;
+    }
+    for (const block of blocks) {
+        if (!doesBlockApplyOnDate(block, blockDate)) continue;
+        switch (block.block_type) {
+            case 'Public Holiday': return true;
+            case 'Year Level Absence':
+                if (block.identifier && studentDetails.class_name && studentDetails.class_name.startsWith(block.identifier)) return true;
+                break;
+            case 'Class Absence':
+                if (block.identifier && studentDetails.class_name && studentDetails.class_name === block.identifier) return true;
+                break;
+            case 'Coach Unavailable':
+                if (block.identifier && parseInt(block.identifier, 10) === coachId) return true;
+                break;
+        }
+    }
+    return false;
+}
+
+// --- Enrolments ---
+// scheduled_students rows carry start_date (the first date in the slot) and end_date (the first date no longer in
+// it); a missing date is open-ended.
+
+/**
+ * Checks whether an enrolment covers a date.
+ * @param {object} enrolment - A scheduled_students row { student_id, start_date, end_date }.
+ * @param {string} date - The date to check (YYYY-MM-DD).
+ * @returns {boolean}
+ */
+export function isEnrolledOn(enrolment, date) {
+    if (!enrolment || !date) return false;
+    return (!enrolment.start_date || enrolment.start_date <= date) && (!enrolment.end_date || enrolment.end_date > date);
+}
+
+/**
+ * Lists the students enrolled in a slot on a date.
+ * @param {Array<object>} enrolments - The slot's scheduled_students rows { student_id, start_date, end_date }.
+ * @param {string} date - The lesson date (YYYY-MM-DD).
+ * @returns {Array<number>} Unique student IDs.
+ */
+export function getRosterOnDate(enrolments, date) {
+    if (!Array.isArray(enrolments)) return [];
+    return [...new Set(enrolments.filter(enrolment => isEnrolledOn(enrolment, date)).map(enrolment => enrolment.student_id))];
+}
+
+// --- Slot Occupants ---
+// Daily statuses (daily_attendance_status) mark rostered students absent (marked_absent) or add fill-ins
+// (assigned_fill_in) for one slot on one date.
+
+/**
+ * Filters daily status entries down to those for one slot on one date.
+ * @param {Array<object>} statuses - Status objects { lesson_schedule_id, status_date, ... }.
+ * @param {number} scheduleId - The lesson_schedule ID of the slot.
+ * @param {string|null} slotDate - The date (YYYY-MM-DD) of the lesson. If null, the date is not checked.
+ * @returns {Array<object>} The matching status objects.
+ */
+export function getSlotStatuses(statuses, scheduleId, slotDate = null) {
+    if (!Array.isArray(statuses)) return [];
+    return statuses.filter(s => s.lesson_schedule_id === scheduleId && (!slotDate || s.status_date === slotDate));
+}
+
+/**
+ * Lists the students in a slot on a date: its roster less those marked absent, plus fill-ins.
+ * @param {Array<number>} rosterIds - The slot's rostered student IDs.
+ * @param {Array<object>} statuses - Daily status objects covering the date.
+ * @param {number} scheduleId - The lesson_schedule ID of the slot.
+ * @param {string} slotDate - The date (YYYY-MM-DD) of the lesson.
+ * @returns {Array<number>} Unique student IDs.
+ */
+export function getSlotOccupantIds(rosterIds, statuses, scheduleId, slotDate) {
+    const slotStatuses = getSlotStatuses(statuses, scheduleId, slotDate);
+    const absentIds = new Set(slotStatuses.filter(s => s.status === 'marked_absent').map(s => s.student_id));
+    const fillInIds = slotStatuses.filter(s => s.status === 'assigned_fill_in').map(s => s.student_id);
+    return [...new Set([...(rosterIds || []).filter(id => !absentIds.has(id)), ...fillInIds])];
+}
@@ -0,0 +1,279 @@
+// supabase/functions/get-optimal-fill-ins/globalAssignment.ts
+// Global fill-in assignment: solves every open slot together instead of filling each slot greedily.
+//
+// Each slot is given a "profile" (Solo / Paired / Group plus an optional sub-group) that fixes which candidates may
+// share it. For a set of profiles the assignment is a min-cost flow:
+//   source -> student (capacity: lessons owed) -> student on a date (capacity 1, so nobody is double-booked)
+//          -> slot (weight: one lesson recovered, ties broken by lessons owed) -> sink (capacity: open seats).
+// Open seats are the capacity less the students actually in the slot on its date, and there is no student -> slot
+// edge when the student already has a lesson (their own or a fill-in) at that date and time.
+// Profiles are then improved slot by slot (local search) while the total weight goes up, within a time budget.
+
+import { checkPairingRuleViolation } from '../_shared/schedulingRules.js';
+
+// --- Types ---
+export interface AssignmentCandidate {
+    id: number | string;
+    groupOf: number;
+    subGroup: string | null;
+    lessons_owed: number;
+}
+
+export interface AssignmentSlot<T extends AssignmentCandidate> {
+    slot_date: string; // YYYY-MM-DD
+    start_time: string; // HH:MM
+    capacity: number;
+    occupants: T[]; // Students in the slot on its date: the roster less absentees, plus fill-ins (they fix its profile)
+    candidates: T[]; // Students who could attend (availability, blocks etc. already checked)
+}
+
+// Student ID -> the date and times they already have a lesson at (see toBusyKey)
+export type BusyTimes = Map<string, Set<string>>;
+
+interface SlotProfile<T extends AssignmentCandidate> {
+    slot_date: string;
+    seats: number;
+    candidates: T[];
+}
+
+interface FlowEdge {
+    to: number;
+    capacity: number;
+    cost: number;
+    reverse: number; // Index of the reverse edge in graph[to]
+}
+
+const MAX_LOCAL_SEARCH_PASSES = 3;
+const LOCAL_SEARCH_BUDGET_MS = 1000; // Edge functions have a small CPU allowance, so stop improving after this
+
+// --- Helper Functions ---
+
+/** Maps groupOf to its pairing class. */
+function _groupClass(groupOf: number): 'solo' | 'paired' | 'group' {
+    if (groupOf === 1) return 'solo';
+    if (groupOf === 2) return 'paired';
+    return 'group';
+}
+
+/**
+ * Lists the profiles a slot can take. Occupied slots keep their occupants' class (and sub-group if they have one);
+ * empty slots can become any class. Candidates with a lesson at the slot's date and time are left out. Only
+ * profiles with open seats and at least one candidate are returned.
+ */
+function _getSlotProfiles<T extends AssignmentCandidate>(slot: AssignmentSlot<T>, busyTimes: BusyTimes): SlotProfile<T>[] {
+    const openSeats = slot.capacity - slot.occupants.length;
+    if (openSeats <= 0) return [];
+    const slotKey = toBusyKey(slot.slot_date, slot.start_time);
+
+    const classes = slot.occupants.length > 0
+        ? [_groupClass(slot.occupants[0].groupOf)]
+        : ['solo', 'paired', 'group'];
+    const establishedSubGroup = slot.occupants.find(occ => occ.subGroup)?.subGroup || null;
+    const subGroups: (string | null)[] = establishedSubGroup !== null
+        ? [establishedSubGroup]
+        : [null, ...new Set(slot.candidates.map(cand => cand.subGroup).filter((sg): sg is string => !!sg))];
+
+    // Free candidates that the pairing rules allow next to the current occupants
+    const compatible = slot.candidates.filter(cand =>
+        !busyTimes.get(String(cand.id))?.has(slotKey)
+        && !checkPairingRuleViolation(cand, slot.occupants, slot.capacity).violation
+    );
+
+    const profiles: SlotProfile<T>[] = [];
+    for (const groupClass of classes) {
+        const classLimit = groupClass === 'solo' ? 1 : groupClass === 'paired' ? 2 : slot.capacity;
+        const seats = Math.min(openSeats, classLimit - slot.occupants.length);
+        if (seats <= 0) continue;
+        // A sub-group profile admits that sub-group and students without one, so it covers the no-sub-group profile
+        const classProfiles: SlotProfile<T>[] = [];
+        for (const subGroup of subGroups) {
+            if (subGroup === null) continue;
+            const candidates = compatible.filter(cand =>
+                _groupClass(cand.groupOf) === groupClass && (!cand.subGroup || cand.subGroup === subGroup)
+            );
+            if (candidates.some(cand => cand.subGroup === subGroup)) classProfiles.push({ slot_date: slot.slot_date, seats, candidates });
+        }
+        if (classProfiles.length === 0) {
+            const candidates = compatible.filter(cand => _groupClass(cand.groupOf) === groupClass && !cand.subGroup);
+            if (candidates.length > 0) classProfiles.push({ slot_date: slot.slot_date, seats, candidates });
+        }
+        profiles.push(...classProfiles);
+    }
+    return profiles;
+}
+
+/** Adds an edge and its residual reverse edge. */
+function _addEdge(graph: FlowEdge[][], from: number, to: number, capacity: number, cost: number) {
+    graph[from].push({ to, capacity, cost, reverse: graph[to].length });
+    graph[to].push({ to: from, capacity: 0, cost: -cost, reverse: graph[from].length - 1 });
+}
+
+/**
+ * Min-cost flow by successive shortest paths (SPFA, as costs are negative).
+ * Stops when no augmenting path lowers the cost, i.e. this maximises total weight rather than total flow.
+ * @returns The total cost of the flow.
+ */
+function _runMinCostFlow(graph: FlowEdge[][], source: number, sink: number): number {
+    let totalCost = 0;
+    const nodeCount = graph.length;
+    while (true) {
+        const dist = new Array(nodeCount).fill(Infinity);
+        const inQueue = new Array(nodeCount).fill(false);
+        const prevNode = new Array(nodeCount).fill(-1);
+        const prevEdge = new Array(nodeCount).fill(-1);
+        dist[source] = 0;
+        const queue = [source];
+        inQueue[source] = true;
+        for (let head = 0; head < queue.length; head++) {
+            const node = queue[head];
+            inQueue[node] = false;
+            graph[node].forEach((edge, index) => {
+                if (edge.capacity > 0 && dist[node] + edge.cost < dist[edge.to]) {
+                    dist[edge.to] = dist[node] + edge.cost;
+                    prevNode[edge.to] = node;
+                    prevEdge[edge.to] = index;
+                    if (!inQueue[edge.to]) { queue.push(edge.to); inQueue[edge.to] = true; }
+                }
+            });
+        }
+        if (dist[sink] === Infinity || dist[sink] >= 0) break;
+
+        let bottleneck = Infinity;
+        for (let node = sink; node !== source; node = prevNode[node]) {
+            bottleneck = Math.min(bottleneck, graph[prevNode[node]][prevEdge[node]].capacity);
+        }
+        for (let node = sink; node !== source; node = prevNode[node]) {
+            const edge = graph[prevNode[node]][prevEdge[node]];
+            edge.capacity -= bottleneck;
+            graph[node][edge.reverse].capacity += bottleneck;
+        }
+        totalCost += bottleneck * dist[sink];
+    }
+    return totalCost;
+}
+
+/** Solves the assignment for one choice of profile per slot. Returns the total weight and the students per slot. */
+function _solveForProfiles<T extends AssignmentCandidate>(profiles: (SlotProfile<T> | null)[], weightOf: (cand: T) => number) {
+    const SOURCE = 0, SINK = 1;
+    const graph: FlowEdge[][] = [[], []];
+    const newNode = () => { graph.push([]); return graph.length - 1; };
+
+    const studentNodes = new Map<string, number>();
+    const studentDateNodes = new Map<string, number>();
+    const slotNodes: (number | null)[] = [];
+    const assignmentEdges: { slotIndex: number; candidate: T; from: number; edgeIndex: number }[] = [];
+
+    profiles.forEach(profile => {
+        if (!profile) { slotNodes.push(null); return; }
+        const slotNode = newNode();
+        slotNodes.push(slotNode);
+        _addEdge(graph, slotNode, SINK, profile.seats, 0);
+    });
+
+    profiles.forEach((profile, slotIndex) => {
+        if (!profile) return;
+        const slotNode = slotNodes[slotIndex] as number;
+        for (const candidate of profile.candidates) {
+            const studentKey = String(candidate.id);
+            if (!studentNodes.has(studentKey)) {
+                const node = newNode();
+                studentNodes.set(studentKey, node);
+                _addEdge(graph, SOURCE, node, Math.max(0, candidate.lessons_owed), 0);
+            }
+            const dateKey = `${studentKey}|${profile.slot_date}`;
+            if (!studentDateNodes.has(dateKey)) {
+                const node = newNode();
+                studentDateNodes.set(dateKey, node);
+                _addEdge(graph, studentNodes.get(studentKey) as number, node, 1, 0);
+            }
+            const from = studentDateNodes.get(dateKey) as number;
+            assignmentEdges.push({ slotIndex, candidate, from, edgeIndex: graph[from].length });
+            _addEdge(graph, from, slotNode, 1, -weightOf(candidate));
+        }
+    });
+
+    const weight = -_runMinCostFlow(graph, SOURCE, SINK);
+    const assigned: T[][] = profiles.map(() => []);
+    for (const { slotIndex, candidate, from, edgeIndex } of assignmentEdges) {
+        if (graph[from][edgeIndex].capacity === 0) assigned[slotIndex].push(candidate);
+    }
+    return { weight, assigned };
+}
+
+// --- Exported Functions ---
+
+/** Key for a lesson at a date (YYYY-MM-DD) and start time (HH:MM or HH:MM:SS) in BusyTimes. */
+export function toBusyKey(date: string, time: string): string {
+    return `${date} ${String(time).substring(0, 5)}`;
+}
+
+/**
+ * Assigns fill-in students to all open slots at once.
+ * Guarantees: a student is used at most once per date, never at a time they already have a lesson and never more
+ * often than they have lessons owed, and every slot's group satisfies checkPairingRuleViolation. Maximises the number
+ * of lessons recovered, preferring students who owe more when there is a choice.
+ * @param slots The open slots with their occupants and base-eligible candidates.
+ * @param busyTimes Each student's existing lessons by date and time.
+ * @returns The students assigned to each slot (same order as slots), highest owed first.
+ */
+export function assignFillInsGlobally<T extends AssignmentCandidate>(slots: AssignmentSlot<T>[], busyTimes: BusyTimes = new Map()): T[][] {
+    const slotProfiles = slots.map(slot => _getSlotProfiles(slot, busyTimes));
+
+    // One extra lesson recovered must outweigh any reshuffle by lessons owed, so the owed tie-break is scaled below it
+    const totalSeats = slotProfiles.reduce((sum, profiles) => sum + Math.max(0, ...profiles.map(p => p.seats)), 0);
+    const maxOwed = Math.max(0, ...slots.flatMap(slot => slot.candidates.map(cand => cand.lessons_owed)));
+    const lessonWeight = totalSeats * maxOwed + 1;
+    const weightOf = (cand: T) => lessonWeight + Math.max(0, cand.lessons_owed);
+
+    // Start each slot on the profile with the most owed lessons among its best candidates
+    const choice = slotProfiles.map(profiles => {
+        let bestIndex = profiles.length > 0 ? 0 : -1;
+        let bestScore = -Infinity;
+        profiles.forEach((profile, index) => {
+            const score = profile.candidates.map(weightOf).sort((a, b) => b - a).slice(0, profile.seats).reduce((a, b) => a + b, 0);
+            if (score > bestScore) { bestScore = score; bestIndex = index; }
+        });
+        return bestIndex;
+    });
+    const profilesFor = (picks: number[]) => picks.map((pick, slotIndex) => pick >= 0 ? slotProfiles[slotIndex][pick] : null);
+
+    let best = _solveForProfiles(profilesFor(choice), weightOf);
+    let solves = 1;
+    const deadline = Date.now() + LOCAL_SEARCH_BUDGET_MS;
+
+    // Local search: try each slot's other profiles while everything else stays fixed
+    for (let pass = 0; pass < MAX_LOCAL_SEARCH_PASSES && Date.now() < deadline; pass++) {
+        let improved = false;
+        for (let slotIndex = 0; slotIndex < slots.length && Date.now() < deadline; slotIndex++) {
+            for (let alt = 0; alt < slotProfiles[slotIndex].length && Date.now() < deadline; alt++) {
+                if (alt === choice[slotIndex]) continue;
+                const trialChoice = [...choice];
+                trialChoice[slotIndex] = alt;
+                const trial = _solveForProfiles(profilesFor(trialChoice), weightOf);
+                solves++;
+                if (trial.weight > best.weight) {
+                    best = trial;
+                    choice[slotIndex] = alt;
+                    improved = true;
+                }
+            }
+        }
+        if (!improved) break;
+    }
+    console.log(`Global assignment: ${solves} solve(s), ${best.assigned.flat().length} student(s) assigned.`);
+
+    // Final check against the shared pairing rules, adding the highest owed first
+    return best.assigned.map((group, slotIndex) => {
+        const slot = slots[slotIndex];
+        const accepted: T[] = [];
+        [...group].sort((a, b) => b.lessons_owed - a.lessons_owed).forEach(candidate => {
+            const check = checkPairingRuleViolation(candidate, [...slot.occupants, ...accepted], slot.capacity);
+            if (check.violation) {
+                console.warn(`Global assignment: Dropping student ${candidate.id} from a slot on ${slot.slot_date}: ${check.reason}`);
+                return;
+            }
+            accepted.push(candidate);
+        });
+        return accepted;
+    });
+}
@@ -1,10 +1,12 @@
 // supabase/functions/get-optimal-fill-ins/index.ts
-// v2: Added check against daily_blocks table
+// v8: each slot's roster, open seats and busy students are worked out from the enrolments on its own date
 
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
 import { createClient, SupabaseClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { checkPairingRuleViolation, isAvailableInSlots, isStudentBlocked, getRosterOnDate, getSlotOccupantIds } from '../_shared/schedulingRules.js';
+import { assignFillInsGlobally, toBusyKey, type BusyTimes } from './globalAssignment.ts';
 
-console.log("Function 'get-optimal-fill-ins' v2 starting up...");
+console.log("Function 'get-optimal-fill-ins' v8 starting up...");
 
 // --- CORS Headers ---
 const corsHeaders = {
@@ -13,13 +15,16 @@ const corsHeaders = {
 };
 
 // --- Types ---
+// Canonical availability: { "Monday": ["10:00", "13:20"], ... } (see _shared/schedulingRules.js)
+type AvailabilitySlots = { [day: string]: string[] };
+
 interface StudentDetails {
     id: number | string;
     name: string;
     groupOf: number;
     subGroup: string | null;
     lessons_owed: number;
-    availability_string?: string;
+    availability_slots: AvailabilitySlots;
     class_name?: string; // Added for block checking
 }
 
@@ -33,12 +38,15 @@ interface SlotInfo {
     coach_id: number;
     coach_name: string;
     original_student_ids: number[];
+    occupant_ids?: number[]; // The roster less absentees, plus fill-ins, on slot_date (worked out here)
     current_occupants: number;
     slot_date: string; // Expecting date from the get_slots_needing_fillins RPC now
 }
 
 interface DailyBlock {
-    block_date: string; // YYYY-MM-DD
+    block_date: string; // YYYY-MM-DD (first day of the block)
+    end_date: string | null; // YYYY-MM-DD, inclusive. Null for single-day blocks
+    repeat_days: string[] | null; // Weekday names the block is limited to. Null for every day
     block_type: string;
     identifier: string | null;
     // reason?: string; // Not needed for filtering logic
@@ -56,24 +64,8 @@ interface ResultSlot extends SlotInfo {
     recommended_group: RecommendedGroupMember[];
 }
 
-// --- Helper Functions (Keep existing: checkPairingRuleViolation, getStudentDetails, isStudentAvailable) ---
-
-function checkPairingRuleViolation(candidateDetails: StudentDetails, currentOccupantsDetails: StudentDetails[], capacity: number): { violation: boolean; reason: string } {
-    if (!candidateDetails || typeof candidateDetails.groupOf !== 'number') return { violation: true, reason: "Invalid candidate data." };
-    if (!Array.isArray(currentOccupantsDetails)) return { violation: true, reason: "Invalid current occupants data." };
-    if (typeof capacity !== 'number' || capacity < 1) return { violation: true, reason: "Invalid slot capacity." };
-    const potentialOccupantsDetails = [...currentOccupantsDetails, candidateDetails];
-    const potentialOccupantCount = potentialOccupantsDetails.length;
-    if (potentialOccupantCount > capacity) return { violation: true, reason: `Slot capacity (${capacity}) would be exceeded` };
-    let potentialSoloCount = 0, potentialPairedCount = 0;
-    potentialOccupantsDetails.forEach(details => {
-        const groupSize = (details && typeof details.groupOf === 'number') ? details.groupOf : 1;
-        if (groupSize === 1) potentialSoloCount++; else if (groupSize === 2) potentialPairedCount++;
-    });
-    if (potentialSoloCount > 0 && potentialOccupantCount > 1) return { violation: true, reason: 'Solo lessons cannot have other students' };
-    if (potentialSoloCount === 0 && potentialPairedCount > 0 && potentialOccupantCount > 2) return { violation: true, reason: 'Paired lessons cannot exceed 2 students' };
-    return { violation: false, reason: '' };
-}
+// --- Helper Functions ---
+// checkPairingRuleViolation, isAvailableInSlots and isStudentBlocked come from _shared/schedulingRules.js.
 
 function getStudentDetails(studentId: number | string, allStudentsData: any[]): StudentDetails | null {
     if (!allStudentsData || !Array.isArray(allStudentsData)) return null;
@@ -85,91 +77,32 @@ function getStudentDetails(studentId: number | string, allStudentsData: any[]):
         groupOf: typeof student.groupOf === 'number' ? student.groupOf : 1,
         subGroup: student.sub_group || null,
         lessons_owed: typeof student['lessons owed'] === 'number' ? student['lessons owed'] : 0, // Access quoted name
-        availability_string: student.availability_string,
+        availability_slots: (student.availability_slots && typeof student.availability_slots === 'object') ? student.availability_slots : {},
         class_name: student.class_name // Include class_name
     };
 }
 
-function isStudentAvailable(availabilityString: string | undefined | null, targetDay: string, targetTime: string): boolean {
-    if (!availabilityString || typeof availabilityString !== 'string' || !targetDay || !targetTime || targetTime.length < 5) return false;
-    const targetTimeHHMM = targetTime.substring(0, 5);
-    const timeRegex = /^\d{2}:\d{2}$/;
-    if (!timeRegex.test(targetTimeHHMM)) return false;
-    try {
-        const availability: { [key: string]: string[] } = {};
-        let currentDay: string | null = null;
-        const entries = availabilityString.split(';');
-        const validDays = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
-        entries.forEach(entry => {
-            entry = entry.trim(); if (!entry) return;
-            const foundDay = validDays.find(day => entry.startsWith(day + ':'));
-            if (foundDay) {
-                currentDay = foundDay;
-                const timePart = entry.substring(foundDay.length + 1).trim().substring(0, 5);
-                if (timeRegex.test(timePart)) {
-                    if (!availability[currentDay]) availability[currentDay] = [];
-                    if (!availability[currentDay].includes(timePart)) availability[currentDay].push(timePart);
-                }
-            } else if (currentDay) {
-                 const timePart = entry.substring(0, 5);
-                 if (timeRegex.test(timePart)) {
-                    if (!availability[currentDay]) availability[currentDay] = [];
-                    if (!availability[currentDay].includes(timePart)) availability[currentDay].push(timePart);
-                 }
-            }
+/**
+ * Lists the owed students who could fill a slot: available at its time, not already in it and not blocked on its date.
+ * Pairing rules are left to the caller.
+ */
+function getBaseCandidatesForSlot(slot: SlotInfo, potentialCandidates: any[], allStudentsData: any[], allBlocks: DailyBlock[]): Candidate[] {
+    return potentialCandidates
+        .map(cand => getStudentDetails(cand.id, allStudentsData))
+        .filter((candDetails): candDetails is Candidate => {
+            if (!candDetails) return false;
+            if (slot.original_student_ids?.includes(candDetails.id as number)) return false;
+            if (!isAvailableInSlots(candDetails.availability_slots, slot.day_of_week, slot.start_time)) return false;
+            return !isStudentBlocked(candDetails, slot.slot_date, slot.coach_id, allBlocks);
         });
-        return availability[targetDay] && availability[targetDay].includes(targetTimeHHMM);
-    } catch (e) {
-        console.error(`Error parsing availability string "${availabilityString}":`, e);
-        return false;
-    }
 }
 
-/**
- * Checks if a student is affected by any relevant block on a specific date.
- * @param studentDetails The details of the student to check.
- * @param blockDate The date (YYYY-MM-DD) to check for blocks.
- * @param coachId The ID of the coach for the slot (for 'Coach Unavailable' blocks).
- * @param blocks An array of DailyBlock objects for relevant dates.
- * @returns boolean True if the student is blocked, false otherwise.
- */
-function isStudentBlocked(studentDetails: StudentDetails, blockDate: string, coachId: number, blocks: DailyBlock[]): boolean {
-    if (!studentDetails || !blockDate || !Array.isArray(blocks)) return false;
-
-    for (const block of blocks) {
-        // Check if block applies to the specific date
-        if (block.block_date !== blockDate) continue;
-
-        // Check block type
-        switch (block.block_type) {
-            case 'Public Holiday':
-                // Affects everyone
-                return true;
-            case 'Year Level Absence':
-                // Check if identifier exists and matches start of student's class_name
-                if (block.identifier && studentDetails.class_name && studentDetails.class_name.startsWith(block.identifier)) {
-                    return true;
-                }
-                break;
-            case 'Class Absence':
-                // Check if identifier exists and exactly matches student's class_name
-                if (block.identifier && studentDetails.class_name && studentDetails.class_name === block.identifier) {
-                    return true;
-                }
-                break;
-            case 'Coach Unavailable':
-                // Check if identifier exists and matches the coach ID for the slot
-                if (block.identifier && parseInt(block.identifier) === coachId) {
-                    return true;
-                }
-                break;
-            case 'Other':
-                // 'Other' blocks don't automatically block students in this logic
-                break;
-        }
-    }
-    // No relevant block found
-    return false;
+/** Converts assigned students to the response shape. */
+function toRecommendedGroup(students: StudentDetails[]): RecommendedGroupMember[] {
+    return students.map(student => ({
+        student_id: student.id, name: student.name, lessons_owed: student.lessons_owed,
+        groupOf: student.groupOf, subGroup: student.subGroup
+    }));
 }
 
 
@@ -192,23 +125,25 @@ serve(async (req: Request) => {
         let coachIdFilter: number | null = null;
         let dayFilter: string | null = null;
         let includePartial = false; // Default for admin suggestions
+        let mode: 'greedy' | 'global' = 'greedy';
         try {
             if (req.body) {
                 const body = await req.json();
                 coachIdFilter = body.coachIdFilter ? parseInt(body.coachIdFilter) : null;
                 dayFilter = body.dayFilter || null;
                 includePartial = body.includePartial === true; // Explicitly check for true
+                mode = body.mode === 'global' ? 'global' : 'greedy';
             }
         } catch (e) {
             console.warn("Could not parse request body, using defaults. Error:", e.message);
         }
-        console.log("Received request parameters:", { coachIdFilter, dayFilter, includePartial });
+        console.log("Received request parameters:", { coachIdFilter, dayFilter, includePartial, mode });
 
         // --- 3. Fetch All Student Data ---
         // Added class_name for block checking
         const { data: allStudentsData, error: studentsError } = await supabaseClient
             .from('students')
-            .select('id, Name, groupOf, sub_group, "lessons owed", availability_string, class_name');
+            .select('id, Name, groupOf, sub_group, "lessons owed", availability_slots, class_name');
 
         if (studentsError || !allStudentsData) throw new Error(`Failed to fetch student data: ${studentsError?.message}`);
         console.log(`Fetched ${allStudentsData.length} student records.`);
@@ -232,34 +167,138 @@ serve(async (req: Request) => {
         }
         console.log(`Found ${slotsNeedingFillins.length} slots needing fill-ins.`);
 
+        // --- 4a. Rosters And Occupants On Each Slot's Date ---
+        // The RPC lists today's roster; students join and leave slots on set dates (scheduled_students start_date
+        // and end_date), so each slot's roster is worked out for its own date. A slot nobody was enrolled in on
+        // its date has no lesson to fill. Open seats are counted from the students actually there (roster less
+        // absentees, plus fill-ins), and every lesson on those dates marks its students busy at that time.
+        const slotDates = [...new Set((slotsNeedingFillins as SlotInfo[]).map(slot => slot.slot_date))];
+        const [
+            { data: scheduleData, error: scheduleError },
+            { data: enrolmentData, error: enrolmentError },
+            { data: statusData, error: statusError }
+        ] = await Promise.all([
+            supabaseClient.from('lesson_schedule').select('id, day_of_week, start_time'),
+            supabaseClient.from('scheduled_students').select('lesson_schedule_id, student_id, start_date, end_date'),
+            supabaseClient.from('daily_attendance_status') // Live statuses, like the blocks below
+                .select('student_id, lesson_schedule_id, status_date, status')
+                .in('status_date', slotDates)
+        ]);
+
+        if (scheduleError) throw new Error(`Failed to fetch schedule: ${scheduleError.message}`);
+        if (enrolmentError) throw new Error(`Failed to fetch enrolments: ${enrolmentError.message}`);
+        if (statusError) throw new Error(`Failed to fetch daily statuses: ${statusError.message}`);
+        const enrolmentsBySlot = new Map<number, any[]>();
+        (enrolmentData || []).forEach(enrolment => {
+            if (!enrolmentsBySlot.has(enrolment.lesson_schedule_id)) enrolmentsBySlot.set(enrolment.lesson_schedule_id, []);
+            enrolmentsBySlot.get(enrolment.lesson_schedule_id)!.push(enrolment);
+        });
+        const occupantsOn = (scheduleId: number, date: string) =>
+            getSlotOccupantIds(getRosterOnDate(enrolmentsBySlot.get(scheduleId), date), statusData || [], scheduleId, date);
+
+        const busyTimes: BusyTimes = new Map();
+        for (const date of slotDates) {
+            const day = (slotsNeedingFillins as SlotInfo[]).find(slot => slot.slot_date === date)?.day_of_week;
+            for (const lesson of (scheduleData || []).filter(lesson => lesson.day_of_week === day)) {
+                for (const studentId of occupantsOn(lesson.id, date)) {
+                    if (!busyTimes.has(String(studentId))) busyTimes.set(String(studentId), new Set());
+                    busyTimes.get(String(studentId))!.add(toBusyKey(date, lesson.start_time));
+                }
+            }
+        }
+        const isBusy = (candidate: Candidate, slot: SlotInfo) =>
+            busyTimes.get(String(candidate.id))?.has(toBusyKey(slot.slot_date, slot.start_time)) ?? false;
+
+        const slotsOnDate: SlotInfo[] = (slotsNeedingFillins as SlotInfo[])
+            .map(slot => {
+                const occupant_ids = occupantsOn(slot.schedule_id, slot.slot_date);
+                return {
+                    ...slot,
+                    original_student_ids: getRosterOnDate(enrolmentsBySlot.get(slot.schedule_id), slot.slot_date),
+                    occupant_ids,
+                    current_occupants: occupant_ids.length
+                };
+            })
+            .filter(slot => slot.original_student_ids.length > 0);
+        console.log(`${slotsOnDate.length} of ${slotsNeedingFillins.length} slots have students enrolled on their date.`);
+
         // --- 4b. Fetch Relevant Daily Blocks ---
         // Determine the date range needed based on the slots returned
-        const datesToCheck = [...new Set(slotsNeedingFillins.map((slot: SlotInfo) => slot.slot_date))];
+        const datesToCheck = [...new Set(slotsOnDate.map(slot => slot.slot_date))].sort();
         let allBlocks: DailyBlock[] = [];
         if (datesToCheck.length > 0) {
+            const firstDate = datesToCheck[0];
+            const lastDate = datesToCheck[datesToCheck.length - 1];
+            // Any block that starts before the last date and hasn't ended before the first date may apply
             const { data: blockData, error: blockError } = await supabaseClient
                 .from('daily_blocks') // Use the live table
-                .select('block_date, block_type, identifier')
-                .in('block_date', datesToCheck);
+                .select('block_date, end_date, repeat_days, block_type, identifier')
+                .lte('block_date', lastDate)
+                .or(`block_date.gte.${firstDate},end_date.gte.${firstDate}`);
 
             if (blockError) throw new Error(`Failed to fetch daily blocks: ${blockError.message}`);
             allBlocks = blockData || [];
             console.log(`Fetched ${allBlocks.length} relevant daily blocks for dates: ${datesToCheck.join(', ')}`);
         }
 
+        // --- 4c. Apply Substitute Coaches ---
+        // A slot handed to a substitute for its date is taught by them: Coach Unavailable blocks are checked
+        // against the substitute, and fill-ins applied from the results record the substitute's coach_id.
+        if (datesToCheck.length > 0) {
+            const { data: substitutionData, error: substitutionError } = await supabaseClient
+                .from('slot_substitutions')
+                .select('lesson_schedule_id, lesson_date, substitute_coach_id, coaches ( Name )')
+                .eq('is_test', false) // Live substitutions, like the blocks above
+                .in('lesson_date', datesToCheck);
+
+            if (substitutionError) throw new Error(`Failed to fetch substitutions: ${substitutionError.message}`);
+            for (const slot of slotsOnDate) {
+                const substitution = (substitutionData || []).find(sub =>
+                    sub.lesson_schedule_id === slot.schedule_id && sub.lesson_date === slot.slot_date);
+                if (!substitution) continue;
+                slot.coach_id = substitution.substitute_coach_id;
+                slot.coach_name = (substitution.coaches as { Name?: string } | null)?.Name ?? slot.coach_name;
+            }
+            console.log(`Applied ${substitutionData?.length ?? 0} substitutions.`);
+        }
+
         // --- 5. Prepare Potential Candidates ---
         const potentialCandidates = allStudentsData.filter(student =>
             (student["lessons owed"] ?? 0) > 0
         );
         console.log(`Prepared ${potentialCandidates.length} potential candidates (owed > 0).`);
 
-        // --- 6. Core Logic: Find Optimal Group for Each Slot ---
+        // --- 6a. Global Mode: Assign All Slots Together ---
+        if (mode === 'global') {
+            const openSlots = slotsOnDate.filter(slot => slot.capacity - slot.current_occupants > 0);
+            const assignments = assignFillInsGlobally(openSlots.map(slot => ({
+                slot_date: slot.slot_date,
+                start_time: slot.start_time,
+                capacity: slot.capacity,
+                occupants: (slot.occupant_ids || [])
+                    .map((id: number | string) => getStudentDetails(id, allStudentsData))
+                    .filter((details): details is StudentDetails => details !== null),
+                candidates: getBaseCandidatesForSlot(slot, potentialCandidates, allStudentsData, allBlocks)
+            })), busyTimes);
+            const globalResults: ResultSlot[] = openSlots.map((slot, index) => ({
+                ...slot,
+                start_time: slot.start_time.substring(0, 5),
+                recommended_group: toRecommendedGroup(assignments[index]),
+            }));
+            console.log(`Global assignment finished. Returning ${globalResults.length} slots.`);
+            return new Response(JSON.stringify(globalResults), {
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+                status: 200,
+            });
+        }
+
+        // --- 6b. Greedy Mode: Find Optimal Group for Each Slot ---
         const results: ResultSlot[] = [];
-        for (const slot of slotsNeedingFillins as SlotInfo[]) {
+        for (const slot of slotsOnDate) {
             const neededCount = slot.capacity - slot.current_occupants;
             if (neededCount <= 0) continue;
 
-            const existingStudentsDetails: StudentDetails[] = (slot.original_student_ids || [])
+            const existingStudentsDetails: StudentDetails[] = (slot.occupant_ids || [])
                 .map((id: number | string) => getStudentDetails(id, allStudentsData))
                 .filter((details): details is StudentDetails => details !== null);
 
@@ -269,23 +308,9 @@ serve(async (req: Request) => {
             }
 
             // Filter potential candidates for *this specific slot*
-            const candidatesForSlot: Candidate[] = potentialCandidates
-                .map(cand => getStudentDetails(cand.id, allStudentsData))
-                .filter((candDetails): candDetails is Candidate => {
-                    if (!candDetails) return false;
-                    if (slot.original_student_ids?.includes(candDetails.id)) return false;
-                    if (!isStudentAvailable(candDetails.availability_string, slot.day_of_week, slot.start_time)) return false;
-                    if (targetSubGroup !== null && candDetails.subGroup !== targetSubGroup) return false;
-
-                    // ***** NEW: Check against daily blocks *****
-                    if (isStudentBlocked(candDetails, slot.slot_date, slot.coach_id, allBlocks)) {
-                        // console.log(`Excluding candidate ${candDetails.name} for slot ${slot.schedule_id} due to block on ${slot.slot_date}`);
-                        return false;
-                    }
-                    // ***** END NEW CHECK *****
-
-                    return true;
-                });
+            const candidatesForSlot: Candidate[] = getBaseCandidatesForSlot(slot, potentialCandidates, allStudentsData, allBlocks)
+                .filter(candDetails => !isBusy(candDetails, slot))
+                .filter(candDetails => targetSubGroup === null || candDetails.subGroup === targetSubGroup);
 
             candidatesForSlot.sort((a, b) => (b.lessons_owed ?? -Infinity) - (a.lessons_owed ?? -Infinity));
 
@@ -300,10 +325,7 @@ serve(async (req: Request) => {
 
                  const violationCheck = checkPairingRuleViolation(candidate, currentTestOccupants, slot.capacity);
                  if (!violationCheck.violation) {
-                     recommended_group.push({
-                         student_id: candidate.id, name: candidate.name, lessons_owed: candidate.lessons_owed,
-                         groupOf: candidate.groupOf, subGroup: candidate.subGroup
-                     });
+                     recommended_group.push(...toRecommendedGroup([candidate]));
                      currentTestOccupants.push(candidate);
                      if (recommended_group.length === 1 && currentCompulsorySubGroup === null && candidate.subGroup !== null) {
                          currentCompulsorySubGroup = candidate.subGroup;
@@ -0,0 +1,116 @@
+// supabase/functions/send-notifications/index.ts
+// Delivers queued guardian notifications (notification_queue) through the configured transport
+// (_shared/notificationTransports.js). Called from the admin notifications panel, or on a schedule with the service key.
+// Test-mode messages are marked sent through the console transport only: the guardian details are real.
+
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
+import { createClient, SupabaseClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { corsHeaders } from '../_shared/cors.ts';
+import { createTransport } from '../_shared/notificationTransports.js';
+
+console.log("Function 'send-notifications' starting up...");
+
+// A message is marked failed after this many unsuccessful attempts; until then it stays queued and is retried
+const MAX_ATTEMPTS = 3;
+const DEFAULT_BATCH_SIZE = 50;
+
+interface QueuedNotification {
+    id: number;
+    is_test: boolean;
+    recipient: string;
+    subject: string;
+    body: string;
+    attempts: number;
+    claimed_at: string;
+}
+
+function jsonResponse(body: unknown, status = 200): Response {
+    return new Response(JSON.stringify(body), {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        status,
+    });
+}
+
+/** Allows the service role key (scheduled runs) or a signed-in admin or office user. */
+async function isAuthorised(req: Request, supabaseClient: SupabaseClient, serviceKey: string): Promise<boolean> {
+    const token = (req.headers.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+    if (!token) return false;
+    if (token === serviceKey) return true;
+    const { data, error } = await supabaseClient.auth.getUser(token);
+    if (error || !data?.user) return false;
+    return ['admin', 'office'].includes(data.user.app_metadata?.role);
+}
+
+serve(async (req: Request) => {
+    if (req.method === 'OPTIONS') {
+        return new Response('ok', { headers: corsHeaders });
+    }
+
+    try {
+        // --- 1. Initialize Supabase Client ---
+        const supabaseUrl = Deno.env.get('SUPABASE_URL');
+        const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY');
+        if (!supabaseUrl || !supabaseServiceKey) throw new Error("Missing Supabase environment variables.");
+        const supabaseClient: SupabaseClient = createClient(supabaseUrl, supabaseServiceKey, {
+             auth: { autoRefreshToken: false, persistSession: false }
+        });
+
+        if (!(await isAuthorised(req, supabaseClient, supabaseServiceKey))) {
+            return jsonResponse({ error: "Only admins and the office can send notifications." }, 403);
+        }
+
+        // --- 2. Parse Request Body ---
+        let batchSize = DEFAULT_BATCH_SIZE;
+        try {
+            if (req.body) {
+                const body = await req.json();
+                const requested = parseInt(body.limit);
+                if (requested > 0) batchSize = Math.min(requested, 500);
+            }
+        } catch (e) {
+            console.warn("Could not parse request body, using defaults. Error:", e.message);
+        }
+
+        // --- 3. Transports ---
+        const liveTransport = createTransport(null, (key: string) => Deno.env.get(key));
+        const testTransport = createTransport('console');
+
+        // --- 4. Claim Queued Messages ---
+        // Claimed messages are marked 'sending', so an overlapping run (scheduled and manual) skips them
+        const { data: queued, error: queueError } = await supabaseClient
+            .rpc('claim_queued_notifications', { p_limit: batchSize });
+        if (queueError) throw new Error(`Failed to claim queued messages: ${queueError.message}`);
+        console.log(`Sending ${queued?.length || 0} queued notification(s) via '${liveTransport.name}'.`);
+
+        // --- 5. Deliver One At A Time ---
+        const summary = { transport: liveTransport.name, sent: 0, retrying: 0, failed: 0 };
+        for (const message of (queued || []) as QueuedNotification[]) {
+            const transport = message.is_test ? testTransport : liveTransport;
+            const attempts = message.attempts + 1;
+            let update: Record<string, unknown>;
+            try {
+                await transport.send({ to: message.recipient, subject: message.subject, body: message.body });
+                update = { status: 'sent', attempts, sent_at: new Date().toISOString(), last_error: null };
+                summary.sent++;
+            } catch (error) {
+                const errorMessage = error instanceof Error ? error.message : String(error);
+                console.error(`Notification ${message.id} failed (attempt ${attempts}):`, errorMessage);
+                const giveUp = attempts >= MAX_ATTEMPTS;
+                update = { status: giveUp ? 'failed' : 'queued', attempts, last_error: errorMessage };
+                if (giveUp) summary.failed++; else summary.retrying++;
+            }
+            // Only this run's claim is updated, so a cancelled or re-claimed message keeps its status
+            const { error: updateError } = await supabaseClient.from('notification_queue')
+                .update(update).eq('id', message.id).eq('status', 'sending').eq('claimed_at', message.claimed_at);
+            if (updateError) console.error(`Could not record the result of notification ${message.id}:`, updateError.message);
+        }
+
+        // --- 6. Return Response ---
+        return jsonResponse(summary);
+
+    } catch (error) {
+        console.error("Error in Edge Function:", error);
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        return jsonResponse({ error: errorMessage }, 500);
+    }
+});
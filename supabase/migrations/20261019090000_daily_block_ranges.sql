@@ -0,0 +1,164 @@
+-- supabase/migrations/20261019090000_daily_block_ranges.sql
+-- Date-range and recurring daily blocks.
+--
+-- block_date stays the first day of a block. end_date (inclusive) stretches it over a range,
+-- and repeat_days limits that range to specific weekdays (e.g. every Friday of Term 3).
+-- A block with neither column set is a single-day block, exactly as before.
+
+-- --- Columns ---
+alter table public.daily_blocks
+    add column if not exists end_date date,
+    add column if not exists repeat_days text[];
+
+alter table public.daily_blocks_test
+    add column if not exists end_date date,
+    add column if not exists repeat_days text[];
+
+alter table public.daily_blocks
+    add constraint daily_blocks_end_date_check check (end_date is null or end_date >= block_date);
+
+alter table public.daily_blocks_test
+    add constraint daily_blocks_test_end_date_check check (end_date is null or end_date >= block_date);
+
+-- Range lookups filter on both ends of the block
+create index if not exists daily_blocks_date_range_idx on public.daily_blocks (block_date, end_date);
+create index if not exists daily_blocks_test_date_range_idx on public.daily_blocks_test (block_date, end_date);
+
+-- --- Helpers ---
+
+-- True if a block starting on p_block_date covers p_date.
+-- Mirrors doesBlockApplyOnDate in js/utils.js and the get-optimal-fill-ins edge function.
+create or replace function public.daily_block_applies_on(
+    p_date date,
+    p_block_date date,
+    p_end_date date,
+    p_repeat_days text[]
+)
+returns boolean
+language sql
+immutable
+as $$
+    select p_date between p_block_date and coalesce(p_end_date, p_block_date)
+       and (
+            p_repeat_days is null
+            or cardinality(p_repeat_days) = 0
+            or to_char(p_date, 'FMDay') = any (p_repeat_days)
+       );
+$$;
+
+-- Shared body for create_daily_block_range / create_daily_block_range_test.
+-- Inserts one block row, then marks the affected scheduled students absent on every date the block covers.
+-- Returns the number of attendance statuses created.
+create or replace function public._create_daily_block_range(
+    p_is_test boolean,
+    p_start_date date,
+    p_end_date date,
+    p_repeat_days text[],
+    p_block_type text,
+    p_identifier text,
+    p_reason text
+)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_blocks_table text := case when p_is_test then 'daily_blocks_test' else 'daily_blocks' end;
+    v_status_table text := case when p_is_test then 'daily_attendance_status_test' else 'daily_attendance_status' end;
+    v_date date;
+    v_rows integer;
+    v_marked integer := 0;
+begin
+    if p_start_date is null or p_block_type is null then
+        raise exception 'Block start date and type are required.';
+    end if;
+    if p_end_date is not null and p_end_date < p_start_date then
+        raise exception 'Block end date (%) is before its start date (%).', p_end_date, p_start_date;
+    end if;
+    if coalesce(p_end_date, p_start_date) - p_start_date > 366 then
+        raise exception 'Blocks cannot span more than a year.';
+    end if;
+    if p_block_type in ('Year Level Absence', 'Class Absence', 'Coach Unavailable') and coalesce(trim(p_identifier), '') = '' then
+        raise exception 'Identifier is required for block type: %.', p_block_type;
+    end if;
+    if p_block_type = 'Coach Unavailable' and p_identifier !~ '^\s*\d+\s*$' then
+        raise exception 'Identifier must be a numeric Coach ID for block type: %.', p_block_type;
+    end if;
+
+    execute format(
+        'insert into %I (block_date, end_date, repeat_days, block_type, identifier, reason) values ($1, $2, $3, $4, $5, $6)',
+        v_blocks_table
+    ) using p_start_date, p_end_date, nullif(p_repeat_days, '{}'::text[]), p_block_type, nullif(trim(p_identifier), ''), p_reason;
+
+    -- 'Other' blocks are informational; absences for them are marked by hand
+    if p_block_type = 'Other' then
+        return 0;
+    end if;
+
+    for v_date in
+        select d::date from generate_series(p_start_date, coalesce(p_end_date, p_start_date), interval '1 day') as d
+    loop
+        continue when not public.daily_block_applies_on(v_date, p_start_date, p_end_date, p_repeat_days);
+
+        execute format($sql$
+            insert into %I (student_id, coach_id, lesson_schedule_id, status_date, status, absence_reason)
+            select ss.student_id, ls.coach_id, ls.id, $1, 'marked_absent', $2
+            from scheduled_students ss
+            join lesson_schedule ls on ls.id = ss.lesson_schedule_id
+            join students s on s.id = ss.student_id
+            where ls.day_of_week = to_char($1, 'FMDay')
+              and (
+                    $3 = 'Public Holiday'
+                 or ($3 = 'Year Level Absence' and s.class_name like $4 || '%%')
+                 or ($3 = 'Class Absence' and s.class_name = $4)
+                 or ($3 = 'Coach Unavailable' and ls.coach_id::text = trim($4))
+              )
+            on conflict (student_id, lesson_schedule_id, status_date) do nothing
+        $sql$, v_status_table)
+        using v_date, coalesce(p_reason, p_block_type), p_block_type, trim(p_identifier);
+
+        get diagnostics v_rows = row_count;
+        v_marked := v_marked + v_rows;
+    end loop;
+
+    return v_marked;
+end;
+$$;
+
+-- --- RPCs called from js/api.js (createDailyBlock) ---
+create or replace function public.create_daily_block_range(
+    p_start_date date,
+    p_end_date date,
+    p_repeat_days text[],
+    p_block_type text,
+    p_identifier text,
+    p_reason text
+)
+returns integer
+language sql
+security definer
+set search_path = public
+as $$
+    select public._create_daily_block_range(false, p_start_date, p_end_date, p_repeat_days, p_block_type, p_identifier, p_reason);
+$$;
+
+create or replace function public.create_daily_block_range_test(
+    p_start_date date,
+    p_end_date date,
+    p_repeat_days text[],
+    p_block_type text,
+    p_identifier text,
+    p_reason text
+)
+returns integer
+language sql
+security definer
+set search_path = public
+as $$
+    select public._create_daily_block_range(true, p_start_date, p_end_date, p_repeat_days, p_block_type, p_identifier, p_reason);
+$$;
+
+revoke execute on function public._create_daily_block_range(boolean, date, date, text[], text, text, text) from public, anon, authenticated;
+grant execute on function public.create_daily_block_range(date, date, text[], text, text, text) to authenticated;
+grant execute on function public.create_daily_block_range_test(date, date, text[], text, text, text) to authenticated;
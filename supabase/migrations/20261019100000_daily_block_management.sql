@@ -0,0 +1,283 @@
+-- supabase/migrations/20261019100000_daily_block_management.sql
+-- Edit and delete daily blocks from the admin block list.
+--
+-- Blocks mark affected scheduled students absent when they are created. Editing or deleting a block
+-- clears those absences again, so each one carries the id of the block that marked it (daily_block_id).
+-- Absences marked before this migration (or by the single-day create_daily_block RPC, which lives outside
+-- these migrations) have no block id. For those the clear matches the block's reason (or type when it has
+-- no reason), dates and identifier, so it only touches the coach, class or year the block covers.
+-- Hand-marked absences never carry a block id and are left alone unless they happen to match all of that.
+
+-- --- Columns ---
+alter table public.daily_attendance_status add column if not exists daily_block_id bigint;
+alter table public.daily_attendance_status_test add column if not exists daily_block_id bigint;
+
+create index if not exists daily_attendance_status_block_idx on public.daily_attendance_status (daily_block_id) where daily_block_id is not null;
+create index if not exists daily_attendance_status_test_block_idx on public.daily_attendance_status_test (daily_block_id) where daily_block_id is not null;
+
+-- --- Shared helpers ---
+
+-- Raises an exception if the block fields are invalid
+create or replace function public._validate_daily_block(
+    p_start_date date,
+    p_end_date date,
+    p_block_type text,
+    p_identifier text
+)
+returns void
+language plpgsql
+immutable
+as $$
+begin
+    if p_start_date is null or p_block_type is null then
+        raise exception 'Block start date and type are required.';
+    end if;
+    if p_end_date is not null and p_end_date < p_start_date then
+        raise exception 'Block end date (%) is before its start date (%).', p_end_date, p_start_date;
+    end if;
+    if coalesce(p_end_date, p_start_date) - p_start_date > 366 then
+        raise exception 'Blocks cannot span more than a year.';
+    end if;
+    if p_block_type in ('Year Level Absence', 'Class Absence', 'Coach Unavailable') and coalesce(trim(p_identifier), '') = '' then
+        raise exception 'Identifier is required for block type: %.', p_block_type;
+    end if;
+    if p_block_type = 'Coach Unavailable' and p_identifier !~ '^\s*\d+\s*$' then
+        raise exception 'Identifier must be a numeric Coach ID for block type: %.', p_block_type;
+    end if;
+end;
+$$;
+
+-- True if a block of p_block_type for p_identifier covers a student in p_class_name taught by p_coach_id.
+-- The one targeting rule shared by marking and clearing.
+create or replace function public.daily_block_targets(p_block_type text, p_identifier text, p_class_name text, p_coach_id bigint)
+returns boolean
+language sql
+immutable
+as $$
+    select p_block_type = 'Public Holiday'
+        or (p_block_type = 'Year Level Absence' and p_class_name like trim(p_identifier) || '%')
+        or (p_block_type = 'Class Absence' and p_class_name = trim(p_identifier))
+        or (p_block_type = 'Coach Unavailable' and p_coach_id::text = trim(p_identifier));
+$$;
+
+-- Marks the students a block affects absent on every date it covers, tagged with the block's id.
+-- Returns the number of statuses created.
+create or replace function public._mark_daily_block_absences(
+    p_is_test boolean,
+    p_block_id bigint,
+    p_start_date date,
+    p_end_date date,
+    p_repeat_days text[],
+    p_block_type text,
+    p_identifier text,
+    p_reason text
+)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_status_table text := case when p_is_test then 'daily_attendance_status_test' else 'daily_attendance_status' end;
+    v_date date;
+    v_rows integer;
+    v_marked integer := 0;
+begin
+    -- 'Other' blocks are informational; absences for them are marked by hand
+    if p_block_type = 'Other' then
+        return 0;
+    end if;
+
+    for v_date in
+        select d::date from generate_series(p_start_date, coalesce(p_end_date, p_start_date), interval '1 day') as d
+    loop
+        continue when not public.daily_block_applies_on(v_date, p_start_date, p_end_date, p_repeat_days);
+
+        execute format($sql$
+            insert into %I (student_id, coach_id, lesson_schedule_id, status_date, status, absence_reason, daily_block_id)
+            select ss.student_id, ls.coach_id, ls.id, $1, 'marked_absent', $2, $5
+            from scheduled_students ss
+            join lesson_schedule ls on ls.id = ss.lesson_schedule_id
+            join students s on s.id = ss.student_id
+            where ls.day_of_week = to_char($1, 'FMDay')
+              and public.daily_block_targets($3, $4, s.class_name, ls.coach_id)
+            on conflict (student_id, lesson_schedule_id, status_date) do nothing
+        $sql$, v_status_table)
+        using v_date, coalesce(p_reason, p_block_type), p_block_type, p_identifier, p_block_id;
+
+        get diagnostics v_rows = row_count;
+        v_marked := v_marked + v_rows;
+    end loop;
+
+    return v_marked;
+end;
+$$;
+
+-- Removes the absences a block marked (see the note at the top). Returns the number of statuses removed.
+create or replace function public._clear_daily_block_absences(
+    p_is_test boolean,
+    p_block_id bigint,
+    p_start_date date,
+    p_end_date date,
+    p_repeat_days text[],
+    p_block_type text,
+    p_identifier text,
+    p_reason text
+)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_status_table text := case when p_is_test then 'daily_attendance_status_test' else 'daily_attendance_status' end;
+    v_rows integer;
+begin
+    execute format($sql$
+        delete from %I st
+        using lesson_schedule ls, students s
+        where ls.id = st.lesson_schedule_id
+          and s.id = st.student_id
+          and st.status = 'marked_absent'
+          and (
+                st.daily_block_id = $1
+             or (st.daily_block_id is null
+                 and st.absence_reason in ($2, $3)
+                 and public.daily_block_applies_on(st.status_date, $4, $5, $6)
+                 and public.daily_block_targets($3, $7, s.class_name, ls.coach_id))
+          )
+    $sql$, v_status_table)
+    using p_block_id, coalesce(p_reason, p_block_type), p_block_type, p_start_date, p_end_date, p_repeat_days, p_identifier;
+
+    get diagnostics v_rows = row_count;
+    return v_rows;
+end;
+$$;
+
+-- Creation now goes through the shared marking helper
+create or replace function public._create_daily_block_range(
+    p_is_test boolean,
+    p_start_date date,
+    p_end_date date,
+    p_repeat_days text[],
+    p_block_type text,
+    p_identifier text,
+    p_reason text
+)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_blocks_table text := case when p_is_test then 'daily_blocks_test' else 'daily_blocks' end;
+    v_block_id bigint;
+begin
+    perform public._validate_daily_block(p_start_date, p_end_date, p_block_type, p_identifier);
+
+    execute format(
+        'insert into %I (block_date, end_date, repeat_days, block_type, identifier, reason) values ($1, $2, $3, $4, $5, $6) returning id',
+        v_blocks_table
+    ) into v_block_id
+    using p_start_date, p_end_date, nullif(p_repeat_days, '{}'::text[]), p_block_type, nullif(trim(p_identifier), ''), p_reason;
+
+    return public._mark_daily_block_absences(p_is_test, v_block_id, p_start_date, p_end_date, p_repeat_days, p_block_type, p_identifier, p_reason);
+end;
+$$;
+
+-- Updates a block: clears the absences of the old version, saves the row, then marks absences for the new version.
+-- Returns the number of statuses marked for the new version.
+create or replace function public._update_daily_block(
+    p_is_test boolean,
+    p_block_id bigint,
+    p_start_date date,
+    p_end_date date,
+    p_repeat_days text[],
+    p_block_type text,
+    p_identifier text,
+    p_reason text
+)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_blocks_table text := case when p_is_test then 'daily_blocks_test' else 'daily_blocks' end;
+    v_old record;
+begin
+    perform public._validate_daily_block(p_start_date, p_end_date, p_block_type, p_identifier);
+
+    execute format('select block_date, end_date, repeat_days, block_type, identifier, reason from %I where id = $1 for update', v_blocks_table)
+        into v_old using p_block_id;
+    if not found then
+        raise exception 'Daily block % not found.', p_block_id;
+    end if;
+
+    perform public._clear_daily_block_absences(
+        p_is_test, p_block_id, v_old.block_date, v_old.end_date, v_old.repeat_days, v_old.block_type, v_old.identifier, v_old.reason);
+
+    execute format(
+        'update %I set block_date = $2, end_date = $3, repeat_days = $4, block_type = $5, identifier = $6, reason = $7 where id = $1',
+        v_blocks_table
+    ) using p_block_id, p_start_date, p_end_date, nullif(p_repeat_days, '{}'::text[]), p_block_type, nullif(trim(p_identifier), ''), p_reason;
+
+    return public._mark_daily_block_absences(p_is_test, p_block_id, p_start_date, p_end_date, p_repeat_days, p_block_type, p_identifier, p_reason);
+end;
+$$;
+
+-- Deletes a block and the absences it marked. Returns the number of statuses removed.
+create or replace function public._delete_daily_block(p_is_test boolean, p_block_id bigint)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_blocks_table text := case when p_is_test then 'daily_blocks_test' else 'daily_blocks' end;
+    v_old record;
+begin
+    execute format('delete from %I where id = $1 returning block_date, end_date, repeat_days, block_type, identifier, reason', v_blocks_table)
+        into v_old using p_block_id;
+    if not found then
+        raise exception 'Daily block % not found.', p_block_id;
+    end if;
+
+    return public._clear_daily_block_absences(
+        p_is_test, p_block_id, v_old.block_date, v_old.end_date, v_old.repeat_days, v_old.block_type, v_old.identifier, v_old.reason);
+end;
+$$;
+
+-- --- RPCs called from js/api.js (updateDailyBlock / deleteDailyBlock) ---
+create or replace function public.update_daily_block(
+    p_block_id bigint, p_start_date date, p_end_date date, p_repeat_days text[], p_block_type text, p_identifier text, p_reason text
+)
+returns integer language sql security definer set search_path = public as $$
+    select public._update_daily_block(false, p_block_id, p_start_date, p_end_date, p_repeat_days, p_block_type, p_identifier, p_reason);
+$$;
+
+create or replace function public.update_daily_block_test(
+    p_block_id bigint, p_start_date date, p_end_date date, p_repeat_days text[], p_block_type text, p_identifier text, p_reason text
+)
+returns integer language sql security definer set search_path = public as $$
+    select public._update_daily_block(true, p_block_id, p_start_date, p_end_date, p_repeat_days, p_block_type, p_identifier, p_reason);
+$$;
+
+create or replace function public.delete_daily_block(p_block_id bigint)
+returns integer language sql security definer set search_path = public as $$
+    select public._delete_daily_block(false, p_block_id);
+$$;
+
+create or replace function public.delete_daily_block_test(p_block_id bigint)
+returns integer language sql security definer set search_path = public as $$
+    select public._delete_daily_block(true, p_block_id);
+$$;
+
+revoke execute on function public._mark_daily_block_absences(boolean, bigint, date, date, text[], text, text, text) from public, anon, authenticated;
+revoke execute on function public._clear_daily_block_absences(boolean, bigint, date, date, text[], text, text, text) from public, anon, authenticated;
+revoke execute on function public._update_daily_block(boolean, bigint, date, date, text[], text, text, text) from public, anon, authenticated;
+revoke execute on function public._delete_daily_block(boolean, bigint) from public, anon, authenticated;
+grant execute on function public.update_daily_block(bigint, date, date, text[], text, text, text) to authenticated;
+grant execute on function public.update_daily_block_test(bigint, date, date, text[], text, text, text) to authenticated;
+grant execute on function public.delete_daily_block(bigint) to authenticated;
+grant execute on function public.delete_daily_block_test(bigint) to authenticated;
@@ -0,0 +1,32 @@
+-- supabase/migrations/20261019110000_term_dates_editor.sql
+-- Lets admins maintain term_dates from the app (js/termEditor.js).
+--
+-- Terms are edited by id, since term numbers repeat every school year. The database also refuses
+-- inverted or overlapping ranges, so calculateCurrentTermAndWeek never has two terms to choose from.
+
+-- --- Key ---
+alter table public.term_dates
+    add column if not exists id bigint generated by default as identity;
+
+create unique index if not exists term_dates_id_key on public.term_dates (id);
+
+-- --- Range checks ---
+alter table public.term_dates
+    add constraint term_dates_range_check check (end_date >= start_date);
+
+alter table public.term_dates
+    add constraint term_dates_no_overlap exclude using gist (daterange(start_date, end_date, '[]') with &&);
+
+-- --- Access ---
+-- Everyone signed in reads terms (for the date/term banner); only admins change them.
+alter table public.term_dates enable row level security;
+
+drop policy if exists "term_dates_select_authenticated" on public.term_dates;
+create policy "term_dates_select_authenticated" on public.term_dates
+    for select to authenticated using (true);
+
+drop policy if exists "term_dates_write_admin" on public.term_dates;
+create policy "term_dates_write_admin" on public.term_dates
+    for all to authenticated
+    using ((auth.jwt() -> 'app_metadata' ->> 'role') = 'admin')
+    with check ((auth.jwt() -> 'app_metadata' ->> 'role') = 'admin');
@@ -0,0 +1,122 @@
+-- supabase/migrations/20261019120000_lessons_owed_ledger.sql
+-- Lessons-owed ledger: every change to a student's lessons owed is a ledger entry recording who, when and why.
+--
+-- students."lessons owed" is kept as a cached balance so existing readers (fetchStudents, the fill-in RPCs and
+-- the get-optimal-fill-ins edge function) keep working, but it always equals the sum of the student's ledger:
+--   * add_lessons_owed_entry inserts an entry and re-derives the balance from the ledger.
+--   * Any other write to the column (process_lesson_log's owed_change, or a hand edit in the table editor)
+--     is turned into a ledger entry by a trigger, so nothing bypasses the ledger.
+--
+-- Test mode has no ledger of its own: students is shared between modes, so adjustments are live-only.
+
+-- --- Table ---
+create table if not exists public.lessons_owed_ledger (
+    id bigint generated by default as identity primary key,
+    student_id bigint not null references public.students (id) on delete cascade,
+    change integer not null check (change <> 0),
+    entry_type text not null check (entry_type in ('opening_balance', 'lesson_log', 'top_up', 'credit', 'correction', 'direct_edit')),
+    reason text not null,
+    created_at timestamptz not null default now(),
+    created_by uuid default auth.uid(),
+    created_by_email text default (auth.jwt() ->> 'email')
+);
+
+create index if not exists lessons_owed_ledger_student_idx on public.lessons_owed_ledger (student_id, created_at desc);
+
+-- --- Opening balances ---
+-- Seed one entry per student with their current balance so the ledger sum matches from day one.
+insert into public.lessons_owed_ledger (student_id, change, entry_type, reason, created_by, created_by_email)
+select s.id, s."lessons owed", 'opening_balance', 'Balance when the ledger was introduced', null, null
+from public.students s
+where coalesce(s."lessons owed", 0) <> 0
+  and not exists (select 1 from public.lessons_owed_ledger l where l.student_id = s.id);
+
+-- --- Keep the cached balance tied to the ledger ---
+
+-- Records direct writes to students."lessons owed" as ledger entries.
+-- Writes made by add_lessons_owed_entry set app.owed_ledger_sync and are skipped.
+create or replace function public._record_lessons_owed_change()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_change integer := coalesce(new."lessons owed", 0) - coalesce(old."lessons owed", 0);
+begin
+    if v_change = 0 or coalesce(current_setting('app.owed_ledger_sync', true), '') = 'on' then
+        return new;
+    end if;
+
+    -- process_lesson_log runs with the coach's JWT, so its changes are lesson log debits/credits
+    insert into public.lessons_owed_ledger (student_id, change, entry_type, reason)
+    values (
+        new.id,
+        v_change,
+        case when auth.uid() is null then 'direct_edit' else 'lesson_log' end,
+        case when auth.uid() is null then 'Edited directly in the database' else 'Lesson log submitted' end
+    );
+    return new;
+end;
+$$;
+
+drop trigger if exists students_lessons_owed_ledger on public.students;
+create trigger students_lessons_owed_ledger
+    after update of "lessons owed" on public.students
+    for each row execute function public._record_lessons_owed_change();
+
+-- --- RPC called from js/api.js (addLessonsOwedEntry) ---
+
+-- Adds a manual ledger entry (admins only) and returns the student's new balance.
+create or replace function public.add_lessons_owed_entry(
+    p_student_id bigint,
+    p_change integer,
+    p_entry_type text,
+    p_reason text
+)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_balance integer;
+begin
+    if coalesce(auth.jwt() -> 'app_metadata' ->> 'role', '') <> 'admin' then
+        raise exception 'Only admins can adjust lessons owed.';
+    end if;
+    if p_change is null or p_change = 0 then
+        raise exception 'Adjustment must be a non-zero number of lessons.';
+    end if;
+    if p_entry_type not in ('top_up', 'credit', 'correction') then
+        raise exception 'Unknown adjustment type: %.', p_entry_type;
+    end if;
+    if coalesce(trim(p_reason), '') = '' then
+        raise exception 'A reason is required for every adjustment.';
+    end if;
+
+    insert into public.lessons_owed_ledger (student_id, change, entry_type, reason)
+    values (p_student_id, p_change, p_entry_type, trim(p_reason));
+
+    select coalesce(sum(change), 0) into v_balance
+    from public.lessons_owed_ledger
+    where student_id = p_student_id;
+
+    -- Update the cached balance without the trigger recording it a second time
+    perform set_config('app.owed_ledger_sync', 'on', true);
+    update public.students set "lessons owed" = v_balance where id = p_student_id;
+    perform set_config('app.owed_ledger_sync', 'off', true);
+
+    return v_balance;
+end;
+$$;
+
+grant execute on function public.add_lessons_owed_entry(bigint, integer, text, text) to authenticated;
+
+-- --- Access ---
+-- Entries are written only through the trigger and add_lessons_owed_entry (both security definer).
+alter table public.lessons_owed_ledger enable row level security;
+
+drop policy if exists "lessons_owed_ledger_select_authenticated" on public.lessons_owed_ledger;
+create policy "lessons_owed_ledger_select_authenticated" on public.lessons_owed_ledger
+    for select to authenticated using (true);
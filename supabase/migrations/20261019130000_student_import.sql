@@ -0,0 +1,79 @@
+-- supabase/migrations/20261019130000_student_import.sql
+-- Applies a student CSV import reviewed in the admin tools (js/studentImport.js).
+--
+-- The browser validates the file and shows the diff; this function only writes what was approved,
+-- all or nothing, so a failure part-way through never leaves the roster half imported.
+-- students is shared between live and test mode, so there is no _test variant.
+
+-- --- RPC called from js/api.js (importStudents) ---
+
+-- p_students: [{ "id": 12 | null, "Name", "class_name", "groupOf", "sub_group", "availability" }, ...]
+-- Rows with an id update that student, rows without one are inserted. Every imported row is set active.
+-- Returns { "inserted": n, "updated": n, "deactivated": n }.
+create or replace function public.import_students(p_students jsonb, p_deactivate_ids bigint[])
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_row jsonb;
+    v_inserted integer := 0;
+    v_updated integer := 0;
+    v_deactivated integer := 0;
+begin
+    if coalesce(auth.jwt() -> 'app_metadata' ->> 'role', '') <> 'admin' then
+        raise exception 'Only admins can import students.';
+    end if;
+    if jsonb_typeof(coalesce(p_students, '[]'::jsonb)) <> 'array' then
+        raise exception 'p_students must be a JSON array.';
+    end if;
+
+    for v_row in select * from jsonb_array_elements(coalesce(p_students, '[]'::jsonb))
+    loop
+        if coalesce(trim(v_row ->> 'Name'), '') = '' then
+            raise exception 'Every imported student needs a name.';
+        end if;
+        if coalesce((v_row ->> 'groupOf')::integer, 0) < 1 then
+            raise exception 'Invalid groupOf for %.', v_row ->> 'Name';
+        end if;
+
+        if v_row ->> 'id' is null then
+            insert into students ("Name", class_name, "groupOf", sub_group, availability, is_active)
+            values (
+                trim(v_row ->> 'Name'),
+                nullif(trim(v_row ->> 'class_name'), ''),
+                (v_row ->> 'groupOf')::integer,
+                nullif(trim(v_row ->> 'sub_group'), ''),
+                nullif(v_row ->> 'availability', ''),
+                true
+            );
+            v_inserted := v_inserted + 1;
+        else
+            update students
+            set "Name" = trim(v_row ->> 'Name'),
+                class_name = nullif(trim(v_row ->> 'class_name'), ''),
+                "groupOf" = (v_row ->> 'groupOf')::integer,
+                sub_group = nullif(trim(v_row ->> 'sub_group'), ''),
+                availability = nullif(v_row ->> 'availability', ''),
+                is_active = true
+            where id = (v_row ->> 'id')::bigint;
+            if not found then
+                raise exception 'Student % (%) no longer exists. Reload and review the import again.', v_row ->> 'id', v_row ->> 'Name';
+            end if;
+            v_updated := v_updated + 1;
+        end if;
+    end loop;
+
+    if coalesce(array_length(p_deactivate_ids, 1), 0) > 0 then
+        update students set is_active = false
+        where id = any (p_deactivate_ids) and is_active is distinct from false;
+        get diagnostics v_deactivated = row_count;
+    end if;
+
+    return jsonb_build_object('inserted', v_inserted, 'updated', v_updated, 'deactivated', v_deactivated);
+end;
+$$;
+
+revoke execute on function public.import_students(jsonb, bigint[]) from public, anon;
+grant execute on function public.import_students(jsonb, bigint[]) to authenticated;
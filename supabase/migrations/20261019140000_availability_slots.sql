@@ -0,0 +1,209 @@
+-- supabase/migrations/20261019140000_availability_slots.sql
+-- Canonical, structured student availability.
+--
+-- students.availability_slots holds { "Monday": ["10:00", "13:20"], ... }: capitalised weekday names mapping to
+-- sorted HH:MM start times. js/utils.js (isStudentAvailable) and get-optimal-fill-ins both read this column.
+-- students.availability (the legacy free text) is kept as a readable copy:
+--   * set_student_availability (the grid editor) writes the slots and regenerates the text from them.
+--   * Writes that only change the text (the CSV import, hand edits) have the slots derived by a trigger,
+--     using the same rules as parseAvailability in js/utils.js.
+
+-- --- Column ---
+alter table public.students
+    add column if not exists availability_slots jsonb;
+
+alter table public.students
+    add constraint students_availability_slots_object check (availability_slots is null or jsonb_typeof(availability_slots) = 'object');
+
+-- --- Legacy text conversion (mirrors parseTime / parseAvailability in js/utils.js) ---
+
+-- Parses "HH:MM", "H:MM am/pm", "HH:MM:SS" or "HHMM". Returns null if the text is not a valid time.
+create or replace function public._parse_availability_time(p_text text)
+returns time
+language plpgsql
+immutable
+as $$
+declare
+    v_text text := lower(trim(coalesce(p_text, '')));
+    v_match text[];
+    v_hours integer;
+    v_minutes integer;
+begin
+    v_match := regexp_match(v_text, '^(\d{1,2}):(\d{2})(?::\d{2})?\s*(am|pm)?$');
+    if v_match is not null then
+        v_hours := v_match[1]::integer;
+        v_minutes := v_match[2]::integer;
+        if v_match[3] = 'pm' and v_hours between 1 and 11 then v_hours := v_hours + 12;
+        elsif v_match[3] = 'am' and v_hours = 12 then v_hours := 0;
+        end if;
+    else
+        v_match := regexp_match(v_text, '^(\d{2})(\d{2})$');
+        if v_match is null then
+            return null;
+        end if;
+        v_hours := v_match[1]::integer;
+        v_minutes := v_match[2]::integer;
+    end if;
+
+    if v_hours > 23 or v_minutes > 59 then
+        return null;
+    end if;
+    return make_time(v_hours, v_minutes, 0);
+end;
+$$;
+
+-- Converts legacy availability text into canonical slots. Unparseable fragments are skipped.
+create or replace function public._availability_text_to_slots(p_text text)
+returns jsonb
+language plpgsql
+immutable
+as $$
+declare
+    v_entry text;
+    v_day text;
+    v_time_part text;
+    v_time_text text;
+    v_start time;
+    v_end time;
+    v_slot time;
+    v_slots jsonb := '{}'::jsonb;
+    v_times text[];
+begin
+    if coalesce(trim(p_text), '') = '' then
+        return '{}'::jsonb;
+    end if;
+
+    -- Entries are separated by newlines, or by a semicolon followed by a day name
+    foreach v_entry in array regexp_split_to_array(p_text, E'\\n|;(?=\\s*[A-Za-z])')
+    loop
+        v_entry := trim(v_entry);
+        continue when v_entry = '' or position(':' in v_entry) = 0;
+
+        v_day := initcap(trim(split_part(v_entry, ':', 1)));
+        continue when v_day not in ('Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday');
+        v_time_part := trim(substring(v_entry from position(':' in v_entry) + 1));
+
+        v_times := coalesce(array(select jsonb_array_elements_text(v_slots -> v_day)), '{}');
+        foreach v_time_text in array string_to_array(v_time_part, ';')
+        loop
+            continue when trim(v_time_text) = '';
+            if position('-' in v_time_text) > 0 then
+                -- Ranges add every 30 minutes from the start up to and including the end
+                v_start := public._parse_availability_time(split_part(v_time_text, '-', 1));
+                v_end := public._parse_availability_time(split_part(v_time_text, '-', 2));
+                continue when v_start is null or v_end is null or v_start >= v_end;
+                v_slot := v_start;
+                while v_slot <= v_end loop
+                    v_times := array_append(v_times, to_char(v_slot, 'HH24:MI'));
+                    exit when v_slot + interval '30 minutes' < v_slot; -- Stop at midnight instead of wrapping
+                    v_slot := v_slot + interval '30 minutes';
+                end loop;
+            else
+                v_slot := public._parse_availability_time(v_time_text);
+                continue when v_slot is null;
+                v_times := array_append(v_times, to_char(v_slot, 'HH24:MI'));
+            end if;
+        end loop;
+
+        if cardinality(v_times) > 0 then
+            v_slots := v_slots || jsonb_build_object(v_day, (select to_jsonb(array_agg(distinct t order by t)) from unnest(v_times) as t));
+        end if;
+    end loop;
+
+    return v_slots;
+end;
+$$;
+
+-- Formats canonical slots as "Monday: 10:00; 13:20" lines (formatAvailabilitySlots in js/utils.js).
+create or replace function public._availability_slots_to_text(p_slots jsonb)
+returns text
+language sql
+immutable
+as $$
+    select nullif(string_agg(d.day || ': ' || (
+               select string_agg(t, '; ' order by t) from jsonb_array_elements_text(p_slots -> d.day) as t
+           ), E'\n' order by d.ord), '')
+    from unnest(array['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']) with ordinality as d(day, ord)
+    where jsonb_typeof(p_slots -> d.day) = 'array' and jsonb_array_length(p_slots -> d.day) > 0;
+$$;
+
+-- --- Backfill ---
+update public.students
+set availability_slots = public._availability_text_to_slots(availability)
+where availability_slots is null;
+
+-- --- Keep the slots in step with text-only writes ---
+create or replace function public._derive_availability_slots()
+returns trigger
+language plpgsql
+as $$
+begin
+    if tg_op = 'INSERT' then
+        if new.availability_slots is null then
+            new.availability_slots := public._availability_text_to_slots(new.availability);
+        end if;
+    elsif new.availability is distinct from old.availability
+      and new.availability_slots is not distinct from old.availability_slots then
+        new.availability_slots := public._availability_text_to_slots(new.availability);
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists students_derive_availability_slots on public.students;
+create trigger students_derive_availability_slots
+    before insert or update of availability, availability_slots on public.students
+    for each row execute function public._derive_availability_slots();
+
+-- --- RPC called from js/api.js (saveStudentAvailability) ---
+
+-- Sets the availability of one or more students (admins only). Returns the regenerated availability text.
+create or replace function public.set_student_availability(p_student_ids bigint[], p_slots jsonb)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_day text;
+    v_time text;
+    v_text text;
+begin
+    if coalesce(auth.jwt() -> 'app_metadata' ->> 'role', '') <> 'admin' then
+        raise exception 'Only admins can change student availability.';
+    end if;
+    if coalesce(array_length(p_student_ids, 1), 0) = 0 then
+        raise exception 'At least one student is required.';
+    end if;
+    if p_slots is null or jsonb_typeof(p_slots) <> 'object' then
+        raise exception 'Availability must be an object of weekday -> times.';
+    end if;
+
+    for v_day in select jsonb_object_keys(p_slots)
+    loop
+        if v_day not in ('Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday') then
+            raise exception 'Unknown day in availability: %.', v_day;
+        end if;
+        if jsonb_typeof(p_slots -> v_day) <> 'array' then
+            raise exception 'Availability for % must be a list of times.', v_day;
+        end if;
+        for v_time in select jsonb_array_elements_text(p_slots -> v_day)
+        loop
+            if v_time !~ '^([01]\d|2[0-3]):[0-5]\d$' then
+                raise exception 'Invalid time "%" for %. Use HH:MM.', v_time, v_day;
+            end if;
+        end loop;
+    end loop;
+
+    v_text := public._availability_slots_to_text(p_slots);
+    update students
+    set availability_slots = p_slots,
+        availability = v_text
+    where id = any (p_student_ids);
+
+    return v_text;
+end;
+$$;
+
+revoke execute on function public.set_student_availability(bigint[], jsonb) from public, anon;
+grant execute on function public.set_student_availability(bigint[], jsonb) to authenticated;
@@ -0,0 +1,249 @@
+-- supabase/migrations/20261019150000_lesson_log_corrections.sql
+-- Edit and void submitted lesson logs from the log viewer and the student profile history.
+--
+-- * Editing updates one entry. If its attendance changes, the lessons owed change it made is reversed and the
+--   new one applied (Present = -1, Absent = 0, as js/logging.js submits them).
+-- * Voiding removes every entry of that lesson (same slot and date), so the slot shows as not logged again
+--   everywhere that checks lesson_logs. Their owed changes are reversed.
+-- * Every edit and void is recorded in lesson_log_changes with the row before (and after) and who made it.
+--
+-- Owed corrections are ledger entries of type 'correction' (see 20261019120000_lessons_owed_ledger.sql).
+-- Test mode only changes the _test log tables: students is shared between modes, so balances are left alone.
+
+-- --- Columns shown in the log viewers ---
+alter table public.lesson_logs add column if not exists edited_at timestamptz;
+alter table public.lesson_logs add column if not exists edited_by_email text;
+alter table public.lesson_logs_test add column if not exists edited_at timestamptz;
+alter table public.lesson_logs_test add column if not exists edited_by_email text;
+
+-- --- Audit table ---
+create table if not exists public.lesson_log_changes (
+    id bigint generated by default as identity primary key,
+    is_test boolean not null default false,
+    log_id bigint not null,
+    student_id bigint,
+    lesson_schedule_id bigint,
+    action text not null check (action in ('edit', 'void')),
+    reason text not null,
+    before_row jsonb not null,
+    after_row jsonb,
+    changed_at timestamptz not null default now(),
+    changed_by uuid default auth.uid(),
+    changed_by_email text default (auth.jwt() ->> 'email')
+);
+
+create index if not exists lesson_log_changes_log_idx on public.lesson_log_changes (is_test, log_id, changed_at desc);
+
+-- --- Shared helpers ---
+
+-- Adds a 'correction' ledger entry for a student and re-derives their cached balance (live mode only).
+create or replace function public._apply_owed_correction(p_student_id bigint, p_change integer, p_reason text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_balance integer;
+begin
+    if p_student_id is null or coalesce(p_change, 0) = 0 then
+        return;
+    end if;
+
+    insert into public.lessons_owed_ledger (student_id, change, entry_type, reason)
+    values (p_student_id, p_change, 'correction', p_reason);
+
+    select coalesce(sum(change), 0) into v_balance
+    from public.lessons_owed_ledger
+    where student_id = p_student_id;
+
+    -- Update the cached balance without the trigger recording it a second time
+    perform set_config('app.owed_ledger_sync', 'on', true);
+    update public.students set "lessons owed" = v_balance where id = p_student_id;
+    perform set_config('app.owed_ledger_sync', 'off', true);
+end;
+$$;
+
+-- Updates one log entry. Returns the change made to the student's lessons owed.
+create or replace function public._edit_lesson_log(
+    p_is_test boolean,
+    p_log_id bigint,
+    p_attendance_status text,
+    p_absence_reason text,
+    p_skills_covered text[],
+    p_proficiency integer,
+    p_engagement integer,
+    p_notes text,
+    p_reason text
+)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_logs_table text := case when p_is_test then 'lesson_logs_test' else 'lesson_logs' end;
+    v_before jsonb;
+    v_after jsonb;
+    v_old_change integer;
+    v_new_change integer;
+begin
+    if coalesce(trim(p_reason), '') = '' then
+        raise exception 'A reason is required to edit a lesson log.';
+    end if;
+    if p_attendance_status is null or p_attendance_status not in ('Present', 'Absent') then
+        raise exception 'Attendance must be Present or Absent.';
+    end if;
+    if p_proficiency is not null and p_proficiency not between 1 and 5
+       or p_engagement is not null and p_engagement not between 1 and 5 then
+        raise exception 'Ratings must be between 1 and 5.';
+    end if;
+
+    execute format('select to_jsonb(l) from %I l where id = $1 for update', v_logs_table) into v_before using p_log_id;
+    if v_before is null then
+        raise exception 'Lesson log % not found.', p_log_id;
+    end if;
+
+    -- Only a change of attendance moves lessons owed; otherwise the entry keeps its original change (ad-hoc logs use 0)
+    v_old_change := coalesce((v_before ->> 'lessons_owed_change')::integer, 0);
+    v_new_change := case
+        when p_attendance_status = coalesce(v_before ->> 'attendance_status', '') then v_old_change
+        when p_attendance_status = 'Present' then -1
+        else 0
+    end;
+
+    execute format($sql$
+        update %I set
+            attendance_status = $2,
+            absence_reason = $3,
+            skills_covered = $4,
+            proficiency = $5,
+            engagement = $6,
+            notes = $7,
+            lessons_owed_change = $8,
+            edited_at = now(),
+            edited_by_email = auth.jwt() ->> 'email'
+        where id = $1
+        returning to_jsonb(%I.*)
+    $sql$, v_logs_table, v_logs_table)
+    into v_after
+    using p_log_id,
+          p_attendance_status,
+          case when p_attendance_status = 'Absent' then nullif(trim(p_absence_reason), '') end,
+          nullif(p_skills_covered, '{}'::text[]),
+          p_proficiency,
+          p_engagement,
+          nullif(trim(p_notes), ''),
+          v_new_change;
+
+    insert into public.lesson_log_changes (is_test, log_id, student_id, lesson_schedule_id, action, reason, before_row, after_row)
+    values (p_is_test, p_log_id, (v_before ->> 'student_id')::bigint, (v_before ->> 'lesson_schedule_id')::bigint,
+            'edit', trim(p_reason), v_before, v_after);
+
+    if not p_is_test then
+        perform public._apply_owed_correction(
+            (v_before ->> 'student_id')::bigint,
+            v_new_change - v_old_change,
+            format('Lesson log %s edited: %s', p_log_id, trim(p_reason))
+        );
+    end if;
+
+    return v_new_change - v_old_change;
+end;
+$$;
+
+-- Removes every entry of the lesson the given log belongs to (same slot and date; ad-hoc logs on their own).
+-- Returns the number of entries removed.
+create or replace function public._void_lesson_log(p_is_test boolean, p_log_id bigint, p_reason text)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_logs_table text := case when p_is_test then 'lesson_logs_test' else 'lesson_logs' end;
+    v_target jsonb;
+    v_row jsonb;
+    v_voided integer := 0;
+begin
+    if coalesce(trim(p_reason), '') = '' then
+        raise exception 'A reason is required to void a lesson log.';
+    end if;
+
+    execute format('select to_jsonb(l) from %I l where id = $1', v_logs_table) into v_target using p_log_id;
+    if v_target is null then
+        raise exception 'Lesson log % not found.', p_log_id;
+    end if;
+
+    for v_row in execute format($sql$
+        delete from %I l
+        where l.id = $1
+           or ($2 is not null
+               and l.lesson_schedule_id = $2
+               and (l.log_date at time zone 'UTC')::date = $3)
+        returning to_jsonb(l.*)
+    $sql$, v_logs_table)
+    using p_log_id,
+          (v_target ->> 'lesson_schedule_id')::bigint,
+          ((v_target ->> 'log_date')::timestamptz at time zone 'UTC')::date
+    loop
+        insert into public.lesson_log_changes (is_test, log_id, student_id, lesson_schedule_id, action, reason, before_row)
+        values (p_is_test, (v_row ->> 'id')::bigint, (v_row ->> 'student_id')::bigint, (v_row ->> 'lesson_schedule_id')::bigint,
+                'void', trim(p_reason), v_row);
+
+        if not p_is_test then
+            perform public._apply_owed_correction(
+                (v_row ->> 'student_id')::bigint,
+                -coalesce((v_row ->> 'lessons_owed_change')::integer, 0),
+                format('Lesson log %s voided: %s', v_row ->> 'id', trim(p_reason))
+            );
+        end if;
+        v_voided := v_voided + 1;
+    end loop;
+
+    return v_voided;
+end;
+$$;
+
+-- --- RPCs called from js/api.js (editLessonLog / voidLessonLog) ---
+create or replace function public.edit_lesson_log(
+    p_log_id bigint, p_attendance_status text, p_absence_reason text, p_skills_covered text[],
+    p_proficiency integer, p_engagement integer, p_notes text, p_reason text
+)
+returns integer language sql security definer set search_path = public as $$
+    select public._edit_lesson_log(false, p_log_id, p_attendance_status, p_absence_reason, p_skills_covered, p_proficiency, p_engagement, p_notes, p_reason);
+$$;
+
+create or replace function public.edit_lesson_log_test(
+    p_log_id bigint, p_attendance_status text, p_absence_reason text, p_skills_covered text[],
+    p_proficiency integer, p_engagement integer, p_notes text, p_reason text
+)
+returns integer language sql security definer set search_path = public as $$
+    select public._edit_lesson_log(true, p_log_id, p_attendance_status, p_absence_reason, p_skills_covered, p_proficiency, p_engagement, p_notes, p_reason);
+$$;
+
+create or replace function public.void_lesson_log(p_log_id bigint, p_reason text)
+returns integer language sql security definer set search_path = public as $$
+    select public._void_lesson_log(false, p_log_id, p_reason);
+$$;
+
+create or replace function public.void_lesson_log_test(p_log_id bigint, p_reason text)
+returns integer language sql security definer set search_path = public as $$
+    select public._void_lesson_log(true, p_log_id, p_reason);
+$$;
+
+revoke execute on function public._apply_owed_correction(bigint, integer, text) from public, anon, authenticated;
+revoke execute on function public._edit_lesson_log(boolean, bigint, text, text, text[], integer, integer, text, text) from public, anon, authenticated;
+revoke execute on function public._void_lesson_log(boolean, bigint, text) from public, anon, authenticated;
+grant execute on function public.edit_lesson_log(bigint, text, text, text[], integer, integer, text, text) to authenticated;
+grant execute on function public.edit_lesson_log_test(bigint, text, text, text[], integer, integer, text, text) to authenticated;
+grant execute on function public.void_lesson_log(bigint, text) to authenticated;
+grant execute on function public.void_lesson_log_test(bigint, text) to authenticated;
+
+-- --- Access ---
+-- Changes are written only by the security definer functions above.
+alter table public.lesson_log_changes enable row level security;
+
+drop policy if exists "lesson_log_changes_select_authenticated" on public.lesson_log_changes;
+create policy "lesson_log_changes_select_authenticated" on public.lesson_log_changes
+    for select to authenticated using (true);
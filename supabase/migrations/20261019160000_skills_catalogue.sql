@@ -0,0 +1,133 @@
+-- supabase/migrations/20261019160000_skills_catalogue.sql
+-- Admin-managed skills catalogue (js/skillsEditor.js) that the lesson log forms render from.
+--
+-- Skills belong to a level (Beginner, Intermediate, Advanced, Tournament) and are ordered within it by
+-- sort_order, which gives the curriculum for each level. Logs keep storing skill names in skills_covered,
+-- so skills are never deleted: they are retired (hidden from the forms), and a rename remembers the old
+-- name in previous_names so historic logs still resolve to the skill.
+-- A skill can't take a name another skill used to have: logs resolve names by current name first
+-- (findSkillByLoggedName in js/skillsCatalogue.js), so it would take over that skill's historic logs.
+
+-- --- Table ---
+create table if not exists public.skills (
+    id bigint generated by default as identity primary key,
+    name text not null,
+    category text not null default 'General',
+    level text not null check (level in ('Beginner', 'Intermediate', 'Advanced', 'Tournament')),
+    sort_order integer not null default 0,
+    is_retired boolean not null default false,
+    retired_at timestamptz,
+    previous_names text[] not null default '{}',
+    created_at timestamptz not null default now(),
+    constraint skills_name_not_blank check (trim(name) <> '')
+);
+
+create unique index if not exists skills_name_key on public.skills (lower(name));
+create index if not exists skills_curriculum_idx on public.skills (level, sort_order);
+
+-- --- Renames and retirement ---
+
+-- Remembers a skill's old name when it is renamed and stamps when it was retired.
+create or replace function public._track_skill_changes()
+returns trigger
+language plpgsql
+as $$
+begin
+    new.name := trim(new.name);
+    if new.name <> old.name and not (old.name = any(new.previous_names)) then
+        new.previous_names := array_append(new.previous_names, old.name);
+    end if;
+    if new.is_retired and not old.is_retired then
+        new.retired_at := now();
+    elsif not new.is_retired then
+        new.retired_at := null;
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists skills_track_changes on public.skills;
+create trigger skills_track_changes
+    before update on public.skills
+    for each row execute function public._track_skill_changes();
+
+-- Rejects a new or changed name that matches (ignoring case) a name another skill used to have.
+-- skills_name_key already covers current names.
+create or replace function public._guard_skill_name()
+returns trigger
+language plpgsql
+as $$
+declare
+    v_owner text;
+begin
+    select s.name into v_owner
+    from public.skills s, unnest(s.previous_names) as old_name
+    where s.id is distinct from new.id and lower(old_name) = lower(trim(new.name))
+    limit 1;
+    if found then
+        raise exception '"%" was an earlier name of the skill "%", whose old logs still use it.', trim(new.name), v_owner;
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists skills_guard_name on public.skills;
+create trigger skills_guard_name
+    before insert or update of name on public.skills
+    for each row execute function public._guard_skill_name();
+
+-- --- Seed ---
+-- The ten skills the log forms used to hard-code, so existing logs resolve straight away.
+insert into public.skills (name, category, level, sort_order)
+select v.name, v.category, v.level, v.sort_order
+from (values
+    ('Opening Principles', 'Openings', 'Beginner', 1),
+    ('Checkmating Patterns', 'Tactics', 'Beginner', 2),
+    ('Tactics (Pins, Forks, Skewers)', 'Tactics', 'Beginner', 3),
+    ('Puzzle Solving', 'Tactics', 'Beginner', 4),
+    ('Endgame Fundamentals', 'Endgames', 'Intermediate', 1),
+    ('Strategy Basics', 'Strategy', 'Intermediate', 2),
+    ('Calculation Practice', 'Tactics', 'Intermediate', 3),
+    ('Game Analysis', 'Strategy', 'Advanced', 1),
+    ('Specific Opening Prep', 'Openings', 'Tournament', 1),
+    ('Tournament Preparation', 'Competition', 'Tournament', 2)
+) as v (name, category, level, sort_order)
+where not exists (select 1 from public.skills s where lower(s.name) = lower(v.name));
+
+-- --- Access ---
+-- Everyone signed in reads the catalogue (for the log forms); only admins change it.
+alter table public.skills enable row level security;
+
+drop policy if exists "skills_select_authenticated" on public.skills;
+create policy "skills_select_authenticated" on public.skills
+    for select to authenticated using (true);
+
+drop policy if exists "skills_write_admin" on public.skills;
+create policy "skills_write_admin" on public.skills
+    for all to authenticated
+    using ((auth.jwt() -> 'app_metadata' ->> 'role') = 'admin')
+    with check ((auth.jwt() -> 'app_metadata' ->> 'role') = 'admin');
+
+-- --- Curriculum order ---
+
+-- Sets sort_order to each skill's position (from 1) in p_skill_ids, in one statement so a reorder is never
+-- left half-done (js/api.js saveSkillOrder).
+create or replace function public.set_skill_order(p_skill_ids bigint[])
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if (auth.jwt() -> 'app_metadata' ->> 'role') is distinct from 'admin' then
+        raise exception 'Only admins can change the skills catalogue.';
+    end if;
+
+    update public.skills s
+    set sort_order = ordered.position
+    from unnest(p_skill_ids) with ordinality as ordered (skill_id, position)
+    where s.id = ordered.skill_id;
+end;
+$$;
+
+grant execute on function public.set_skill_order(bigint[]) to authenticated;
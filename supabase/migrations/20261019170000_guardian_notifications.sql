@@ -0,0 +1,458 @@
+-- supabase/migrations/20261019170000_guardian_notifications.sql
+-- Guardian contact details on students, admin-managed notification rules and an outbound message queue.
+--
+-- * A rule fires on an absence with a given reason ("Forgot") or when a student reaches a number of absences
+--   in a term (the 3rd absence). Absences are counted once per date, whether they were marked in advance
+--   (daily_attendance_status) or logged (lesson_logs).
+-- * Triggers on those tables queue the messages, so addDailyStatus, log submission and the outbox replay of
+--   both all feed the queue without any client changes. A queue failure never blocks the attendance write.
+-- * Each rule sends at most one message per student per absence date (reason rules) or per term (count rules),
+--   so marking a student absent and then logging the lesson does not notify twice.
+-- * Messages still queued are cancelled when the absence is withdrawn: its status is deleted (undo absent, or the
+--   daily block that marked it is edited or deleted), a logged absence is corrected to another attendance, or the
+--   log is voided. Only if the student has no other absence that date, since a status and a log share a message.
+--   Cancelled messages don't count towards a rule's limit, so marking the student absent again queues a new one.
+-- * Messages are delivered by the send-notifications edge function. Test mode queues into the same table with
+--   is_test set, and the function never delivers those: students is shared, so the guardian details are real.
+--   Each run claims its batch (claim_queued_notifications), so overlapping runs never send a message twice.
+
+-- --- Guardian contact details ---
+alter table public.students add column if not exists guardian_name text;
+alter table public.students add column if not exists guardian_email text;
+alter table public.students add column if not exists guardian_phone text;
+alter table public.students add column if not exists guardian_notify boolean not null default true;
+
+-- --- Rules ---
+-- Templates may use {{guardian_name}}, {{student_name}}, {{date}}, {{reason}}, {{absence_count}} and {{term}}.
+create table if not exists public.notification_rules (
+    id bigint generated by default as identity primary key,
+    name text not null,
+    trigger_type text not null check (trigger_type in ('absence_reason', 'absences_in_term')),
+    absence_reason text,
+    threshold integer,
+    subject_template text not null,
+    body_template text not null,
+    is_active boolean not null default true,
+    created_at timestamptz not null default now(),
+    constraint notification_rules_trigger_check check (
+        (trigger_type = 'absence_reason' and coalesce(trim(absence_reason), '') <> '')
+        or (trigger_type = 'absences_in_term' and threshold >= 1)
+    )
+);
+
+insert into public.notification_rules (name, trigger_type, absence_reason, threshold, subject_template, body_template)
+select * from (values
+    ('Forgot lesson', 'absence_reason', 'Forgot', null::integer,
+     '{{student_name}} missed chess today',
+     E'Hi {{guardian_name}},\n\n{{student_name}} was marked absent from chess on {{date}} (reason: {{reason}}). Please remind them of their lesson time next week.\n\nThanks'),
+    ('Third absence this term', 'absences_in_term', null, 3,
+     '{{student_name}} has missed {{absence_count}} chess lessons this term',
+     E'Hi {{guardian_name}},\n\n{{student_name}} has now been absent from {{absence_count}} chess lessons in {{term}}, most recently on {{date}} ({{reason}}). Please get in touch if we can help.\n\nThanks')
+) as seed (name, trigger_type, absence_reason, threshold, subject_template, body_template)
+where not exists (select 1 from public.notification_rules);
+
+-- --- Queue ---
+create table if not exists public.notification_queue (
+    id bigint generated by default as identity primary key,
+    is_test boolean not null default false,
+    rule_id bigint references public.notification_rules (id) on delete set null,
+    student_id bigint not null references public.students (id) on delete cascade,
+    recipient text not null,
+    channel text not null default 'email' check (channel in ('email')),
+    subject text not null,
+    body text not null,
+    source text not null check (source in ('daily_status', 'lesson_log')),
+    source_ref bigint,
+    dedupe_key text not null,
+    status text not null default 'queued' check (status in ('queued', 'sending', 'sent', 'failed', 'cancelled')),
+    attempts integer not null default 0,
+    last_error text,
+    created_at timestamptz not null default now(),
+    claimed_at timestamptz,
+    sent_at timestamptz
+);
+
+create unique index if not exists notification_queue_dedupe_key on public.notification_queue (is_test, rule_id, student_id, dedupe_key)
+    where status <> 'cancelled';
+create index if not exists notification_queue_status_idx on public.notification_queue (status, created_at);
+
+-- --- Queueing ---
+
+-- Fills a rule template. Unknown placeholders are left as they are.
+create or replace function public._render_notification_template(p_template text, p_values jsonb)
+returns text
+language plpgsql
+immutable
+as $$
+declare
+    v_result text := p_template;
+    v_key text;
+begin
+    for v_key in select jsonb_object_keys(p_values) loop
+        v_result := replace(v_result, '{{' || v_key || '}}', coalesce(p_values ->> v_key, ''));
+    end loop;
+    return v_result;
+end;
+$$;
+
+-- Queues a message for every active rule the absence meets. Called by the attendance triggers below.
+create or replace function public._queue_absence_notifications(
+    p_is_test boolean,
+    p_student_id bigint,
+    p_reason text,
+    p_absence_date date,
+    p_source text,
+    p_source_ref bigint
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_student record;
+    v_term record;
+    v_rule record;
+    v_logs_table text := case when p_is_test then 'lesson_logs_test' else 'lesson_logs' end;
+    v_status_table text := case when p_is_test then 'daily_attendance_status_test' else 'daily_attendance_status' end;
+    v_absence_count integer := 0;
+    v_values jsonb;
+    v_dedupe_key text;
+begin
+    select id, "Name", guardian_name, guardian_email, guardian_notify into v_student
+    from public.students
+    where id = p_student_id;
+    if not found or not v_student.guardian_notify or coalesce(trim(v_student.guardian_email), '') = '' then
+        return;
+    end if;
+
+    select id, term_number, start_date, end_date into v_term
+    from public.term_dates
+    where p_absence_date between start_date and end_date
+    limit 1;
+
+    -- Distinct absence dates in the term, from both the logs and the statuses marked ahead of logging
+    if v_term.id is not null then
+        execute format(
+            'select count(*) from (
+                select (log_date at time zone ''UTC'')::date as absence_date from %I
+                where student_id = $1 and attendance_status = ''Absent''
+                  and (log_date at time zone ''UTC'')::date between $2 and $3
+                union
+                select status_date from %I
+                where student_id = $1 and status = ''marked_absent'' and status_date between $2 and $3
+            ) absences', v_logs_table, v_status_table)
+        into v_absence_count
+        using p_student_id, v_term.start_date, v_term.end_date;
+    end if;
+
+    v_values := jsonb_build_object(
+        'guardian_name', coalesce(nullif(trim(v_student.guardian_name), ''), 'parent/guardian'),
+        'student_name', v_student."Name",
+        'date', to_char(p_absence_date, 'FMDay DD/MM/YYYY'),
+        'reason', coalesce(nullif(trim(p_reason), ''), 'no reason given'),
+        'absence_count', v_absence_count,
+        'term', case when v_term.id is not null then 'Term ' || v_term.term_number else 'this term' end
+    );
+
+    for v_rule in select * from public.notification_rules where is_active loop
+        v_dedupe_key := null;
+        if v_rule.trigger_type = 'absence_reason' and lower(trim(v_rule.absence_reason)) = lower(trim(coalesce(p_reason, ''))) then
+            v_dedupe_key := 'date:' || p_absence_date;
+        elsif v_rule.trigger_type = 'absences_in_term' and v_term.id is not null and v_absence_count >= v_rule.threshold then
+            v_dedupe_key := 'term:' || v_term.id;
+        end if;
+        continue when v_dedupe_key is null;
+
+        insert into public.notification_queue
+            (is_test, rule_id, student_id, recipient, subject, body, source, source_ref, dedupe_key)
+        values (
+            p_is_test, v_rule.id, p_student_id, trim(v_student.guardian_email),
+            public._render_notification_template(v_rule.subject_template, v_values),
+            public._render_notification_template(v_rule.body_template, v_values),
+            p_source, p_source_ref, v_dedupe_key
+        )
+        on conflict (is_test, rule_id, student_id, dedupe_key) where status <> 'cancelled' do nothing;
+    end loop;
+end;
+$$;
+
+revoke all on function public._queue_absence_notifications(boolean, bigint, text, date, text, bigint) from public, anon, authenticated;
+
+-- Statuses marked ahead of the lesson (js/absence.js through addDailyStatus).
+create or replace function public._notify_on_daily_status()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    begin
+        perform public._queue_absence_notifications(
+            tg_table_name = 'daily_attendance_status_test', new.student_id, new.absence_reason, new.status_date, 'daily_status', new.id);
+    exception when others then
+        raise warning 'Could not queue absence notifications for student %: %', new.student_id, sqlerrm;
+    end;
+    return new;
+end;
+$$;
+
+-- Absent entries of submitted (or corrected) lesson logs.
+create or replace function public._notify_on_lesson_log()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    begin
+        perform public._queue_absence_notifications(
+            tg_table_name = 'lesson_logs_test', new.student_id, new.absence_reason,
+            (new.log_date at time zone 'UTC')::date, 'lesson_log', new.id);
+    exception when others then
+        raise warning 'Could not queue absence notifications for student %: %', new.student_id, sqlerrm;
+    end;
+    return new;
+end;
+$$;
+
+drop trigger if exists daily_attendance_status_notify on public.daily_attendance_status;
+create trigger daily_attendance_status_notify
+    after insert or update of status, absence_reason on public.daily_attendance_status
+    for each row when (new.status = 'marked_absent')
+    execute function public._notify_on_daily_status();
+
+drop trigger if exists daily_attendance_status_test_notify on public.daily_attendance_status_test;
+create trigger daily_attendance_status_test_notify
+    after insert or update of status, absence_reason on public.daily_attendance_status_test
+    for each row when (new.status = 'marked_absent')
+    execute function public._notify_on_daily_status();
+
+drop trigger if exists lesson_logs_notify on public.lesson_logs;
+create trigger lesson_logs_notify
+    after insert or update of attendance_status, absence_reason on public.lesson_logs
+    for each row when (new.attendance_status = 'Absent')
+    execute function public._notify_on_lesson_log();
+
+drop trigger if exists lesson_logs_test_notify on public.lesson_logs_test;
+create trigger lesson_logs_test_notify
+    after insert or update of attendance_status, absence_reason on public.lesson_logs_test
+    for each row when (new.attendance_status = 'Absent')
+    execute function public._notify_on_lesson_log();
+
+-- --- Cancelling ---
+
+-- Cancels the still-queued messages a withdrawn absence queued, unless the student is still absent that date.
+create or replace function public._cancel_absence_notifications(
+    p_is_test boolean,
+    p_student_id bigint,
+    p_absence_date date,
+    p_source text,
+    p_source_ref bigint
+)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_still_absent boolean;
+    v_cancelled integer;
+begin
+    execute format(
+        'select exists (
+            select 1 from %I
+            where student_id = $1 and attendance_status = ''Absent'' and (log_date at time zone ''UTC'')::date = $2
+         ) or exists (
+            select 1 from %I
+            where student_id = $1 and status = ''marked_absent'' and status_date = $2
+         )',
+        case when p_is_test then 'lesson_logs_test' else 'lesson_logs' end,
+        case when p_is_test then 'daily_attendance_status_test' else 'daily_attendance_status' end)
+    into v_still_absent
+    using p_student_id, p_absence_date;
+    if v_still_absent then
+        return 0;
+    end if;
+
+    update public.notification_queue
+    set status = 'cancelled'
+    where is_test = p_is_test and source = p_source and source_ref = p_source_ref and status = 'queued';
+
+    get diagnostics v_cancelled = row_count;
+    return v_cancelled;
+end;
+$$;
+
+revoke all on function public._cancel_absence_notifications(boolean, bigint, date, text, bigint) from public, anon, authenticated;
+
+-- Statuses deleted, or changed from marked_absent.
+create or replace function public._withdraw_daily_status_notifications()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    begin
+        perform public._cancel_absence_notifications(
+            tg_table_name = 'daily_attendance_status_test', old.student_id, old.status_date, 'daily_status', old.id);
+    exception when others then
+        raise warning 'Could not cancel absence notifications for student %: %', old.student_id, sqlerrm;
+    end;
+    return null;
+end;
+$$;
+
+-- Log entries voided, or corrected from Absent.
+create or replace function public._withdraw_lesson_log_notifications()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    begin
+        perform public._cancel_absence_notifications(
+            tg_table_name = 'lesson_logs_test', old.student_id, (old.log_date at time zone 'UTC')::date, 'lesson_log', old.id);
+    exception when others then
+        raise warning 'Could not cancel absence notifications for student %: %', old.student_id, sqlerrm;
+    end;
+    return null;
+end;
+$$;
+
+drop trigger if exists daily_attendance_status_withdraw_notify on public.daily_attendance_status;
+create trigger daily_attendance_status_withdraw_notify
+    after delete on public.daily_attendance_status
+    for each row when (old.status = 'marked_absent')
+    execute function public._withdraw_daily_status_notifications();
+
+drop trigger if exists daily_attendance_status_unmark_notify on public.daily_attendance_status;
+create trigger daily_attendance_status_unmark_notify
+    after update of status on public.daily_attendance_status
+    for each row when (old.status = 'marked_absent' and new.status is distinct from 'marked_absent')
+    execute function public._withdraw_daily_status_notifications();
+
+drop trigger if exists daily_attendance_status_test_withdraw_notify on public.daily_attendance_status_test;
+create trigger daily_attendance_status_test_withdraw_notify
+    after delete on public.daily_attendance_status_test
+    for each row when (old.status = 'marked_absent')
+    execute function public._withdraw_daily_status_notifications();
+
+drop trigger if exists daily_attendance_status_test_unmark_notify on public.daily_attendance_status_test;
+create trigger daily_attendance_status_test_unmark_notify
+    after update of status on public.daily_attendance_status_test
+    for each row when (old.status = 'marked_absent' and new.status is distinct from 'marked_absent')
+    execute function public._withdraw_daily_status_notifications();
+
+drop trigger if exists lesson_logs_withdraw_notify on public.lesson_logs;
+create trigger lesson_logs_withdraw_notify
+    after delete on public.lesson_logs
+    for each row when (old.attendance_status = 'Absent')
+    execute function public._withdraw_lesson_log_notifications();
+
+drop trigger if exists lesson_logs_unmark_notify on public.lesson_logs;
+create trigger lesson_logs_unmark_notify
+    after update of attendance_status on public.lesson_logs
+    for each row when (old.attendance_status = 'Absent' and new.attendance_status is distinct from 'Absent')
+    execute function public._withdraw_lesson_log_notifications();
+
+drop trigger if exists lesson_logs_test_withdraw_notify on public.lesson_logs_test;
+create trigger lesson_logs_test_withdraw_notify
+    after delete on public.lesson_logs_test
+    for each row when (old.attendance_status = 'Absent')
+    execute function public._withdraw_lesson_log_notifications();
+
+drop trigger if exists lesson_logs_test_unmark_notify on public.lesson_logs_test;
+create trigger lesson_logs_test_unmark_notify
+    after update of attendance_status on public.lesson_logs_test
+    for each row when (old.attendance_status = 'Absent' and new.attendance_status is distinct from 'Absent')
+    execute function public._withdraw_lesson_log_notifications();
+
+-- --- Sending ---
+
+-- Marks up to p_limit queued messages 'sending' and returns them, oldest first, for the send-notifications edge
+-- function. Rows another run has claimed are skipped rather than waited for. Messages left 'sending' by a run that
+-- died are claimed again after 15 minutes.
+create or replace function public.claim_queued_notifications(p_limit integer)
+returns setof public.notification_queue
+language sql
+security definer
+set search_path = public
+as $$
+    update public.notification_queue q
+    set status = 'sending', claimed_at = now()
+    where q.id in (
+        select id from public.notification_queue
+        where status = 'queued' or (status = 'sending' and claimed_at < now() - interval '15 minutes')
+        order by created_at
+        limit greatest(p_limit, 0)
+        for update skip locked
+    )
+    returning q.*;
+$$;
+
+revoke all on function public.claim_queued_notifications(integer) from public, anon, authenticated;
+grant execute on function public.claim_queued_notifications(integer) to service_role;
+
+-- --- RPC called from js/api.js (saveGuardianContact) ---
+
+-- Updates a student's guardian details (admins only). Blank values are stored as null.
+create or replace function public.set_guardian_contact(
+    p_student_id bigint,
+    p_guardian_name text,
+    p_guardian_email text,
+    p_guardian_phone text,
+    p_guardian_notify boolean
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if coalesce(auth.jwt() -> 'app_metadata' ->> 'role', '') <> 'admin' then
+        raise exception 'Only admins can edit guardian contact details.';
+    end if;
+    if nullif(trim(p_guardian_email), '') is not null and trim(p_guardian_email) !~ '^[^@\s]+@[^@\s]+\.[^@\s]+$' then
+        raise exception 'Guardian email "%" is not a valid email address.', trim(p_guardian_email);
+    end if;
+
+    update public.students
+    set guardian_name = nullif(trim(p_guardian_name), ''),
+        guardian_email = nullif(trim(p_guardian_email), ''),
+        guardian_phone = nullif(trim(p_guardian_phone), ''),
+        guardian_notify = coalesce(p_guardian_notify, true)
+    where id = p_student_id;
+
+    if not found then
+        raise exception 'Student % not found.', p_student_id;
+    end if;
+end;
+$$;
+
+grant execute on function public.set_guardian_contact(bigint, text, text, text, boolean) to authenticated;
+
+-- --- Access ---
+-- Admins manage the rules and see the queue. Queue rows are written by the triggers (security definer) and
+-- updated by the send-notifications edge function (service role); admins may re-queue failed messages.
+alter table public.notification_rules enable row level security;
+alter table public.notification_queue enable row level security;
+
+drop policy if exists "notification_rules_admin" on public.notification_rules;
+create policy "notification_rules_admin" on public.notification_rules
+    for all to authenticated
+    using ((auth.jwt() -> 'app_metadata' ->> 'role') = 'admin')
+    with check ((auth.jwt() -> 'app_metadata' ->> 'role') = 'admin');
+
+drop policy if exists "notification_queue_select_admin" on public.notification_queue;
+create policy "notification_queue_select_admin" on public.notification_queue
+    for select to authenticated
+    using ((auth.jwt() -> 'app_metadata' ->> 'role') = 'admin');
+
+drop policy if exists "notification_queue_update_admin" on public.notification_queue;
+create policy "notification_queue_update_admin" on public.notification_queue
+    for update to authenticated
+    using ((auth.jwt() -> 'app_metadata' ->> 'role') = 'admin')
+    with check ((auth.jwt() -> 'app_metadata' ->> 'role') = 'admin');
@@ -0,0 +1,688 @@
+-- supabase/migrations/20261019180000_role_permissions.sql
+-- Role-based permissions: coach, head coach, office/billing and admin.
+--
+-- The role lives in the user's app_metadata (as 'admin' already did), with coach_id linking a coach login to
+-- its coaches row: { "role": "coach", "coach_id": 12 }. A user without a known role is a coach. Admins assign
+-- roles from the app through set_app_user_role. Changes apply at the user's next sign-in or token refresh.
+--
+--   coach       Own schedule only: logs lessons, marks attendance and corrects logs for their own slots, and sees
+--               the logs and ledgers of their own students. Active students stay visible for fill-ins.
+--   head_coach  Every coach's schedule: logging, attendance, fill-ins, rosters, blocks, log corrections, skills.
+--   office      Billing and admin office: lessons owed, guardian contacts, notifications, terms, blocks and
+--               marking absences (e.g. a parent phones in). Sees every schedule but does not log lessons.
+--   admin       Everything, including student imports, availability, test mode and assigning roles.
+--
+-- Enforcement is in the database, not just the UI (js/permissions.js mirrors these rules):
+--   * Restrictive RLS policies narrow whatever permissive policies the tables already have, for direct API access.
+--   * Write triggers apply the same rules to the security definer RPCs (process_lesson_log, the block and
+--     correction functions, ...), which bypass RLS. They skip calls without a signed-in user (service role).
+--   * Guardian contact details move off students into student_guardian_contacts, which only admins and the office
+--     can read. Coaches still see every active student (they add fill-ins from anyone's roster), but not their
+--     families' names, emails and phone numbers.
+--   * Log edit/void history (lesson_log_changes) is readable by admins, head coaches and the office, and by the
+--     coach whose log it is.
+
+-- --- Role helpers ---
+
+-- The caller's role. Unknown or missing roles are treated as coach.
+create or replace function public.app_role()
+returns text
+language sql
+stable
+set search_path = public
+as $$
+    select case
+        when auth.jwt() -> 'app_metadata' ->> 'role' in ('admin', 'head_coach', 'office', 'coach')
+            then auth.jwt() -> 'app_metadata' ->> 'role'
+        else 'coach'
+    end;
+$$;
+
+-- The coaches row linked to the caller's login, or null.
+create or replace function public.app_coach_id()
+returns bigint
+language sql
+stable
+set search_path = public
+as $$
+    select case
+        when auth.jwt() -> 'app_metadata' ->> 'coach_id' ~ '^\d+$'
+            then (auth.jwt() -> 'app_metadata' ->> 'coach_id')::bigint
+    end;
+$$;
+
+create or replace function public.has_app_role(variadic p_roles text[])
+returns boolean
+language sql
+stable
+set search_path = public
+as $$
+    select public.app_role() = any (p_roles);
+$$;
+
+-- Logging lessons and correcting logs: head coaches and admins for anyone, coaches for their own slots.
+create or replace function public.can_log_for_coach(p_coach_id bigint)
+returns boolean
+language sql
+stable
+set search_path = public
+as $$
+    select public.has_app_role('admin', 'head_coach')
+        or (public.app_role() = 'coach' and p_coach_id is not null and p_coach_id = public.app_coach_id());
+$$;
+
+-- Marking attendance (absences, fill-ins): everyone who can log for the coach, plus the office.
+create or replace function public.can_mark_for_coach(p_coach_id bigint)
+returns boolean
+language sql
+stable
+set search_path = public
+as $$
+    select public.can_log_for_coach(p_coach_id) or public.has_app_role('office');
+$$;
+
+-- True when the student is on one of the caller's own rosters.
+create or replace function public.coach_teaches_student(p_student_id bigint)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select exists (
+        select 1
+        from public.scheduled_students ss
+        join public.lesson_schedule ls on ls.id = ss.lesson_schedule_id
+        where ss.student_id = p_student_id
+          and ls.coach_id = public.app_coach_id()
+    );
+$$;
+
+-- The coach of a schedule slot (attendance rows are checked against the slot's coach).
+create or replace function public._schedule_coach_id(p_lesson_schedule_id bigint)
+returns bigint
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select coach_id from public.lesson_schedule where id = p_lesson_schedule_id;
+$$;
+
+grant execute on function public.app_role() to authenticated;
+grant execute on function public.app_coach_id() to authenticated;
+grant execute on function public.has_app_role(text[]) to authenticated;
+grant execute on function public.can_log_for_coach(bigint) to authenticated;
+grant execute on function public.can_mark_for_coach(bigint) to authenticated;
+grant execute on function public.coach_teaches_student(bigint) to authenticated;
+revoke execute on function public._schedule_coach_id(bigint) from public, anon;
+grant execute on function public._schedule_coach_id(bigint) to authenticated;
+
+-- --- Write triggers (also cover security definer RPCs) ---
+
+-- Lesson logs: only for coaches the caller may log for.
+create or replace function public._enforce_lesson_log_role()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_row record;
+begin
+    if tg_op = 'DELETE' then v_row := old; else v_row := new; end if;
+    if auth.uid() is null then
+        return v_row;
+    end if;
+    if not public.can_log_for_coach(v_row.coach_id)
+       or (tg_op = 'UPDATE' and not public.can_log_for_coach(old.coach_id)) then
+        raise exception 'Your role (%) cannot log or correct lessons for coach %.', public.app_role(), v_row.coach_id
+            using errcode = '42501';
+    end if;
+    return v_row;
+end;
+$$;
+
+-- Attendance statuses: only for slots of coaches the caller may mark attendance for.
+create or replace function public._enforce_attendance_role()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_row record;
+    v_coach_id bigint;
+begin
+    if tg_op = 'DELETE' then v_row := old; else v_row := new; end if;
+    if auth.uid() is null then
+        return v_row;
+    end if;
+    v_coach_id := coalesce(public._schedule_coach_id(v_row.lesson_schedule_id), v_row.coach_id);
+    if not public.can_mark_for_coach(v_coach_id) then
+        raise exception 'Your role (%) cannot change attendance for coach %.', public.app_role(), v_coach_id
+            using errcode = '42501';
+    end if;
+    return v_row;
+end;
+$$;
+
+-- Any write needs one of the roles passed as trigger arguments.
+create or replace function public._require_app_role()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if auth.uid() is not null and not (public.app_role() = any (tg_argv)) then
+        raise exception 'Your role (%) cannot change %.', public.app_role(), tg_table_name
+            using errcode = '42501';
+    end if;
+    if tg_op = 'DELETE' then
+        return old;
+    end if;
+    return new;
+end;
+$$;
+
+-- Students: coaches and head coaches may only move the lessons owed balance (through process_lesson_log).
+create or replace function public._enforce_student_write_role()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if auth.uid() is null or public.has_app_role('admin', 'office') then
+        if tg_op = 'DELETE' then
+            return old;
+        end if;
+        return new;
+    end if;
+    if tg_op = 'UPDATE' and (to_jsonb(new) - 'lessons owed') = (to_jsonb(old) - 'lessons owed') then
+        return new;
+    end if;
+    raise exception 'Your role (%) cannot change student records.', public.app_role()
+        using errcode = '42501';
+end;
+$$;
+
+drop trigger if exists lesson_logs_enforce_role on public.lesson_logs;
+create trigger lesson_logs_enforce_role
+    before insert or update or delete on public.lesson_logs
+    for each row execute function public._enforce_lesson_log_role();
+
+drop trigger if exists lesson_logs_test_enforce_role on public.lesson_logs_test;
+create trigger lesson_logs_test_enforce_role
+    before insert or update or delete on public.lesson_logs_test
+    for each row execute function public._enforce_lesson_log_role();
+
+drop trigger if exists daily_attendance_status_enforce_role on public.daily_attendance_status;
+create trigger daily_attendance_status_enforce_role
+    before insert or update or delete on public.daily_attendance_status
+    for each row execute function public._enforce_attendance_role();
+
+drop trigger if exists daily_attendance_status_test_enforce_role on public.daily_attendance_status_test;
+create trigger daily_attendance_status_test_enforce_role
+    before insert or update or delete on public.daily_attendance_status_test
+    for each row execute function public._enforce_attendance_role();
+
+drop trigger if exists scheduled_students_enforce_role on public.scheduled_students;
+create trigger scheduled_students_enforce_role
+    before insert or update or delete on public.scheduled_students
+    for each row execute function public._require_app_role('admin', 'head_coach');
+
+drop trigger if exists lesson_schedule_enforce_role on public.lesson_schedule;
+create trigger lesson_schedule_enforce_role
+    before insert or update or delete on public.lesson_schedule
+    for each row execute function public._require_app_role('admin', 'head_coach');
+
+drop trigger if exists daily_blocks_enforce_role on public.daily_blocks;
+create trigger daily_blocks_enforce_role
+    before insert or update or delete on public.daily_blocks
+    for each row execute function public._require_app_role('admin', 'head_coach', 'office');
+
+drop trigger if exists daily_blocks_test_enforce_role on public.daily_blocks_test;
+create trigger daily_blocks_test_enforce_role
+    before insert or update or delete on public.daily_blocks_test
+    for each row execute function public._require_app_role('admin', 'head_coach', 'office');
+
+drop trigger if exists students_enforce_role on public.students;
+create trigger students_enforce_role
+    before insert or update or delete on public.students
+    for each row execute function public._enforce_student_write_role();
+
+-- --- Row-level security ---
+-- Each table keeps a permissive baseline for signed-in users; the restrictive policies below narrow it per role.
+do $$
+declare
+    v_table text;
+begin
+    foreach v_table in array array[
+        'coaches', 'students', 'lesson_schedule', 'scheduled_students',
+        'lesson_logs', 'lesson_logs_test', 'daily_attendance_status', 'daily_attendance_status_test',
+        'daily_blocks', 'daily_blocks_test'
+    ]
+    loop
+        execute format('alter table public.%I enable row level security', v_table);
+        execute format('drop policy if exists %I on public.%I', v_table || '_authenticated_baseline', v_table);
+        execute format('create policy %I on public.%I for all to authenticated using (true) with check (true)',
+            v_table || '_authenticated_baseline', v_table);
+    end loop;
+
+    -- Logs: coaches read their own lessons and their students' history; writes follow can_log_for_coach
+    foreach v_table in array array['lesson_logs', 'lesson_logs_test']
+    loop
+        execute format('drop policy if exists %I on public.%I', v_table || '_role_select', v_table);
+        execute format($p$create policy %I on public.%I as restrictive for select to authenticated
+            using (public.has_app_role('admin', 'head_coach', 'office') or coach_id = public.app_coach_id()
+                   or public.coach_teaches_student(student_id))$p$, v_table || '_role_select', v_table);
+        execute format('drop policy if exists %I on public.%I', v_table || '_role_insert', v_table);
+        execute format('create policy %I on public.%I as restrictive for insert to authenticated with check (public.can_log_for_coach(coach_id))',
+            v_table || '_role_insert', v_table);
+        execute format('drop policy if exists %I on public.%I', v_table || '_role_update', v_table);
+        execute format('create policy %I on public.%I as restrictive for update to authenticated using (public.can_log_for_coach(coach_id)) with check (public.can_log_for_coach(coach_id))',
+            v_table || '_role_update', v_table);
+        execute format('drop policy if exists %I on public.%I', v_table || '_role_delete', v_table);
+        execute format('create policy %I on public.%I as restrictive for delete to authenticated using (public.can_log_for_coach(coach_id))',
+            v_table || '_role_delete', v_table);
+    end loop;
+
+    -- Attendance: everyone reads it (fill-in checks look across coaches); writes follow can_mark_for_coach
+    foreach v_table in array array['daily_attendance_status', 'daily_attendance_status_test']
+    loop
+        execute format('drop policy if exists %I on public.%I', v_table || '_role_insert', v_table);
+        execute format('create policy %I on public.%I as restrictive for insert to authenticated with check (public.can_mark_for_coach(public._schedule_coach_id(lesson_schedule_id)))',
+            v_table || '_role_insert', v_table);
+        execute format('drop policy if exists %I on public.%I', v_table || '_role_update', v_table);
+        execute format('create policy %I on public.%I as restrictive for update to authenticated using (public.can_mark_for_coach(public._schedule_coach_id(lesson_schedule_id))) with check (public.can_mark_for_coach(public._schedule_coach_id(lesson_schedule_id)))',
+            v_table || '_role_update', v_table);
+        execute format('drop policy if exists %I on public.%I', v_table || '_role_delete', v_table);
+        execute format('create policy %I on public.%I as restrictive for delete to authenticated using (public.can_mark_for_coach(public._schedule_coach_id(lesson_schedule_id)))',
+            v_table || '_role_delete', v_table);
+    end loop;
+
+    -- Timetable and blocks: readable by everyone, changed only by the listed roles
+    foreach v_table in array array['coaches', 'lesson_schedule', 'scheduled_students', 'daily_blocks', 'daily_blocks_test']
+    loop
+        execute format('drop policy if exists %I on public.%I', v_table || '_role_write', v_table);
+        execute format('drop policy if exists %I on public.%I', v_table || '_role_update', v_table);
+        execute format('drop policy if exists %I on public.%I', v_table || '_role_delete', v_table);
+    end loop;
+end;
+$$;
+
+create policy "coaches_role_write" on public.coaches as restrictive
+    for insert to authenticated with check (public.has_app_role('admin'));
+create policy "coaches_role_update" on public.coaches as restrictive
+    for update to authenticated using (public.has_app_role('admin'));
+create policy "coaches_role_delete" on public.coaches as restrictive
+    for delete to authenticated using (public.has_app_role('admin'));
+
+create policy "lesson_schedule_role_write" on public.lesson_schedule as restrictive
+    for insert to authenticated with check (public.has_app_role('admin', 'head_coach'));
+create policy "lesson_schedule_role_update" on public.lesson_schedule as restrictive
+    for update to authenticated using (public.has_app_role('admin', 'head_coach'));
+create policy "lesson_schedule_role_delete" on public.lesson_schedule as restrictive
+    for delete to authenticated using (public.has_app_role('admin', 'head_coach'));
+
+create policy "scheduled_students_role_write" on public.scheduled_students as restrictive
+    for insert to authenticated with check (public.has_app_role('admin', 'head_coach'));
+create policy "scheduled_students_role_update" on public.scheduled_students as restrictive
+    for update to authenticated using (public.has_app_role('admin', 'head_coach'));
+create policy "scheduled_students_role_delete" on public.scheduled_students as restrictive
+    for delete to authenticated using (public.has_app_role('admin', 'head_coach'));
+
+create policy "daily_blocks_role_write" on public.daily_blocks as restrictive
+    for insert to authenticated with check (public.has_app_role('admin', 'head_coach', 'office'));
+create policy "daily_blocks_role_update" on public.daily_blocks as restrictive
+    for update to authenticated using (public.has_app_role('admin', 'head_coach', 'office'));
+create policy "daily_blocks_role_delete" on public.daily_blocks as restrictive
+    for delete to authenticated using (public.has_app_role('admin', 'head_coach', 'office'));
+
+create policy "daily_blocks_test_role_write" on public.daily_blocks_test as restrictive
+    for insert to authenticated with check (public.has_app_role('admin', 'head_coach', 'office'));
+create policy "daily_blocks_test_role_update" on public.daily_blocks_test as restrictive
+    for update to authenticated using (public.has_app_role('admin', 'head_coach', 'office'));
+create policy "daily_blocks_test_role_delete" on public.daily_blocks_test as restrictive
+    for delete to authenticated using (public.has_app_role('admin', 'head_coach', 'office'));
+
+-- Students: coaches see active students (fill-in candidates) and their own students; writes are admin/office
+-- (lessons owed changes from process_lesson_log are allowed by the trigger above).
+drop policy if exists "students_role_select" on public.students;
+create policy "students_role_select" on public.students as restrictive
+    for select to authenticated
+    using (public.has_app_role('admin', 'head_coach', 'office') or is_active or public.coach_teaches_student(id));
+
+drop policy if exists "students_role_delete" on public.students;
+create policy "students_role_delete" on public.students as restrictive
+    for delete to authenticated using (public.has_app_role('admin', 'office'));
+
+drop policy if exists "students_role_insert" on public.students;
+create policy "students_role_insert" on public.students as restrictive
+    for insert to authenticated with check (public.has_app_role('admin', 'office'));
+
+-- Ledger: coaches see the balances of their own students only.
+drop policy if exists "lessons_owed_ledger_role_select" on public.lessons_owed_ledger;
+create policy "lessons_owed_ledger_role_select" on public.lessons_owed_ledger as restrictive
+    for select to authenticated
+    using (public.has_app_role('admin', 'head_coach', 'office') or public.coach_teaches_student(student_id));
+
+-- --- Admin-only policies opened to the roles that own them ---
+
+drop policy if exists "term_dates_write_admin" on public.term_dates;
+create policy "term_dates_write_admin" on public.term_dates
+    for all to authenticated
+    using (public.has_app_role('admin', 'office'))
+    with check (public.has_app_role('admin', 'office'));
+
+drop policy if exists "skills_write_admin" on public.skills;
+create policy "skills_write_admin" on public.skills
+    for all to authenticated
+    using (public.has_app_role('admin', 'head_coach'))
+    with check (public.has_app_role('admin', 'head_coach'));
+
+drop policy if exists "notification_rules_admin" on public.notification_rules;
+create policy "notification_rules_admin" on public.notification_rules
+    for all to authenticated
+    using (public.has_app_role('admin', 'office'))
+    with check (public.has_app_role('admin', 'office'));
+
+drop policy if exists "notification_queue_select_admin" on public.notification_queue;
+create policy "notification_queue_select_admin" on public.notification_queue
+    for select to authenticated
+    using (public.has_app_role('admin', 'office'));
+
+drop policy if exists "notification_queue_update_admin" on public.notification_queue;
+create policy "notification_queue_update_admin" on public.notification_queue
+    for update to authenticated
+    using (public.has_app_role('admin', 'office'))
+    with check (public.has_app_role('admin', 'office'));
+
+-- --- Guardian contacts ---
+
+create table if not exists public.student_guardian_contacts (
+    student_id bigint primary key references public.students (id) on delete cascade,
+    guardian_name text,
+    guardian_email text,
+    guardian_phone text,
+    guardian_notify boolean not null default true
+);
+
+insert into public.student_guardian_contacts (student_id, guardian_name, guardian_email, guardian_phone, guardian_notify)
+select id, guardian_name, guardian_email, guardian_phone, guardian_notify
+from public.students
+where guardian_name is not null or guardian_email is not null or guardian_phone is not null or not guardian_notify
+on conflict (student_id) do nothing;
+
+alter table public.students drop column if exists guardian_name;
+alter table public.students drop column if exists guardian_email;
+alter table public.students drop column if exists guardian_phone;
+alter table public.students drop column if exists guardian_notify;
+
+-- Written only by set_guardian_contact below.
+alter table public.student_guardian_contacts enable row level security;
+
+drop policy if exists "student_guardian_contacts_select_office" on public.student_guardian_contacts;
+create policy "student_guardian_contacts_select_office" on public.student_guardian_contacts
+    for select to authenticated using (public.has_app_role('admin', 'office'));
+
+-- --- Office RPCs ---
+
+-- Billing adjustments and guardian contacts belong to the office as well as admins.
+create or replace function public.add_lessons_owed_entry(
+    p_student_id bigint,
+    p_change integer,
+    p_entry_type text,
+    p_reason text
+)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_balance integer;
+begin
+    if not public.has_app_role('admin', 'office') then
+        raise exception 'Only admins and the office can adjust lessons owed.';
+    end if;
+    if p_change is null or p_change = 0 then
+        raise exception 'Adjustment must be a non-zero number of lessons.';
+    end if;
+    if p_entry_type not in ('top_up', 'credit', 'correction') then
+        raise exception 'Unknown adjustment type: %.', p_entry_type;
+    end if;
+    if coalesce(trim(p_reason), '') = '' then
+        raise exception 'A reason is required for every adjustment.';
+    end if;
+
+    insert into public.lessons_owed_ledger (student_id, change, entry_type, reason)
+    values (p_student_id, p_change, p_entry_type, trim(p_reason));
+
+    select coalesce(sum(change), 0) into v_balance
+    from public.lessons_owed_ledger
+    where student_id = p_student_id;
+
+    -- Update the cached balance without the trigger recording it a second time
+    perform set_config('app.owed_ledger_sync', 'on', true);
+    update public.students set "lessons owed" = v_balance where id = p_student_id;
+    perform set_config('app.owed_ledger_sync', 'off', true);
+
+    return v_balance;
+end;
+$$;
+
+create or replace function public.set_guardian_contact(
+    p_student_id bigint,
+    p_guardian_name text,
+    p_guardian_email text,
+    p_guardian_phone text,
+    p_guardian_notify boolean
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if not public.has_app_role('admin', 'office') then
+        raise exception 'Only admins and the office can edit guardian contact details.';
+    end if;
+    if nullif(trim(p_guardian_email), '') is not null and trim(p_guardian_email) !~ '^[^@\s]+@[^@\s]+\.[^@\s]+$' then
+        raise exception 'Guardian email "%" is not a valid email address.', trim(p_guardian_email);
+    end if;
+    if not exists (select 1 from public.students where id = p_student_id) then
+        raise exception 'Student % not found.', p_student_id;
+    end if;
+
+    insert into public.student_guardian_contacts (student_id, guardian_name, guardian_email, guardian_phone, guardian_notify)
+    values (p_student_id, nullif(trim(p_guardian_name), ''), nullif(trim(p_guardian_email), ''),
+            nullif(trim(p_guardian_phone), ''), coalesce(p_guardian_notify, true))
+    on conflict (student_id) do update
+    set guardian_name = excluded.guardian_name,
+        guardian_email = excluded.guardian_email,
+        guardian_phone = excluded.guardian_phone,
+        guardian_notify = excluded.guardian_notify;
+end;
+$$;
+
+-- Replaces the 20261019170000 version; reads the guardian from student_guardian_contacts.
+create or replace function public._queue_absence_notifications(
+    p_is_test boolean,
+    p_student_id bigint,
+    p_reason text,
+    p_absence_date date,
+    p_source text,
+    p_source_ref bigint
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_student record;
+    v_term record;
+    v_rule record;
+    v_logs_table text := case when p_is_test then 'lesson_logs_test' else 'lesson_logs' end;
+    v_status_table text := case when p_is_test then 'daily_attendance_status_test' else 'daily_attendance_status' end;
+    v_absence_count integer := 0;
+    v_values jsonb;
+    v_dedupe_key text;
+begin
+    select s.id, s."Name", g.guardian_name, g.guardian_email, g.guardian_notify into v_student
+    from public.students s
+    join public.student_guardian_contacts g on g.student_id = s.id
+    where s.id = p_student_id;
+    if not found or not v_student.guardian_notify or coalesce(trim(v_student.guardian_email), '') = '' then
+        return;
+    end if;
+
+    select id, term_number, start_date, end_date into v_term
+    from public.term_dates
+    where p_absence_date between start_date and end_date
+    limit 1;
+
+    -- Distinct absence dates in the term, from both the logs and the statuses marked ahead of logging
+    if v_term.id is not null then
+        execute format(
+            'select count(*) from (
+                select (log_date at time zone ''UTC'')::date as absence_date from %I
+                where student_id = $1 and attendance_status = ''Absent''
+                  and (log_date at time zone ''UTC'')::date between $2 and $3
+                union
+                select status_date from %I
+                where student_id = $1 and status = ''marked_absent'' and status_date between $2 and $3
+            ) absences', v_logs_table, v_status_table)
+        into v_absence_count
+        using p_student_id, v_term.start_date, v_term.end_date;
+    end if;
+
+    v_values := jsonb_build_object(
+        'guardian_name', coalesce(nullif(trim(v_student.guardian_name), ''), 'parent/guardian'),
+        'student_name', v_student."Name",
+        'date', to_char(p_absence_date, 'FMDay DD/MM/YYYY'),
+        'reason', coalesce(nullif(trim(p_reason), ''), 'no reason given'),
+        'absence_count', v_absence_count,
+        'term', case when v_term.id is not null then 'Term ' || v_term.term_number else 'this term' end
+    );
+
+    for v_rule in select * from public.notification_rules where is_active loop
+        v_dedupe_key := null;
+        if v_rule.trigger_type = 'absence_reason' and lower(trim(v_rule.absence_reason)) = lower(trim(coalesce(p_reason, ''))) then
+            v_dedupe_key := 'date:' || p_absence_date;
+        elsif v_rule.trigger_type = 'absences_in_term' and v_term.id is not null and v_absence_count >= v_rule.threshold then
+            v_dedupe_key := 'term:' || v_term.id;
+        end if;
+        continue when v_dedupe_key is null;
+
+        insert into public.notification_queue
+            (is_test, rule_id, student_id, recipient, subject, body, source, source_ref, dedupe_key)
+        values (
+            p_is_test, v_rule.id, p_student_id, trim(v_student.guardian_email),
+            public._render_notification_template(v_rule.subject_template, v_values),
+            public._render_notification_template(v_rule.body_template, v_values),
+            p_source, p_source_ref, v_dedupe_key
+        )
+        on conflict (is_test, rule_id, student_id, dedupe_key) where status <> 'cancelled' do nothing;
+    end loop;
+end;
+$$;
+
+-- --- Log change history ---
+drop policy if exists "lesson_log_changes_select_authenticated" on public.lesson_log_changes;
+drop policy if exists "lesson_log_changes_select_role" on public.lesson_log_changes;
+create policy "lesson_log_changes_select_role" on public.lesson_log_changes
+    for select to authenticated
+    using (
+        public.has_app_role('admin', 'head_coach', 'office')
+        or (public.app_role() = 'coach' and (before_row ->> 'coach_id')::bigint = public.app_coach_id())
+    );
+
+-- --- Skills catalogue ---
+
+-- Replaces the 20261019160000 version: head coaches manage the catalogue too.
+create or replace function public.set_skill_order(p_skill_ids bigint[])
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if not public.has_app_role('admin', 'head_coach') then
+        raise exception 'Only admins and head coaches can change the skills catalogue.';
+    end if;
+
+    update public.skills s
+    set sort_order = ordered.position
+    from unnest(p_skill_ids) with ordinality as ordered (skill_id, position)
+    where s.id = ordered.skill_id;
+end;
+$$;
+
+-- --- RPCs called from js/api.js (fetchAppUsers, setAppUserRole) ---
+
+-- Lists the app's logins with their role and linked coach (admins only).
+create or replace function public.list_app_users()
+returns table (user_id uuid, email text, role text, coach_id bigint, last_sign_in_at timestamptz)
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if not public.has_app_role('admin') then
+        raise exception 'Only admins can manage user roles.';
+    end if;
+
+    return query
+    select u.id,
+           u.email::text,
+           case when u.raw_app_meta_data ->> 'role' in ('admin', 'head_coach', 'office', 'coach')
+                then u.raw_app_meta_data ->> 'role' else 'coach' end,
+           case when u.raw_app_meta_data ->> 'coach_id' ~ '^\d+$'
+                then (u.raw_app_meta_data ->> 'coach_id')::bigint end,
+           u.last_sign_in_at
+    from auth.users u
+    order by u.email;
+end;
+$$;
+
+-- Sets a login's role and linked coach (admins only). Coaches must be linked to a coaches row.
+create or replace function public.set_app_user_role(p_user_id uuid, p_role text, p_coach_id bigint)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if not public.has_app_role('admin') then
+        raise exception 'Only admins can manage user roles.';
+    end if;
+    if p_role not in ('admin', 'head_coach', 'office', 'coach') then
+        raise exception 'Unknown role: %.', p_role;
+    end if;
+    if p_role = 'coach' and p_coach_id is null then
+        raise exception 'Choose the coach this login belongs to.';
+    end if;
+    if p_coach_id is not null and not exists (select 1 from public.coaches where id = p_coach_id) then
+        raise exception 'Coach % not found.', p_coach_id;
+    end if;
+    if p_user_id = auth.uid() and p_role <> 'admin' then
+        raise exception 'You cannot remove your own admin role.';
+    end if;
+
+    update auth.users
+    set raw_app_meta_data = coalesce(raw_app_meta_data, '{}'::jsonb)
+        || jsonb_build_object('role', p_role, 'coach_id', p_coach_id)
+    where id = p_user_id;
+
+    if not found then
+        raise exception 'User % not found.', p_user_id;
+    end if;
+end;
+$$;
+
+grant execute on function public.list_app_users() to authenticated;
+grant execute on function public.set_app_user_role(uuid, text, bigint) to authenticated;
@@ -0,0 +1,277 @@
+-- supabase/migrations/20261019190000_coach_leave_requests.sql
+-- Coach leave requests: coaches ask for leave from their own view, and admins, head coaches and the office
+-- approve or reject them from a pending queue.
+--
+-- * Approving a request creates the "Coach Unavailable" daily block for its dates (through
+--   _create_daily_block_range, so the coach's students are marked absent exactly as for a hand-made block)
+--   and records the block on the request. _create_daily_block_range now returns the new block's id for this; the
+--   create_daily_block_range RPCs still return the number of absences marked (js/api.js createDailyBlock).
+-- * Live and test requests share the table (is_test); approving a test request blocks in daily_blocks_test.
+-- * Requests are written only through the RPCs below. Coaches see their own requests, the other roles all of them.
+
+-- --- Table ---
+create table if not exists public.coach_leave_requests (
+    id bigint generated by default as identity primary key,
+    is_test boolean not null default false,
+    coach_id bigint not null references public.coaches (id) on delete cascade,
+    start_date date not null,
+    end_date date not null,
+    reason text,
+    status text not null default 'pending' check (status in ('pending', 'approved', 'rejected', 'cancelled')),
+    requested_by uuid default auth.uid(),
+    requested_at timestamptz not null default now(),
+    reviewed_by uuid,
+    reviewed_at timestamptz,
+    review_note text,
+    block_id bigint,
+    constraint coach_leave_requests_dates_check check (end_date >= start_date and end_date - start_date <= 366)
+);
+
+create index if not exists coach_leave_requests_status_idx on public.coach_leave_requests (is_test, status, start_date);
+create index if not exists coach_leave_requests_coach_idx on public.coach_leave_requests (coach_id, start_date);
+
+-- --- Daily blocks ---
+
+-- The number of absences a block has marked.
+create or replace function public._count_daily_block_absences(p_is_test boolean, p_block_id bigint)
+returns integer
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+    v_count integer;
+begin
+    execute format('select count(*) from %I where daily_block_id = $1',
+        case when p_is_test then 'daily_attendance_status_test' else 'daily_attendance_status' end)
+    into v_count using p_block_id;
+    return v_count;
+end;
+$$;
+
+-- Replaces the 20261019100000 version, which returned the number of absences marked.
+drop function if exists public._create_daily_block_range(boolean, date, date, text[], text, text, text);
+
+create or replace function public._create_daily_block_range(
+    p_is_test boolean,
+    p_start_date date,
+    p_end_date date,
+    p_repeat_days text[],
+    p_block_type text,
+    p_identifier text,
+    p_reason text
+)
+returns bigint
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_blocks_table text := case when p_is_test then 'daily_blocks_test' else 'daily_blocks' end;
+    v_block_id bigint;
+begin
+    perform public._validate_daily_block(p_start_date, p_end_date, p_block_type, p_identifier);
+
+    execute format(
+        'insert into %I (block_date, end_date, repeat_days, block_type, identifier, reason) values ($1, $2, $3, $4, $5, $6) returning id',
+        v_blocks_table
+    ) into v_block_id
+    using p_start_date, p_end_date, nullif(p_repeat_days, '{}'::text[]), p_block_type, nullif(trim(p_identifier), ''), p_reason;
+
+    perform public._mark_daily_block_absences(p_is_test, v_block_id, p_start_date, p_end_date, p_repeat_days, p_block_type, p_identifier, p_reason);
+    return v_block_id;
+end;
+$$;
+
+-- --- RPCs called from js/api.js (createDailyBlock), replacing the 20261019090000 versions ---
+
+create or replace function public.create_daily_block_range(
+    p_start_date date,
+    p_end_date date,
+    p_repeat_days text[],
+    p_block_type text,
+    p_identifier text,
+    p_reason text
+)
+returns integer
+language sql
+security definer
+set search_path = public
+as $$
+    select public._count_daily_block_absences(false,
+        public._create_daily_block_range(false, p_start_date, p_end_date, p_repeat_days, p_block_type, p_identifier, p_reason));
+$$;
+
+create or replace function public.create_daily_block_range_test(
+    p_start_date date,
+    p_end_date date,
+    p_repeat_days text[],
+    p_block_type text,
+    p_identifier text,
+    p_reason text
+)
+returns integer
+language sql
+security definer
+set search_path = public
+as $$
+    select public._count_daily_block_absences(true,
+        public._create_daily_block_range(true, p_start_date, p_end_date, p_repeat_days, p_block_type, p_identifier, p_reason));
+$$;
+
+revoke execute on function public._create_daily_block_range(boolean, date, date, text[], text, text, text) from public, anon, authenticated;
+revoke execute on function public._count_daily_block_absences(boolean, bigint) from public, anon, authenticated;
+
+-- --- Shared bodies ---
+
+-- Files a pending request. Coaches may only ask for their own leave. Returns the new request's id.
+create or replace function public._submit_leave_request(
+    p_is_test boolean,
+    p_coach_id bigint,
+    p_start_date date,
+    p_end_date date,
+    p_reason text
+)
+returns bigint
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_end_date date := coalesce(p_end_date, p_start_date);
+    v_request_id bigint;
+begin
+    if not public.can_mark_for_coach(p_coach_id) then
+        raise exception 'You can only request leave for your own coach.';
+    end if;
+    if p_start_date is null then
+        raise exception 'A start date is required.';
+    end if;
+    if v_end_date < p_start_date then
+        raise exception 'Leave end date (%) is before its start date (%).', v_end_date, p_start_date;
+    end if;
+    if p_start_date < current_date then
+        raise exception 'Leave cannot start in the past.';
+    end if;
+    if exists (
+        select 1 from public.coach_leave_requests
+        where is_test = p_is_test and coach_id = p_coach_id and status in ('pending', 'approved')
+          and start_date <= v_end_date and end_date >= p_start_date
+    ) then
+        raise exception 'These dates overlap a leave request that is already pending or approved.';
+    end if;
+
+    insert into public.coach_leave_requests (is_test, coach_id, start_date, end_date, reason)
+    values (p_is_test, p_coach_id, p_start_date, v_end_date, nullif(trim(p_reason), ''))
+    returning id into v_request_id;
+
+    return v_request_id;
+end;
+$$;
+
+revoke all on function public._submit_leave_request(boolean, bigint, date, date, text) from public, anon, authenticated;
+
+-- --- RPCs called from js/api.js ---
+
+create or replace function public.submit_leave_request(p_coach_id bigint, p_start_date date, p_end_date date, p_reason text)
+returns bigint
+language sql
+security definer
+set search_path = public
+as $$
+    select public._submit_leave_request(false, p_coach_id, p_start_date, p_end_date, p_reason);
+$$;
+
+create or replace function public.submit_leave_request_test(p_coach_id bigint, p_start_date date, p_end_date date, p_reason text)
+returns bigint
+language sql
+security definer
+set search_path = public
+as $$
+    select public._submit_leave_request(true, p_coach_id, p_start_date, p_end_date, p_reason);
+$$;
+
+-- Withdraws a pending request (the coach it belongs to, or any role that may act for that coach).
+create or replace function public.cancel_leave_request(p_request_id bigint)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_request record;
+begin
+    select * into v_request from public.coach_leave_requests where id = p_request_id for update;
+    if not found then
+        raise exception 'Leave request % not found.', p_request_id;
+    end if;
+    if not public.can_mark_for_coach(v_request.coach_id) then
+        raise exception 'You can only cancel your own leave requests.';
+    end if;
+    if v_request.status <> 'pending' then
+        raise exception 'Only pending requests can be cancelled (this one is %).', v_request.status;
+    end if;
+
+    update public.coach_leave_requests set status = 'cancelled' where id = p_request_id;
+end;
+$$;
+
+-- Approves or rejects a pending request. Approval creates the Coach Unavailable block for the request's dates
+-- and returns the number of student absences it marked (0 for a rejection).
+create or replace function public.review_leave_request(p_request_id bigint, p_approve boolean, p_note text)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_request record;
+    v_block_id bigint;
+    v_marked integer := 0;
+begin
+    if not public.has_app_role('admin', 'head_coach', 'office') then
+        raise exception 'Only admins, head coaches and the office can review leave requests.';
+    end if;
+
+    select * into v_request from public.coach_leave_requests where id = p_request_id for update;
+    if not found then
+        raise exception 'Leave request % not found.', p_request_id;
+    end if;
+    if v_request.status <> 'pending' then
+        raise exception 'This request has already been %.', v_request.status;
+    end if;
+
+    if p_approve then
+        v_block_id := public._create_daily_block_range(
+            v_request.is_test, v_request.start_date,
+            case when v_request.end_date > v_request.start_date then v_request.end_date end,
+            null, 'Coach Unavailable', v_request.coach_id::text,
+            'Leave' || coalesce(': ' || v_request.reason, ''));
+        v_marked := public._count_daily_block_absences(v_request.is_test, v_block_id);
+    end if;
+
+    update public.coach_leave_requests
+    set status = case when p_approve then 'approved' else 'rejected' end,
+        reviewed_by = auth.uid(),
+        reviewed_at = now(),
+        review_note = nullif(trim(p_note), ''),
+        block_id = v_block_id
+    where id = p_request_id;
+
+    return v_marked;
+end;
+$$;
+
+grant execute on function public.submit_leave_request(bigint, date, date, text) to authenticated;
+grant execute on function public.submit_leave_request_test(bigint, date, date, text) to authenticated;
+grant execute on function public.cancel_leave_request(bigint) to authenticated;
+grant execute on function public.review_leave_request(bigint, boolean, text) to authenticated;
+
+-- --- Access ---
+alter table public.coach_leave_requests enable row level security;
+
+drop policy if exists "coach_leave_requests_select" on public.coach_leave_requests;
+create policy "coach_leave_requests_select" on public.coach_leave_requests
+    for select to authenticated
+    using (public.has_app_role('admin', 'head_coach', 'office') or coach_id = public.app_coach_id());
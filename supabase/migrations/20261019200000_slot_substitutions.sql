@@ -0,0 +1,356 @@
+-- supabase/migrations/20261019200000_slot_substitutions.sql
+-- Substitute coaches: a slot (or all of a coach's slots on a day) can be handed to another coach for one date.
+--
+-- * The substitute teaches the borrowed slot on that date: it shows in their schedule, and fill-ins and logs
+--   for it carry the substitute's coach_id.
+-- * A substituted slot is no longer out because of its own coach's "Coach Unavailable" block, so assigning a
+--   substitute clears the absences that block marked on that slot and date. Removing the substitute marks them
+--   again while the block still applies.
+-- * A coach with their own Coach Unavailable block on the date can't be made the substitute.
+-- * Covered lessons nobody logged are missed logs of the substitute (get_covered_missed_logs). The slot coach's
+--   missed logs RPC still lists them, and js/coachSelect.js drops them there.
+-- * Live and test substitutions share the table (is_test).
+
+-- --- Table ---
+create table if not exists public.slot_substitutions (
+    id bigint generated by default as identity primary key,
+    is_test boolean not null default false,
+    lesson_schedule_id bigint not null references public.lesson_schedule (id) on delete cascade,
+    lesson_date date not null,
+    substitute_coach_id bigint not null references public.coaches (id) on delete cascade,
+    created_by uuid default auth.uid(),
+    created_at timestamptz not null default now(),
+    constraint slot_substitutions_slot_date_key unique (is_test, lesson_schedule_id, lesson_date)
+);
+
+create index if not exists slot_substitutions_date_idx on public.slot_substitutions (is_test, lesson_date);
+create index if not exists slot_substitutions_substitute_idx on public.slot_substitutions (substitute_coach_id, lesson_date);
+
+-- --- Helpers ---
+
+-- True when the caller may mark attendance on a slot on a date: for the slot's own coach, or for the
+-- substitute covering it that day.
+create or replace function public.can_mark_for_slot(p_is_test boolean, p_lesson_schedule_id bigint, p_date date)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select public.can_mark_for_coach(public._schedule_coach_id(p_lesson_schedule_id))
+        or exists (
+            select 1 from public.slot_substitutions
+            where is_test = p_is_test and lesson_schedule_id = p_lesson_schedule_id and lesson_date = p_date
+              and public.can_mark_for_coach(substitute_coach_id)
+        );
+$$;
+
+grant execute on function public.can_mark_for_slot(boolean, bigint, date) to authenticated;
+
+-- Attendance statuses: the slot's coach or that day's substitute (replaces the 20261019180000 version).
+create or replace function public._enforce_attendance_role()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_row record;
+begin
+    if tg_op = 'DELETE' then v_row := old; else v_row := new; end if;
+    if auth.uid() is null then
+        return v_row;
+    end if;
+    if v_row.lesson_schedule_id is null then
+        if not public.can_mark_for_coach(v_row.coach_id) then
+            raise exception 'Your role (%) cannot change attendance for coach %.', public.app_role(), v_row.coach_id
+                using errcode = '42501';
+        end if;
+    elsif not public.can_mark_for_slot(tg_table_name = 'daily_attendance_status_test', v_row.lesson_schedule_id, v_row.status_date) then
+        raise exception 'Your role (%) cannot change attendance for slot % on %.', public.app_role(), v_row.lesson_schedule_id, v_row.status_date
+            using errcode = '42501';
+    end if;
+    return v_row;
+end;
+$$;
+
+do $$
+declare
+    v_table text;
+    v_is_test text;
+begin
+    foreach v_table in array array['daily_attendance_status', 'daily_attendance_status_test']
+    loop
+        v_is_test := case when v_table = 'daily_attendance_status_test' then 'true' else 'false' end;
+        execute format('drop policy if exists %I on public.%I', v_table || '_role_insert', v_table);
+        execute format('create policy %I on public.%I as restrictive for insert to authenticated with check (public.can_mark_for_slot(%s, lesson_schedule_id, status_date))',
+            v_table || '_role_insert', v_table, v_is_test);
+        execute format('drop policy if exists %I on public.%I', v_table || '_role_update', v_table);
+        execute format('create policy %I on public.%I as restrictive for update to authenticated using (public.can_mark_for_slot(%s, lesson_schedule_id, status_date)) with check (public.can_mark_for_slot(%s, lesson_schedule_id, status_date))',
+            v_table || '_role_update', v_table, v_is_test, v_is_test);
+        execute format('drop policy if exists %I on public.%I', v_table || '_role_delete', v_table);
+        execute format('create policy %I on public.%I as restrictive for delete to authenticated using (public.can_mark_for_slot(%s, lesson_schedule_id, status_date))',
+            v_table || '_role_delete', v_table, v_is_test);
+    end loop;
+end;
+$$;
+
+-- The absence reasons the slot coach's Coach Unavailable blocks give on a date (see _create_daily_block_range).
+create or replace function public._coach_block_reasons_on(p_is_test boolean, p_coach_id bigint, p_date date)
+returns text[]
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+    v_reasons text[];
+begin
+    execute format(
+        'select coalesce(array_agg(coalesce(reason, block_type)), ''{}'') from %I
+         where block_type = ''Coach Unavailable'' and trim(identifier) = $1
+           and public.daily_block_applies_on($2, block_date, end_date, repeat_days)',
+        case when p_is_test then 'daily_blocks_test' else 'daily_blocks' end)
+    into v_reasons
+    using p_coach_id::text, p_date;
+    return v_reasons;
+end;
+$$;
+
+revoke all on function public._coach_block_reasons_on(boolean, bigint, date) from public, anon, authenticated;
+
+-- --- Shared body ---
+
+-- Hands the given slots to a substitute for one date (replacing any earlier substitute). Returns the number
+-- of block absences cleared. The substitute must not have a Coach Unavailable block that day.
+create or replace function public._assign_substitute_coach(
+    p_is_test boolean,
+    p_lesson_schedule_ids bigint[],
+    p_lesson_date date,
+    p_substitute_coach_id bigint
+)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_status_table text := case when p_is_test then 'daily_attendance_status_test' else 'daily_attendance_status' end;
+    v_slot record;
+    v_rows integer;
+    v_cleared integer := 0;
+begin
+    if not public.has_app_role('admin', 'head_coach', 'office') then
+        raise exception 'Only admins, head coaches and the office can assign substitute coaches.';
+    end if;
+    if coalesce(cardinality(p_lesson_schedule_ids), 0) = 0 or p_lesson_date is null or p_substitute_coach_id is null then
+        raise exception 'Slots, a date and a substitute coach are required.';
+    end if;
+    if not exists (select 1 from public.coaches where id = p_substitute_coach_id) then
+        raise exception 'Coach % not found.', p_substitute_coach_id;
+    end if;
+    if cardinality(public._coach_block_reasons_on(p_is_test, p_substitute_coach_id, p_lesson_date)) > 0 then
+        raise exception 'The substitute is marked unavailable on %.', to_char(p_lesson_date, 'DD/MM/YYYY');
+    end if;
+
+    for v_slot in
+        select id, coach_id, day_of_week, start_time from public.lesson_schedule where id = any (p_lesson_schedule_ids)
+    loop
+        if v_slot.day_of_week <> to_char(p_lesson_date, 'FMDay') then
+            raise exception 'Slot % is on %, not on %.', v_slot.id, v_slot.day_of_week, to_char(p_lesson_date, 'FMDay DD/MM/YYYY');
+        end if;
+        if v_slot.coach_id = p_substitute_coach_id then
+            raise exception 'A coach cannot substitute for their own lesson.';
+        end if;
+        if exists (
+            select 1 from public.lesson_schedule own
+            where own.coach_id = p_substitute_coach_id and own.day_of_week = v_slot.day_of_week and own.start_time = v_slot.start_time
+              and not exists (
+                  select 1 from public.slot_substitutions away
+                  where away.is_test = p_is_test and away.lesson_schedule_id = own.id and away.lesson_date = p_lesson_date
+              )
+        ) or exists (
+            select 1 from public.slot_substitutions other
+            join public.lesson_schedule ls on ls.id = other.lesson_schedule_id
+            where other.is_test = p_is_test and other.lesson_date = p_lesson_date and other.substitute_coach_id = p_substitute_coach_id
+              and other.lesson_schedule_id <> v_slot.id and ls.start_time = v_slot.start_time
+        ) then
+            raise exception 'The substitute already teaches at % on %.', to_char(v_slot.start_time, 'HH24:MI'), to_char(p_lesson_date, 'DD/MM/YYYY');
+        end if;
+
+        insert into public.slot_substitutions (is_test, lesson_schedule_id, lesson_date, substitute_coach_id)
+        values (p_is_test, v_slot.id, p_lesson_date, p_substitute_coach_id)
+        on conflict (is_test, lesson_schedule_id, lesson_date)
+        do update set substitute_coach_id = excluded.substitute_coach_id, created_by = auth.uid(), created_at = now();
+
+        execute format(
+            'delete from %I where lesson_schedule_id = $1 and status_date = $2 and status = ''marked_absent'' and absence_reason = any ($3)',
+            v_status_table)
+        using v_slot.id, p_lesson_date, public._coach_block_reasons_on(p_is_test, v_slot.coach_id, p_lesson_date);
+        get diagnostics v_rows = row_count;
+        v_cleared := v_cleared + v_rows;
+    end loop;
+
+    if not found then
+        raise exception 'No matching slots found.';
+    end if;
+
+    return v_cleared;
+end;
+$$;
+
+revoke all on function public._assign_substitute_coach(boolean, bigint[], date, bigint) from public, anon, authenticated;
+
+-- --- RPCs called from js/api.js ---
+
+create or replace function public.assign_substitute_coach(p_lesson_schedule_ids bigint[], p_lesson_date date, p_substitute_coach_id bigint)
+returns integer
+language sql
+security definer
+set search_path = public
+as $$
+    select public._assign_substitute_coach(false, p_lesson_schedule_ids, p_lesson_date, p_substitute_coach_id);
+$$;
+
+create or replace function public.assign_substitute_coach_test(p_lesson_schedule_ids bigint[], p_lesson_date date, p_substitute_coach_id bigint)
+returns integer
+language sql
+security definer
+set search_path = public
+as $$
+    select public._assign_substitute_coach(true, p_lesson_schedule_ids, p_lesson_date, p_substitute_coach_id);
+$$;
+
+-- Hands a slot back to its own coach. If that coach's Coach Unavailable block still applies, its students are
+-- marked absent again, tagged with that block. Returns the number of absences marked.
+create or replace function public.remove_substitute_coach(p_substitution_id bigint)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_substitution record;
+    v_coach_id bigint;
+    v_block record;
+    v_marked integer := 0;
+begin
+    if not public.has_app_role('admin', 'head_coach', 'office') then
+        raise exception 'Only admins, head coaches and the office can remove substitute coaches.';
+    end if;
+
+    delete from public.slot_substitutions where id = p_substitution_id returning * into v_substitution;
+    if not found then
+        raise exception 'Substitution % not found.', p_substitution_id;
+    end if;
+
+    v_coach_id := public._schedule_coach_id(v_substitution.lesson_schedule_id);
+    execute format(
+        'select id, coalesce(reason, block_type) as reason from %I
+         where block_type = ''Coach Unavailable'' and trim(identifier) = $1
+           and public.daily_block_applies_on($2, block_date, end_date, repeat_days)
+         order by id limit 1',
+        case when v_substitution.is_test then 'daily_blocks_test' else 'daily_blocks' end)
+    into v_block
+    using v_coach_id::text, v_substitution.lesson_date;
+
+    if found then
+        execute format($sql$
+            insert into %I (student_id, coach_id, lesson_schedule_id, status_date, status, absence_reason, daily_block_id)
+            select ss.student_id, $1, ss.lesson_schedule_id, $2, 'marked_absent', $3, $5
+            from scheduled_students ss
+            where ss.lesson_schedule_id = $4
+            on conflict (student_id, lesson_schedule_id, status_date) do nothing
+        $sql$, case when v_substitution.is_test then 'daily_attendance_status_test' else 'daily_attendance_status' end)
+        using v_coach_id, v_substitution.lesson_date, v_block.reason, v_substitution.lesson_schedule_id, v_block.id;
+        get diagnostics v_marked = row_count;
+    end if;
+
+    return v_marked;
+end;
+$$;
+
+grant execute on function public.assign_substitute_coach(bigint[], date, bigint) to authenticated;
+grant execute on function public.assign_substitute_coach_test(bigint[], date, bigint) to authenticated;
+grant execute on function public.remove_substitute_coach(bigint) to authenticated;
+
+-- --- Missed logs of covered lessons ---
+
+-- Past lessons the coach covered as a substitute that have no log yet, shaped like the missed logs RPC's rows:
+-- { schedule_id, missed_date, slot_time, original_student_ids, absent_student_info: [{ id, reason }] }.
+create or replace function public._covered_missed_logs(p_is_test boolean, p_coach_id bigint)
+returns table (schedule_id bigint, missed_date date, slot_time text, original_student_ids bigint[], absent_student_info jsonb)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+    if not public.can_mark_for_coach(p_coach_id) then
+        raise exception 'Your role (%) cannot see missed logs for coach %.', public.app_role(), p_coach_id
+            using errcode = '42501';
+    end if;
+
+    return query execute format($sql$
+        select sub.lesson_schedule_id::bigint,
+               sub.lesson_date,
+               ls.start_time::text,
+               array_agg(distinct ss.student_id::bigint),
+               coalesce((
+                   select jsonb_agg(jsonb_build_object('id', st.student_id, 'reason', st.absence_reason))
+                   from %I st
+                   where st.lesson_schedule_id = sub.lesson_schedule_id and st.status_date = sub.lesson_date
+                     and st.status = 'marked_absent'
+               ), '[]'::jsonb)
+        from slot_substitutions sub
+        join lesson_schedule ls on ls.id = sub.lesson_schedule_id
+        join scheduled_students ss on ss.lesson_schedule_id = sub.lesson_schedule_id
+        where sub.is_test = $1 and sub.substitute_coach_id = $2 and sub.lesson_date < current_date
+          and not exists (
+              select 1 from %I l
+              where l.lesson_schedule_id = sub.lesson_schedule_id and (l.log_date at time zone 'UTC')::date = sub.lesson_date
+          )
+        group by sub.lesson_schedule_id, sub.lesson_date, ls.start_time
+        order by sub.lesson_date, ls.start_time
+    $sql$,
+        case when p_is_test then 'daily_attendance_status_test' else 'daily_attendance_status' end,
+        case when p_is_test then 'lesson_logs_test' else 'lesson_logs' end)
+    using p_is_test, p_coach_id;
+end;
+$$;
+
+revoke all on function public._covered_missed_logs(boolean, bigint) from public, anon, authenticated;
+
+-- --- RPCs called from js/api.js (fetchPastMissedLogs) ---
+
+create or replace function public.get_covered_missed_logs(p_coach_id bigint)
+returns table (schedule_id bigint, missed_date date, slot_time text, original_student_ids bigint[], absent_student_info jsonb)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select * from public._covered_missed_logs(false, p_coach_id);
+$$;
+
+create or replace function public.get_covered_missed_logs_test(p_coach_id bigint)
+returns table (schedule_id bigint, missed_date date, slot_time text, original_student_ids bigint[], absent_student_info jsonb)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select * from public._covered_missed_logs(true, p_coach_id);
+$$;
+
+grant execute on function public.get_covered_missed_logs(bigint) to authenticated;
+grant execute on function public.get_covered_missed_logs_test(bigint) to authenticated;
+
+-- --- Access ---
+-- Every signed-in user reads substitutions (schedules show borrowed and covered slots); writes go through the RPCs.
+alter table public.slot_substitutions enable row level security;
+
+drop policy if exists "slot_substitutions_select" on public.slot_substitutions;
+create policy "slot_substitutions_select" on public.slot_substitutions
+    for select to authenticated
+    using (true);
@@ -0,0 +1,439 @@
+-- supabase/migrations/20261019210000_makeup_bookings.sql
+-- Make-up lessons: a student marked absent from a lesson can be booked into a later slot with room.
+--
+-- * A booking reserves its seat with an 'assigned_fill_in' status on the make-up slot and date, so the slot
+--   shows the student and counts them like any fill-in.
+-- * Whether the make-up was attended follows from its lesson log: Present marks the booking attended, Absent
+--   marks it missed, and voiding the log puts it back to booked.
+-- * Bookings are checked on the server the way js/makeups.js checks them before offering a slot: a free seat
+--   within the slot's effective capacity (getEffectiveCapacity in js/utils.js), no other lesson at that time that
+--   day, availability (availability_slots), pairing rules (checkPairingRuleViolation in _shared/schedulingRules.js)
+--   and daily blocks.
+-- * Removing the fill-in status by hand cancels a booking that is still booked.
+-- * Withdrawing the absence a booking makes up for (deleting or changing its status, e.g. undo absent) cancels
+--   the booking and frees its seat, as long as it is still booked.
+-- * Live and test bookings share the table (is_test).
+
+-- --- Table ---
+create table if not exists public.makeup_bookings (
+    id bigint generated by default as identity primary key,
+    is_test boolean not null default false,
+    student_id bigint not null references public.students (id) on delete cascade,
+    missed_schedule_id bigint not null references public.lesson_schedule (id) on delete cascade,
+    missed_date date not null,
+    makeup_schedule_id bigint not null references public.lesson_schedule (id) on delete cascade,
+    makeup_date date not null,
+    status text not null default 'booked' check (status in ('booked', 'attended', 'missed', 'cancelled')),
+    lesson_log_id bigint,
+    booked_by uuid default auth.uid(),
+    booked_at timestamptz not null default now(),
+    constraint makeup_bookings_dates_check check (makeup_date > missed_date)
+);
+
+-- One live booking per missed lesson
+create unique index if not exists makeup_bookings_missed_lesson_key
+    on public.makeup_bookings (is_test, student_id, missed_schedule_id, missed_date)
+    where status <> 'cancelled';
+create index if not exists makeup_bookings_makeup_idx on public.makeup_bookings (is_test, makeup_schedule_id, makeup_date);
+create index if not exists makeup_bookings_student_idx on public.makeup_bookings (student_id, makeup_date);
+
+-- --- Helpers ---
+
+-- The number of students a slot takes, for its roster.
+create or replace function public._effective_capacity(p_capacity integer, p_roster_ids bigint[])
+returns integer
+language sql
+stable
+set search_path = public
+as $$
+    select coalesce(
+        (select case when bool_or(s."groupOf" = 1) then 1 when bool_or(s."groupOf" = 2) then 2 end
+         from public.students s where s.id = any (p_roster_ids)),
+        case when p_capacity > 0 then p_capacity else 3 end);
+$$;
+
+-- True if the student may join the given occupants of a slot taking p_capacity students (checkPairingRuleViolation).
+create or replace function public._pairing_allows(p_student_id bigint, p_occupant_ids bigint[], p_capacity integer)
+returns boolean
+language plpgsql
+stable
+set search_path = public
+as $$
+declare
+    v_student record;
+    v_count integer := coalesce(cardinality(p_occupant_ids), 0);
+    v_groups integer[];
+begin
+    select "groupOf" as group_of, nullif(trim(sub_group), '') as sub_group into v_student
+    from public.students where id = p_student_id;
+    if v_student.group_of is null or v_count + 1 > p_capacity then
+        return false;
+    end if;
+
+    select coalesce(array_agg(distinct "groupOf") filter (where "groupOf" is not null), '{}') into v_groups
+    from public.students where id = any (p_occupant_ids);
+
+    if v_student.group_of = 1 then
+        if v_count > 0 then return false; end if;
+    elsif v_student.group_of = 2 then
+        if 1 = any (v_groups) or (cardinality(v_groups) > 0 and not 2 = any (v_groups)) or v_count + 1 > 2 then
+            return false;
+        end if;
+    elsif 1 = any (v_groups) or 2 = any (v_groups) then
+        return false;
+    end if;
+
+    -- Students without a sub-group can join anyone; otherwise the slot's sub-group must match
+    return v_student.sub_group is null or not exists (
+        select 1 from public.students
+        where id = any (p_occupant_ids) and nullif(trim(sub_group), '') is not null and trim(sub_group) <> v_student.sub_group
+    );
+end;
+$$;
+
+-- --- Shared body ---
+
+-- Books a make-up for a missed lesson and reserves the seat. Returns the booking's id.
+create or replace function public._book_makeup_lesson(
+    p_is_test boolean,
+    p_student_id bigint,
+    p_missed_schedule_id bigint,
+    p_missed_date date,
+    p_makeup_schedule_id bigint,
+    p_makeup_date date
+)
+returns bigint
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_status_table text := case when p_is_test then 'daily_attendance_status_test' else 'daily_attendance_status' end;
+    v_slot record;
+    v_teaching_coach_id bigint;
+    v_exists boolean;
+    v_roster_ids bigint[];
+    v_occupant_ids bigint[];
+    v_capacity integer;
+    v_booking_id bigint;
+begin
+    if not public.can_mark_for_slot(p_is_test, p_missed_schedule_id, p_missed_date) then
+        raise exception 'You can only book make-ups for absences from your own lessons.';
+    end if;
+    if not public.can_mark_for_slot(p_is_test, p_makeup_schedule_id, p_makeup_date) then
+        raise exception 'You can only book make-ups into lessons you may take attendance for.';
+    end if;
+    if p_makeup_date < current_date then
+        raise exception 'Make-up lessons cannot be booked in the past.';
+    end if;
+    if p_makeup_date <= p_missed_date then
+        raise exception 'The make-up must be after the missed lesson (%).', to_char(p_missed_date, 'DD/MM/YYYY');
+    end if;
+
+    execute format(
+        'select exists (select 1 from %I where student_id = $1 and lesson_schedule_id = $2 and status_date = $3 and status = ''marked_absent'')',
+        v_status_table)
+    into v_exists
+    using p_student_id, p_missed_schedule_id, p_missed_date;
+    if not v_exists then
+        raise exception 'The student is not marked absent from that lesson.';
+    end if;
+
+    -- Locking the slot keeps two bookings from taking its last seat at once
+    select id, day_of_week, start_time, capacity into v_slot from public.lesson_schedule where id = p_makeup_schedule_id for update;
+    if not found then
+        raise exception 'Slot % not found.', p_makeup_schedule_id;
+    end if;
+    if v_slot.day_of_week <> to_char(p_makeup_date, 'FMDay') then
+        raise exception 'That slot is on %, not on %.', v_slot.day_of_week, to_char(p_makeup_date, 'FMDay DD/MM/YYYY');
+    end if;
+
+    execute format(
+        'select exists (select 1 from %I where student_id = $1 and lesson_schedule_id = $2 and status_date = $3)',
+        v_status_table)
+    into v_exists
+    using p_student_id, p_makeup_schedule_id, p_makeup_date;
+    if v_exists or exists (
+        select 1 from public.scheduled_students where student_id = p_student_id and lesson_schedule_id = p_makeup_schedule_id
+    ) then
+        raise exception 'The student is already in that lesson.';
+    end if;
+
+    -- Seats taken: the roster less its absences, plus fill-ins
+    select coalesce(array_agg(student_id), '{}') into v_roster_ids
+    from public.scheduled_students
+    where lesson_schedule_id = p_makeup_schedule_id;
+
+    execute format($sql$
+        select coalesce(array_agg(distinct occupant_id), '{}') from (
+            select ss.student_id as occupant_id from unnest($3::bigint[]) as ss (student_id)
+            where not exists (select 1 from %1$I st where st.student_id = ss.student_id and st.lesson_schedule_id = $1
+                              and st.status_date = $2 and st.status = 'marked_absent')
+            union
+            select st.student_id from %1$I st where st.lesson_schedule_id = $1 and st.status_date = $2 and st.status = 'assigned_fill_in'
+        ) occupants
+    $sql$, v_status_table)
+    into v_occupant_ids
+    using p_makeup_schedule_id, p_makeup_date, v_roster_ids;
+
+    v_capacity := greatest(public._effective_capacity(v_slot.capacity, v_roster_ids), cardinality(v_occupant_ids));
+    if cardinality(v_occupant_ids) >= v_capacity then
+        raise exception 'That lesson is full.';
+    end if;
+
+    -- Another lesson at the same time that day: their own (unless absent) or a fill-in
+    execute format($sql$
+        select exists (
+            select 1 from lesson_schedule ls
+            where ls.day_of_week = $3 and ls.start_time = $4 and ls.id <> $5
+              and (exists (select 1 from scheduled_students ss
+                           where ss.lesson_schedule_id = ls.id and ss.student_id = $1
+                             and not exists (select 1 from %1$I st where st.student_id = $1 and st.lesson_schedule_id = ls.id
+                                             and st.status_date = $2 and st.status = 'marked_absent'))
+                or exists (select 1 from %1$I st where st.student_id = $1 and st.lesson_schedule_id = ls.id
+                           and st.status_date = $2 and st.status = 'assigned_fill_in'))
+        )
+    $sql$, v_status_table)
+    into v_exists
+    using p_student_id, p_makeup_date, v_slot.day_of_week, v_slot.start_time, p_makeup_schedule_id;
+    if v_exists then
+        raise exception 'The student already has a lesson at % on %.', to_char(v_slot.start_time, 'HH24:MI'), to_char(p_makeup_date, 'DD/MM/YYYY');
+    end if;
+
+    if not exists (
+        select 1 from public.students
+        where id = p_student_id
+          and coalesce(availability_slots -> v_slot.day_of_week, '[]'::jsonb) ? to_char(v_slot.start_time, 'HH24:MI')
+    ) then
+        raise exception 'The student is not available on % at %.', v_slot.day_of_week, to_char(v_slot.start_time, 'HH24:MI');
+    end if;
+
+    if not public._pairing_allows(p_student_id, v_occupant_ids, v_capacity) then
+        raise exception 'The student can''t join that lesson''s group (solo, paired or sub-group rules).';
+    end if;
+
+    -- The seat is held for whoever teaches the slot that day (a substitute, if one is covering)
+    select coalesce(
+        (select substitute_coach_id from public.slot_substitutions
+         where is_test = p_is_test and lesson_schedule_id = p_makeup_schedule_id and lesson_date = p_makeup_date),
+        public._schedule_coach_id(p_makeup_schedule_id))
+    into v_teaching_coach_id;
+
+    execute format($sql$
+        select exists (
+            select 1 from %I b, students s
+            where s.id = $1
+              and public.daily_block_applies_on($2, b.block_date, b.end_date, b.repeat_days)
+              and public.daily_block_targets(b.block_type, b.identifier, s.class_name, $3)
+        )
+    $sql$, case when p_is_test then 'daily_blocks_test' else 'daily_blocks' end)
+    into v_exists
+    using p_student_id, p_makeup_date, v_teaching_coach_id;
+    if v_exists then
+        raise exception 'A daily block keeps the student out of lessons on %.', to_char(p_makeup_date, 'DD/MM/YYYY');
+    end if;
+
+    if exists (
+        select 1 from public.makeup_bookings
+        where is_test = p_is_test and student_id = p_student_id and missed_schedule_id = p_missed_schedule_id
+          and missed_date = p_missed_date and status <> 'cancelled'
+    ) then
+        raise exception 'A make-up is already booked for this absence.';
+    end if;
+
+    insert into public.makeup_bookings (is_test, student_id, missed_schedule_id, missed_date, makeup_schedule_id, makeup_date)
+    values (p_is_test, p_student_id, p_missed_schedule_id, p_missed_date, p_makeup_schedule_id, p_makeup_date)
+    returning id into v_booking_id;
+
+    execute format(
+        'insert into %I (student_id, coach_id, lesson_schedule_id, status_date, status) values ($1, $2, $3, $4, ''assigned_fill_in'')',
+        v_status_table)
+    using p_student_id, v_teaching_coach_id, p_makeup_schedule_id, p_makeup_date;
+
+    return v_booking_id;
+end;
+$$;
+
+revoke all on function public._book_makeup_lesson(boolean, bigint, bigint, date, bigint, date) from public, anon, authenticated;
+
+-- --- RPCs called from js/api.js ---
+
+create or replace function public.book_makeup_lesson(
+    p_student_id bigint, p_missed_schedule_id bigint, p_missed_date date, p_makeup_schedule_id bigint, p_makeup_date date
+)
+returns bigint
+language sql
+security definer
+set search_path = public
+as $$
+    select public._book_makeup_lesson(false, p_student_id, p_missed_schedule_id, p_missed_date, p_makeup_schedule_id, p_makeup_date);
+$$;
+
+create or replace function public.book_makeup_lesson_test(
+    p_student_id bigint, p_missed_schedule_id bigint, p_missed_date date, p_makeup_schedule_id bigint, p_makeup_date date
+)
+returns bigint
+language sql
+security definer
+set search_path = public
+as $$
+    select public._book_makeup_lesson(true, p_student_id, p_missed_schedule_id, p_missed_date, p_makeup_schedule_id, p_makeup_date);
+$$;
+
+-- Cancels a booked make-up and frees its seat.
+create or replace function public.cancel_makeup_booking(p_booking_id bigint)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_booking record;
+begin
+    select * into v_booking from public.makeup_bookings where id = p_booking_id for update;
+    if not found then
+        raise exception 'Make-up booking % not found.', p_booking_id;
+    end if;
+    if not (public.can_mark_for_slot(v_booking.is_test, v_booking.makeup_schedule_id, v_booking.makeup_date)
+            or public.can_mark_for_slot(v_booking.is_test, v_booking.missed_schedule_id, v_booking.missed_date)) then
+        raise exception 'You cannot cancel this make-up booking.';
+    end if;
+    if v_booking.status <> 'booked' then
+        raise exception 'Only booked make-ups can be cancelled (this one is %).', v_booking.status;
+    end if;
+
+    update public.makeup_bookings set status = 'cancelled' where id = p_booking_id;
+    execute format(
+        'delete from %I where student_id = $1 and lesson_schedule_id = $2 and status_date = $3 and status = ''assigned_fill_in''',
+        case when v_booking.is_test then 'daily_attendance_status_test' else 'daily_attendance_status' end)
+    using v_booking.student_id, v_booking.makeup_schedule_id, v_booking.makeup_date;
+end;
+$$;
+
+grant execute on function public.book_makeup_lesson(bigint, bigint, date, bigint, date) to authenticated;
+grant execute on function public.book_makeup_lesson_test(bigint, bigint, date, bigint, date) to authenticated;
+grant execute on function public.cancel_makeup_booking(bigint) to authenticated;
+
+-- --- Attendance tracking ---
+
+-- A lesson log for a booked make-up records whether it was attended.
+create or replace function public._track_makeup_attendance()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_is_test boolean := tg_table_name = 'lesson_logs_test';
+begin
+    if tg_op = 'DELETE' then
+        update public.makeup_bookings set status = 'booked', lesson_log_id = null
+        where is_test = v_is_test and lesson_log_id = old.id;
+        return old;
+    end if;
+
+    update public.makeup_bookings
+    set status = case when new.attendance_status = 'Absent' then 'missed' else 'attended' end,
+        lesson_log_id = new.id
+    where is_test = v_is_test and student_id = new.student_id
+      and makeup_schedule_id = new.lesson_schedule_id
+      and makeup_date = (new.log_date at time zone 'UTC')::date
+      and status <> 'cancelled';
+    return new;
+end;
+$$;
+
+drop trigger if exists lesson_logs_track_makeup on public.lesson_logs;
+create trigger lesson_logs_track_makeup
+    after insert or update of attendance_status or delete on public.lesson_logs
+    for each row execute function public._track_makeup_attendance();
+
+drop trigger if exists lesson_logs_test_track_makeup on public.lesson_logs_test;
+create trigger lesson_logs_test_track_makeup
+    after insert or update of attendance_status or delete on public.lesson_logs_test
+    for each row execute function public._track_makeup_attendance();
+
+-- Taking the make-up student out of the slot by hand cancels the booking.
+create or replace function public._cancel_makeup_on_fill_in_removal()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    update public.makeup_bookings set status = 'cancelled'
+    where is_test = (tg_table_name = 'daily_attendance_status_test') and status = 'booked'
+      and student_id = old.student_id and makeup_schedule_id = old.lesson_schedule_id and makeup_date = old.status_date;
+    return old;
+end;
+$$;
+
+drop trigger if exists daily_attendance_status_makeup_removal on public.daily_attendance_status;
+create trigger daily_attendance_status_makeup_removal
+    after delete on public.daily_attendance_status
+    for each row when (old.status = 'assigned_fill_in')
+    execute function public._cancel_makeup_on_fill_in_removal();
+
+drop trigger if exists daily_attendance_status_test_makeup_removal on public.daily_attendance_status_test;
+create trigger daily_attendance_status_test_makeup_removal
+    after delete on public.daily_attendance_status_test
+    for each row when (old.status = 'assigned_fill_in')
+    execute function public._cancel_makeup_on_fill_in_removal();
+
+-- Cancels the still-booked make-up for an absence whose status was deleted or changed, and frees its seat.
+create or replace function public._cancel_makeup_on_absence_removal()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_booking record;
+begin
+    for v_booking in
+        update public.makeup_bookings set status = 'cancelled'
+        where is_test = (tg_table_name = 'daily_attendance_status_test') and status = 'booked'
+          and student_id = old.student_id and missed_schedule_id = old.lesson_schedule_id and missed_date = old.status_date
+        returning *
+    loop
+        execute format(
+            'delete from %I where student_id = $1 and lesson_schedule_id = $2 and status_date = $3 and status = ''assigned_fill_in''',
+            tg_table_name)
+        using v_booking.student_id, v_booking.makeup_schedule_id, v_booking.makeup_date;
+    end loop;
+    return null;
+end;
+$$;
+
+drop trigger if exists daily_attendance_status_makeup_absence_removal on public.daily_attendance_status;
+create trigger daily_attendance_status_makeup_absence_removal
+    after delete on public.daily_attendance_status
+    for each row when (old.status = 'marked_absent')
+    execute function public._cancel_makeup_on_absence_removal();
+
+drop trigger if exists daily_attendance_status_makeup_absence_change on public.daily_attendance_status;
+create trigger daily_attendance_status_makeup_absence_change
+    after update of status on public.daily_attendance_status
+    for each row when (old.status = 'marked_absent' and new.status is distinct from 'marked_absent')
+    execute function public._cancel_makeup_on_absence_removal();
+
+drop trigger if exists daily_attendance_status_test_makeup_absence_removal on public.daily_attendance_status_test;
+create trigger daily_attendance_status_test_makeup_absence_removal
+    after delete on public.daily_attendance_status_test
+    for each row when (old.status = 'marked_absent')
+    execute function public._cancel_makeup_on_absence_removal();
+
+drop trigger if exists daily_attendance_status_test_makeup_absence_change on public.daily_attendance_status_test;
+create trigger daily_attendance_status_test_makeup_absence_change
+    after update of status on public.daily_attendance_status_test
+    for each row when (old.status = 'marked_absent' and new.status is distinct from 'marked_absent')
+    execute function public._cancel_makeup_on_absence_removal();
+
+-- --- Access ---
+-- Every signed-in user reads bookings (schedules mark make-up students); writes go through the RPCs.
+alter table public.makeup_bookings enable row level security;
+
+drop policy if exists "makeup_bookings_select" on public.makeup_bookings;
+create policy "makeup_bookings_select" on public.makeup_bookings
+    for select to authenticated
+    using (true);
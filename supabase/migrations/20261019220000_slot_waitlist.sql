@@ -0,0 +1,93 @@
+-- supabase/migrations/20261019220000_slot_waitlist.sql
+-- Per-slot waitlists: students who want a particular lesson time can queue for a full slot.
+--
+-- * Waitlists belong to the timetable, like scheduled_students, so live and test mode share them. Head coaches
+--   and admins manage them from roster editing.
+-- * Waitlisted students are offered first when someone in the slot is marked absent (js/absence.js).
+-- * Promoting a waitlisted student adds them to the roster when a seat is free. A student who joins the roster
+--   by any route leaves that slot's waitlist.
+
+-- --- Table ---
+create table if not exists public.slot_waitlist (
+    id bigint generated by default as identity primary key,
+    lesson_schedule_id bigint not null references public.lesson_schedule (id) on delete cascade,
+    student_id bigint not null references public.students (id) on delete cascade,
+    note text,
+    added_by uuid default auth.uid(),
+    added_at timestamptz not null default now(),
+    constraint slot_waitlist_slot_student_key unique (lesson_schedule_id, student_id)
+);
+
+create index if not exists slot_waitlist_student_idx on public.slot_waitlist (student_id);
+
+-- --- Roster changes ---
+
+-- Joining a slot's roster takes the student off its waitlist.
+create or replace function public._clear_waitlist_on_roster_add()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    delete from public.slot_waitlist
+    where lesson_schedule_id = new.lesson_schedule_id and student_id = new.student_id;
+    return new;
+end;
+$$;
+
+drop trigger if exists scheduled_students_clear_waitlist on public.scheduled_students;
+create trigger scheduled_students_clear_waitlist
+    after insert on public.scheduled_students
+    for each row execute function public._clear_waitlist_on_roster_add();
+
+-- Moves a waitlisted student onto the slot's roster if it has a free seat. Returns true once added.
+create or replace function public.promote_waitlisted_student(p_waitlist_id bigint)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_entry record;
+    v_capacity integer;
+    v_rostered integer;
+begin
+    if not public.has_app_role('admin', 'head_coach') then
+        raise exception 'Only admins and head coaches can change rosters.';
+    end if;
+
+    select * into v_entry from public.slot_waitlist where id = p_waitlist_id for update;
+    if not found then
+        raise exception 'Waitlist entry % not found.', p_waitlist_id;
+    end if;
+
+    select capacity into v_capacity from public.lesson_schedule where id = v_entry.lesson_schedule_id for update;
+    select count(*) into v_rostered from public.scheduled_students where lesson_schedule_id = v_entry.lesson_schedule_id;
+    if v_rostered >= coalesce(v_capacity, 1) then
+        raise exception 'The lesson is still full.';
+    end if;
+
+    insert into public.scheduled_students (lesson_schedule_id, student_id)
+    values (v_entry.lesson_schedule_id, v_entry.student_id);
+    -- The roster trigger removes the waitlist entry
+    return true;
+end;
+$$;
+
+grant execute on function public.promote_waitlisted_student(bigint) to authenticated;
+
+-- --- Access ---
+-- Every signed-in user reads waitlists (fill-in suggestions rank waitlisted students); rosters' roles change them.
+alter table public.slot_waitlist enable row level security;
+
+drop policy if exists "slot_waitlist_select" on public.slot_waitlist;
+create policy "slot_waitlist_select" on public.slot_waitlist
+    for select to authenticated
+    using (true);
+
+drop policy if exists "slot_waitlist_write" on public.slot_waitlist;
+create policy "slot_waitlist_write" on public.slot_waitlist
+    for all to authenticated
+    using (public.has_app_role('admin', 'head_coach'))
+    with check (public.has_app_role('admin', 'head_coach'));
@@ -0,0 +1,532 @@
+-- supabase/migrations/20261019230000_effective_dated_enrolments.sql
+-- Effective-dated enrolments: a scheduled_students row is a student's enrolment in a slot from start_date
+-- (inclusive) until end_date (exclusive, the first date they are no longer in it). Null dates are open-ended, so
+-- existing rows stay enrolled for all dates.
+--
+-- * Adding a student starts a new enrolment on the effective date; removing one ends it there. Rows are never
+--   deleted for changes that have taken effect, so rosters for past dates stay as they were and the rows double
+--   as the slot's roster change history. A change can be scheduled ahead (e.g. for next term).
+-- * A student may join the same slot again later (a new row), but their enrolments in a slot may not overlap.
+-- * The functions below that read rosters for a particular date now use the enrolment on that date. RPCs
+--   defined outside these migrations (suggestions, missed logs) still read every row; the app narrows their
+--   results by date where it can (see js/coachSelect.js).
+
+-- --- Columns ---
+alter table public.scheduled_students add column if not exists start_date date;
+alter table public.scheduled_students add column if not exists end_date date;
+alter table public.scheduled_students add column if not exists created_by uuid default auth.uid();
+alter table public.scheduled_students add column if not exists ended_by uuid;
+
+do $$
+begin
+    if not exists (select 1 from pg_constraint where conname = 'scheduled_students_dates_check') then
+        alter table public.scheduled_students
+            add constraint scheduled_students_dates_check check (start_date is null or end_date is null or end_date > start_date);
+    end if;
+end;
+$$;
+
+-- One row per student and slot no longer holds: drop any key on exactly (lesson_schedule_id, student_id) and
+-- give the table its own id if that was the primary key.
+alter table public.scheduled_students add column if not exists id bigint generated by default as identity;
+
+do $$
+declare
+    v_constraint record;
+begin
+    for v_constraint in
+        select c.conname
+        from pg_constraint c
+        where c.conrelid = 'public.scheduled_students'::regclass
+          and c.contype in ('p', 'u')
+          and (select array_agg(a.attname::text order by a.attname)
+               from pg_attribute a
+               where a.attrelid = c.conrelid and a.attnum = any (c.conkey)) = array['lesson_schedule_id', 'student_id']
+    loop
+        execute format('alter table public.scheduled_students drop constraint %I', v_constraint.conname);
+    end loop;
+
+    if not exists (select 1 from pg_constraint where conrelid = 'public.scheduled_students'::regclass and contype = 'p') then
+        alter table public.scheduled_students add primary key (id);
+    end if;
+end;
+$$;
+
+create extension if not exists btree_gist;
+
+do $$
+begin
+    if not exists (select 1 from pg_constraint where conname = 'scheduled_students_no_overlap') then
+        alter table public.scheduled_students
+            add constraint scheduled_students_no_overlap exclude using gist (
+                lesson_schedule_id with =,
+                student_id with =,
+                daterange(start_date, end_date, '[)') with &&
+            );
+    end if;
+end;
+$$;
+
+create index if not exists scheduled_students_slot_dates_idx on public.scheduled_students (lesson_schedule_id, start_date, end_date);
+
+-- --- Helpers ---
+
+-- True when an enrolment from p_start_date until p_end_date (exclusive) covers p_date.
+create or replace function public.enrolled_on(p_start_date date, p_end_date date, p_date date)
+returns boolean
+language sql
+immutable
+as $$
+    select (p_start_date is null or p_start_date <= p_date) and (p_end_date is null or p_end_date > p_date);
+$$;
+
+grant execute on function public.enrolled_on(date, date, date) to authenticated;
+
+-- --- Roster changes ---
+
+drop function if exists public.add_student_to_schedule(bigint, bigint);
+drop function if exists public.add_student_to_schedule(integer, integer);
+drop function if exists public.add_student_to_schedule_test(bigint, bigint);
+drop function if exists public.add_student_to_schedule_test(integer, integer);
+drop function if exists public.remove_student_from_schedule(bigint, bigint);
+drop function if exists public.remove_student_from_schedule(integer, integer);
+drop function if exists public.remove_student_from_schedule_test(bigint, bigint);
+drop function if exists public.remove_student_from_schedule_test(integer, integer);
+
+-- Enrols a student in a slot from a date (today by default). Returns true once added.
+create or replace function public.add_student_to_schedule(p_student_id bigint, p_schedule_id bigint, p_effective_date date default current_date)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if not public.has_app_role('admin', 'head_coach') then
+        raise exception 'Only admins and head coaches can change rosters.';
+    end if;
+    if coalesce(p_effective_date, current_date) < current_date then
+        raise exception 'Roster changes cannot take effect in the past.';
+    end if;
+    if exists (
+        select 1 from public.scheduled_students
+        where lesson_schedule_id = p_schedule_id and student_id = p_student_id
+          and (end_date is null or end_date > coalesce(p_effective_date, current_date))
+    ) then
+        raise exception 'The student is already enrolled in this slot on or after %.', to_char(coalesce(p_effective_date, current_date), 'DD/MM/YYYY')
+            using errcode = '23505';
+    end if;
+
+    insert into public.scheduled_students (lesson_schedule_id, student_id, start_date)
+    values (p_schedule_id, p_student_id, coalesce(p_effective_date, current_date));
+    return true;
+end;
+$$;
+
+-- Ends a student's enrolment in a slot from a date (today by default): the enrolment covering that date ends
+-- there, and enrolments that would only start then or later are dropped. Returns true if anything changed.
+create or replace function public.remove_student_from_schedule(p_student_id bigint, p_schedule_id bigint, p_effective_date date default current_date)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_date date := coalesce(p_effective_date, current_date);
+    v_deleted integer;
+    v_ended integer;
+begin
+    if not public.has_app_role('admin', 'head_coach') then
+        raise exception 'Only admins and head coaches can change rosters.';
+    end if;
+    if v_date < current_date then
+        raise exception 'Roster changes cannot take effect in the past.';
+    end if;
+
+    delete from public.scheduled_students
+    where lesson_schedule_id = p_schedule_id and student_id = p_student_id and start_date >= v_date;
+    get diagnostics v_deleted = row_count;
+
+    update public.scheduled_students
+    set end_date = v_date, ended_by = auth.uid()
+    where lesson_schedule_id = p_schedule_id and student_id = p_student_id
+      and public.enrolled_on(start_date, end_date, v_date);
+    get diagnostics v_ended = row_count;
+
+    return v_deleted + v_ended > 0;
+end;
+$$;
+
+-- Test mode shares the timetable, so the test RPCs are the same changes.
+create or replace function public.add_student_to_schedule_test(p_student_id bigint, p_schedule_id bigint, p_effective_date date default current_date)
+returns boolean
+language sql
+security definer
+set search_path = public
+as $$
+    select public.add_student_to_schedule(p_student_id, p_schedule_id, p_effective_date);
+$$;
+
+create or replace function public.remove_student_from_schedule_test(p_student_id bigint, p_schedule_id bigint, p_effective_date date default current_date)
+returns boolean
+language sql
+security definer
+set search_path = public
+as $$
+    select public.remove_student_from_schedule(p_student_id, p_schedule_id, p_effective_date);
+$$;
+
+grant execute on function public.add_student_to_schedule(bigint, bigint, date) to authenticated;
+grant execute on function public.add_student_to_schedule_test(bigint, bigint, date) to authenticated;
+grant execute on function public.remove_student_from_schedule(bigint, bigint, date) to authenticated;
+grant execute on function public.remove_student_from_schedule_test(bigint, bigint, date) to authenticated;
+
+-- Promoting from the waitlist enrols from a date too (replaces the 20261019220000 version). The seat must be free
+-- from that date on: enrolments covering it or starting later all count.
+drop function if exists public.promote_waitlisted_student(bigint);
+
+create or replace function public.promote_waitlisted_student(p_waitlist_id bigint, p_effective_date date default current_date)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_entry record;
+    v_date date := coalesce(p_effective_date, current_date);
+    v_capacity integer;
+    v_rostered integer;
+begin
+    if not public.has_app_role('admin', 'head_coach') then
+        raise exception 'Only admins and head coaches can change rosters.';
+    end if;
+
+    select * into v_entry from public.slot_waitlist where id = p_waitlist_id for update;
+    if not found then
+        raise exception 'Waitlist entry % not found.', p_waitlist_id;
+    end if;
+
+    select capacity into v_capacity from public.lesson_schedule where id = v_entry.lesson_schedule_id for update;
+    select count(distinct student_id) into v_rostered
+    from public.scheduled_students
+    where lesson_schedule_id = v_entry.lesson_schedule_id and (end_date is null or end_date > v_date);
+    if v_rostered >= coalesce(v_capacity, 1) then
+        raise exception 'The lesson is still full on %.', to_char(v_date, 'DD/MM/YYYY');
+    end if;
+
+    -- The roster trigger removes the waitlist entry
+    return public.add_student_to_schedule(v_entry.student_id, v_entry.lesson_schedule_id, v_date);
+end;
+$$;
+
+grant execute on function public.promote_waitlisted_student(bigint, date) to authenticated;
+
+-- --- Date-aware roster reads ---
+
+-- Blocks mark the students enrolled on each date they cover (replaces the 20261019100000 version).
+create or replace function public._mark_daily_block_absences(
+    p_is_test boolean,
+    p_block_id bigint,
+    p_start_date date,
+    p_end_date date,
+    p_repeat_days text[],
+    p_block_type text,
+    p_identifier text,
+    p_reason text
+)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_status_table text := case when p_is_test then 'daily_attendance_status_test' else 'daily_attendance_status' end;
+    v_date date;
+    v_rows integer;
+    v_marked integer := 0;
+begin
+    -- 'Other' blocks are informational; absences for them are marked by hand
+    if p_block_type = 'Other' then
+        return 0;
+    end if;
+
+    for v_date in
+        select d::date from generate_series(p_start_date, coalesce(p_end_date, p_start_date), interval '1 day') as d
+    loop
+        continue when not public.daily_block_applies_on(v_date, p_start_date, p_end_date, p_repeat_days);
+
+        execute format($sql$
+            insert into %I (student_id, coach_id, lesson_schedule_id, status_date, status, absence_reason, daily_block_id)
+            select ss.student_id, ls.coach_id, ls.id, $1, 'marked_absent', $2, $5
+            from scheduled_students ss
+            join lesson_schedule ls on ls.id = ss.lesson_schedule_id
+            join students s on s.id = ss.student_id
+            where ls.day_of_week = to_char($1, 'FMDay')
+              and public.enrolled_on(ss.start_date, ss.end_date, $1)
+              and public.daily_block_targets($3, $4, s.class_name, ls.coach_id)
+            on conflict (student_id, lesson_schedule_id, status_date) do nothing
+        $sql$, v_status_table)
+        using v_date, coalesce(p_reason, p_block_type), p_block_type, p_identifier, p_block_id;
+
+        get diagnostics v_rows = row_count;
+        v_marked := v_marked + v_rows;
+    end loop;
+
+    return v_marked;
+end;
+$$;
+
+-- Handing a slot back re-marks the students enrolled on its date (replaces the 20261019200000 version).
+create or replace function public.remove_substitute_coach(p_substitution_id bigint)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_substitution record;
+    v_coach_id bigint;
+    v_block record;
+    v_marked integer := 0;
+begin
+    if not public.has_app_role('admin', 'head_coach', 'office') then
+        raise exception 'Only admins, head coaches and the office can remove substitute coaches.';
+    end if;
+
+    delete from public.slot_substitutions where id = p_substitution_id returning * into v_substitution;
+    if not found then
+        raise exception 'Substitution % not found.', p_substitution_id;
+    end if;
+
+    v_coach_id := public._schedule_coach_id(v_substitution.lesson_schedule_id);
+    execute format(
+        'select id, coalesce(reason, block_type) as reason from %I
+         where block_type = ''Coach Unavailable'' and trim(identifier) = $1
+           and public.daily_block_applies_on($2, block_date, end_date, repeat_days)
+         order by id limit 1',
+        case when v_substitution.is_test then 'daily_blocks_test' else 'daily_blocks' end)
+    into v_block
+    using v_coach_id::text, v_substitution.lesson_date;
+
+    if found then
+        execute format($sql$
+            insert into %I (student_id, coach_id, lesson_schedule_id, status_date, status, absence_reason, daily_block_id)
+            select ss.student_id, $1, ss.lesson_schedule_id, $2, 'marked_absent', $3, $5
+            from scheduled_students ss
+            where ss.lesson_schedule_id = $4
+              and public.enrolled_on(ss.start_date, ss.end_date, $2)
+            on conflict (student_id, lesson_schedule_id, status_date) do nothing
+        $sql$, case when v_substitution.is_test then 'daily_attendance_status_test' else 'daily_attendance_status' end)
+        using v_coach_id, v_substitution.lesson_date, v_block.reason, v_substitution.lesson_schedule_id, v_block.id;
+        get diagnostics v_marked = row_count;
+    end if;
+
+    return v_marked;
+end;
+$$;
+
+-- Make-ups count the seats and check the roster on the make-up date (replaces the 20261019210000 version).
+create or replace function public._book_makeup_lesson(
+    p_is_test boolean,
+    p_student_id bigint,
+    p_missed_schedule_id bigint,
+    p_missed_date date,
+    p_makeup_schedule_id bigint,
+    p_makeup_date date
+)
+returns bigint
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_status_table text := case when p_is_test then 'daily_attendance_status_test' else 'daily_attendance_status' end;
+    v_slot record;
+    v_teaching_coach_id bigint;
+    v_exists boolean;
+    v_roster_ids bigint[];
+    v_occupant_ids bigint[];
+    v_capacity integer;
+    v_booking_id bigint;
+begin
+    if not public.can_mark_for_slot(p_is_test, p_missed_schedule_id, p_missed_date) then
+        raise exception 'You can only book make-ups for absences from your own lessons.';
+    end if;
+    if not public.can_mark_for_slot(p_is_test, p_makeup_schedule_id, p_makeup_date) then
+        raise exception 'You can only book make-ups into lessons you may take attendance for.';
+    end if;
+    if p_makeup_date < current_date then
+        raise exception 'Make-up lessons cannot be booked in the past.';
+    end if;
+    if p_makeup_date <= p_missed_date then
+        raise exception 'The make-up must be after the missed lesson (%).', to_char(p_missed_date, 'DD/MM/YYYY');
+    end if;
+
+    execute format(
+        'select exists (select 1 from %I where student_id = $1 and lesson_schedule_id = $2 and status_date = $3 and status = ''marked_absent'')',
+        v_status_table)
+    into v_exists
+    using p_student_id, p_missed_schedule_id, p_missed_date;
+    if not v_exists then
+        raise exception 'The student is not marked absent from that lesson.';
+    end if;
+
+    -- Locking the slot keeps two bookings from taking its last seat at once
+    select id, day_of_week, start_time, capacity into v_slot from public.lesson_schedule where id = p_makeup_schedule_id for update;
+    if not found then
+        raise exception 'Slot % not found.', p_makeup_schedule_id;
+    end if;
+    if v_slot.day_of_week <> to_char(p_makeup_date, 'FMDay') then
+        raise exception 'That slot is on %, not on %.', v_slot.day_of_week, to_char(p_makeup_date, 'FMDay DD/MM/YYYY');
+    end if;
+
+    execute format(
+        'select exists (select 1 from %I where student_id = $1 and lesson_schedule_id = $2 and status_date = $3)',
+        v_status_table)
+    into v_exists
+    using p_student_id, p_makeup_schedule_id, p_makeup_date;
+    if v_exists or exists (
+        select 1 from public.scheduled_students
+        where student_id = p_student_id and lesson_schedule_id = p_makeup_schedule_id
+          and public.enrolled_on(start_date, end_date, p_makeup_date)
+    ) then
+        raise exception 'The student is already in that lesson.';
+    end if;
+
+    -- Seats taken: the roster on that date less its absences, plus fill-ins
+    select coalesce(array_agg(student_id), '{}') into v_roster_ids
+    from public.scheduled_students
+    where lesson_schedule_id = p_makeup_schedule_id and public.enrolled_on(start_date, end_date, p_makeup_date);
+
+    execute format($sql$
+        select coalesce(array_agg(distinct occupant_id), '{}') from (
+            select ss.student_id as occupant_id from unnest($3::bigint[]) as ss (student_id)
+            where not exists (select 1 from %1$I st where st.student_id = ss.student_id and st.lesson_schedule_id = $1
+                              and st.status_date = $2 and st.status = 'marked_absent')
+            union
+            select st.student_id from %1$I st where st.lesson_schedule_id = $1 and st.status_date = $2 and st.status = 'assigned_fill_in'
+        ) occupants
+    $sql$, v_status_table)
+    into v_occupant_ids
+    using p_makeup_schedule_id, p_makeup_date, v_roster_ids;
+
+    v_capacity := greatest(public._effective_capacity(v_slot.capacity, v_roster_ids), cardinality(v_occupant_ids));
+    if cardinality(v_occupant_ids) >= v_capacity then
+        raise exception 'That lesson is full.';
+    end if;
+
+    -- Another lesson at the same time that day: their own (unless absent) or a fill-in
+    execute format($sql$
+        select exists (
+            select 1 from lesson_schedule ls
+            where ls.day_of_week = $3 and ls.start_time = $4 and ls.id <> $5
+              and (exists (select 1 from scheduled_students ss
+                           where ss.lesson_schedule_id = ls.id and ss.student_id = $1
+                             and public.enrolled_on(ss.start_date, ss.end_date, $2)
+                             and not exists (select 1 from %1$I st where st.student_id = $1 and st.lesson_schedule_id = ls.id
+                                             and st.status_date = $2 and st.status = 'marked_absent'))
+                or exists (select 1 from %1$I st where st.student_id = $1 and st.lesson_schedule_id = ls.id
+                           and st.status_date = $2 and st.status = 'assigned_fill_in'))
+        )
+    $sql$, v_status_table)
+    into v_exists
+    using p_student_id, p_makeup_date, v_slot.day_of_week, v_slot.start_time, p_makeup_schedule_id;
+    if v_exists then
+        raise exception 'The student already has a lesson at % on %.', to_char(v_slot.start_time, 'HH24:MI'), to_char(p_makeup_date, 'DD/MM/YYYY');
+    end if;
+
+    if not exists (
+        select 1 from public.students
+        where id = p_student_id
+          and coalesce(availability_slots -> v_slot.day_of_week, '[]'::jsonb) ? to_char(v_slot.start_time, 'HH24:MI')
+    ) then
+        raise exception 'The student is not available on % at %.', v_slot.day_of_week, to_char(v_slot.start_time, 'HH24:MI');
+    end if;
+
+    if not public._pairing_allows(p_student_id, v_occupant_ids, v_capacity) then
+        raise exception 'The student can''t join that lesson''s group (solo, paired or sub-group rules).';
+    end if;
+
+    -- The seat is held for whoever teaches the slot that day (a substitute, if one is covering)
+    select coalesce(
+        (select substitute_coach_id from public.slot_substitutions
+         where is_test = p_is_test and lesson_schedule_id = p_makeup_schedule_id and lesson_date = p_makeup_date),
+        public._schedule_coach_id(p_makeup_schedule_id))
+    into v_teaching_coach_id;
+
+    execute format($sql$
+        select exists (
+            select 1 from %I b, students s
+            where s.id = $1
+              and public.daily_block_applies_on($2, b.block_date, b.end_date, b.repeat_days)
+              and public.daily_block_targets(b.block_type, b.identifier, s.class_name, $3)
+        )
+    $sql$, case when p_is_test then 'daily_blocks_test' else 'daily_blocks' end)
+    into v_exists
+    using p_student_id, p_makeup_date, v_teaching_coach_id;
+    if v_exists then
+        raise exception 'A daily block keeps the student out of lessons on %.', to_char(p_makeup_date, 'DD/MM/YYYY');
+    end if;
+
+    if exists (
+        select 1 from public.makeup_bookings
+        where is_test = p_is_test and student_id = p_student_id and missed_schedule_id = p_missed_schedule_id
+          and missed_date = p_missed_date and status <> 'cancelled'
+    ) then
+        raise exception 'A make-up is already booked for this absence.';
+    end if;
+
+    insert into public.makeup_bookings (is_test, student_id, missed_schedule_id, missed_date, makeup_schedule_id, makeup_date)
+    values (p_is_test, p_student_id, p_missed_schedule_id, p_missed_date, p_makeup_schedule_id, p_makeup_date)
+    returning id into v_booking_id;
+
+    execute format(
+        'insert into %I (student_id, coach_id, lesson_schedule_id, status_date, status) values ($1, $2, $3, $4, ''assigned_fill_in'')',
+        v_status_table)
+    using p_student_id, v_teaching_coach_id, p_makeup_schedule_id, p_makeup_date;
+
+    return v_booking_id;
+end;
+$$;
+
+-- Covered lessons list the students enrolled on the lesson date (replaces the 20261019200000 version).
+create or replace function public._covered_missed_logs(p_is_test boolean, p_coach_id bigint)
+returns table (schedule_id bigint, missed_date date, slot_time text, original_student_ids bigint[], absent_student_info jsonb)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+    if not public.can_mark_for_coach(p_coach_id) then
+        raise exception 'Your role (%) cannot see missed logs for coach %.', public.app_role(), p_coach_id
+            using errcode = '42501';
+    end if;
+
+    return query execute format($sql$
+        select sub.lesson_schedule_id::bigint,
+               sub.lesson_date,
+               ls.start_time::text,
+               array_agg(distinct ss.student_id::bigint),
+               coalesce((
+                   select jsonb_agg(jsonb_build_object('id', st.student_id, 'reason', st.absence_reason))
+                   from %I st
+                   where st.lesson_schedule_id = sub.lesson_schedule_id and st.status_date = sub.lesson_date
+                     and st.status = 'marked_absent'
+               ), '[]'::jsonb)
+        from slot_substitutions sub
+        join lesson_schedule ls on ls.id = sub.lesson_schedule_id
+        join scheduled_students ss on ss.lesson_schedule_id = sub.lesson_schedule_id
+            and public.enrolled_on(ss.start_date, ss.end_date, sub.lesson_date)
+        where sub.is_test = $1 and sub.substitute_coach_id = $2 and sub.lesson_date < current_date
+          and not exists (
+              select 1 from %I l
+              where l.lesson_schedule_id = sub.lesson_schedule_id and (l.log_date at time zone 'UTC')::date = sub.lesson_date
+          )
+        group by sub.lesson_schedule_id, sub.lesson_date, ls.start_time
+        order by sub.lesson_date, ls.start_time
+    $sql$,
+        case when p_is_test then 'daily_attendance_status_test' else 'daily_attendance_status' end,
+        case when p_is_test then 'lesson_logs_test' else 'lesson_logs' end)
+    using p_is_test, p_coach_id;
+end;
+$$;
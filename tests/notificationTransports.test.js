@@ -0,0 +1,61 @@
+// tests/notificationTransports.test.js
+// Pins the SMTP message format and exchange used by the send-notifications edge function's transports.
+// Run with: npm test
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSmtpData, sendOverSmtp, createTransport } from '../supabase/functions/_shared/notificationTransports.js';
+
+const message = { from: 'coach@example.test', to: 'parent@example.test', subject: 'Missed lesson', body: 'Hi,\nSee you next week.' };
+
+/** A fake SMTP server: replies to each command in turn and records what the client wrote. */
+function fakeConnection(replies) {
+    const queue = [...replies];
+    const written = [];
+    return {
+        written,
+        async read() { return queue.length > 0 ? queue.shift() : null; },
+        async write(text) { written.push(text); },
+        close() {}
+    };
+}
+
+describe('buildSmtpData', () => {
+    test('writes headers, a blank line and a CRLF body ending in the terminator', () => {
+        const data = buildSmtpData({ ...message, date: new Date(Date.UTC(2026, 9, 19, 9, 0)) });
+        assert.ok(data.startsWith('From: coach@example.test\r\nTo: parent@example.test\r\nSubject: Missed lesson\r\n'));
+        assert.ok(data.includes('Date: Mon, 19 Oct 2026 09:00:00 GMT\r\n'));
+        assert.ok(data.endsWith('\r\n\r\nHi,\r\nSee you next week.\r\n.\r\n'));
+    });
+
+    test('dot-stuffs body lines and keeps headers on one line', () => {
+        const data = buildSmtpData({ ...message, subject: 'Hello\r\nBcc: someone@example.test', body: '.\n..hidden' });
+        assert.ok(data.includes('Subject: Hello Bcc: someone@example.test\r\n'));
+        assert.ok(data.endsWith('\r\n\r\n..\r\n...hidden\r\n.\r\n'));
+    });
+});
+
+describe('sendOverSmtp', () => {
+    test('runs EHLO, MAIL FROM, RCPT TO and DATA, reading multi-line replies', async () => {
+        const conn = fakeConnection(['220 ready\r\n', '250-hello\r\n250 SIZE\r\n', '250 ok\r\n', '250 ok\r\n', '354 go\r\n', '250 queued\r\n']);
+        await sendOverSmtp(conn, message, 'test');
+        assert.deepEqual(conn.written.slice(0, 4), ['EHLO test\r\n', 'MAIL FROM:<coach@example.test>\r\n', 'RCPT TO:<parent@example.test>\r\n', 'DATA\r\n']);
+        assert.equal(conn.written.at(-1), 'QUIT\r\n');
+    });
+
+    test('throws with the server reply when a step is refused', async () => {
+        const conn = fakeConnection(['220 ready\r\n', '250 hello\r\n', '250 ok\r\n', '550 no such user\r\n']);
+        await assert.rejects(sendOverSmtp(conn, message), /RCPT TO failed: 550 no such user/);
+    });
+});
+
+describe('createTransport', () => {
+    test('defaults to the console transport', () => {
+        assert.equal(createTransport(null).name, 'console');
+    });
+
+    test('rejects unknown transports and a webhook without a URL', () => {
+        assert.throws(() => createTransport('carrier-pigeon'), /Unknown notification transport/);
+        assert.throws(() => createTransport('webhook'), /NOTIFY_WEBHOOK_URL/);
+    });
+});
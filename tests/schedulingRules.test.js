@@ -0,0 +1,164 @@
+// tests/schedulingRules.test.js
+// Pins the shared scheduling rules used by both the browser app and the get-optimal-fill-ins edge function.
+// Run with: npm test
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkPairingRuleViolation, isAvailableInSlots, doesBlockApplyOnDate, isStudentBlocked, isEnrolledOn, getRosterOnDate, getSlotOccupantIds } from '../supabase/functions/_shared/schedulingRules.js';
+
+const solo = (extra = {}) => ({ groupOf: 1, ...extra });
+const paired = (extra = {}) => ({ groupOf: 2, ...extra });
+const group = (extra = {}) => ({ groupOf: 3, ...extra });
+
+const allowed = (newStudent, occupants, capacity) => !checkPairingRuleViolation(newStudent, occupants, capacity).violation;
+
+describe('checkPairingRuleViolation', () => {
+    test('solo students only go into empty slots', () => {
+        assert.equal(allowed(solo(), [], 1), true);
+        assert.equal(allowed(solo(), [solo()], 2), false);
+        assert.equal(allowed(solo(), [paired()], 2), false);
+        assert.equal(allowed(solo(), [group()], 4), false);
+    });
+
+    test('paired students share with one other paired student', () => {
+        assert.equal(allowed(paired(), [], 2), true);
+        assert.equal(allowed(paired(), [paired()], 2), true);
+        assert.equal(allowed(paired(), [paired(), paired()], 4), false);
+        assert.equal(allowed(paired(), [solo()], 2), false);
+        assert.equal(allowed(paired(), [group()], 4), false);
+    });
+
+    test('group students only join other group students', () => {
+        assert.equal(allowed(group(), [], 4), true);
+        assert.equal(allowed(group(), [group(), group()], 4), true);
+        assert.equal(allowed(group({ groupOf: 4 }), [group()], 4), true);
+        assert.equal(allowed(group(), [solo()], 4), false);
+        assert.equal(allowed(group(), [paired()], 4), false);
+    });
+
+    test('capacity is never exceeded', () => {
+        const result = checkPairingRuleViolation(group(), [group(), group()], 2);
+        assert.equal(result.violation, true);
+        assert.match(result.reason, /capacity/);
+        assert.equal(allowed(paired(), [paired()], 1), false);
+    });
+
+    test('sub-groups cannot be mixed once established', () => {
+        assert.equal(allowed(group({ sub_group: 'A' }), [group({ sub_group: 'A' })], 4), true);
+        assert.equal(allowed(group({ sub_group: 'B' }), [group({ sub_group: 'A' })], 4), false);
+        assert.equal(allowed(paired({ sub_group: 'B' }), [paired({ sub_group: 'A' })], 2), false);
+        assert.equal(allowed(group({ sub_group: 'B' }), [group(), group({ sub_group: 'A' })], 4), false);
+    });
+
+    test('students without a sub-group can join any slot, and the first sub-group sets it', () => {
+        assert.equal(allowed(group(), [group({ sub_group: 'A' })], 4), true);
+        assert.equal(allowed(group({ sub_group: 'A' }), [group()], 4), true);
+        assert.equal(allowed(group(), [group()], 4), true);
+        assert.equal(allowed(group({ sub_group: '' }), [group({ sub_group: 'A' })], 4), true);
+    });
+
+    test('sub-groups are read from the edge function shape (subGroup) as well', () => {
+        assert.equal(allowed(group({ subGroup: 'B' }), [group({ subGroup: 'A' })], 4), false);
+        assert.equal(allowed(group({ subGroup: 'A' }), [group({ sub_group: 'A' })], 4), true);
+    });
+
+    test('invalid input is reported as a violation', () => {
+        assert.equal(allowed({}, [], 2), false);
+        assert.equal(allowed(group(), null, 2), false);
+        assert.equal(allowed(group(), [], 0), false);
+    });
+});
+
+describe('isAvailableInSlots', () => {
+    const slots = { Monday: ['10:00', '13:20'], Wednesday: ['09:00'] };
+
+    test('matches day and start time', () => {
+        assert.equal(isAvailableInSlots(slots, 'Monday', '13:20'), true);
+        assert.equal(isAvailableInSlots(slots, 'Monday', '11:00'), false);
+        assert.equal(isAvailableInSlots(slots, 'Tuesday', '10:00'), false);
+    });
+
+    test('accepts database times and any day-name casing', () => {
+        assert.equal(isAvailableInSlots(slots, 'monday', '13:20:00'), true);
+        assert.equal(isAvailableInSlots(slots, 'WEDNESDAY', '9:00'), true);
+    });
+
+    test('rejects missing or unreadable input', () => {
+        assert.equal(isAvailableInSlots(null, 'Monday', '10:00'), false);
+        assert.equal(isAvailableInSlots({}, 'Monday', '10:00'), false);
+        assert.equal(isAvailableInSlots(slots, 'Someday', '10:00'), false);
+        assert.equal(isAvailableInSlots(slots, 'Monday', 'ten'), false);
+    });
+});
+
+describe('daily blocks', () => {
+    test('single-day, range and recurring blocks', () => {
+        assert.equal(doesBlockApplyOnDate({ block_date: '2026-10-19' }, '2026-10-19'), true);
+        assert.equal(doesBlockApplyOnDate({ block_date: '2026-10-19' }, '2026-10-20'), false);
+        assert.equal(doesBlockApplyOnDate({ block_date: '2026-10-19', end_date: '2026-10-23' }, '2026-10-21'), true);
+        // 2026-10-19 is a Monday
+        const mondays = { block_date: '2026-10-01', end_date: '2026-10-31', repeat_days: ['Monday'] };
+        assert.equal(doesBlockApplyOnDate(mondays, '2026-10-19'), true);
+        assert.equal(doesBlockApplyOnDate(mondays, '2026-10-20'), false);
+        assert.equal(doesBlockApplyOnDate(mondays, '2026-11-02'), false);
+    });
+
+    test('block types affect the right students', () => {
+        const student = { class_name: '5B' };
+        const on = (block_type, identifier) => [{ block_date: '2026-10-19', block_type, identifier }];
+        assert.equal(isStudentBlocked(student, '2026-10-19', 7, on('Public Holiday', null)), true);
+        assert.equal(isStudentBlocked(student, '2026-10-19', 7, on('Year Level Absence', '5')), true);
+        assert.equal(isStudentBlocked(student, '2026-10-19', 7, on('Year Level Absence', '6')), false);
+        assert.equal(isStudentBlocked(student, '2026-10-19', 7, on('Class Absence', '5B')), true);
+        assert.equal(isStudentBlocked(student, '2026-10-19', 7, on('Class Absence', '5A')), false);
+        assert.equal(isStudentBlocked(student, '2026-10-19', 7, on('Coach Unavailable', '7')), true);
+        assert.equal(isStudentBlocked(student, '2026-10-19', 8, on('Coach Unavailable', '7')), false);
+        assert.equal(isStudentBlocked(student, '2026-10-19', 7, on('Other', null)), false);
+        assert.equal(isStudentBlocked(student, '2026-10-20', 7, on('Public Holiday', null)), false);
+    });
+});
+
+describe('enrolments', () => {
+    const enrolment = { student_id: 1, start_date: '2026-10-12', end_date: '2026-10-26' };
+
+    test('start date is in the slot, end date is not', () => {
+        assert.equal(isEnrolledOn(enrolment, '2026-10-11'), false);
+        assert.equal(isEnrolledOn(enrolment, '2026-10-12'), true);
+        assert.equal(isEnrolledOn(enrolment, '2026-10-25'), true);
+        assert.equal(isEnrolledOn(enrolment, '2026-10-26'), false);
+    });
+
+    test('missing dates are open-ended', () => {
+        assert.equal(isEnrolledOn({ student_id: 1, start_date: null, end_date: null }, '2020-01-01'), true);
+        assert.equal(isEnrolledOn({ student_id: 1, start_date: '2026-10-12', end_date: null }, '2030-01-01'), true);
+        assert.equal(isEnrolledOn({ student_id: 1, start_date: null, end_date: '2026-10-26' }, '2026-10-26'), false);
+    });
+
+    test('roster on a date follows students joining and leaving', () => {
+        const enrolments = [
+            enrolment,
+            { student_id: 2, start_date: '2026-10-19', end_date: null },
+            // Student 1 rejoins later
+            { student_id: 1, start_date: '2026-11-02', end_date: null }
+        ];
+        const rosterOn = date => getRosterOnDate(enrolments, date).sort();
+        assert.deepEqual(rosterOn('2026-10-12'), [1]);
+        assert.deepEqual(rosterOn('2026-10-19'), [1, 2]);
+        assert.deepEqual(rosterOn('2026-10-26'), [2]);
+        assert.deepEqual(rosterOn('2026-11-02'), [1, 2]);
+        assert.deepEqual(getRosterOnDate(null, '2026-10-19'), []);
+    });
+});
+
+describe('getSlotOccupantIds', () => {
+    test('roster less absentees, plus fill-ins, for that slot and date only', () => {
+        const statuses = [
+            { student_id: 1, lesson_schedule_id: 10, status_date: '2026-10-19', status: 'marked_absent' },
+            { student_id: 5, lesson_schedule_id: 10, status_date: '2026-10-19', status: 'assigned_fill_in' },
+            { student_id: 2, lesson_schedule_id: 10, status_date: '2026-10-26', status: 'marked_absent' },
+            { student_id: 6, lesson_schedule_id: 11, status_date: '2026-10-19', status: 'assigned_fill_in' }
+        ];
+        assert.deepEqual(getSlotOccupantIds([1, 2], statuses, 10, '2026-10-19'), [2, 5]);
+        assert.deepEqual(getSlotOccupantIds([1, 2], [], 10, '2026-10-19'), [1, 2]);
+    });
+});
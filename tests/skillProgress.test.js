@@ -0,0 +1,77 @@
+// tests/skillProgress.test.js
+// Pins how a student's lesson logs become skill progression: coverage per skill, gaps, rating trends and suggestions.
+// Run with: npm test
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSkillProgression, suggestNextSkills } from '../js/skillProgress.js';
+
+const skills = [
+    { id: 1, name: 'Forks', level: 'Beginner', sort_order: 1, previous_names: ['Double Attacks'] },
+    { id: 2, name: 'Pins', level: 'Beginner', sort_order: 2 },
+    { id: 3, name: 'Skewers', level: 'Beginner', sort_order: 3 },
+    { id: 4, name: 'Opposition', level: 'Intermediate', sort_order: 1 },
+    { id: 5, name: 'Old Openings', level: 'Beginner', sort_order: 4, is_retired: true }
+];
+const today = new Date('2026-10-19T00:00:00Z');
+
+const log = (log_date, skills_covered, extra = {}) => ({ log_date, skills_covered, attendance_status: 'Present', ...extra });
+const rowFor = (progression, skillId) => progression.levels.flatMap(group => group.skills).find(row => row.skill.id === skillId);
+
+describe('buildSkillProgression', () => {
+    test('counts attended lessons once per skill, following renames', () => {
+        const progression = buildSkillProgression([
+            log('2026-10-12', ['Forks', 'Double Attacks']),
+            log('2026-10-05', '{"Double Attacks","Pins"}'),
+            log('2026-10-15', ['Forks', 'Pins'], { attendance_status: 'Absent' })
+        ], { skills, today });
+
+        assert.equal(progression.attendedLessons, 2);
+        assert.equal(rowFor(progression, 1).count, 2);
+        assert.equal(rowFor(progression, 2).count, 1);
+        assert.equal(rowFor(progression, 3).status, 'not-covered');
+    });
+
+    test('retired skills only show once covered; unknown names are listed separately', () => {
+        const progression = buildSkillProgression([log('2026-10-12', ['Forks', 'Bughouse'])], { skills, today });
+        assert.equal(rowFor(progression, 5), undefined);
+        assert.deepEqual(progression.other.map(entry => [entry.name, entry.count]), [['Bughouse', 1]]);
+
+        const covered = buildSkillProgression([log('2026-10-12', ['Old Openings'])], { skills, today });
+        assert.equal(rowFor(covered, 5).count, 1);
+    });
+
+    test('a skill not covered within the gap weeks is a gap', () => {
+        const logs = [log('2026-09-07', ['Forks']), log('2026-10-12', ['Pins'])];
+        const progression = buildSkillProgression(logs, { skills, today, gapWeeks: 4 });
+        assert.equal(rowFor(progression, 1).status, 'gap');
+        assert.equal(rowFor(progression, 1).daysSince, 42);
+        assert.equal(rowFor(progression, 2).status, 'recent');
+
+        assert.equal(rowFor(buildSkillProgression(logs, { skills, today, gapWeeks: 8 }), 1).status, 'recent');
+    });
+
+    test('rating trends compare the latest five rated lessons with the five before', () => {
+        const ratings = [2, 2, 2, 2, 2, 4, 4, 4, 4, 4];
+        const logs = ratings.map((rating, index) =>
+            log(`2026-08-${String(index + 1).padStart(2, '0')}`, [], { proficiency: rating, engagement: 6 - rating }));
+        const progression = buildSkillProgression(logs, { skills, today });
+
+        assert.equal(progression.proficiency.recent, 4);
+        assert.equal(progression.proficiency.previous, 2);
+        assert.equal(progression.proficiency.direction, 'up');
+        assert.equal(progression.engagement.direction, 'down');
+        assert.equal(buildSkillProgression(logs.slice(0, 5), { skills, today }).proficiency.direction, null);
+    });
+});
+
+describe('suggestNextSkills', () => {
+    test('stale skills first, then the lowest level still uncovered', () => {
+        const progression = buildSkillProgression([
+            log('2026-08-03', ['Forks']),
+            log('2026-10-12', ['Pins', 'Opposition'])
+        ], { skills, today });
+        assert.deepEqual(suggestNextSkills(progression).map(row => row.skill.name), ['Forks', 'Skewers']);
+        assert.deepEqual(suggestNextSkills(progression, 1).map(row => row.skill.name), ['Forks']);
+    });
+});
@@ -0,0 +1,76 @@
+// tests/substitutions.test.js
+// Pins how a week's substitute coaches are applied to the schedule a coach sees (applySubstitutionsToSchedule).
+// Run with: npm test
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { applySubstitutionsToSchedule } from '../js/utils.js';
+
+// The week of Monday 2026-10-19
+const WEEK_DATE = '2026-10-21';
+const OWN_COACH = 7;
+const SUBSTITUTE = 8;
+
+const ownSchedule = () => ({
+    Monday: [{ schedule_id: 10, day: 'Monday', time: '10:00:00', coach_id: OWN_COACH, original_student_ids: [1, 2] }],
+    Tuesday: [{ schedule_id: 11, day: 'Tuesday', time: '11:00:00', coach_id: OWN_COACH, original_student_ids: [3] }]
+});
+
+const lesson = (extra = {}) => ({
+    id: 20, day_of_week: 'Monday', start_time: '09:00:00', capacity: 3, coach_id: 9,
+    scheduled_students: [
+        { student_id: 4, start_date: '2026-10-01', end_date: null },
+        { student_id: 5, start_date: '2026-10-01', end_date: '2026-10-19' },
+        { student_id: 6, start_date: '2026-10-20', end_date: null }
+    ],
+    ...extra
+});
+
+describe('applySubstitutionsToSchedule', () => {
+    test('marks the coach\'s own slots covered by someone else on that date', () => {
+        const substitutions = [
+            { id: 1, lesson_schedule_id: 10, lesson_date: '2026-10-19', substitute_coach_id: SUBSTITUTE },
+            // Last week's cover doesn't apply to this week's lesson
+            { id: 2, lesson_schedule_id: 11, lesson_date: '2026-10-13', substitute_coach_id: SUBSTITUTE }
+        ];
+        const merged = applySubstitutionsToSchedule(ownSchedule(), substitutions, OWN_COACH, WEEK_DATE);
+
+        assert.equal(merged.Monday[0].covered_by_coach_id, SUBSTITUTE);
+        assert.equal(merged.Monday[0].substitution_id, 1);
+        assert.equal(merged.Tuesday[0].covered_by_coach_id, undefined);
+    });
+
+    test('adds slots the coach covers for others, with the roster on the lesson date, in time order', () => {
+        const substitutions = [{ id: 3, lesson_schedule_id: 20, lesson_date: '2026-10-19', substitute_coach_id: OWN_COACH, lesson_schedule: lesson() }];
+        const merged = applySubstitutionsToSchedule(ownSchedule(), substitutions, OWN_COACH, WEEK_DATE);
+
+        assert.deepEqual(merged.Monday.map(slot => slot.schedule_id), [20, 10]);
+        const borrowed = merged.Monday[0];
+        assert.equal(borrowed.is_borrowed, true);
+        assert.equal(borrowed.coach_id, OWN_COACH);
+        assert.equal(borrowed.home_coach_id, 9);
+        assert.equal(borrowed.substitution_id, 3);
+        // Student 5 left the day before and student 6 joins the day after
+        assert.deepEqual(borrowed.original_student_ids, [4]);
+    });
+
+    test('ignores other coaches\' cover and cover outside the week, and leaves the input alone', () => {
+        const schedule = ownSchedule();
+        const substitutions = [
+            { id: 4, lesson_schedule_id: 20, lesson_date: '2026-10-19', substitute_coach_id: SUBSTITUTE, lesson_schedule: lesson() },
+            { id: 5, lesson_schedule_id: 21, lesson_date: '2026-10-27', substitute_coach_id: OWN_COACH, lesson_schedule: lesson({ id: 21, day_of_week: 'Tuesday' }) }
+        ];
+        const merged = applySubstitutionsToSchedule(schedule, substitutions, OWN_COACH, WEEK_DATE);
+
+        assert.deepEqual(merged, ownSchedule());
+        assert.deepEqual(schedule, ownSchedule());
+    });
+
+    test('adds a day the coach has no slots of their own on', () => {
+        const substitutions = [{ id: 6, lesson_schedule_id: 22, lesson_date: '2026-10-23', substitute_coach_id: OWN_COACH, lesson_schedule: lesson({ id: 22, day_of_week: 'Friday' }) }];
+        const merged = applySubstitutionsToSchedule(ownSchedule(), substitutions, OWN_COACH, WEEK_DATE);
+
+        assert.deepEqual(merged.Friday.map(slot => slot.schedule_id), [22]);
+        assert.deepEqual(merged.Friday[0].original_student_ids.sort(), [4, 6]);
+    });
+});